@@ -1,8 +1,11 @@
-from fastapi import FastAPI
+from fastapi import FastAPI, Request
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
 from typing import List, Dict, Any
 
+from pipeline_runner import execute_pipeline, format_event
+
 app = FastAPI()
 
 app.add_middleware(
@@ -30,6 +33,9 @@ class Pipeline(BaseModel):
     nodes: List[Node]
     edges: List[Edge]
 
+class RunRequest(Pipeline):
+    inputs: Dict[str, Any] = {}
+
 @app.get('/')
 def read_root():
     return {'Ping': 'Pong'}
@@ -54,6 +60,31 @@ def parse_pipeline(pipeline: Pipeline):
         'is_dag': is_dag
     }
 
+@app.post('/pipelines/run')
+async def run_pipeline(run: RunRequest, request: Request):
+    """
+    Run the pipeline and stream its progress as server-sent events:
+    started, token, finished, failed and skipped per node, then done.
+    Closing the connection cancels the run.
+    """
+
+    events = execute_pipeline(
+        [node.dict() for node in run.nodes],
+        [edge.dict() for edge in run.edges],
+        run.inputs,
+        request.is_disconnected,
+    )
+
+    async def stream():
+        async for event in events:
+            yield format_event(event)
+
+    return StreamingResponse(
+        stream(),
+        media_type='text/event-stream',
+        headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'},
+    )
+
 def check_is_dag(nodes: List[Node], edges: List[Edge]) -> bool:
     """
     Check if the graph is a Directed Acyclic Graph (DAG)
@@ -0,0 +1,313 @@
+import asyncio
+import json
+import re
+import time
+from typing import Any, AsyncIterator, Awaitable, Callable, Dict, List, Optional
+
+# Runs a pipeline on the server and yields an event per step for
+# /pipelines/run to stream:
+#   {'type': 'started', 'nodeId', 'inputs'}
+#   {'type': 'token', 'nodeId', 'handle', 'text'}      a chunk of streamed output
+#   {'type': 'finished', 'nodeId', 'outputs', 'duration'}
+#   {'type': 'failed', 'nodeId', 'error', 'duration'}
+#   {'type': 'skipped', 'nodeId'}
+#   {'type': 'done', 'status', 'outputs', 'error'}     always last
+#
+# The client sends the graph with Subflows flattened, field defaults filled
+# in and secret fields left out. Input, Output, Text, Merge and LLM nodes
+# with the Mock provider run here; every other node fails with a message
+# pointing at the browser runner, which has the providers and credentials
+# for them.
+#
+# Both runners are tested against the cases in
+# frontend/src/engine/runnerParity.json; add one there when changing how
+# either runs these nodes.
+
+# Node types that still run when only some of their inputs received values
+PARTIAL_INPUT_TYPES = {'merge'}
+
+MOCK_TOKEN_DELAY_S = 0.02
+MOCK_RESPONSE_SEPARATOR = re.compile(r'\n-{3,}\n')
+TEMPLATE_TAG = re.compile(r'(\\?)\{\{([\s\S]*?)\}\}')
+TEMPLATE_PATH = re.compile(r'^\s*([A-Za-z_$][\w$]*)((?:\.[A-Za-z_$][\w$]*|\[\d+\])*)\s*$')
+# Blocks, else and filters: template features only the browser runner has
+BROWSER_TAG = re.compile(r'^\s*(?:[#/]|else\s*$|[A-Za-z_$@][^|]*\||[A-Za-z_$@][\w$.\[\]]*\[\s*["\'])')
+PATH_STEP = re.compile(r'\.([A-Za-z_$][\w$]*)|\[(\d+)\]')
+
+
+class NodeError(Exception):
+    pass
+
+
+def handle_name(node_id: str, handle: Optional[str]) -> Optional[str]:
+    """Strips the `${nodeId}-` prefix from a handle id"""
+    prefix = f'{node_id}-'
+    return handle[len(prefix):] if handle and handle.startswith(prefix) else handle
+
+
+def to_text(value: Any) -> str:
+    """Matches the browser's toText: strings as they are, anything else as compact JSON"""
+    if value is None:
+        return ''
+    if isinstance(value, str):
+        return value
+    return json.dumps(value, separators=(',', ':'), ensure_ascii=False)
+
+
+def topological_order(nodes: List[dict], edges: List[dict]) -> Optional[List[dict]]:
+    """
+    Orders nodes so every node comes after its sources (Kahn's algorithm).
+    Returns None if the graph has a cycle.
+    """
+    by_id = {node['id']: node for node in nodes}
+    in_degree = {node['id']: 0 for node in nodes}
+    targets: Dict[str, List[str]] = {node['id']: [] for node in nodes}
+    for edge in edges:
+        if edge['source'] in by_id and edge['target'] in by_id:
+            targets[edge['source']].append(edge['target'])
+            in_degree[edge['target']] += 1
+
+    ready = [node['id'] for node in nodes if in_degree[node['id']] == 0]
+    order = []
+    while ready:
+        node_id = ready.pop(0)
+        order.append(by_id[node_id])
+        for target in targets[node_id]:
+            in_degree[target] -= 1
+            if in_degree[target] == 0:
+                ready.append(target)
+    return order if len(order) == len(nodes) else None
+
+
+def collect_inputs(incoming: List[dict], outputs_by_node: Dict[str, dict]):
+    """
+    Values arriving at each target handle; a handle with several edges gets
+    a list of the values that arrived, in edge order, even when they are lists.
+    Also returns how many edges brought a value, so a handle whose list is
+    missing an upstream value still counts as starved.
+    """
+    inputs: Dict[str, Any] = {}
+    edge_counts: Dict[str, int] = {}
+    for edge in incoming:
+        target_handle = handle_name(edge['target'], edge.get('targetHandle'))
+        edge_counts[target_handle] = edge_counts.get(target_handle, 0) + 1
+
+    delivered = 0
+    for edge in incoming:
+        target_handle = handle_name(edge['target'], edge.get('targetHandle'))
+        source_handle = handle_name(edge['source'], edge.get('sourceHandle'))
+        source_outputs = outputs_by_node.get(edge['source'], {})
+        if source_handle not in source_outputs:
+            continue
+        value = source_outputs[source_handle]
+        delivered += 1
+        if edge_counts[target_handle] > 1:
+            inputs[target_handle] = inputs.get(target_handle, []) + [value]
+        else:
+            inputs[target_handle] = value
+    return inputs, delivered
+
+
+def read_path(value: Any, path: str) -> Any:
+    for key, index in PATH_STEP.findall(path):
+        if key and isinstance(value, dict):
+            value = value.get(key)
+        elif index and isinstance(value, list) and int(index) < len(value):
+            value = value[int(index)]
+        else:
+            return None
+    return value
+
+
+def render_template(source: str, values: Dict[str, Any]) -> str:
+    """Fills {{name}} and {{name.path[0]}} tags; other template features run in the browser.
+    As there, a backslash keeps a tag as text (\\{{name}} renders {{name}}), and so
+    does a {{...}} that is not a tag at all, such as pasted JSON."""
+    def replace(match):
+        escape, content = match.groups()
+        if escape:
+            return match.group(0)[1:]
+        if BROWSER_TAG.match(content):
+            raise NodeError(f'"{{{{{content.strip()}}}}}" needs the browser runner; the server only fills {{{{name}}}} tags')
+        path = TEMPLATE_PATH.match(content)
+        return to_text(read_path(values.get(path.group(1)), path.group(2))) if path else match.group(0)
+    return TEMPLATE_TAG.sub(replace, source)
+
+
+def split_tokens(text: str) -> List[str]:
+    """Words with the whitespace after them, so the tokens join back into the text"""
+    return re.findall(r'\s*\S+\s*', text)
+
+
+def truncate(text: str, stop: List[str], max_tokens: Optional[int]) -> str:
+    cut = min([text.find(sequence) for sequence in stop if sequence and sequence in text] or [len(text)])
+    tokens = split_tokens(text[:cut])
+    return ''.join(tokens[:max_tokens] if max_tokens else tokens)
+
+
+def mock_completion(data: dict, system: Optional[str], prompt: str, replays: Dict[str, int]) -> str:
+    """
+    The Mock provider: replays canned responses in order, or echoes the prompt.
+    `replays` counts the responses each canned list has handed out in this run.
+    """
+    canned = data.get('mockResponses') or ''
+    responses = [part.strip() for part in MOCK_RESPONSE_SEPARATOR.split(f'\n{canned}\n') if part.strip()]
+    json_mode = bool(data.get('jsonMode'))
+    if responses:
+        replayed = replays.get(canned, 0)
+        replays[canned] = replayed + 1
+        text = responses[replayed % len(responses)]
+    else:
+        echoed = {'prompt': prompt} if system is None else {'system': system, 'prompt': prompt}
+        text = json.dumps(echoed, separators=(',', ':'), ensure_ascii=False) if json_mode else prompt
+    if json_mode:
+        return text
+    stop = [line for line in (data.get('stop') or '').split('\n') if line]
+    return truncate(text, stop, data.get('maxTokens'))
+
+
+async def run_llm(node: dict, data: dict, inputs: dict, context: dict, emit: Callable[[dict], Awaitable[None]]) -> dict:
+    provider = data.get('provider')
+    if provider != 'mock':
+        raise NodeError(f'The "{provider}" LLM provider is not available on the server; use the browser runner')
+    system = None if 'system' not in inputs else to_text(inputs['system'])
+    text = mock_completion(data, system, to_text(inputs.get('prompt')), context['mock_replays'])
+
+    if data.get('stream'):
+        for token in split_tokens(text):
+            await asyncio.sleep(MOCK_TOKEN_DELAY_S)
+            await emit({'type': 'token', 'nodeId': node['id'], 'handle': 'response', 'text': token})
+    if data.get('jsonMode'):
+        try:
+            return {'response': json.loads(text)}
+        except ValueError as error:
+            raise NodeError(f'Response is not valid JSON: {error}')
+    return {'response': text}
+
+
+def run_merge(data: dict, inputs: dict) -> dict:
+    names = sorted((name for name in inputs if re.fullmatch(r'input\d+', name)), key=lambda name: int(name[5:]))
+    values = [inputs[name] for name in names]
+    as_list = lambda value: value if isinstance(value, list) else [value]
+    key = lambda item: json.dumps(item, sort_keys=True)
+    strategy = data.get('strategy')
+
+    if strategy == 'Concat':
+        if all(isinstance(value, str) for value in values):
+            return {'output': '\n'.join(values)}
+        return {'output': [item for value in values for item in as_list(value)]}
+    if strategy == 'Union':
+        seen: Dict[str, Any] = {}
+        for item in (item for value in values for item in as_list(value)):
+            seen.setdefault(key(item), item)
+        return {'output': list(seen.values())}
+    if strategy == 'Intersect':
+        lists = [as_list(value) for value in values] or [[]]
+        rest_keys = [{key(item) for item in entries} for entries in lists[1:]]
+        return {'output': [item for item in lists[0] if all(key(item) in keys for keys in rest_keys)]}
+    raise NodeError(f'Unknown merge strategy "{strategy}"')
+
+
+async def execute_node(node: dict, inputs: dict, context: dict, emit) -> dict:
+    data = node.get('data') or {}
+    node_type = node['type']
+    if node_type == 'customInput':
+        name = data.get('inputName')
+        if name not in context['inputs']:
+            raise NodeError(f'No value provided for input "{name}"')
+        return {'value': context['inputs'][name]}
+    if node_type == 'customOutput':
+        return {'value': inputs.get('value')}
+    if node_type == 'text':
+        return {'output': render_template(data.get('text') or '', inputs)}
+    if node_type == 'llm':
+        return await run_llm(node, data, inputs, context, emit)
+    if node_type == 'merge':
+        return run_merge(data, inputs)
+    raise NodeError(f'{node_type} nodes only run in the browser')
+
+
+async def execute_pipeline(
+    nodes: List[dict],
+    edges: List[dict],
+    inputs: Dict[str, Any],
+    is_cancelled: Callable[[], Awaitable[bool]],
+) -> AsyncIterator[dict]:
+    """
+    Runs the pipeline node by node, yielding the events described above.
+    Stops between nodes and between streamed tokens once is_cancelled()
+    turns true, finishing with status 'cancelled'.
+    """
+    order = topological_order(nodes, edges)
+    if order is None:
+        yield {'type': 'done', 'status': 'failed', 'outputs': {}, 'error': 'Pipeline contains a cycle'}
+        return
+
+    incoming: Dict[str, List[dict]] = {}
+    for edge in edges:
+        incoming.setdefault(edge['target'], []).append(edge)
+
+    queue: asyncio.Queue = asyncio.Queue()
+    context = {'inputs': inputs, 'mock_replays': {}}
+    outputs_by_node: Dict[str, dict] = {}
+    outputs: Dict[str, Any] = {}
+    status = 'succeeded'
+
+    async def emit(event: dict):
+        await queue.put(event)
+
+    for node in order:
+        if await is_cancelled():
+            status = 'cancelled'
+            break
+
+        node_edges = incoming.get(node['id'], [])
+        node_inputs, delivered = collect_inputs(node_edges, outputs_by_node)
+        starved = (len(node_edges) > 0 and delivered == 0) if node['type'] in PARTIAL_INPUT_TYPES else delivered < len(node_edges)
+        if starved:
+            yield {'type': 'skipped', 'nodeId': node['id']}
+            continue
+
+        yield {'type': 'started', 'nodeId': node['id'], 'inputs': node_inputs}
+        started_at = time.perf_counter()
+        task = asyncio.ensure_future(execute_node(node, node_inputs, context, emit))
+
+        # forward streamed tokens while the node runs
+        cancelled = False
+        while not task.done():
+            getter = asyncio.ensure_future(queue.get())
+            await asyncio.wait([task, getter], return_when=asyncio.FIRST_COMPLETED)
+            if getter.done():
+                yield getter.result()
+            else:
+                getter.cancel()
+            if await is_cancelled():
+                task.cancel()
+                cancelled = True
+                break
+        while not queue.empty():
+            yield queue.get_nowait()
+
+        duration = (time.perf_counter() - started_at) * 1000
+        if cancelled:
+            status = 'cancelled'
+            break
+        try:
+            node_outputs = task.result() or {}
+        except Exception as error:  # a node's failure is reported, not raised
+            status = 'failed'
+            yield {'type': 'failed', 'nodeId': node['id'], 'error': str(error), 'duration': duration}
+            continue
+
+        outputs_by_node[node['id']] = node_outputs
+        if node['type'] == 'customOutput':
+            outputs[(node.get('data') or {}).get('outputName')] = node_outputs.get('value')
+        yield {'type': 'finished', 'nodeId': node['id'], 'outputs': node_outputs, 'duration': duration}
+
+    yield {'type': 'done', 'status': status, 'outputs': outputs, 'error': None}
+
+
+def format_event(event: dict) -> str:
+    """Encodes an event as a server-sent event named after its type"""
+    payload = {key: value for key, value in event.items() if key != 'type'}
+    return f"event: {event['type']}\ndata: {json.dumps(payload, ensure_ascii=False)}\n\n"
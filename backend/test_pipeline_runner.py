@@ -0,0 +1,185 @@
+import asyncio
+import json
+from pathlib import Path
+
+import pytest
+
+from pipeline_runner import NodeError, collect_inputs, execute_pipeline, format_event, render_template
+
+
+def node(node_id, node_type, **data):
+    return {'id': node_id, 'type': node_type, 'data': data}
+
+
+def edge(source, source_handle, target, target_handle):
+    return {
+        'source': source,
+        'sourceHandle': f'{source}-{source_handle}',
+        'target': target,
+        'targetHandle': f'{target}-{target_handle}',
+    }
+
+
+def run(nodes, edges, inputs=None):
+    async def never_cancelled():
+        return False
+
+    async def collect():
+        return [event async for event in execute_pipeline(nodes, edges, inputs or {}, never_cancelled)]
+
+    return asyncio.run(collect())
+
+
+# The browser runner's tests run the same cases (runnerParity.test.js)
+PARITY_CASES = json.loads((Path(__file__).parent.parent / 'frontend/src/engine/runnerParity.json').read_text())
+
+
+@pytest.mark.parametrize('case', PARITY_CASES, ids=[case['name'] for case in PARITY_CASES])
+def test_gives_the_same_results_as_the_browser_runner(case):
+    events = run(case['nodes'], [edge(*entry) for entry in case['edges']], case['inputs'])
+
+    done = events[-1]
+    assert (done['status'], done['outputs']) == (case['status'], case['outputs'])
+    kinds = {'finished': 'succeeded', 'failed': 'failed', 'skipped': 'skipped'}
+    statuses = {event['nodeId']: kinds[event['type']] for event in events if event['type'] in kinds}
+    assert statuses.items() >= case.get('statuses', {}).items()
+
+
+def test_several_edges_into_one_handle_keep_list_values_intact():
+    incoming = [edge('a', 'output', 'sink', 'items'), edge('b', 'output', 'sink', 'items')]
+    outputs = {'a': {'output': ['a1', 'a2']}, 'b': {'output': ['b1', 'b2']}}
+
+    inputs, delivered = collect_inputs(incoming, outputs)
+
+    assert inputs == {'items': [['a1', 'a2'], ['b1', 'b2']]}
+    assert delivered == 2
+
+
+def test_a_single_edge_delivers_its_value_as_is():
+    inputs, _ = collect_inputs([edge('a', 'output', 'sink', 'items')], {'a': {'output': ['x', 'y']}})
+
+    assert inputs == {'items': ['x', 'y']}
+
+
+def test_merge_concatenates_list_inputs_like_the_browser():
+    nodes = [
+        node('customInput-1', 'customInput', inputName='first'),
+        node('customInput-2', 'customInput', inputName='second'),
+        node('merge-1', 'merge', strategy='Concat'),
+    ]
+    edges = [
+        edge('customInput-1', 'value', 'merge-1', 'input1'),
+        edge('customInput-2', 'value', 'merge-1', 'input2'),
+    ]
+
+    events = run(nodes, edges, {'first': ['a'], 'second': ['b', 'c']})
+
+    finished = next(event for event in events if event['type'] == 'finished' and event['nodeId'] == 'merge-1')
+    assert finished['outputs'] == {'output': ['a', 'b', 'c']}
+
+
+def events_of(events, event_type):
+    return {event['nodeId']: event for event in events if event['type'] == event_type}
+
+
+def test_templates_fill_names_and_paths():
+    values = {'user': {'name': 'Ada', 'tags': ['a', 'b']}, 'count': 2}
+    assert render_template('{{ user.name }} has {{count}} tags, first {{user.tags[0]}}{{missing}}', values) == 'Ada has 2 tags, first a'
+    assert render_template('{{user}}', values) == '{"name":"Ada","tags":["a","b"]}'
+
+
+def test_a_backslash_keeps_a_template_tag_as_text():
+    assert render_template('\\{{name}} is {{name}}', {'name': 'Ada'}) == '{{name}} is Ada'
+
+
+def test_text_that_is_not_a_tag_stays_as_it_is():
+    source = 'Reply with {{"answer": "..."}} only'
+    assert render_template(source, {}) == source
+
+
+@pytest.mark.parametrize('tag', ['{{#if name}}', '{{/if}}', '{{else}}', '{{name | upper}}', '{{row["first name"]}}'])
+def test_browser_only_template_features_are_refused(tag):
+    with pytest.raises(NodeError, match='needs the browser runner'):
+        render_template(tag, {'name': 'Ada'})
+
+
+def test_canned_responses_start_over_in_each_run():
+    nodes = [
+        node('customInput-1', 'customInput', inputName='q'),
+        node('llm-1', 'llm', provider='mock', mockResponses='first\n---\nsecond'),
+        node('llm-2', 'llm', provider='mock', mockResponses='first\n---\nsecond'),
+    ]
+    edges = [edge('customInput-1', 'value', 'llm-1', 'prompt'), edge('customInput-1', 'value', 'llm-2', 'prompt')]
+
+    for _ in range(2):
+        events = run(nodes, edges, {'q': 'hi'})
+        responses = [event['outputs']['response'] for event in events if event['type'] == 'finished' and event['nodeId'] != 'customInput-1']
+        assert responses == ['first', 'second']
+
+
+def test_nodes_the_server_cannot_run_fail_with_a_pointer_to_the_browser():
+    nodes = [node('api-1', 'api'), node('llm-1', 'llm', provider='openai')]
+
+    failed = events_of(run(nodes, []), 'failed')
+
+    assert failed['api-1']['error'] == 'api nodes only run in the browser'
+    assert 'use the browser runner' in failed['llm-1']['error']
+
+
+def test_downstream_nodes_are_skipped_after_a_failure():
+    nodes = [node('customInput-1', 'customInput', inputName='q'), node('customOutput-1', 'customOutput', outputName='a')]
+    edges = [edge('customInput-1', 'value', 'customOutput-1', 'value')]
+
+    events = run(nodes, edges)
+
+    assert 'No value provided for input "q"' in events_of(events, 'failed')['customInput-1']['error']
+    assert 'customOutput-1' in events_of(events, 'skipped')
+    assert events[-1] == {'type': 'done', 'status': 'failed', 'outputs': {}, 'error': None}
+
+
+def test_streamed_tokens_arrive_before_the_node_finishes():
+    nodes = [
+        node('customInput-1', 'customInput', inputName='q'),
+        node('llm-1', 'llm', provider='mock', stream=True),
+        node('customOutput-1', 'customOutput', outputName='answer'),
+    ]
+    edges = [edge('customInput-1', 'value', 'llm-1', 'prompt'), edge('llm-1', 'response', 'customOutput-1', 'value')]
+
+    events = run(nodes, edges, {'q': 'hello there'})
+
+    types = [event['type'] for event in events if event.get('nodeId') == 'llm-1']
+    assert types == ['started', 'token', 'token', 'finished']
+    assert events[-1]['outputs'] == {'answer': 'hello there'}
+
+
+def test_cycles_are_refused():
+    events = run([node('a', 'merge'), node('b', 'merge')], [edge('a', 'output', 'b', 'input1'), edge('b', 'output', 'a', 'input1')])
+
+    assert events == [{'type': 'done', 'status': 'failed', 'outputs': {}, 'error': 'Pipeline contains a cycle'}]
+
+
+def test_a_cancelled_run_stops_between_nodes():
+    nodes = [node('customInput-1', 'customInput', inputName='q'), node('customOutput-1', 'customOutput', outputName='a')]
+    edges = [edge('customInput-1', 'value', 'customOutput-1', 'value')]
+    checks = []
+
+    async def cancel_after_first_node():
+        checks.append(True)
+        return len(checks) > 1
+
+    async def collect():
+        return [event async for event in execute_pipeline(nodes, edges, {'q': 1}, cancel_after_first_node)]
+
+    events = asyncio.run(collect())
+
+    assert 'customOutput-1' not in events_of(events, 'started')
+    assert events[-1]['status'] == 'cancelled'
+
+
+def test_events_are_encoded_as_named_server_sent_events():
+    encoded = format_event({'type': 'finished', 'nodeId': 'text-1', 'outputs': {'output': 'é'}})
+
+    name, data = encoded.rstrip('\n').split('\n')
+    assert name == 'event: finished'
+    assert json.loads(data[len('data: '):]) == {'nodeId': 'text-1', 'outputs': {'output': 'é'}}
+    assert encoded.endswith('\n\n')
@@ -1,13 +1,28 @@
+import { ReactFlowProvider } from 'reactflow';
 import { PipelineToolbar } from './toolbar';
+import { NodePalette } from './nodePalette';
 import { PipelineUI } from './ui';
+import { RunPanel } from './runPanel';
+import { ProblemsPanel } from './problemsPanel';
+import { NodeInspector } from './nodeInspector';
 
 function App() {
   return (
-    <div style={styles.app}>
-      <PipelineToolbar />
-      <PipelineUI />
-      
-    </div>
+    // the palette adds nodes through the same React Flow instance as the canvas
+    <ReactFlowProvider>
+      <div style={styles.app}>
+        <PipelineToolbar />
+        <div style={styles.workspace}>
+          <NodePalette />
+          <PipelineUI />
+          <div style={styles.sidePanels}>
+            <NodeInspector />
+            <ProblemsPanel />
+            <RunPanel />
+          </div>
+        </div>
+      </div>
+    </ReactFlowProvider>
   );
 }
 
@@ -19,6 +34,15 @@ const styles = {
     flexDirection: 'column',
     background: '#f8fafc',
   },
+  workspace: {
+    flex: 1,
+    minHeight: 0,
+    display: 'flex',
+  },
+  sidePanels: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
 };
 
 export default App;
@@ -0,0 +1,68 @@
+import { useStore } from './store';
+import { extractSubgraph, cloneSubgraph } from './utils/subgraph';
+import { serializePipeline, parsePipelineFile } from './utils/pipelineFile';
+
+// Pasted nodes land this far below and right of the last copy
+const PASTE_OFFSET = 40;
+
+// The system clipboard carries the selection as a pipeline document with
+// secrets left out; pasting that same text back in this tab uses the full
+// copy kept here instead
+let lastCopy = { text: null, doc: null, pastes: 0 };
+
+const getSelectedSubgraph = () => {
+    const { nodes, edges } = useStore.getState();
+    const selectedIds = nodes.filter(node => node.selected).map(node => node.id);
+    return extractSubgraph(nodes, edges, selectedIds);
+};
+
+const insertCopies = (subgraph, step) => {
+    const { getNodeID, addSubgraph } = useStore.getState();
+    const offset = { x: PASTE_OFFSET * step, y: PASTE_OFFSET * step };
+    addSubgraph(cloneSubgraph(subgraph, getNodeID, offset));
+};
+
+/**
+ * Serializes the selected nodes and the edges between them
+ * @returns {string|null} - Text for the system clipboard, or null when
+ *   nothing is selected
+ */
+export const copySelection = () => {
+    const subgraph = getSelectedSubgraph();
+    if (subgraph.nodes.length === 0) return null;
+
+    const text = JSON.stringify(serializePipeline(subgraph, { omitSecrets: true }));
+    lastCopy = { text, doc: serializePipeline(subgraph), pastes: 0 };
+    return text;
+};
+
+/**
+ * Adds a copy of the nodes in clipboard text to the canvas
+ * @param {string} text - Clipboard contents, possibly from another tab
+ * @returns {boolean} - False when the text is not a copied selection
+ */
+export const pasteText = (text) => {
+    if (text !== lastCopy.text) {
+        let doc;
+        try {
+            doc = parsePipelineFile(text);
+        } catch {
+            return false;
+        }
+        lastCopy = { text, doc, pastes: 0 };
+    }
+    lastCopy.pastes += 1;
+    insertCopies(lastCopy.doc, lastCopy.pastes);
+    return true;
+};
+
+/**
+ * Copies the selection in place without touching the clipboard
+ * @returns {boolean} - False when nothing is selected
+ */
+export const duplicateSelection = () => {
+    const subgraph = getSelectedSubgraph();
+    if (subgraph.nodes.length === 0) return false;
+    insertCopies(subgraph, 1);
+    return true;
+};
@@ -0,0 +1,64 @@
+import { useStore } from './store';
+import { copySelection, duplicateSelection, pasteText } from './clipboard';
+import { registerBuiltinNodes } from './nodes/builtinNodes';
+import { edge, node } from './testFixtures';
+
+registerBuiltinNodes();
+
+const load = (nodes, edges = [], nodeIDs = {}) => useStore.getState().loadPipeline({ nodes, edges, viewport: { x: 0, y: 0, zoom: 1 }, nodeIDs });
+const ids = () => useStore.getState().nodes.map(({ id }) => id);
+const selected = (entry) => ({ ...entry, selected: true });
+
+test('pasting twice adds two copies, each further along', () => {
+    load([selected(node('text-1', 'text', { text: '{{a}}' })), selected(node('text-2', 'text', { text: '{{b}}' }))],
+        [edge('text-1', 'output', 'text-2', 'b')], { text: 2 });
+    const text = copySelection();
+
+    expect(pasteText(text)).toBe(true);
+    expect(pasteText(text)).toBe(true);
+
+    const { nodes, edges } = useStore.getState();
+    expect(ids()).toEqual(['text-1', 'text-2', 'text-3', 'text-4', 'text-5', 'text-6']);
+    expect(nodes.slice(2).map(({ position }) => position.x)).toEqual([40, 40, 80, 80]);
+    expect(nodes.map(({ selected: isSelected }) => Boolean(isSelected))).toEqual([false, false, false, false, true, true]);
+    expect(edges.map(({ source, targetHandle }) => `${source} → ${targetHandle}`)).toEqual([
+        'text-1 → text-2-b',
+        'text-3 → text-4-b',
+        'text-5 → text-6-b',
+    ]);
+});
+
+test('pasting into a canvas that already uses the copied ids', () => {
+    load([selected(node('text-1', 'text', { text: 'copied' }))], [], { text: 1 });
+    const text = copySelection();
+    load([node('text-1', 'text', { text: 'here' }), node('text-2', 'text')], [], { text: 2 });
+
+    pasteText(text);
+
+    expect(ids()).toEqual(['text-1', 'text-2', 'text-3']);
+    expect(useStore.getState().nodes.map(({ data }) => data.text)).toEqual(['here', undefined, 'copied']);
+});
+
+test('text that is not a copied selection is not pasted', () => {
+    load([]);
+    expect(pasteText('hello')).toBe(false);
+    expect(ids()).toEqual([]);
+});
+
+test('duplicating a Subflow copies its contents and rewires its ports', () => {
+    const subflow = selected(node('subflow-1', 'subflow', {
+        graph: { nodes: [node('text-1', 'text', { text: '{{q}}' })], edges: [] },
+        inputs: [{ id: 'text_1_q', nodeId: 'text-1', handle: 'q', dataType: 'text' }],
+        outputs: [{ id: 'text_1_output', nodeId: 'text-1', handle: 'output', dataType: 'text' }],
+    }));
+    load([subflow, selected(node('text-9', 'text', { text: '{{answer}}' }))],
+        [edge('subflow-1', 'text_1_output', 'text-9', 'answer')], { subflow: 1, text: 9 });
+
+    expect(duplicateSelection()).toBe(true);
+
+    const { nodes, edges } = useStore.getState();
+    expect(ids()).toEqual(['subflow-1', 'text-9', 'subflow-2', 'text-10']);
+    expect(nodes[2].data.graph).toEqual(subflow.data.graph);
+    expect(nodes[2].data.graph).not.toBe(subflow.data.graph);
+    expect(edges[1]).toMatchObject({ source: 'subflow-2', sourceHandle: 'subflow-2-text_1_output', target: 'text-10', targetHandle: 'text-10-answer' });
+});
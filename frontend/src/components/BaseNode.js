@@ -1,97 +1,62 @@
 
-import { useState } from 'react';
 import { Handle, Position } from 'reactflow';
-import { theme } from '../styles/theme';
-
-export const BaseNode = ({ id, data }) => {
+import { useStore } from '../store';
+import { resolveFieldDefault, resolvePorts } from '../nodes/nodeConfigs';
+import { theme, getDataTypeColor } from '../styles/theme';
+import { resolveDataType } from '../utils/dataTypes';
+import { isFieldVisible } from '../utils/fieldSchema';
+import { NodeField } from './NodeField';
+import { ProblemBadge } from './ProblemBadge';
+import { useRunStatusStyle } from './useRunStatusStyle';
+import { getHandlePosition, useDynamicHandles } from './useDynamicHandles';
+
+// `children` render below the fields, for node types that add their own controls
+export const BaseNode = ({ id, data, children }) => {
     const config = data.config;
+    const updateNodeField = useStore((state) => state.updateNodeField);
+    const runStatusStyle = useRunStatusStyle(id);
+
+    const getFieldValue = (field) => {
+        return data[field.name] ?? resolveFieldDefault(field, id);
+    };
 
-    const [fieldValues, setFieldValues] = useState(() => {
-        const initial = {};
-        config.fields?.forEach(field => {
-            const defaultVal = typeof field.defaultValue === 'function'
-                ? field.defaultValue(id)
-                : field.defaultValue;
-            initial[field.name] = data[field.name] || defaultVal;
-        });
-        return initial;
+    const fieldData = { ...data };
+    config.fields?.forEach(field => {
+        fieldData[field.name] = getFieldValue(field);
     });
 
-    const handleFieldChange = (fieldName, value) => {
-        setFieldValues(prev => ({
-            ...prev,
-            [fieldName]: value
-        }));
-    };
+    const visibleFields = config.fields?.filter(field => isFieldVisible(field, fieldData)) || [];
+    const inputs = resolvePorts(config, 'inputs', fieldData);
+    const outputs = resolvePorts(config, 'outputs', fieldData);
+    useDynamicHandles(id, [...inputs, ...outputs].map(port => port.id));
 
-    const renderField = (field) => {
-        const value = fieldValues[field.name] || '';
-
-        switch (field.type) {
-            case 'text':
-                return (
-                    <div key={field.name} style={styles.fieldContainer}>
-                        <label style={styles.label}>{field.label}:</label>
-                        <input
-                            type="text"
-                            value={value}
-                            onChange={(e) => handleFieldChange(field.name, e.target.value)}
-                            style={styles.input}
-                        />
-                    </div>
-                );
-
-            case 'select':
-                return (
-                    <div key={field.name} style={styles.fieldContainer}>
-                        <label style={styles.label}>{field.label}:</label>
-                        <select
-                            value={value}
-                            onChange={(e) => handleFieldChange(field.name, e.target.value)}
-                            style={styles.select}
-                        >
-                            {field.options.map(option => (
-                                <option key={option} value={option}>{option}</option>
-                            ))}
-                        </select>
-                    </div>
-                );
-
-            case 'textarea':
-                return (
-                    <div key={field.name} style={styles.fieldContainer}>
-                        <label style={styles.label}>{field.label}:</label>
-                        <textarea
-                            value={value}
-                            onChange={(e) => handleFieldChange(field.name, e.target.value)}
-                            style={styles.textarea}
-                            rows={3}
-                        />
-                    </div>
-                );
+    const getHandleStyle = (port, index, total) => ({
+        ...styles.handle,
+        background: getDataTypeColor(resolveDataType(port, fieldData)),
+        top: getHandlePosition(index, total),
+        ...port.style,
+    });
 
-            default:
-                return null;
-        }
+    const handleFieldChange = (fieldName, value) => {
+        updateNodeField(id, fieldName, value);
     };
 
     return (
-        <div style={styles.nodeContainer}>
-            {config.inputs?.map((input) => (
+        <div style={{ ...styles.nodeContainer, ...runStatusStyle }}>
+            <ProblemBadge nodeId={id} />
+            {inputs.map((input, index) => (
                 <Handle
                     key={input.id}
                     type="target"
                     position={Position.Left}
                     id={`${id}-${input.id}`}
-                    style={{
-                        ...styles.handle,
-                        ...input.style,
-                    }}
+                    title={`${input.id}: ${resolveDataType(input, fieldData)}`}
+                    style={getHandleStyle(input, index, inputs.length)}
                 />
             ))}
 
             <div style={styles.header}>
-                <span style={styles.headerText}>{config.label}</span>
+                <span style={styles.headerText}>{data.label || config.label}</span>
             </div>
 
 
@@ -102,22 +67,30 @@ export const BaseNode = ({ id, data }) => {
                 </div>
             )}
 
-            {config.fields && config.fields.length > 0 && (
+            {visibleFields.length > 0 && (
                 <div style={styles.fieldsContainer}>
-                    {config.fields.map(field => renderField(field))}
+                    {visibleFields.map(field => (
+                        <NodeField
+                            key={field.name}
+                            field={field}
+                            value={fieldData[field.name]}
+                            data={fieldData}
+                            onChange={(value) => handleFieldChange(field.name, value)}
+                        />
+                    ))}
                 </div>
             )}
 
-            {config.outputs?.map((output) => (
+            {children}
+
+            {outputs.map((output, index) => (
                 <Handle
                     key={output.id}
                     type="source"
                     position={Position.Right}
                     id={`${id}-${output.id}`}
-                    style={{
-                        ...styles.handle,
-                        ...output.style,
-                    }}
+                    title={`${output.id}: ${resolveDataType(output, fieldData)}`}
+                    style={getHandleStyle(output, index, outputs.length)}
                 />
             ))}
         </div>
@@ -127,6 +100,7 @@ export const BaseNode = ({ id, data }) => {
 
 const styles = {
     nodeContainer: {
+        position: 'relative',
         background: theme.colors.surface,
         border: `1px solid ${theme.colors.border}`,
         borderRadius: '4px',
@@ -159,57 +133,6 @@ const styles = {
         padding: theme.spacing.xl,
     },
 
-    fieldContainer: {
-        marginBottom: theme.spacing.md,
-    },
-
-    label: {
-        display: 'block',
-        color: theme.colors.text.secondary,
-        fontSize: theme.typography.fontSize.xs,
-        marginBottom: theme.spacing.xs,
-        fontWeight: theme.typography.fontWeight.medium,
-    },
-
-    input: {
-        width: '100%',
-        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
-        background: theme.colors.surface,
-        border: `1px solid #cbd5e1`,
-        borderRadius: '4px',
-        color: theme.colors.text.primary,
-        fontSize: theme.typography.fontSize.xs,
-        outline: 'none',
-        fontFamily: theme.typography.fontFamily,
-        boxSizing: 'border-box',
-    }, 
-
-    select: {
-        width: '100%',
-        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
-        background: theme.colors.surface,
-        border: `1px solid #cbd5e1`,
-        borderRadius: '4px',
-        color: theme.colors.text.primary,
-        fontSize: theme.typography.fontSize.xs,
-        outline: 'none',
-        cursor: 'pointer',
-        boxSizing: 'border-box',
-    },
-
-    textarea: {
-        width: '100%',
-        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
-        background: theme.colors.surface,
-        border: `1px solid ${theme.colors.border}`,
-        borderRadius: '4px',
-        color: theme.colors.text.primary,
-        fontSize: theme.typography.fontSize.xs,
-        outline: 'none',
-        resize: 'vertical',
-        fontFamily: theme.typography.fontFamily,
-    },
-
     handle: {
         width: '8px',
         height: '8px',
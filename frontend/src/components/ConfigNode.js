@@ -0,0 +1,16 @@
+
+import { BaseNode } from './BaseNode';
+import { getConfigNode } from '../nodes/nodeConfigs';
+
+// Default canvas component for any registered node type without its own
+export const ConfigNode = ({ id, type, data }) => {
+    return (
+        <BaseNode
+            id={id}
+            data={{
+                ...data,
+                config: getConfigNode(type)
+            }}
+        />
+    );
+};
@@ -0,0 +1,252 @@
+import { useMemo, useState } from 'react';
+import { BaseEdge, EdgeLabelRenderer, getSmoothStepPath } from 'reactflow';
+import { useStore } from '../store';
+import { theme, getDataTypeColor } from '../styles/theme';
+import { getHandleDataType } from '../utils/dataTypes';
+import { getHandleName } from '../engine/graph';
+import { qualifyNodeId, resolveOutputPort } from '../engine/subflows';
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_TREE_ENTRIES = 20;
+const MAX_TREE_DEPTH = 4;
+
+const isFileValue = (value) => (
+    value !== null && typeof value === 'object'
+    && typeof value.name === 'string' && typeof value.type === 'string' && typeof value.content === 'string'
+);
+
+const formatSize = (bytes) => (bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`);
+
+const describeCollection = (value) => (Array.isArray(value)
+    ? `[${value.length} ${value.length === 1 ? 'item' : 'items'}]`
+    : `{${Object.keys(value).length} keys}`);
+
+// Nested values open one level deep; long lists and objects are cut short
+const JsonTree = ({ value, depth = 0 }) => {
+    if (value === null || typeof value !== 'object') {
+        return <span style={styles.scalar}>{JSON.stringify(value) ?? 'undefined'}</span>;
+    }
+    if (depth >= MAX_TREE_DEPTH) {
+        return <span style={styles.muted}>{describeCollection(value)}</span>;
+    }
+    const entries = Object.entries(value);
+    return (
+        <div style={styles.tree}>
+            {entries.slice(0, MAX_TREE_ENTRIES).map(([key, entry]) => (
+                entry !== null && typeof entry === 'object' ? (
+                    <details key={key} open={depth === 0}>
+                        <summary style={styles.treeKey}>
+                            {key}: <span style={styles.muted}>{describeCollection(entry)}</span>
+                        </summary>
+                        <JsonTree value={entry} depth={depth + 1} />
+                    </details>
+                ) : (
+                    <div key={key}>
+                        <span style={styles.treeKey}>{key}: </span>
+                        <JsonTree value={entry} depth={depth + 1} />
+                    </div>
+                )
+            ))}
+            {entries.length > MAX_TREE_ENTRIES && (
+                <div style={styles.muted}>… {entries.length - MAX_TREE_ENTRIES} more</div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Compact view of a value that flowed along an edge: text is truncated,
+ * lists give their length, images a thumbnail and JSON a collapsible tree
+ * @param {object} props
+ * @param {*} props.value
+ */
+export const ValuePreview = ({ value }) => {
+    if (isFileValue(value)) {
+        return (
+            <div>
+                <div style={styles.summary}>File · {value.name} · {formatSize(value.size ?? 0)}</div>
+                {value.type.startsWith('image/') && value.content.startsWith('data:') && (
+                    <img src={value.content} alt={value.name} style={styles.thumbnail} />
+                )}
+            </div>
+        );
+    }
+    if (typeof value === 'string') {
+        const truncated = value.length > MAX_TEXT_LENGTH;
+        return (
+            <div>
+                <div style={styles.summary}>Text · {value.length} {value.length === 1 ? 'character' : 'characters'}</div>
+                <pre style={styles.text}>{truncated ? `${value.slice(0, MAX_TEXT_LENGTH)}…` : value}</pre>
+            </div>
+        );
+    }
+    if (value !== null && typeof value === 'object') {
+        return (
+            <div>
+                <div style={styles.summary}>
+                    {Array.isArray(value)
+                        ? `List · ${value.length} ${value.length === 1 ? 'item' : 'items'}`
+                        : `JSON · ${Object.keys(value).length} keys`}
+                </div>
+                <JsonTree value={value} />
+            </div>
+        );
+    }
+    return <JsonTree value={value} />;
+};
+
+// What the last run sent from the edge's source handle, and why there is nothing otherwise
+const EdgeValue = ({ result, handle }) => {
+    if (!result) return <span style={styles.muted}>Run the pipeline to see the value</span>;
+    if (result.outputs && handle in result.outputs) return <ValuePreview value={result.outputs[handle]} />;
+    const reasons = {
+        running: 'Waiting for the source node…',
+        failed: 'The source node failed',
+        skipped: 'The source node was skipped',
+    };
+    return <span style={styles.muted}>{reasons[result.status] || 'Nothing flowed along this edge'}</span>;
+};
+
+// Smooth step edge labeled with the type of data it carries. Hovering it
+// shows the value it carried in the last run.
+export const DataEdge = ({
+    id, source, target, sourceHandleId, targetHandleId,
+    sourceX, sourceY, targetX, targetY, sourcePosition, targetPosition,
+    style, markerEnd,
+}) => {
+    const [hovered, setHovered] = useState(false);
+    const sourceNode = useStore((state) => state.nodes.find((node) => node.id === source));
+    const targetNode = useStore((state) => state.nodes.find((node) => node.id === target));
+    const subflowStack = useStore((state) => state.subflowStack);
+
+    // run results are keyed by the node that produced the value, qualified with the open Subflows
+    const port = useMemo(
+        () => resolveOutputPort(sourceNode, getHandleName(source, sourceHandleId)),
+        [sourceNode, source, sourceHandleId]
+    );
+    const resultId = port && qualifyNodeId(subflowStack.map((frame) => frame.nodeId), port.nodeId);
+    const result = useStore((state) => (resultId ? state.run.nodes[resultId] : undefined));
+
+    const sourceType = sourceNode ? getHandleDataType(sourceNode, sourceHandleId, 'source') : 'any';
+    const targetType = targetNode ? getHandleDataType(targetNode, targetHandleId, 'target') : 'any';
+    const converted = sourceType !== targetType && sourceType !== 'any' && targetType !== 'any';
+
+    const [edgePath, labelX, labelY] = getSmoothStepPath({
+        sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition,
+    });
+
+    const hoverHandlers = {
+        onMouseEnter: () => setHovered(true),
+        onMouseLeave: () => setHovered(false),
+    };
+
+    return (
+        <>
+            <BaseEdge id={id} path={edgePath} style={style} markerEnd={markerEnd} interactionWidth={0} />
+            <path d={edgePath} style={styles.hitArea} {...hoverHandlers} />
+            <EdgeLabelRenderer>
+                <div
+                    className="nodrag nopan"
+                    style={{ ...styles.labelAnchor, transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)` }}
+                    {...hoverHandlers}
+                >
+                    <span
+                        style={{ ...styles.typeLabel, color: getDataTypeColor(sourceType), borderColor: getDataTypeColor(sourceType) }}
+                        title={converted ? `Converted from ${sourceType} to ${targetType}` : undefined}
+                    >
+                        {converted ? `${sourceType} → ${targetType}` : sourceType}
+                    </span>
+                    {hovered && (
+                        <div style={styles.preview} role="tooltip">
+                            <EdgeValue result={result} handle={port?.handle} />
+                        </div>
+                    )}
+                </div>
+            </EdgeLabelRenderer>
+        </>
+    );
+};
+
+const styles = {
+    hitArea: {
+        fill: 'none',
+        stroke: 'transparent',
+        strokeWidth: 16,
+    },
+
+    labelAnchor: {
+        position: 'absolute',
+        pointerEvents: 'all',
+        zIndex: 1,
+    },
+
+    typeLabel: {
+        display: 'inline-block',
+        padding: '0 4px',
+        background: theme.colors.surface,
+        border: '1px solid',
+        borderRadius: theme.borderRadius.sm,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: '10px',
+        lineHeight: '14px',
+        cursor: 'default',
+    },
+
+    preview: {
+        position: 'absolute',
+        top: '100%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        marginTop: theme.spacing.xs,
+        width: '260px',
+        maxHeight: '240px',
+        overflow: 'auto',
+        padding: theme.spacing.sm,
+        background: theme.colors.surface,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.borderRadius.md,
+        boxShadow: theme.shadows.lg,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: theme.typography.fontSize.xs,
+        color: theme.colors.text.primary,
+    },
+
+    summary: {
+        marginBottom: theme.spacing.xs,
+        color: theme.colors.text.secondary,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+
+    text: {
+        margin: 0,
+        fontFamily: 'inherit',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+    },
+
+    thumbnail: {
+        display: 'block',
+        maxWidth: '100%',
+        maxHeight: '140px',
+        borderRadius: theme.borderRadius.sm,
+    },
+
+    tree: {
+        paddingLeft: theme.spacing.sm,
+        fontFamily: 'monospace',
+        wordBreak: 'break-word',
+    },
+
+    treeKey: {
+        color: theme.colors.text.secondary,
+        cursor: 'default',
+    },
+
+    scalar: {
+        color: theme.colors.text.primary,
+    },
+
+    muted: {
+        color: theme.colors.text.muted,
+    },
+};
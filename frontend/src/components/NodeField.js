@@ -0,0 +1,368 @@
+
+import { useState } from 'react';
+import { theme } from '../styles/theme';
+import { getFieldError, isFilled } from '../utils/fieldSchema';
+import { readFileValue } from '../utils/fileValue';
+
+const optionValue = (option) => (typeof option === 'object' ? option.value : option);
+const optionLabel = (option) => (typeof option === 'object' ? option.label : option);
+
+const toNumber = (raw) => (raw === '' ? '' : Number(raw));
+
+const KeyValueEditor = ({ field, value, onChange }) => {
+    const entries = Array.isArray(value) ? value : [];
+
+    const updateEntry = (index, patch) => {
+        onChange(entries.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+    };
+
+    return (
+        <div className="nodrag">
+            {entries.map((entry, index) => (
+                <div key={index} style={styles.keyValueRow}>
+                    <input
+                        type="text"
+                        value={entry.key}
+                        placeholder={field.keyPlaceholder || 'Key'}
+                        onChange={(e) => updateEntry(index, { key: e.target.value })}
+                        style={styles.input}
+                    />
+                    <input
+                        type="text"
+                        value={entry.value}
+                        placeholder={field.valuePlaceholder || 'Value'}
+                        onChange={(e) => updateEntry(index, { value: e.target.value })}
+                        style={styles.input}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => onChange(entries.filter((_, i) => i !== index))}
+                        style={styles.iconButton}
+                        aria-label={`Remove ${entry.key || 'entry'}`}
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                onClick={() => onChange([...entries, { key: '', value: '' }])}
+                style={styles.linkButton}
+            >
+                + Add
+            </button>
+        </div>
+    );
+};
+
+const SecretInput = ({ field, value, onChange }) => {
+    const [revealed, setRevealed] = useState(false);
+    return (
+        <div style={styles.keyValueRow}>
+            <input
+                type={revealed ? 'text' : 'password'}
+                value={value ?? ''}
+                placeholder={field.placeholder}
+                autoComplete="off"
+                onChange={(e) => onChange(e.target.value)}
+                style={styles.input}
+            />
+            <button type="button" onClick={() => setRevealed(!revealed)} style={styles.linkButton}>
+                {revealed ? 'Hide' : 'Show'}
+            </button>
+        </div>
+    );
+};
+
+const FileInput = ({ value, onChange }) => {
+    const [error, setError] = useState(null);
+
+    const handleChange = async (file) => {
+        setError(null);
+        if (!file) return;
+        try {
+            onChange(await readFileValue(file));
+        } catch (readError) {
+            setError(`Could not read ${file.name}: ${readError.message}`);
+        }
+    };
+
+    return (
+        <div>
+            {value?.name ? (
+                <div style={styles.keyValueRow}>
+                    <span style={styles.fileName}>{value.name}</span>
+                    <button type="button" onClick={() => onChange(null)} style={styles.linkButton}>Clear</button>
+                </div>
+            ) : (
+                <input type="file" onChange={(e) => handleChange(e.target.files?.[0])} style={styles.fileInput} />
+            )}
+            {error && <div style={styles.error}>{error}</div>}
+        </div>
+    );
+};
+
+const renderControl = (field, value, onChange, data) => {
+    switch (field.type) {
+        case 'text':
+            return (
+                <input
+                    type="text"
+                    value={value ?? ''}
+                    placeholder={field.placeholder}
+                    onChange={(e) => onChange(e.target.value)}
+                    style={styles.input}
+                />
+            );
+
+        case 'select': {
+            const options = typeof field.options === 'function' ? field.options(data) : field.options;
+            // a value the options no longer offer stays visible, so picking any option changes it
+            const stale = isFilled(value) && !options.some(option => optionValue(option) === value);
+            return (
+                <select
+                    value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    style={styles.select}
+                >
+                    {stale && <option value={value} disabled>{value}</option>}
+                    {options.map(option => (
+                        <option key={optionValue(option)} value={optionValue(option)}>{optionLabel(option)}</option>
+                    ))}
+                </select>
+            );
+        }
+
+        case 'textarea':
+            return (
+                <textarea
+                    value={value ?? ''}
+                    placeholder={field.placeholder}
+                    onChange={(e) => onChange(e.target.value)}
+                    style={styles.textarea}
+                    rows={field.rows || 3}
+                />
+            );
+
+        case 'number':
+            return (
+                <input
+                    type="number"
+                    value={value ?? ''}
+                    min={field.min}
+                    max={field.max}
+                    step={field.step}
+                    placeholder={field.placeholder}
+                    onChange={(e) => onChange(toNumber(e.target.value))}
+                    style={styles.input}
+                />
+            );
+
+        case 'slider':
+            return (
+                <div style={styles.keyValueRow}>
+                    <input
+                        type="range"
+                        className="nodrag"
+                        value={value ?? field.min ?? 0}
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        onChange={(e) => onChange(Number(e.target.value))}
+                        style={styles.slider}
+                    />
+                    <span style={styles.sliderValue}>{value}</span>
+                </div>
+            );
+
+        case 'checkbox':
+        case 'toggle':
+            return (
+                <input
+                    type="checkbox"
+                    role={field.type === 'toggle' ? 'switch' : undefined}
+                    checked={Boolean(value)}
+                    onChange={(e) => onChange(e.target.checked)}
+                />
+            );
+
+        case 'json':
+            return (
+                <textarea
+                    value={value ?? ''}
+                    placeholder={field.placeholder}
+                    spellCheck={false}
+                    onChange={(e) => onChange(e.target.value)}
+                    style={{ ...styles.textarea, fontFamily: 'monospace' }}
+                    rows={field.rows || 4}
+                />
+            );
+
+        case 'keyValue':
+            return <KeyValueEditor field={field} value={value} onChange={onChange} />;
+
+        case 'secret':
+        case 'password':
+            return <SecretInput field={field} value={value} onChange={onChange} />;
+
+        case 'file':
+            return <FileInput value={value} onChange={onChange} />;
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * One labelled field from a node config, with its inline validation error
+ * @param {object} props
+ * @param {object} props.field - Field definition from a node config
+ * @param {*} props.value - Current value
+ * @param {object} props.data - All of the node's field values, for cross-field rules
+ * @param {function} props.onChange - Called with the new value
+ */
+export const NodeField = ({ field, value, data, onChange }) => {
+    const error = getFieldError(field, value, data);
+    const inline = field.type === 'checkbox' || field.type === 'toggle';
+
+    return (
+        <div style={styles.fieldContainer}>
+            <label style={inline ? styles.inlineLabel : styles.label}>
+                {inline && renderControl(field, value, onChange, data)}
+                {field.label}{field.required && <span style={styles.required}> *</span>}{!inline && ':'}
+            </label>
+            {!inline && renderControl(field, value, onChange, data)}
+            {field.help && <div style={styles.help}>{field.help}</div>}
+            {error && <div style={styles.error}>{error}</div>}
+        </div>
+    );
+};
+
+const styles = {
+    fieldContainer: {
+        marginBottom: theme.spacing.md,
+    },
+
+    label: {
+        display: 'block',
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        marginBottom: theme.spacing.xs,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+
+    inlineLabel: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.xs,
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        fontWeight: theme.typography.fontWeight.medium,
+        cursor: 'pointer',
+    },
+
+    required: {
+        color: theme.colors.danger,
+    },
+
+    input: {
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        border: `1px solid #cbd5e1`,
+        borderRadius: '4px',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+        outline: 'none',
+        fontFamily: theme.typography.fontFamily,
+        boxSizing: 'border-box',
+    },
+
+    select: {
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        border: `1px solid #cbd5e1`,
+        borderRadius: '4px',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+        outline: 'none',
+        cursor: 'pointer',
+        boxSizing: 'border-box',
+    },
+
+    textarea: {
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: '4px',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+        outline: 'none',
+        resize: 'vertical',
+        fontFamily: theme.typography.fontFamily,
+        boxSizing: 'border-box',
+    },
+
+    slider: {
+        flex: 1,
+    },
+
+    sliderValue: {
+        minWidth: '2.5em',
+        textAlign: 'right',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    keyValueRow: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.xs,
+        marginBottom: theme.spacing.xs,
+    },
+
+    iconButton: {
+        border: 'none',
+        background: 'none',
+        color: theme.colors.text.secondary,
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.sm,
+    },
+
+    linkButton: {
+        border: 'none',
+        background: 'none',
+        padding: 0,
+        color: theme.colors.primary,
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    fileInput: {
+        width: '100%',
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    fileName: {
+        flex: 1,
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    help: {
+        marginTop: theme.spacing.xs,
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    error: {
+        marginTop: theme.spacing.xs,
+        color: theme.colors.danger,
+        fontSize: theme.typography.fontSize.xs,
+    },
+};
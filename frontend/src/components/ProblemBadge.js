@@ -0,0 +1,46 @@
+import { shallow } from 'zustand/shallow';
+import { useStore } from '../store';
+import { theme } from '../styles/theme';
+
+/**
+ * Corner badge listing the validation problems that involve a node.
+ * The parent container must be position: relative.
+ */
+export const ProblemBadge = ({ nodeId }) => {
+    const problems = useStore(
+        (state) => state.problems.filter((problem) => problem.nodeIds.includes(nodeId)),
+        shallow
+    );
+
+    if (problems.length === 0) return null;
+
+    const hasError = problems.some((problem) => problem.severity === 'error');
+
+    return (
+        <div
+            style={{ ...styles.badge, background: hasError ? theme.colors.danger : theme.colors.warning }}
+            title={problems.map((problem) => problem.message).join('\n')}
+        >
+            {problems.length}
+        </div>
+    );
+};
+
+const styles = {
+    badge: {
+        position: 'absolute',
+        top: '-8px',
+        right: '-8px',
+        minWidth: '18px',
+        height: '18px',
+        padding: '0 4px',
+        borderRadius: '9px',
+        color: '#ffffff',
+        fontSize: '0.7rem',
+        fontWeight: theme.typography.fontWeight.semibold,
+        lineHeight: '18px',
+        textAlign: 'center',
+        boxSizing: 'border-box',
+        cursor: 'help',
+    },
+};
@@ -0,0 +1,273 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { theme } from '../styles/theme';
+import { scanTemplate } from '../utils/templateEngine';
+import { getTemplateIssues } from '../utils/variableParser';
+
+const MAX_SUGGESTIONS = 8;
+
+// Caret sits in an unfinished `{{name`, `{{#if name` or `{{#each name`
+const OPEN_TAG_PATTERN = /\{\{\s*(?:#(?:if|each)\s+)?([A-Za-z_$][\w$]*)?$/;
+
+// Splits the text into plain runs and tags, marking tags that have an issue;
+// escaped `\{{...}}` stays plain text
+const getSegments = (text) => {
+    const issues = getTemplateIssues(text);
+    const segments = [];
+    let cursor = 0;
+    scanTemplate(text).filter(({ tag }) => tag?.kind !== 'literal').forEach(({ start, end }) => {
+        if (start > cursor) segments.push({ text: text.slice(cursor, start) });
+        const issue = issues.find(entry => entry.start === start);
+        segments.push({ text: text.slice(start, end), tag: true, issue: issue?.message });
+        cursor = end;
+    });
+    if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+    return segments;
+};
+
+const getCompletionQuery = (text, caret) => {
+    const match = OPEN_TAG_PATTERN.exec(text.slice(0, caret));
+    if (!match) return null;
+    const query = match[1] || '';
+    return { query, start: caret - query.length };
+};
+
+/**
+ * Textarea for {{...}} templates that highlights tags, underlines malformed
+ * ones and offers variable names after `{{`
+ * @param {object} props
+ * @param {string} props.value
+ * @param {function} props.onChange - Called with the new text
+ * @param {function} props.getSuggestions - Returns { name, detail }[] when
+ *   the completion menu opens
+ * @param {string} [props.placeholder]
+ */
+export const TemplateEditor = ({ value, onChange, getSuggestions, placeholder }) => {
+    const textareaRef = useRef(null);
+    const backdropRef = useRef(null);
+    const pendingCaret = useRef(null);
+    const [completion, setCompletion] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    const segments = useMemo(() => getSegments(value), [value]);
+    const issues = segments.filter(segment => segment.issue);
+
+    useEffect(() => {
+        const textarea = textareaRef.current;
+        if (textarea) {
+            textarea.style.height = 'auto';
+            textarea.style.height = `${textarea.scrollHeight}px`;
+        }
+    }, [value]);
+
+    useLayoutEffect(() => {
+        if (pendingCaret.current !== null && textareaRef.current) {
+            textareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+            pendingCaret.current = null;
+        }
+    }, [value]);
+
+    const updateCompletion = (text, caret) => {
+        const found = getCompletionQuery(text, caret);
+        if (!found) {
+            setCompletion(null);
+            return;
+        }
+        const query = found.query.toLowerCase();
+        const options = getSuggestions()
+            .filter(option => option.name.toLowerCase().startsWith(query) && option.name !== found.query)
+            .slice(0, MAX_SUGGESTIONS);
+        setCompletion(options.length > 0 ? { ...found, options } : null);
+        setActiveIndex(0);
+    };
+
+    const accept = (option) => {
+        const caret = textareaRef.current.selectionStart;
+        const after = value.slice(caret);
+        const closing = /^\s*\}\}/.test(after) ? '' : '}}';
+        const inserted = `${option.name}${closing}`;
+        pendingCaret.current = completion.start + inserted.length + (closing ? 0 : after.indexOf('}}') + 2);
+        onChange(value.slice(0, completion.start) + inserted + after);
+        setCompletion(null);
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        updateCompletion(e.target.value, e.target.selectionStart);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!completion) return;
+        const count = completion.options.length;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex((activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex((activeIndex + count - 1) % count);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            accept(completion.options[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            setCompletion(null);
+        }
+    };
+
+    const handleScroll = (e) => {
+        if (backdropRef.current) backdropRef.current.scrollTop = e.target.scrollTop;
+    };
+
+    return (
+        <div>
+            <div style={styles.editor}>
+                <div ref={backdropRef} style={{ ...styles.shared, ...styles.backdrop }} aria-hidden="true">
+                    {segments.map((segment, index) => (
+                        <span
+                            key={index}
+                            style={segment.issue ? styles.invalidTag : segment.tag ? styles.tag : undefined}
+                        >
+                            {segment.text}
+                        </span>
+                    ))}
+                    {/* keeps a trailing newline from collapsing */}
+                    {'\u200b'}
+                </div>
+                <textarea
+                    ref={textareaRef}
+                    className="nodrag"
+                    value={value}
+                    onChange={handleChange}
+                    onKeyDown={handleKeyDown}
+                    onScroll={handleScroll}
+                    onBlur={() => setCompletion(null)}
+                    placeholder={placeholder}
+                    spellCheck={false}
+                    style={{ ...styles.shared, ...styles.textarea }}
+                    rows={1}
+                />
+
+                {completion && (
+                    <ul style={styles.menu} role="listbox">
+                        {completion.options.map((option, index) => (
+                            <li
+                                key={`${option.name}:${option.detail}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                // mousedown so the textarea keeps focus
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    accept(option);
+                                }}
+                                style={{ ...styles.option, ...(index === activeIndex && styles.optionActive) }}
+                            >
+                                <span>{option.name}</span>
+                                <span style={styles.optionDetail}>{option.detail}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {issues.map((segment, index) => (
+                <div key={index} style={styles.issue}>{segment.text}: {segment.issue}</div>
+            ))}
+        </div>
+    );
+};
+
+const styles = {
+    editor: {
+        position: 'relative',
+    },
+
+    // Backdrop and textarea must lay text out identically
+    shared: {
+        width: '100%',
+        padding: `${theme.spacing.sm} ${theme.spacing.sm}`,
+        border: `1px solid #cbd5e1`,
+        borderRadius: '4px',
+        fontSize: theme.typography.fontSize.xs,
+        fontFamily: theme.typography.fontFamily,
+        lineHeight: 1.5,
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word',
+        boxSizing: 'border-box',
+    },
+
+    backdrop: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        height: '100%',
+        overflow: 'hidden',
+        background: theme.colors.surface,
+        borderColor: 'transparent',
+        color: theme.colors.text.primary,
+        pointerEvents: 'none',
+    },
+
+    textarea: {
+        position: 'relative',
+        display: 'block',
+        background: 'transparent',
+        color: 'transparent',
+        caretColor: theme.colors.text.primary,
+        outline: 'none',
+        resize: 'none',
+        minHeight: '60px',
+        maxHeight: '300px',
+        overflow: 'auto',
+    },
+
+    tag: {
+        background: '#dbeafe',
+        color: theme.colors.primary,
+        borderRadius: '2px',
+    },
+
+    invalidTag: {
+        background: '#fee2e2',
+        color: theme.colors.danger,
+        borderRadius: '2px',
+        textDecoration: `underline wavy ${theme.colors.danger}`,
+    },
+
+    menu: {
+        position: 'absolute',
+        top: '100%',
+        left: 0,
+        right: 0,
+        zIndex: 10,
+        margin: `2px 0 0`,
+        padding: `${theme.spacing.xs} 0`,
+        listStyle: 'none',
+        background: theme.colors.surface,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: '4px',
+        boxShadow: theme.shadows.lg,
+    },
+
+    option: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: theme.spacing.sm,
+        padding: `2px ${theme.spacing.sm}`,
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+        cursor: 'pointer',
+    },
+
+    optionActive: {
+        background: '#dbeafe',
+    },
+
+    optionDetail: {
+        color: theme.colors.text.muted,
+    },
+
+    issue: {
+        marginTop: theme.spacing.xs,
+        color: theme.colors.danger,
+        fontSize: theme.typography.fontSize.xs,
+    },
+};
@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+import { useUpdateNodeInternals } from 'reactflow';
+
+/**
+ * Vertical offset for the index-th of `total` handles on one side of a node,
+ * spread over the middle 80% of its height
+ * @param {number} index
+ * @param {number} total
+ * @returns {string} - CSS `top` value
+ */
+export const getHandlePosition = (index, total) => {
+    if (total === 1) return '50%';
+    const spacing = 80 / (total + 1);
+    return `${10 + spacing * (index + 1)}%`;
+};
+
+/**
+ * Tells React Flow to re-measure a node whenever its set of handles changes,
+ * otherwise edges to newly added handles have nowhere to attach
+ * @param {string} id - Node id
+ * @param {string[]} handleIds - Handle names currently rendered, in order
+ */
+export const useDynamicHandles = (id, handleIds) => {
+    const updateNodeInternals = useUpdateNodeInternals();
+    const signature = handleIds.join('\n');
+
+    useEffect(() => {
+        updateNodeInternals(id);
+    }, [id, signature, updateNodeInternals]);
+};
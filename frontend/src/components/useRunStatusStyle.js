@@ -0,0 +1,28 @@
+import { useStore } from '../store';
+import { theme } from '../styles/theme';
+import { qualifyNodeId, SUBFLOW_PATH_SEPARATOR } from '../engine/subflows';
+
+/**
+ * Container style overrides that show a node's state in the current run:
+ * a ring while it executes, a red border if it failed. A Subflow shows the
+ * state of the nodes inside it.
+ * @param {string} id - Node id
+ * @returns {object} - Style to spread over the node container
+ */
+export const useRunStatusStyle = (id) => {
+    const qualifiedId = useStore((state) => qualifyNodeId(state.subflowStack.map((frame) => frame.nodeId), id));
+    const covers = (runNodeId) => (
+        runNodeId === qualifiedId || Boolean(runNodeId?.startsWith(qualifiedId + SUBFLOW_PATH_SEPARATOR))
+    );
+    const running = useStore((state) => covers(state.runningNodeId));
+    const failed = useStore((state) => Object.entries(state.run.nodes).some(
+        ([runNodeId, result]) => result.status === 'failed' && covers(runNodeId)
+    ));
+    const inspected = useStore((state) => state.inspectedNodeId === qualifiedId);
+
+    return {
+        ...(failed && { borderColor: theme.colors.danger }),
+        ...(inspected && { boxShadow: `0 0 0 2px ${theme.colors.text.muted}` }),
+        ...(running && { boxShadow: `0 0 0 3px ${theme.colors.primary}` }),
+    };
+};
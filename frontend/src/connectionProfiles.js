@@ -0,0 +1,49 @@
+// connectionProfiles.js
+
+import { create } from "zustand";
+import { DEFAULT_CONNECTION, getDatabaseAdapter, resetMemoryDatabases } from './engine/databaseAdapters';
+import { readConnectionProfiles, writeConnectionProfiles } from './utils/draftStorage';
+
+const newProfileId = () => `connection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// The built-in local profile comes first and cannot be removed
+const withDefault = (profiles) => (
+    profiles.some((profile) => profile.id === DEFAULT_CONNECTION.id)
+      ? profiles
+      : [DEFAULT_CONNECTION, ...profiles]
+);
+
+const getDefaultSettings = (adapterId) => Object.fromEntries(
+    (getDatabaseAdapter(adapterId)?.fields || []).map((field) => [field.name, field.defaultValue ?? ''])
+);
+
+// Named database connections the database node picks from, kept in this
+// browser rather than in pipelines so credentials are not shared with them
+export const useConnectionProfiles = create((set, get) => ({
+    profiles: withDefault(readConnectionProfiles()),
+
+    addProfile: (adapter = 'memory') => {
+      const profile = {
+        id: newProfileId(),
+        name: `Connection ${get().profiles.length + 1}`,
+        adapter,
+        settings: getDefaultSettings(adapter),
+      };
+      set({ profiles: [...get().profiles, profile] });
+      writeConnectionProfiles(get().profiles);
+      return profile;
+    },
+    updateProfile: (id, patch) => {
+      set({
+        profiles: get().profiles.map((profile) => (profile.id === id ? { ...profile, ...patch } : profile)),
+      });
+      writeConnectionProfiles(get().profiles);
+    },
+    removeProfile: (id) => {
+      if (id === DEFAULT_CONNECTION.id) return;
+      set({ profiles: get().profiles.filter((profile) => profile.id !== id) });
+      writeConnectionProfiles(get().profiles);
+      resetMemoryDatabases(id);
+    },
+    getProfile: (id) => get().profiles.find((profile) => profile.id === id) || null,
+  }));
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useConnectionProfiles } from './connectionProfiles';
+import { NodeField } from './components/NodeField';
+import { DEFAULT_CONNECTION, getDatabaseAdapter, getDatabaseAdapters, resetMemoryDatabases } from './engine/databaseAdapters';
+import { theme } from './styles/theme';
+
+/**
+ * Modal for adding, editing and removing database connection profiles.
+ * Changes are saved as they are made.
+ * @param {object} props
+ * @param {string} [props.initialId] - Profile shown first
+ * @param {function} props.onClose
+ */
+export const ConnectionsDialog = ({ initialId, onClose }) => {
+    const { profiles, addProfile, updateProfile, removeProfile } = useConnectionProfiles();
+    const [selectedId, setSelectedId] = useState(initialId || DEFAULT_CONNECTION.id);
+    const [notice, setNotice] = useState(null);
+
+    const profile = profiles.find(entry => entry.id === selectedId) || profiles[0];
+    const adapter = getDatabaseAdapter(profile.adapter);
+    const settings = profile.settings || {};
+
+    const handleAdd = () => {
+        setSelectedId(addProfile().id);
+        setNotice(null);
+    };
+
+    const handleRemove = () => {
+        removeProfile(profile.id);
+        setSelectedId(DEFAULT_CONNECTION.id);
+        setNotice(null);
+    };
+
+    const handleReset = () => {
+        resetMemoryDatabases(profile.id);
+        setNotice('Data reset to the tables below');
+    };
+
+    // Portalled so the canvas transform does not offset the fixed backdrop
+    return createPortal(
+        <div style={styles.backdrop} onMouseDown={onClose}>
+            <div
+                style={styles.dialog}
+                onMouseDown={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === 'Escape' && onClose()}
+                role="dialog"
+                aria-label="Database connections"
+            >
+                <div style={styles.header}>Database connections</div>
+
+                <div style={styles.profileRow}>
+                    <select
+                        value={profile.id}
+                        onChange={(e) => {
+                            setSelectedId(e.target.value);
+                            setNotice(null);
+                        }}
+                        style={styles.input}
+                        aria-label="Connection"
+                    >
+                        {profiles.map(entry => (
+                            <option key={entry.id} value={entry.id}>{entry.name}</option>
+                        ))}
+                    </select>
+                    <button type="button" onClick={handleAdd} style={styles.secondaryButton}>+ New</button>
+                </div>
+
+                <div style={styles.fieldContainer}>
+                    <label style={styles.label} htmlFor="connection-name">Name</label>
+                    <input
+                        id="connection-name"
+                        type="text"
+                        value={profile.name}
+                        onChange={(e) => updateProfile(profile.id, { name: e.target.value })}
+                        style={styles.input}
+                    />
+                </div>
+
+                <div style={styles.fieldContainer}>
+                    <label style={styles.label} htmlFor="connection-adapter">Adapter</label>
+                    <select
+                        id="connection-adapter"
+                        value={profile.adapter}
+                        onChange={(e) => updateProfile(profile.id, { adapter: e.target.value, settings: {} })}
+                        style={styles.input}
+                        disabled={profile.id === DEFAULT_CONNECTION.id}
+                    >
+                        {getDatabaseAdapters().map(entry => (
+                            <option key={entry.id} value={entry.id}>{entry.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {adapter ? adapter.fields.map(field => (
+                    <NodeField
+                        key={field.name}
+                        field={field}
+                        value={settings[field.name] ?? field.defaultValue ?? ''}
+                        data={settings}
+                        onChange={(value) => updateProfile(profile.id, { settings: { ...settings, [field.name]: value } })}
+                    />
+                )) : (
+                    <div style={styles.error}>No "{profile.adapter}" adapter is registered</div>
+                )}
+
+                {notice && <div style={styles.notice}>{notice}</div>}
+
+                <div style={styles.actions}>
+                    {profile.id !== DEFAULT_CONNECTION.id && (
+                        <button type="button" onClick={handleRemove} style={styles.dangerButton}>Remove</button>
+                    )}
+                    {profile.adapter === 'memory' && (
+                        <button type="button" onClick={handleReset} style={styles.secondaryButton}>Reset data</button>
+                    )}
+                    <button type="button" onClick={onClose} style={styles.primaryButton} autoFocus>Done</button>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+const styles = {
+    backdrop: {
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.4)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+    },
+    dialog: {
+        width: '480px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        padding: theme.spacing.lg,
+        background: theme.colors.surface,
+        borderRadius: theme.borderRadius.md,
+        boxShadow: theme.shadows.lg,
+        fontFamily: theme.typography.fontFamily,
+    },
+    header: {
+        marginBottom: theme.spacing.md,
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.base,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+    profileRow: {
+        display: 'flex',
+        gap: theme.spacing.sm,
+        marginBottom: theme.spacing.md,
+    },
+    fieldContainer: {
+        marginBottom: theme.spacing.md,
+    },
+    label: {
+        display: 'block',
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        marginBottom: theme.spacing.xs,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    input: {
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        border: `1px solid #cbd5e1`,
+        borderRadius: '4px',
+        fontSize: theme.typography.fontSize.sm,
+        fontFamily: theme.typography.fontFamily,
+        boxSizing: 'border-box',
+    },
+    error: {
+        marginBottom: theme.spacing.md,
+        color: theme.colors.danger,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    notice: {
+        marginBottom: theme.spacing.md,
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    actions: {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: theme.spacing.sm,
+        marginTop: theme.spacing.md,
+    },
+    primaryButton: {
+        padding: '8px 16px',
+        backgroundColor: '#1d54baff',
+        color: '#ffffff',
+        border: 'none',
+        borderRadius: '8px',
+        fontSize: '14px',
+        cursor: 'pointer',
+    },
+    secondaryButton: {
+        padding: '8px 16px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '14px',
+        cursor: 'pointer',
+        whiteSpace: 'nowrap',
+    },
+    dangerButton: {
+        padding: '8px 16px',
+        marginRight: 'auto',
+        backgroundColor: '#ffffff',
+        color: theme.colors.danger,
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '14px',
+        cursor: 'pointer',
+    },
+};
@@ -0,0 +1,121 @@
+import { shallow } from 'zustand/shallow';
+import { useDraftStore } from './drafts';
+
+const selector = (state) => ({
+    drafts: state.drafts,
+    activeId: state.activeId,
+    createDraft: state.createDraft,
+    switchDraft: state.switchDraft,
+    renameDraft: state.renameDraft,
+    deleteDraft: state.deleteDraft,
+    loadError: state.loadError,
+    saveError: state.saveError,
+    replaceBrokenDraft: state.replaceBrokenDraft,
+});
+
+export const DraftSelector = () => {
+    const {
+        drafts,
+        activeId,
+        createDraft,
+        switchDraft,
+        renameDraft,
+        deleteDraft,
+        loadError,
+        saveError,
+        replaceBrokenDraft,
+    } = useDraftStore(selector, shallow);
+
+    const activeDraft = drafts.find((draft) => draft.id === activeId);
+    const broken = loadError && loadError.id === activeId;
+
+    const handleNew = () => {
+        const name = window.prompt('Name for the new draft:', `Pipeline ${drafts.length + 1}`);
+        if (name?.trim()) {
+            createDraft(name.trim());
+        }
+    };
+
+    const handleRename = () => {
+        if (!activeDraft) return;
+        const name = window.prompt('Rename draft:', activeDraft.name);
+        if (name?.trim()) {
+            renameDraft(activeDraft.id, name.trim());
+        }
+    };
+
+    const handleDelete = () => {
+        if (!activeDraft) return;
+        if (window.confirm(`Delete draft "${activeDraft.name}"? This cannot be undone.`)) {
+            deleteDraft(activeDraft.id);
+        }
+    };
+
+    return (
+        <div style={styles.container}>
+            <select
+                value={activeId ?? ''}
+                onChange={(e) => switchDraft(e.target.value)}
+                style={styles.select}
+                aria-label="Draft"
+            >
+                {drafts.map((draft) => (
+                    <option key={draft.id} value={draft.id}>{draft.name}</option>
+                ))}
+            </select>
+            <button type="button" onClick={handleNew} style={styles.button}>New</button>
+            <button type="button" onClick={handleRename} style={styles.button}>Rename</button>
+            <button type="button" onClick={handleDelete} style={styles.button}>Delete</button>
+            {broken && (
+                <span role="alert" style={styles.error}>
+                    Could not open this draft ({loadError.message}), so it is not being autosaved.
+                    <button type="button" onClick={replaceBrokenDraft} style={styles.link}>
+                        Replace it with this canvas
+                    </button>
+                </span>
+            )}
+            {!broken && saveError && (
+                <span role="alert" style={styles.error}>{saveError}</span>
+            )}
+        </div>
+    );
+};
+
+const styles = {
+    container: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '4px',
+    },
+    select: {
+        padding: '8px',
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '14px',
+        maxWidth: '180px',
+    },
+    button: {
+        padding: '8px 10px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '13px',
+        cursor: 'pointer',
+    },
+    error: {
+        maxWidth: '260px',
+        color: '#b91c1c',
+        fontSize: '12px',
+    },
+    link: {
+        padding: 0,
+        marginLeft: '4px',
+        background: 'none',
+        border: 'none',
+        color: '#1d54baff',
+        fontSize: '12px',
+        textDecoration: 'underline',
+        cursor: 'pointer',
+    },
+};
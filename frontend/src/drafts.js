@@ -0,0 +1,176 @@
+// drafts.js
+
+import { create } from "zustand";
+import { useStore } from './store';
+import { collectSecrets, parsePipelineFile, restoreSecrets, serializePipeline } from './utils/pipelineFile';
+import {
+    readDraftIndex,
+    writeDraftIndex,
+    readDraftText,
+    writeDraft,
+    writeDraftBackup,
+    removeDraft,
+  } from './utils/draftStorage';
+
+const AUTOSAVE_DELAY_MS = 500;
+
+const emptyPipeline = () => ({
+    nodes: [],
+    edges: [],
+    viewport: { x: 0, y: 0, zoom: 1 },
+    nodeIDs: {},
+});
+
+const newDraftId = () => `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Secret field values (API keys, passwords) of each draft this session.
+// They stay in memory so localStorage never holds them; after a reload the
+// fields are empty again.
+const draftSecrets = new Map();
+
+const currentDoc = (id) => {
+    const { getRootGraph, nodeIDs } = useStore.getState();
+    const { nodes, edges, viewport } = getRootGraph();
+    draftSecrets.set(id, collectSecrets(nodes));
+    return serializePipeline({ nodes, edges, viewport, nodeIDs }, { omitSecrets: true });
+};
+
+// A draft that fails to load (corrupt, or using a node type whose plugin is
+// gone) opens as an empty canvas but is not autosaved over until the user
+// chooses to replace it
+const loadDraftIntoCanvas = (id) => {
+    const stored = readDraftText(id);
+    let pipeline = emptyPipeline();
+    let loadError = null;
+    if (stored) {
+      try {
+        pipeline = parsePipelineFile(stored);
+        pipeline.nodes = restoreSecrets(pipeline.nodes, draftSecrets.get(id) || {});
+      } catch (error) {
+        loadError = { id, message: error.message };
+      }
+    }
+    useDraftStore.setState({ loadError });
+    useStore.getState().loadPipeline(pipeline);
+};
+
+export const useDraftStore = create((set, get) => ({
+    drafts: [],
+    activeId: null,
+    loadError: null,
+    saveError: null,
+
+    persistIndex: () => {
+      const { activeId, drafts } = get();
+      writeDraftIndex({ activeId, drafts });
+    },
+    saveActiveDraft: () => {
+      const { activeId, drafts, loadError } = get();
+      if (!activeId || loadError?.id === activeId) return;
+      if (!writeDraft(activeId, currentDoc(activeId))) {
+        set({ saveError: 'Could not save the draft: browser storage is full or unavailable' });
+        return;
+      }
+      set({
+        saveError: null,
+        drafts: drafts.map((draft) =>
+          draft.id === activeId ? { ...draft, updatedAt: Date.now() } : draft
+        ),
+      });
+      get().persistIndex();
+    },
+    replaceBrokenDraft: () => {
+      const { activeId, loadError } = get();
+      if (loadError?.id !== activeId) return;
+      const stored = readDraftText(activeId);
+      if (stored && !writeDraftBackup(activeId, stored)) {
+        set({ saveError: 'Could not back up the draft: browser storage is full or unavailable' });
+        return;
+      }
+      set({ loadError: null });
+      get().saveActiveDraft();
+    },
+    createDraft: (name) => {
+      get().saveActiveDraft();
+      const draft = { id: newDraftId(), name, updatedAt: Date.now() };
+      set({ drafts: [...get().drafts, draft], activeId: draft.id });
+      writeDraft(draft.id, serializePipeline(emptyPipeline()));
+      get().persistIndex();
+      useStore.getState().loadPipeline(emptyPipeline());
+    },
+    switchDraft: (id) => {
+      if (id === get().activeId) return;
+      get().saveActiveDraft();
+      set({ activeId: id });
+      get().persistIndex();
+      loadDraftIntoCanvas(id);
+    },
+    renameDraft: (id, name) => {
+      set({
+        drafts: get().drafts.map((draft) => (draft.id === id ? { ...draft, name } : draft)),
+      });
+      get().persistIndex();
+    },
+    deleteDraft: (id) => {
+      const remaining = get().drafts.filter((draft) => draft.id !== id);
+      removeDraft(id);
+      draftSecrets.delete(id);
+      if (remaining.length === 0) {
+        set({ drafts: [], activeId: null });
+        get().createDraft('Untitled pipeline');
+        return;
+      }
+      set({ drafts: remaining });
+      if (get().activeId === id) {
+        set({ activeId: remaining[0].id });
+        loadDraftIntoCanvas(remaining[0].id);
+      }
+      get().persistIndex();
+    },
+  }));
+
+/**
+ * Restores the last open draft into the canvas and keeps it saved to
+ * localStorage as the pipeline changes. Call once before rendering.
+ * @returns {function} - Unsubscribes the autosave listener
+ */
+export const startAutosave = () => {
+    const { activeId, drafts } = readDraftIndex();
+    const draftStore = useDraftStore.getState();
+
+    if (drafts.length === 0) {
+      draftStore.createDraft('Untitled pipeline');
+    } else {
+      const restoredId = drafts.some((draft) => draft.id === activeId) ? activeId : drafts[0].id;
+      useDraftStore.setState({ drafts, activeId: restoredId });
+      loadDraftIntoCanvas(restoredId);
+    }
+
+    let timer = null;
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      useDraftStore.getState().saveActiveDraft();
+    };
+
+    const unsubscribe = useStore.subscribe((state, prev) => {
+      if (
+        state.nodes === prev.nodes &&
+        state.edges === prev.edges &&
+        state.viewport === prev.viewport &&
+        state.nodeIDs === prev.nodeIDs
+      ) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(flush, AUTOSAVE_DELAY_MS);
+    });
+
+    window.addEventListener('beforeunload', flush);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('beforeunload', flush);
+      clearTimeout(timer);
+    };
+};
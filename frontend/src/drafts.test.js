@@ -0,0 +1,108 @@
+import { useStore } from './store';
+import { useDraftStore, startAutosave } from './drafts';
+import { registerBuiltinNodes } from './nodes/builtinNodes';
+
+registerBuiltinNodes();
+
+const DRAFT_KEY = 'vectorshift.draft.draft-1';
+const BACKUP_KEY = 'vectorshift.draftBackup.draft-1';
+
+const addTextNode = () => {
+    useStore.getState().loadPipeline({
+        nodes: [{ id: 'text-1', type: 'text', position: { x: 0, y: 0 }, data: { text: 'hi' } }],
+        edges: [],
+        viewport: { x: 0, y: 0, zoom: 1 },
+        nodeIDs: { text: 1 },
+    });
+};
+
+let stopAutosave;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    window.localStorage.clear();
+    window.localStorage.setItem('vectorshift.drafts', JSON.stringify({
+        activeId: 'draft-1',
+        drafts: [{ id: 'draft-1', name: 'Broken', updatedAt: 0 }],
+    }));
+    useDraftStore.setState({ drafts: [], activeId: null, loadError: null, saveError: null });
+});
+
+afterEach(() => {
+    stopAutosave?.();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+test('a draft that fails to load is not autosaved over', () => {
+    window.localStorage.setItem(DRAFT_KEY, '{"format": "vectorshift-pipeline", "version": 2, "nodes": [');
+    stopAutosave = startAutosave();
+
+    expect(useDraftStore.getState().loadError).toMatchObject({ id: 'draft-1' });
+    expect(useStore.getState().nodes).toEqual([]);
+
+    addTextNode();
+    jest.runAllTimers();
+    expect(window.localStorage.getItem(DRAFT_KEY)).toBe('{"format": "vectorshift-pipeline", "version": 2, "nodes": [');
+});
+
+test('a draft with an unregistered node type is kept', () => {
+    const stored = JSON.stringify({
+        format: 'vectorshift-pipeline',
+        version: 2,
+        nodes: [{ id: 'plugin-1', type: 'removedPlugin', position: { x: 0, y: 0 }, data: {} }],
+        edges: [],
+        viewport: { x: 0, y: 0, zoom: 1 },
+        nodeIDs: {},
+    });
+    window.localStorage.setItem(DRAFT_KEY, stored);
+    stopAutosave = startAutosave();
+
+    expect(useDraftStore.getState().loadError.message).toMatch(/unknown type "removedPlugin"/);
+    useDraftStore.getState().saveActiveDraft();
+    expect(window.localStorage.getItem(DRAFT_KEY)).toBe(stored);
+});
+
+test('replacing a broken draft backs up its stored text first', () => {
+    window.localStorage.setItem(DRAFT_KEY, 'not json');
+    stopAutosave = startAutosave();
+    addTextNode();
+
+    useDraftStore.getState().replaceBrokenDraft();
+
+    expect(window.localStorage.getItem(BACKUP_KEY)).toBe('not json');
+    expect(useDraftStore.getState().loadError).toBeNull();
+    expect(JSON.parse(window.localStorage.getItem(DRAFT_KEY)).nodes).toHaveLength(1);
+});
+
+test('a failed save is reported instead of ignored', () => {
+    stopAutosave = startAutosave();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+    });
+
+    useDraftStore.getState().saveActiveDraft();
+    expect(useDraftStore.getState().saveError).toMatch(/storage is full/);
+});
+
+test('secret fields stay out of saved drafts but survive switching drafts', () => {
+    stopAutosave = startAutosave();
+    const llm = { id: 'llm-1', type: 'llm', position: { x: 0, y: 0 }, data: { provider: 'openai', apiKey: 'sk-secret' } };
+    useStore.getState().loadPipeline({
+        nodes: [llm, { id: 'subflow-1', type: 'subflow', position: { x: 0, y: 0 }, data: { graph: { nodes: [llm], edges: [] } } }],
+        edges: [],
+        viewport: { x: 0, y: 0, zoom: 1 },
+        nodeIDs: {},
+    });
+    jest.runAllTimers();
+
+    expect(window.localStorage.getItem(DRAFT_KEY)).not.toContain('sk-secret');
+    expect(JSON.parse(window.localStorage.getItem(DRAFT_KEY)).nodes[0].data).not.toHaveProperty('apiKey');
+
+    useDraftStore.getState().createDraft('Other');
+    useDraftStore.getState().switchDraft('draft-1');
+    const [root, subflow] = useStore.getState().nodes;
+    expect(root.data.apiKey).toBe('sk-secret');
+    expect(subflow.data.graph.nodes[0].data.apiKey).toBe('sk-secret');
+});
@@ -1,11 +1,14 @@
 
-export const DraggableNode = ({ type, label }) => {
-    const onDragStart = (event, nodeType) => {
-      const appData = { nodeType }
-      event.target.style.cursor = 'grabbing';
-      event.dataTransfer.setData('application/reactflow', JSON.stringify(appData));
-      event.dataTransfer.effectAllowed = 'move';
-    };
+// dragData travels with the drop, e.g. which library Subflow to copy
+export const startNodeDrag = (event, nodeType, dragData) => {
+    const appData = { nodeType, ...dragData }
+    event.target.style.cursor = 'grabbing';
+    event.dataTransfer.setData('application/reactflow', JSON.stringify(appData));
+    event.dataTransfer.effectAllowed = 'move';
+};
+
+export const DraggableNode = ({ type, label, icon, dragData }) => {
+    const onDragStart = (event, nodeType) => startNodeDrag(event, nodeType, dragData);
   
     return (
       <div
@@ -25,6 +28,7 @@ export const DraggableNode = ({ type, label }) => {
         }} 
         draggable
       >
+          {icon && <span aria-hidden="true">{icon}</span>}
           <span style={{ color: '#fff' }}>{label}</span>
       </div>
     );
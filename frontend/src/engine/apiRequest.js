@@ -0,0 +1,208 @@
+// HTTP plumbing for the api node: auth, timeouts, retries, response
+// parsing and recorded fixtures. Requests go out through providers.api,
+// so runs with a fake provider exercise the same retry and parsing rules.
+
+export class ApiRequestError extends Error {
+    constructor(message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.retryable = retryable;
+    }
+}
+
+// Rate limiting and server errors are worth another try; other statuses are not
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// btoa only takes Latin-1, so encode to UTF-8 bytes first
+const toBase64 = (text) => btoa(
+    encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+);
+
+/**
+ * Adds the node's credentials to a request
+ * @param {object} data - The api node's field data
+ * @param {object} headers - Mutated
+ * @param {URL} url - Mutated, for API keys sent as a query parameter
+ */
+export const applyAuth = (data, headers, url) => {
+    switch (data.authType) {
+        case 'bearer':
+            headers.Authorization = `Bearer ${data.authToken ?? ''}`;
+            break;
+        case 'basic':
+            headers.Authorization = `Basic ${toBase64(`${data.username ?? ''}:${data.password ?? ''}`)}`;
+            break;
+        case 'apiKey':
+            if (data.apiKeyIn === 'query') {
+                url.searchParams.set(data.apiKeyName, data.apiKeyValue ?? '');
+            } else {
+                headers[data.apiKeyName] = data.apiKeyValue ?? '';
+            }
+            break;
+        default:
+            break;
+    }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Cancelled'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// One attempt, abandoned after timeoutMs even if the provider ignores its signal
+const attempt = async (send, request, timeoutMs, signal) => {
+    if (!timeoutMs) return send({ ...request, signal });
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new ApiRequestError(`${request.method} ${request.url} timed out after ${timeoutMs} ms`, { retryable: true }));
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([send({ ...request, signal: controller.signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', forwardAbort);
+    }
+};
+
+const getRetryAfterMs = (response) => {
+    const seconds = Number(response?.headers?.['retry-after']);
+    return Number.isFinite(seconds) ? seconds * 1000 : 0;
+};
+
+/**
+ * Sends a request, retrying network errors, timeouts, 429 and 5xx
+ * responses with exponential backoff (backoffMs, then twice that, ...).
+ * A Retry-After header can only lengthen the wait.
+ * @param {function} send - providers.api
+ * @param {object} request - { method, url, headers, body }
+ * @param {object} options
+ * @param {number} [options.timeoutMs] - Per attempt; 0 waits indefinitely
+ * @param {number} [options.retries] - Attempts after the first
+ * @param {number} [options.backoffMs] - Wait before the first retry
+ * @param {AbortSignal} [options.signal] - Cancels the attempt and any wait
+ * @returns {Promise<{ status: number, headers: object, body: string }>} - The
+ *   last response, whatever its status
+ */
+export const sendWithRetries = async (send, request, { timeoutMs = 0, retries = 0, backoffMs = 0, signal } = {}) => {
+    for (let attemptIndex = 0; ; attemptIndex += 1) {
+        let response = null;
+        let error = null;
+        try {
+            response = await attempt(send, request, timeoutMs, signal);
+        } catch (caught) {
+            if (signal?.aborted) throw caught;
+            error = caught;
+        }
+
+        // anything thrown below the provider is a network failure
+        const retryable = error ? error.retryable !== false : isRetryableStatus(response.status);
+        if (!retryable || attemptIndex >= retries) {
+            if (error) throw error;
+            return response;
+        }
+        await sleep(Math.max(backoffMs * 2 ** attemptIndex, getRetryAfterMs(response)), signal);
+    }
+};
+
+/**
+ * Parses a response body
+ * @param {{ headers: object, body: string }} response
+ * @param {'auto'|'json'|'text'} format - auto follows the Content-Type
+ * @returns {*}
+ * @throws {ApiRequestError} - If JSON was expected and the body is not JSON
+ */
+export const parseResponseBody = ({ headers = {}, body = '' }, format = 'auto') => {
+    const isJson = format === 'json'
+        || (format === 'auto' && (headers['content-type'] || '').includes('json'));
+    if (!isJson) return body;
+    if (body.trim() === '') return null;
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw new ApiRequestError(`Response is not valid JSON: ${error.message}`);
+    }
+};
+
+// Requests match a fixture on method, URL (before auth is added) and body
+const getFixtureKey = ({ method, url, body }) => JSON.stringify([method, url, body ?? null]);
+
+/**
+ * Reads the fixtures field
+ * @param {string} [text] - JSON list of { request: { method, url, body }, response: { status, headers, body } }
+ * @returns {object[]}
+ */
+export const parseFixtures = (text) => {
+    if (!text || !text.trim()) return [];
+    const fixtures = JSON.parse(text);
+    return Array.isArray(fixtures) ? fixtures : [];
+};
+
+/**
+ * Checks the fixtures field, for its `validate`
+ * @param {string} text
+ * @returns {string|null}
+ */
+export const validateFixtures = (text) => {
+    let fixtures;
+    try {
+        fixtures = JSON.parse(text);
+    } catch {
+        // the json field reports syntax errors itself
+        return null;
+    }
+    if (!Array.isArray(fixtures)) return 'Fixtures must be a list';
+    const invalid = fixtures.findIndex(fixture => (
+        typeof fixture?.request?.method !== 'string'
+        || typeof fixture?.request?.url !== 'string'
+        || !Number.isInteger(fixture?.response?.status)
+    ));
+    return invalid >= 0 ? `Fixture ${invalid + 1} needs request.method, request.url and response.status` : null;
+};
+
+/**
+ * @param {object[]} fixtures
+ * @param {object} request - { method, url, body }
+ * @returns {object|null} - The fixture recorded for this request
+ */
+export const findFixture = (fixtures, request) => {
+    const key = getFixtureKey(request);
+    return fixtures.find(fixture => getFixtureKey(fixture.request) === key) || null;
+};
+
+/**
+ * Adds or replaces the fixture for a request. Only the Content-Type header
+ * is kept, so credentials echoed back by a server are not saved.
+ * @param {object[]} fixtures
+ * @param {object} request - { method, url, body }
+ * @param {{ status: number, headers: object, body: string }} response
+ * @returns {object[]}
+ */
+export const recordFixture = (fixtures, request, response) => {
+    const key = getFixtureKey(request);
+    const contentType = response.headers?.['content-type'];
+    return [
+        ...fixtures.filter(fixture => getFixtureKey(fixture.request) !== key),
+        {
+            request: { method: request.method, url: request.url, ...(request.body !== undefined && { body: request.body }) },
+            response: {
+                status: response.status,
+                headers: contentType ? { 'content-type': contentType } : {},
+                body: response.body,
+            },
+        },
+    ];
+};
@@ -0,0 +1,161 @@
+import { createMemoryDatabase } from './memoryDatabase';
+
+// Database adapters the database node runs queries through, keyed by id.
+// A connection profile names an adapter and holds its settings; the default
+// `database` provider in providers.js hands each query to the profile's
+// adapter:
+//
+//   query({ connection, sql, params, maxRows, signal })
+//     -> Promise<{ columns: string[], rows: *[][], rowCount: number }>
+//
+// `sql` uses ? placeholders and `params` holds their values in order, so
+// adapters bind values rather than splicing them into the text.
+
+const adapters = new Map();
+
+/**
+ * Adds an adapter to the connection dialog's Adapter list
+ * @param {object} adapter
+ * @param {string} adapter.id - Stored in a profile's `adapter`
+ * @param {string} adapter.label - Shown in the Adapter list
+ * @param {function} adapter.query - See the contract above
+ * @param {object[]} [adapter.fields] - Profile settings, in the node field schema
+ * @throws {Error} - If the id is taken or the adapter is malformed
+ */
+export const registerDatabaseAdapter = (adapter) => {
+    const { id, label, query } = adapter || {};
+    if (typeof id !== 'string' || !id) {
+        throw new Error('Database adapter needs an id');
+    }
+    if (adapters.has(id)) {
+        throw new Error(`Database adapter "${id}" is already registered`);
+    }
+    if (typeof label !== 'string' || typeof query !== 'function') {
+        throw new Error(`Database adapter "${id}" needs a label and a query function`);
+    }
+    adapters.set(id, { fields: [], ...adapter });
+};
+
+/**
+ * @returns {object[]} - Registered adapters, in registration order
+ */
+export const getDatabaseAdapters = () => [...adapters.values()];
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export const getDatabaseAdapter = (id) => adapters.get(id) || null;
+
+const SAMPLE_TABLES = {
+    users: [
+        { id: 1, name: 'Ada Lovelace', email: 'ada@example.com', active: 1 },
+        { id: 2, name: 'Alan Turing', email: 'alan@example.com', active: 1 },
+        { id: 3, name: 'Grace Hopper', email: 'grace@example.com', active: 0 },
+    ],
+};
+
+// Always available, so a new database node runs without any setup
+export const DEFAULT_CONNECTION = {
+    id: 'local',
+    name: 'Local (in-memory)',
+    adapter: 'memory',
+    settings: { tables: JSON.stringify(SAMPLE_TABLES, null, 2) },
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}/y;
+
+/**
+ * Turns {{name}} placeholders into ? parameters. Placeholders inside quoted
+ * strings or identifiers are left as they are.
+ * @param {string} query
+ * @returns {{ sql: string, params: string[] }} - The parameter name for each
+ *   ?, in order; a name used twice appears twice
+ */
+export const compileQuery = (query = '') => {
+    let sql = '';
+    const params = [];
+    let quote = null;
+    for (let index = 0; index < query.length;) {
+        const char = query[index];
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else {
+            PLACEHOLDER.lastIndex = index;
+            const match = PLACEHOLDER.exec(query);
+            if (match) {
+                sql += '?';
+                params.push(match[1]);
+                index += match[0].length;
+                continue;
+            }
+        }
+        sql += char;
+        index += 1;
+    }
+    return { sql, params };
+};
+
+/**
+ * @param {string} query
+ * @returns {string[]} - Unique {{param}} names in order of first use
+ */
+export const getQueryParams = (query) => [...new Set(compileQuery(query).params)];
+
+// One database per memory profile, rebuilt whenever its tables change
+const memorySessions = new Map();
+
+/**
+ * Throws away changes queries made to memory profiles, so the next query
+ * starts again from their tables
+ * @param {string} [connectionId] - Only this profile; all when omitted
+ */
+export const resetMemoryDatabases = (connectionId) => {
+    if (connectionId === undefined) memorySessions.clear();
+    else memorySessions.delete(connectionId);
+};
+
+const parseTables = (text, name) => {
+    if (!text || !text.trim()) return {};
+    let tables;
+    try {
+        tables = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Connection "${name}" has invalid tables JSON: ${error.message}`);
+    }
+    if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+        throw new Error(`Connection "${name}" tables must map table names to lists of rows`);
+    }
+    return tables;
+};
+
+const getMemoryDatabase = ({ id, name, settings = {} }) => {
+    const session = memorySessions.get(id);
+    if (session && session.tables === settings.tables) return session.database;
+    const database = createMemoryDatabase(parseTables(settings.tables, name));
+    memorySessions.set(id, { tables: settings.tables, database });
+    return database;
+};
+
+// Writes last until the page reloads, the tables are edited or the profile is reset
+const memoryQuery = async ({ connection, sql, params, maxRows }) => (
+    getMemoryDatabase(connection).execute(sql, params, { maxRows })
+);
+
+registerDatabaseAdapter({
+    id: 'memory',
+    label: 'In-memory',
+    fields: [
+        {
+            type: 'json',
+            name: 'tables',
+            label: 'Tables',
+            placeholder: '{ "users": [{ "id": 1, "name": "Ada" }] }',
+            help: 'Table name to its starting rows',
+            rows: 10,
+        },
+    ],
+    query: memoryQuery,
+});
@@ -0,0 +1,261 @@
+import { renderTemplate } from '../utils/templateEngine';
+import { getSchemaError } from '../utils/jsonSchema';
+import { evaluateJsonPath } from '../utils/jsonPath';
+import {
+    applyAuth, findFixture, parseFixtures, parseResponseBody, recordFixture, sendWithRetries,
+} from './apiRequest';
+import { compileQuery } from './databaseAdapters';
+
+// Executors turn a node's field data and resolved input values into the
+// values on its output handles. Each receives
+//   { node, data, inputs, providers, context, signal, report, updateData }
+// and returns an object keyed by output handle name. A handle left
+// undefined carries nothing, and nodes fed only by such handles are skipped.
+// report(outputs) shows partial outputs while the node is still running;
+// updateData(patch) writes field values back to the node on the canvas.
+
+const toText = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Structural key so that equal objects from different branches compare equal
+const itemKey = (item) => JSON.stringify(item);
+
+const customInput = ({ data, context }) => {
+    const name = data.inputName;
+    if (!(name in context.inputs)) {
+        throw new Error(`No value provided for input "${name}"`);
+    }
+    return { value: context.inputs[name] };
+};
+
+const customOutput = ({ inputs }) => {
+    return { value: inputs.value };
+};
+
+const text = ({ data, inputs }) => {
+    return { output: renderTemplate(data.text ?? '', inputs) };
+};
+
+const toLines = (text = '') => text.split('\n').filter(line => line !== '');
+
+const parseJsonResponse = (text, schema) => {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+    const schemaError = getSchemaError(value, schema, 'response');
+    if (schemaError) {
+        throw new Error(`Response does not match the schema: ${schemaError}`);
+    }
+    return value;
+};
+
+const parseResponseSchema = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Response schema is not valid JSON: ${error.message}`);
+    }
+};
+
+const llm = async ({ data, inputs, providers, signal, report = () => {} }) => {
+    const responseSchema = data.jsonMode && data.responseSchema ? parseResponseSchema(data.responseSchema) : undefined;
+    let streamed = '';
+    const text = await providers.llm({
+        provider: data.provider,
+        model: data.modelName,
+        system: inputs.system === undefined ? undefined : toText(inputs.system),
+        prompt: toText(inputs.prompt),
+        temperature: data.temperature,
+        maxTokens: data.maxTokens,
+        stop: toLines(data.stop),
+        jsonMode: Boolean(data.jsonMode),
+        responseSchema,
+        apiKey: data.apiKey,
+        mockResponses: data.mockResponses,
+        onToken: data.stream ? (token) => {
+            streamed += token;
+            report({ response: streamed });
+        } : undefined,
+        signal,
+    });
+    return { response: data.jsonMode ? parseJsonResponse(text, responseSchema) : text };
+};
+
+const toEntries = (pairs = []) => pairs.filter(pair => pair.key).map(pair => [pair.key, pair.value]);
+
+// Fills {{param}} placeholders from the inputs of the same name
+const fillEndpoint = (endpoint, inputs) => (
+    renderTemplate(endpoint ?? '', inputs, { escape: encodeURIComponent })
+);
+
+// In replay mode responses come from the node's recorded fixtures and
+// nothing goes over the network; record mode saves each live response there
+const api = async ({ data, inputs, providers, signal, updateData = () => {} }) => {
+    const endpoint = inputs.url === undefined ? fillEndpoint(data.endpoint, inputs) : toText(inputs.url);
+    const url = new URL(endpoint, window.location.origin);
+    toEntries(data.queryParams).forEach(([key, value]) => url.searchParams.append(key, value));
+    const request = { method: data.method, url: url.toString(), body: inputs.body };
+    const fixtures = parseFixtures(data.fixtures);
+
+    let response;
+    if (data.mode === 'replay') {
+        response = findFixture(fixtures, request)?.response;
+        if (!response) {
+            throw new Error(`No recorded fixture for ${request.method} ${request.url}`);
+        }
+    } else {
+        const headers = Object.fromEntries(toEntries(data.headers));
+        applyAuth(data, headers, url);
+        response = await sendWithRetries(
+            providers.api,
+            { ...request, url: url.toString(), headers },
+            { timeoutMs: data.timeoutMs, retries: data.retries, backoffMs: data.backoffMs, signal },
+        );
+        if (data.mode === 'record') {
+            updateData({ fixtures: JSON.stringify(recordFixture(fixtures, request, response), null, 2) });
+        }
+    }
+
+    if (response.status >= 400) {
+        throw new Error(`${request.method} ${request.url} failed with status ${response.status}`);
+    }
+    const body = parseResponseBody(response, data.responseFormat);
+    return {
+        response: data.extractPath ? evaluateJsonPath(body, data.extractPath) : body,
+        status: response.status,
+    };
+};
+
+// Structured values are bound as their JSON text
+const toParam = (value) => {
+    if (value === undefined) return null;
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+const shapeRows = ({ columns, rows }, shape) => {
+    const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    switch (shape) {
+        case 'first': return records[0] ?? null;
+        case 'column': return rows.map(row => row[0]);
+        case 'value': return rows[0]?.[0] ?? null;
+        default: return records;
+    }
+};
+
+// {{param}} placeholders are sent to the adapter as bound parameters, never
+// spliced into the SQL
+const database = async ({ data, inputs, providers, context, signal }) => {
+    const connection = (context.connections || []).find(profile => profile.id === data.connection);
+    if (!connection) {
+        throw new Error(`Unknown connection "${data.connection}"`);
+    }
+    const { sql, params } = compileQuery(data.query);
+    const result = await providers.database({
+        connection,
+        sql,
+        params: params.map(name => toParam(inputs[name])),
+        maxRows: data.rowLimit || undefined,
+        signal,
+    });
+    return { result: shapeRows(result, data.resultShape), rowCount: result.rowCount };
+};
+
+// Every call over the list shares one time limit, so a long list cannot
+// hold the page for the limit once per item
+const transform = ({ data, inputs, providers }) => providers.runExpressions(() => {
+    const fn = providers.compileExpression(data.expression);
+    const list = toList(inputs.input);
+
+    switch (data.operation) {
+        case 'Map':
+            return { output: list.map(item => fn(item)) };
+        case 'Filter':
+            return { output: list.filter(item => fn(item)) };
+        case 'Reduce':
+            if (list.length === 0) {
+                throw new Error('Reduce needs at least one item');
+            }
+            return { output: list.reduce((acc, item) => fn(acc, item)) };
+        case 'Sort': {
+            // a one-argument expression is a sort key, two arguments a comparator
+            const compare = fn.length >= 2
+                ? fn
+                : (a, b) => {
+                    const ka = fn(a);
+                    const kb = fn(b);
+                    if (ka < kb) return -1;
+                    return ka > kb ? 1 : 0;
+                };
+            return { output: [...list].sort(compare) };
+        }
+        default:
+            throw new Error(`Unknown transform operation "${data.operation}"`);
+    }
+});
+
+const filter = ({ data, inputs, providers }) => providers.runExpressions(() => {
+    const branches = [
+        { name: 'passed', condition: data.condition },
+        ...(data.branches || []).filter(entry => entry.key).map(entry => ({ name: entry.key, condition: entry.value })),
+    ].map(branch => ({ ...branch, test: providers.compileExpression(branch.condition, ['value']) }));
+    const route = (item) => branches.find(branch => branch.test(item))?.name ?? 'failed';
+    const input = inputs.input;
+
+    if (!Array.isArray(input)) {
+        return { [route(input)]: input };
+    }
+
+    const outputs = { failed: [] };
+    branches.forEach(branch => { outputs[branch.name] = []; });
+    input.forEach(item => outputs[route(item)].push(item));
+    return outputs;
+});
+
+const merge = ({ data, inputs }) => {
+    const values = Object.keys(inputs)
+        .filter(name => /^input\d+$/.test(name))
+        .sort((a, b) => Number(a.slice(5)) - Number(b.slice(5)))
+        .map(name => inputs[name])
+        .filter(value => value !== undefined);
+
+    switch (data.strategy) {
+        case 'Concat':
+            if (values.every(value => typeof value === 'string')) {
+                return { output: values.join('\n') };
+            }
+            return { output: values.flatMap(toList) };
+        case 'Union': {
+            const seen = new Map();
+            values.flatMap(toList).forEach(item => {
+                if (!seen.has(itemKey(item))) seen.set(itemKey(item), item);
+            });
+            return { output: [...seen.values()] };
+        }
+        case 'Intersect': {
+            const [first = [], ...rest] = values.map(toList);
+            const restKeys = rest.map(list => new Set(list.map(itemKey)));
+            return { output: first.filter(item => restKeys.every(keys => keys.has(itemKey(item)))) };
+        }
+        default:
+            throw new Error(`Unknown merge strategy "${data.strategy}"`);
+    }
+};
+
+export const executors = {
+    customInput,
+    customOutput,
+    text,
+    llm,
+    api,
+    database,
+    transform,
+    filter,
+    merge,
+};
@@ -0,0 +1,196 @@
+import { executors } from './executors';
+import { defaultProviders } from './providers';
+import { DEFAULT_CONNECTION, resetMemoryDatabases } from './databaseAdapters';
+
+const run = (type, { data = {}, inputs = {}, providers = {}, context = {}, ...rest } = {}) => executors[type]({
+    node: { id: `${type}-1`, type },
+    data,
+    inputs,
+    providers: { ...defaultProviders, ...providers },
+    context: { inputs: {}, connections: [DEFAULT_CONNECTION], ...context },
+    ...rest,
+});
+
+describe('customInput and customOutput', () => {
+    test('read the run inputs by name', () => {
+        expect(run('customInput', { data: { inputName: 'q' }, context: { inputs: { q: 'hi' } } })).toEqual({ value: 'hi' });
+        expect(() => run('customInput', { data: { inputName: 'q' } })).toThrow('No value provided for input "q"');
+        expect(run('customOutput', { inputs: { value: 3 } })).toEqual({ value: 3 });
+    });
+});
+
+describe('text', () => {
+    test('renders its template over the inputs', () => {
+        expect(run('text', { data: { text: 'Hello {{name}}' }, inputs: { name: 'Ada' } })).toEqual({ output: 'Hello Ada' });
+    });
+});
+
+describe('llm', () => {
+    const complete = (response) => jest.fn(async () => response);
+
+    test('sends the prompt as text and returns the response', async () => {
+        const llm = complete('done');
+        const result = await run('llm', {
+            data: { provider: 'mock', stop: 'END\n\nSTOP' },
+            inputs: { prompt: { question: 1 } },
+            providers: { llm },
+        });
+        expect(result).toEqual({ response: 'done' });
+        expect(llm.mock.calls[0][0]).toMatchObject({ prompt: '{"question":1}', system: undefined, stop: ['END', 'STOP'] });
+    });
+
+    test('parses and checks JSON responses', async () => {
+        const data = { jsonMode: true, responseSchema: '{"type": "object", "required": ["answer"]}' };
+        await expect(run('llm', { data, providers: { llm: complete('{"answer": 42}') } })).resolves.toEqual({ response: { answer: 42 } });
+        await expect(run('llm', { data, providers: { llm: complete('{}') } })).rejects.toThrow(/does not match the schema/);
+        await expect(run('llm', { data, providers: { llm: complete('nope') } })).rejects.toThrow(/Response is not valid JSON/);
+    });
+
+    test('reports an invalid response schema clearly', async () => {
+        await expect(run('llm', {
+            data: { jsonMode: true, responseSchema: '{ type: object' },
+            providers: { llm: complete('{}') },
+        })).rejects.toThrow(/^Response schema is not valid JSON/);
+    });
+
+    test('reports streamed text as it arrives', async () => {
+        const report = jest.fn();
+        const llm = async ({ onToken }) => {
+            onToken('a ');
+            onToken('b');
+            return 'a b';
+        };
+        await run('llm', { data: { stream: true }, providers: { llm }, report });
+        expect(report.mock.calls).toEqual([[{ response: 'a ' }], [{ response: 'a b' }]]);
+    });
+});
+
+describe('api', () => {
+    test('replays recorded fixtures without sending anything', async () => {
+        const api = jest.fn();
+        const fixtures = JSON.stringify([{
+            request: { method: 'GET', url: 'https://example.com/users/7' },
+            response: { status: 200, headers: { 'content-type': 'application/json' }, body: '{"user": {"name": "Ada"}}' },
+        }]);
+        const result = await run('api', {
+            data: { method: 'GET', endpoint: 'https://example.com/users/{{id}}', mode: 'replay', fixtures, extractPath: '$.user.name' },
+            inputs: { id: 7 },
+            providers: { api },
+        });
+        expect(result).toEqual({ response: 'Ada', status: 200 });
+        expect(api).not.toHaveBeenCalled();
+    });
+
+    test('fails on error statuses', async () => {
+        const api = async () => ({ status: 404, headers: {}, body: '' });
+        await expect(run('api', { data: { method: 'GET', endpoint: 'https://example.com/missing' }, providers: { api } }))
+            .rejects.toThrow('GET https://example.com/missing failed with status 404');
+    });
+});
+
+describe('database', () => {
+    beforeEach(() => resetMemoryDatabases());
+
+    test('binds placeholders as parameters and shapes rows', async () => {
+        const result = await run('database', {
+            data: { connection: 'local', query: 'SELECT name FROM users WHERE id = {{id}}', resultShape: 'value' },
+            inputs: { id: 2 },
+        });
+        expect(result).toEqual({ result: 'Alan Turing', rowCount: 1 });
+    });
+
+    test('fails on unknown connections', async () => {
+        await expect(run('database', { data: { connection: 'gone', query: 'SELECT 1' } })).rejects.toThrow('Unknown connection "gone"');
+    });
+});
+
+describe('transform', () => {
+    const transform = (operation, expression, input) => run('transform', { data: { operation, expression }, inputs: { input } });
+
+    test('maps, filters, reduces and sorts lists', () => {
+        expect(transform('Map', 'x => x * 2', [1, 2])).toEqual({ output: [2, 4] });
+        expect(transform('Filter', 'x => x > 1', [1, 2, 3])).toEqual({ output: [2, 3] });
+        expect(transform('Reduce', '(a, b) => a + b', [1, 2, 3])).toEqual({ output: 6 });
+        expect(transform('Sort', 'x => x.age', [{ age: 3 }, { age: 1 }])).toEqual({ output: [{ age: 1 }, { age: 3 }] });
+        expect(transform('Sort', '(a, b) => b - a', [1, 3, 2])).toEqual({ output: [3, 2, 1] });
+    });
+
+    test('treats a single value as a list of one', () => {
+        expect(transform('Map', 'x => x + 1', 1)).toEqual({ output: [2] });
+    });
+
+    test('reduce on an empty list is a clear error', () => {
+        expect(() => transform('Reduce', '(a, b) => a + b', [])).toThrow(/^Reduce needs at least one item$/);
+    });
+
+    test('all items share one time limit', () => {
+        // every clock reading moves a millisecond on; each item alone takes
+        // a few, far below the limit, but the list together takes more
+        let clock = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 1));
+        const items = Array.from({ length: 400 }, () => Array.from({ length: 1000 }, (_, index) => index));
+        try {
+            expect(() => transform('Map', 'xs => xs.map(n => n + 1).length', items)).toThrow(/took longer than/);
+            expect(() => run('filter', {
+                data: { condition: 'value.map(n => n + 1).length > 0', branches: [] },
+                inputs: { input: items },
+            })).toThrow(/took longer than/);
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    test('expressions from an opened file cannot run page script', () => {
+        window.pwned = false;
+        const attempts = [
+            'x => window.pwned = true',
+            'x => globalThis.fetch("https://example.com")',
+            'x => Function("window.pwned = true")()',
+            's => s.constructor.constructor("window.pwned = true")()',
+            'x => [].map.constructor("window.pwned = true")()',
+            'x => x.__proto__.constructor',
+        ];
+        attempts.forEach(expression => {
+            try {
+                transform('Map', expression, ['a']);
+            } catch {
+                // refused at compile or run time; either way nothing ran
+            }
+        });
+        expect(window.pwned).toBe(false);
+        expect(transform('Map', 'x => x.__proto__', [{}])).toEqual({ output: [undefined] });
+    });
+});
+
+describe('filter', () => {
+    test('routes each item to the first branch it passes', () => {
+        const result = run('filter', {
+            data: { condition: 'value > 10', branches: [{ key: 'small', value: 'value > 0' }] },
+            inputs: { input: [20, 5, -1] },
+        });
+        expect(result).toEqual({ passed: [20], small: [5], failed: [-1] });
+    });
+
+    test('conditions cannot reach page globals', () => {
+        expect(() => run('filter', { data: { condition: 'document.cookie', branches: [] }, inputs: { input: 1 } }))
+            .toThrow('Unknown name "document"');
+    });
+
+    test('routes a single value to one handle', () => {
+        expect(run('filter', { data: { condition: 'value', branches: [] }, inputs: { input: 0 } })).toEqual({ failed: 0 });
+    });
+});
+
+describe('merge', () => {
+    const merge = (strategy, inputs) => run('merge', { data: { strategy }, inputs });
+
+    test('concatenates text with newlines and lists in input order', () => {
+        expect(merge('Concat', { input2: 'b', input1: 'a' })).toEqual({ output: 'a\nb' });
+        expect(merge('Concat', { input1: [1], input2: 2 })).toEqual({ output: [1, 2] });
+    });
+
+    test('unions and intersects by value', () => {
+        expect(merge('Union', { input1: [{ a: 1 }, 2], input2: [{ a: 1 }, 3] })).toEqual({ output: [{ a: 1 }, 2, 3] });
+        expect(merge('Intersect', { input1: [1, 2, 3], input2: [3, 2] })).toEqual({ output: [2, 3] });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Strips the node id prefix from a React Flow handle id
+ * (`llm-1-response` on node `llm-1` becomes `response`)
+ * @param {string} nodeId - Id of the node owning the handle
+ * @param {string|null} handleId - Full handle id as stored on the edge
+ * @returns {string|null} - The handle name from the node config
+ */
+export const getHandleName = (nodeId, handleId) => {
+    if (!handleId) return null;
+    const prefix = `${nodeId}-`;
+    return handleId.startsWith(prefix) ? handleId.slice(prefix.length) : handleId;
+};
+
+/**
+ * Groups edges by the node they point into
+ * @param {object[]} edges - React Flow edges
+ * @returns {Map<string, object[]>} - Target node id to its incoming edges
+ */
+export const getIncomingEdges = (edges) => {
+    const incoming = new Map();
+    edges.forEach(edge => {
+        if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+        incoming.get(edge.target).push(edge);
+    });
+    return incoming;
+};
+
+/**
+ * Collects every node reachable by following edges out of a node
+ * @param {string} nodeId - Node to start from
+ * @param {object[]} edges - React Flow edges
+ * @returns {Set<string>} - Ids of downstream nodes, excluding the start node
+ *   unless it sits on a cycle
+ */
+export const getDownstreamNodeIds = (nodeId, edges) => {
+    const downstream = new Set();
+    const stack = [nodeId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        edges.forEach(edge => {
+            if (edge.source === id && !downstream.has(edge.target)) {
+                downstream.add(edge.target);
+                stack.push(edge.target);
+            }
+        });
+    }
+    return downstream;
+};
+
+/**
+ * Orders nodes so every node comes after all of its upstream nodes
+ * (Kahn's algorithm, keeping canvas order among independent nodes)
+ * @param {object[]} nodes - React Flow nodes
+ * @param {object[]} edges - React Flow edges
+ * @returns {{ order: object[], cyclic: string[] }} - Sorted nodes, plus the
+ *   ids of nodes that could not be ordered because they sit on or behind a cycle
+ */
+export const topologicalSort = (nodes, edges) => {
+    const indegree = new Map(nodes.map(node => [node.id, 0]));
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+
+    edges.forEach(edge => {
+        if (!indegree.has(edge.source) || !indegree.has(edge.target)) return;
+        indegree.set(edge.target, indegree.get(edge.target) + 1);
+        outgoing.get(edge.source).push(edge.target);
+    });
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const queue = nodes.filter(node => indegree.get(node.id) === 0).map(node => node.id);
+    const order = [];
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(byId.get(id));
+        outgoing.get(id).forEach(target => {
+            indegree.set(target, indegree.get(target) - 1);
+            if (indegree.get(target) === 0) queue.push(target);
+        });
+    }
+
+    const cyclic = nodes.filter(node => indegree.get(node.id) > 0).map(node => node.id);
+    return { order, cyclic };
+};
+
+/**
+ * Finds every cycle in the graph as a strongly connected component
+ * (Tarjan's algorithm); a node linked to itself is a cycle of one
+ * @param {object[]} nodes - React Flow nodes
+ * @param {object[]} edges - React Flow edges
+ * @returns {string[][]} - Node ids of each cycle
+ */
+export const findCycles = (nodes, edges) => {
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    const selfLoops = new Set();
+    edges.forEach(edge => {
+        if (!outgoing.has(edge.source) || !outgoing.has(edge.target)) return;
+        outgoing.get(edge.source).push(edge.target);
+        if (edge.source === edge.target) selfLoops.add(edge.source);
+    });
+
+    let counter = 0;
+    const index = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+
+    const visit = (id) => {
+        index.set(id, counter);
+        lowlink.set(id, counter);
+        counter += 1;
+        stack.push(id);
+        onStack.add(id);
+
+        outgoing.get(id).forEach(next => {
+            if (!index.has(next)) {
+                visit(next);
+                lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(next)));
+            } else if (onStack.has(next)) {
+                lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+            }
+        });
+
+        if (lowlink.get(id) === index.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            if (component.length > 1 || selfLoops.has(id)) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!index.has(node.id)) visit(node.id);
+    });
+    return cycles;
+};
@@ -0,0 +1,284 @@
+// LLM providers the llm node can call, keyed by id. The default `llm`
+// provider in providers.js looks the node's choice up here. Each provider
+// turns one request into the completion text:
+//
+//   complete({ model, system, prompt, temperature, maxTokens, stop, jsonMode,
+//              responseSchema, apiKey, mockResponses, onToken, signal }) -> Promise<string>
+//
+// When onToken is given the provider streams, calling it with each chunk of
+// text as it arrives; the promise still resolves with the whole text.
+
+const providers = new Map();
+
+/**
+ * Adds a provider to the llm node's Provider list
+ * @param {object} provider
+ * @param {string} provider.id - Stored in the node's `provider` field
+ * @param {string} provider.label - Shown in the Provider list
+ * @param {{ value: string, label: string }[]} provider.models - Offered in the Model list
+ * @param {function} provider.complete - See the contract above
+ * @param {boolean} [provider.requiresApiKey] - Shows the API key field
+ * @param {number} [provider.maxTemperature] - Highest temperature accepted; defaults to 2
+ * @throws {Error} - If the id is taken or the provider is malformed
+ */
+export const registerLlmProvider = (provider) => {
+    const { id, label, models, complete } = provider || {};
+    if (typeof id !== 'string' || !id) {
+        throw new Error('LLM provider needs an id');
+    }
+    if (providers.has(id)) {
+        throw new Error(`LLM provider "${id}" is already registered`);
+    }
+    if (typeof label !== 'string' || !Array.isArray(models) || models.length === 0 || typeof complete !== 'function') {
+        throw new Error(`LLM provider "${id}" needs a label, models and a complete function`);
+    }
+    providers.set(id, { maxTemperature: 2, ...provider });
+};
+
+/**
+ * @returns {object[]} - Registered providers, in registration order
+ */
+export const getLlmProviders = () => [...providers.values()];
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export const getLlmProvider = (id) => providers.get(id) || null;
+
+const assertOk = async (response, label) => {
+    if (response.ok) return;
+    let detail = '';
+    try {
+        const body = await response.json();
+        detail = body?.error?.message ? `: ${body.error.message}` : '';
+    } catch {
+        // the status code is enough
+    }
+    throw new Error(`${label} request failed with status ${response.status}${detail}`);
+};
+
+// Calls onData with the payload of every `data:` line of a server-sent event stream
+const readEventStream = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines
+            .filter(line => line.startsWith('data:'))
+            .forEach(line => onData(line.slice('data:'.length).trim()));
+    }
+};
+
+const requireApiKey = (apiKey, label) => {
+    if (!apiKey) {
+        throw new Error(`${label} needs an API key`);
+    }
+};
+
+const openAiComplete = async ({
+    model, system, prompt, temperature, maxTokens, stop, jsonMode, responseSchema, apiKey, onToken, signal,
+}) => {
+    requireApiKey(apiKey, 'OpenAI');
+    const body = {
+        model,
+        messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt },
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        stop: stop.length > 0 ? stop : undefined,
+        stream: Boolean(onToken),
+    };
+    if (jsonMode) {
+        body.response_format = responseSchema
+            ? { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+            : { type: 'json_object' };
+    }
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify(body),
+        signal,
+    });
+    await assertOk(response, 'OpenAI');
+
+    if (!onToken) {
+        const result = await response.json();
+        return result.choices?.[0]?.message?.content ?? '';
+    }
+    let text = '';
+    await readEventStream(response, (data) => {
+        if (data === '[DONE]') return;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            onToken(delta);
+        }
+    });
+    return text;
+};
+
+// Anthropic has no JSON switch, so JSON mode is asked for in the system prompt
+const jsonInstruction = (responseSchema) => (responseSchema
+    ? `Respond only with JSON matching this schema:\n${JSON.stringify(responseSchema)}`
+    : 'Respond only with a JSON value.');
+
+const anthropicComplete = async ({
+    model, system, prompt, temperature, maxTokens, stop, jsonMode, responseSchema, apiKey, onToken, signal,
+}) => {
+    requireApiKey(apiKey, 'Anthropic');
+    const systemPrompt = [system, jsonMode && jsonInstruction(responseSchema)].filter(Boolean).join('\n\n');
+    const body = {
+        model,
+        system: systemPrompt || undefined,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        stop_sequences: stop.length > 0 ? stop : undefined,
+        stream: Boolean(onToken),
+    };
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: JSON.stringify(body),
+        signal,
+    });
+    await assertOk(response, 'Anthropic');
+
+    if (!onToken) {
+        const result = await response.json();
+        return (result.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    }
+    let text = '';
+    await readEventStream(response, (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onToken(event.delta.text);
+        }
+    });
+    return text;
+};
+
+// Canned responses in the Mock provider's field are separated by lines of ---
+const MOCK_RESPONSE_SEPARATOR = /\n-{3,}\n/;
+const MOCK_TOKEN_DELAY_MS = 20;
+
+// How many responses each canned list has handed out in the current run, so
+// its calls step through it; run.js resets it as each run starts
+const mockReplays = new Map();
+
+/**
+ * Splits the Mock provider's canned responses field into responses
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseMockResponses = (text = '') => (
+    `\n${text}\n`.split(MOCK_RESPONSE_SEPARATOR).map(response => response.trim()).filter(Boolean)
+);
+
+/**
+ * Starts every canned response list from its first entry again
+ */
+export const resetMockReplays = () => mockReplays.clear();
+
+// Words with the whitespace after them, so the tokens join back into the text
+const splitTokens = (text) => text.match(/\s*\S+\s*/g) || [];
+
+const truncate = (text, stop, maxTokens) => {
+    const cut = stop
+        .map(sequence => text.indexOf(sequence))
+        .filter(index => index >= 0)
+        .reduce((first, index) => Math.min(first, index), text.length);
+    const tokens = splitTokens(text.slice(0, cut));
+    return maxTokens ? tokens.slice(0, maxTokens).join('') : tokens.join('');
+};
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new Error('Cancelled'));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Cancelled'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Replays canned responses in order, or echoes the prompt (as JSON in JSON
+// mode), so pipelines run offline. Stop sequences and max tokens apply, with
+// whitespace-separated words as tokens; streaming emits a word at a time.
+const mockComplete = async ({ system, prompt, stop, maxTokens, jsonMode, mockResponses, onToken, signal }) => {
+    const responses = parseMockResponses(mockResponses);
+    let text;
+    if (responses.length > 0) {
+        const replayed = mockReplays.get(mockResponses) || 0;
+        mockReplays.set(mockResponses, replayed + 1);
+        text = responses[replayed % responses.length];
+    } else {
+        text = jsonMode ? JSON.stringify({ system, prompt }) : prompt;
+    }
+    // JSON has to survive intact to be parsed
+    const completion = jsonMode ? text : truncate(text, stop, maxTokens);
+
+    if (onToken) {
+        for (const token of splitTokens(completion)) {
+            await delay(MOCK_TOKEN_DELAY_MS, signal);
+            onToken(token);
+        }
+    }
+    return completion;
+};
+
+registerLlmProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    requiresApiKey: true,
+    models: [
+        { value: 'gpt-4o', label: 'GPT-4o' },
+        { value: 'gpt-4o-mini', label: 'GPT-4o mini' },
+        { value: 'gpt-4.1', label: 'GPT-4.1' },
+        { value: 'gpt-4.1-mini', label: 'GPT-4.1 mini' },
+    ],
+    complete: openAiComplete,
+});
+
+registerLlmProvider({
+    id: 'anthropic',
+    label: 'Anthropic',
+    requiresApiKey: true,
+    maxTemperature: 1,
+    models: [
+        { value: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku' },
+        { value: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet' },
+    ],
+    complete: anthropicComplete,
+});
+
+registerLlmProvider({
+    id: 'mock',
+    label: 'Mock (offline)',
+    models: [
+        { value: 'echo', label: 'Echo / replay' },
+    ],
+    complete: mockComplete,
+});
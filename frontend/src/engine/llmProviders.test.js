@@ -0,0 +1,31 @@
+import { getLlmProvider, parseMockResponses, resetMockReplays } from './llmProviders';
+
+const mock = (request) => getLlmProvider('mock').complete({ stop: [], ...request });
+
+beforeEach(() => resetMockReplays());
+
+test('canned responses replay in order and start over each run', async () => {
+    const mockResponses = 'first\n---\nsecond';
+    expect(parseMockResponses(mockResponses)).toEqual(['first', 'second']);
+    await expect(mock({ mockResponses })).resolves.toBe('first');
+    await expect(mock({ mockResponses })).resolves.toBe('second');
+
+    resetMockReplays();
+    await expect(mock({ mockResponses })).resolves.toBe('first');
+});
+
+test('echoes the prompt up to the stop sequence and token limit', async () => {
+    await expect(mock({ prompt: 'one two three END four', stop: ['END'], maxTokens: 2 })).resolves.toBe('one two ');
+});
+
+test('cancelling stops a stream without waiting out the token delay', async () => {
+    jest.useFakeTimers();
+    const controller = new AbortController();
+    const onToken = jest.fn();
+    const completion = mock({ prompt: 'a b c', onToken, signal: controller.signal });
+
+    controller.abort();
+    await expect(completion).rejects.toThrow('Cancelled');
+    expect(onToken).not.toHaveBeenCalled();
+    jest.useRealTimers();
+});
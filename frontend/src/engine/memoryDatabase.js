@@ -0,0 +1,526 @@
+// A small in-memory SQL database for running pipelines locally. It speaks
+// a subset of SQLite's dialect:
+//
+//   SELECT [DISTINCT] * | expr [AS alias], ... FROM table [WHERE expr]
+//     [ORDER BY expr [ASC|DESC], ...] [LIMIT n [OFFSET m]]
+//   INSERT INTO table (column, ...) VALUES (expr, ...), ...
+//   UPDATE table SET column = expr, ... [WHERE expr]
+//   DELETE FROM table [WHERE expr]
+//
+// Expressions cover literals, ? parameters, columns, arithmetic, ||,
+// comparisons, IS [NOT] NULL, [NOT] LIKE, [NOT] IN (...), AND/OR/NOT,
+// LOWER/UPPER/LENGTH/COALESCE, and COUNT/SUM/AVG/MIN/MAX over the whole
+// result (there is no GROUP BY or JOIN). A table's columns are whatever its
+// rows hold.
+
+export class SqlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SqlError';
+    }
+}
+
+const TOKEN_PATTERNS = [
+    ['space', /\s+|--[^\n]*/y],
+    ['number', /\d+(?:\.\d+)?/y],
+    ['string', /'(?:[^']|'')*'/y],
+    ['identifier', /[A-Za-z_][\w]*|"(?:[^"]|"")*"/y],
+    ['operator', /<=|>=|<>|!=|\|\||[=<>(),*+\-/%;?]/y],
+];
+
+const matchToken = (sql, position) => TOKEN_PATTERNS.find(([, pattern]) => {
+    pattern.lastIndex = position;
+    return pattern.test(sql);
+});
+
+const tokenize = (sql) => {
+    const tokens = [];
+    let position = 0;
+    while (position < sql.length) {
+        const found = matchToken(sql, position);
+        if (!found) {
+            throw new SqlError(`Unexpected "${sql[position]}" at position ${position + 1}`);
+        }
+        const [kind, pattern] = found;
+        const text = sql.slice(position, pattern.lastIndex);
+        position = pattern.lastIndex;
+        if (kind === 'space') continue;
+        if (kind === 'string') {
+            tokens.push({ kind, value: text.slice(1, -1).replace(/''/g, "'") });
+        } else if (kind === 'number') {
+            tokens.push({ kind, value: Number(text) });
+        } else if (kind === 'identifier' && text.startsWith('"')) {
+            tokens.push({ kind, value: text.slice(1, -1).replace(/""/g, '"'), quoted: true });
+        } else {
+            tokens.push({ kind, value: text });
+        }
+    }
+    return tokens;
+};
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+const FUNCTIONS = ['LOWER', 'UPPER', 'LENGTH', 'COALESCE'];
+
+const createParser = (tokens) => {
+    let index = 0;
+    let parameterCount = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = (word, token = peek()) => (
+        token?.kind === 'identifier' && !token.quoted && token.value.toUpperCase() === word
+    );
+    const isOperator = (value, token = peek()) => token?.kind === 'operator' && token.value === value;
+    const describe = (token) => (token ? `"${token.value}"` : 'end of query');
+
+    const acceptKeyword = (word) => {
+        if (!isKeyword(word)) return false;
+        index += 1;
+        return true;
+    };
+    const acceptOperator = (value) => {
+        if (!isOperator(value)) return false;
+        index += 1;
+        return true;
+    };
+    const expectKeyword = (word) => {
+        if (!acceptKeyword(word)) throw new SqlError(`Expected ${word} but found ${describe(peek())}`);
+    };
+    const expectOperator = (value) => {
+        if (!acceptOperator(value)) throw new SqlError(`Expected "${value}" but found ${describe(peek())}`);
+    };
+    const expectIdentifier = () => {
+        const token = peek();
+        if (token?.kind !== 'identifier') throw new SqlError(`Expected a name but found ${describe(token)}`);
+        index += 1;
+        return token.value;
+    };
+    const list = (parseItem) => {
+        const items = [parseItem()];
+        while (acceptOperator(',')) items.push(parseItem());
+        return items;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new SqlError('Query ends in the middle of an expression');
+        if (token.kind === 'number' || token.kind === 'string') {
+            index += 1;
+            return { type: 'literal', value: token.value };
+        }
+        if (acceptOperator('?')) {
+            parameterCount += 1;
+            return { type: 'parameter', index: parameterCount - 1 };
+        }
+        if (acceptOperator('(')) {
+            const expr = parseExpression();
+            expectOperator(')');
+            return expr;
+        }
+        if (acceptKeyword('NULL')) return { type: 'literal', value: null };
+        if (acceptKeyword('TRUE')) return { type: 'literal', value: 1 };
+        if (acceptKeyword('FALSE')) return { type: 'literal', value: 0 };
+        if (token.kind === 'identifier') {
+            index += 1;
+            const name = token.value.toUpperCase();
+            if (!token.quoted && isOperator('(') && [...AGGREGATES, ...FUNCTIONS].includes(name)) {
+                index += 1;
+                const args = name === 'COUNT' && acceptOperator('*') ? [] : list(parseExpression);
+                expectOperator(')');
+                return { type: AGGREGATES.includes(name) ? 'aggregate' : 'call', name, args };
+            }
+            return { type: 'column', name: token.value };
+        }
+        throw new SqlError(`Unexpected ${describe(token)}`);
+    };
+
+    const parseUnary = () => {
+        if (acceptOperator('-')) return { type: 'negate', operand: parseUnary() };
+        return parsePrimary();
+    };
+
+    const parseBinaryLevel = (operators, parseOperand) => () => {
+        let left = parseOperand();
+        for (;;) {
+            const operator = operators.find(candidate => isOperator(candidate));
+            if (!operator) return left;
+            index += 1;
+            left = { type: 'binary', operator, left, right: parseOperand() };
+        }
+    };
+    const parseMultiplicative = parseBinaryLevel(['*', '/', '%'], parseUnary);
+    const parseAdditive = parseBinaryLevel(['+', '-', '||'], parseMultiplicative);
+
+    const parseComparison = () => {
+        const left = parseAdditive();
+        const operator = ['=', '!=', '<>', '<=', '>=', '<', '>'].find(candidate => isOperator(candidate));
+        if (operator) {
+            index += 1;
+            return { type: 'binary', operator, left, right: parseAdditive() };
+        }
+        if (acceptKeyword('IS')) {
+            const negated = acceptKeyword('NOT');
+            expectKeyword('NULL');
+            return { type: 'isNull', operand: left, negated };
+        }
+        const negated = acceptKeyword('NOT');
+        if (acceptKeyword('LIKE')) {
+            return { type: 'like', operand: left, pattern: parseAdditive(), negated };
+        }
+        if (acceptKeyword('IN')) {
+            expectOperator('(');
+            const options = list(parseExpression);
+            expectOperator(')');
+            return { type: 'in', operand: left, options, negated };
+        }
+        if (negated) throw new SqlError(`Expected LIKE or IN after NOT but found ${describe(peek())}`);
+        return left;
+    };
+
+    const parseNot = () => (acceptKeyword('NOT') ? { type: 'not', operand: parseNot() } : parseComparison());
+
+    const parseAnd = () => {
+        let left = parseNot();
+        while (acceptKeyword('AND')) left = { type: 'and', left, right: parseNot() };
+        return left;
+    };
+
+    const parseExpression = () => {
+        let left = parseAnd();
+        while (acceptKeyword('OR')) left = { type: 'or', left, right: parseAnd() };
+        return left;
+    };
+
+    const parseWhere = () => (acceptKeyword('WHERE') ? parseExpression() : null);
+
+    const parseSelectColumn = () => {
+        if (acceptOperator('*')) return { star: true };
+        const expr = parseExpression();
+        if (acceptKeyword('AS')) return { expr, alias: expectIdentifier() };
+        const token = peek();
+        // a bare name after the expression is an alias too
+        if (token?.kind === 'identifier' && !isKeyword('FROM')) {
+            return { expr, alias: expectIdentifier() };
+        }
+        return { expr, alias: expr.type === 'column' ? expr.name : null };
+    };
+
+    const parseSelect = () => {
+        const distinct = acceptKeyword('DISTINCT');
+        const columns = list(parseSelectColumn);
+        expectKeyword('FROM');
+        const table = expectIdentifier();
+        const where = parseWhere();
+        let orderBy = [];
+        if (acceptKeyword('ORDER')) {
+            expectKeyword('BY');
+            orderBy = list(() => {
+                const expr = parseExpression();
+                const desc = acceptKeyword('DESC');
+                if (!desc) acceptKeyword('ASC');
+                return { expr, desc };
+            });
+        }
+        let limit = null;
+        let offset = null;
+        if (acceptKeyword('LIMIT')) {
+            limit = parseExpression();
+            if (acceptKeyword('OFFSET')) offset = parseExpression();
+        }
+        return { type: 'select', distinct, columns, table, where, orderBy, limit, offset };
+    };
+
+    const parseInsert = () => {
+        expectKeyword('INTO');
+        const table = expectIdentifier();
+        expectOperator('(');
+        const columns = list(expectIdentifier);
+        expectOperator(')');
+        expectKeyword('VALUES');
+        const rows = list(() => {
+            expectOperator('(');
+            const values = list(parseExpression);
+            expectOperator(')');
+            if (values.length !== columns.length) {
+                throw new SqlError(`${values.length} values for ${columns.length} columns`);
+            }
+            return values;
+        });
+        return { type: 'insert', table, columns, rows };
+    };
+
+    const parseUpdate = () => {
+        const table = expectIdentifier();
+        expectKeyword('SET');
+        const assignments = list(() => {
+            const column = expectIdentifier();
+            expectOperator('=');
+            return { column, expr: parseExpression() };
+        });
+        return { type: 'update', table, assignments, where: parseWhere() };
+    };
+
+    const parseDelete = () => {
+        expectKeyword('FROM');
+        return { type: 'delete', table: expectIdentifier(), where: parseWhere() };
+    };
+
+    const parseStatement = () => {
+        let statement;
+        if (acceptKeyword('SELECT')) statement = parseSelect();
+        else if (acceptKeyword('INSERT')) statement = parseInsert();
+        else if (acceptKeyword('UPDATE')) statement = parseUpdate();
+        else if (acceptKeyword('DELETE')) statement = parseDelete();
+        else throw new SqlError(`Expected SELECT, INSERT, UPDATE or DELETE but found ${describe(peek())}`);
+        acceptOperator(';');
+        if (peek()) throw new SqlError(`Unexpected ${describe(peek())} after the statement`);
+        return { ...statement, parameterCount };
+    };
+
+    return { parseStatement };
+};
+
+/**
+ * @param {string} sql - One statement in the supported subset
+ * @returns {object} - Statement tree, with parameterCount for its ? placeholders
+ * @throws {SqlError}
+ */
+export const parseSql = (sql) => createParser(tokenize(sql)).parseStatement();
+
+const likeToRegExp = (pattern) => new RegExp(
+    `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+    'is'
+);
+
+const compare = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+};
+
+const truthy = (value) => value !== null && value !== undefined && value !== 0 && value !== false && value !== '';
+
+const getColumn = (row, name) => {
+    if (name in row) return row[name];
+    const match = Object.keys(row).find(key => key.toLowerCase() === name.toLowerCase());
+    if (match === undefined) throw new SqlError(`No such column: ${name}`);
+    return row[match];
+};
+
+const evaluate = (expr, row, params) => {
+    switch (expr.type) {
+        case 'literal':
+            return expr.value;
+        case 'parameter':
+            return params[expr.index] ?? null;
+        case 'column':
+            return getColumn(row, expr.name);
+        case 'negate': {
+            const value = evaluate(expr.operand, row, params);
+            return value === null ? null : -value;
+        }
+        case 'not': {
+            const value = evaluate(expr.operand, row, params);
+            return value === null ? null : Number(!truthy(value));
+        }
+        case 'and':
+            return Number(truthy(evaluate(expr.left, row, params)) && truthy(evaluate(expr.right, row, params)));
+        case 'or':
+            return Number(truthy(evaluate(expr.left, row, params)) || truthy(evaluate(expr.right, row, params)));
+        case 'isNull': {
+            const isNull = evaluate(expr.operand, row, params) == null;
+            return Number(expr.negated ? !isNull : isNull);
+        }
+        case 'like': {
+            const value = evaluate(expr.operand, row, params);
+            if (value === null) return null;
+            const matches = likeToRegExp(evaluate(expr.pattern, row, params)).test(String(value));
+            return Number(expr.negated ? !matches : matches);
+        }
+        case 'in': {
+            const value = evaluate(expr.operand, row, params);
+            if (value === null) return null;
+            const found = expr.options.some(option => compare(value, evaluate(option, row, params)) === 0);
+            return Number(expr.negated ? !found : found);
+        }
+        case 'call': {
+            const args = expr.args.map(arg => evaluate(arg, row, params));
+            if (expr.name === 'COALESCE') return args.find(arg => arg !== null && arg !== undefined) ?? null;
+            if (args[0] === null || args[0] === undefined) return null;
+            if (expr.name === 'LOWER') return String(args[0]).toLowerCase();
+            if (expr.name === 'UPPER') return String(args[0]).toUpperCase();
+            return String(args[0]).length;
+        }
+        case 'aggregate':
+            throw new SqlError(`${expr.name}() is only allowed in the selected columns`);
+        case 'binary': {
+            const left = evaluate(expr.left, row, params);
+            const right = evaluate(expr.right, row, params);
+            if (left === null || left === undefined || right === null || right === undefined) return null;
+            switch (expr.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? null : left / right;
+                case '%': return right === 0 ? null : left % right;
+                case '||': return `${left}${right}`;
+                case '=': return Number(compare(left, right) === 0);
+                case '!=':
+                case '<>': return Number(compare(left, right) !== 0);
+                case '<': return Number(compare(left, right) < 0);
+                case '<=': return Number(compare(left, right) <= 0);
+                case '>': return Number(compare(left, right) > 0);
+                default: return Number(compare(left, right) >= 0);
+            }
+        }
+        default:
+            throw new SqlError(`Cannot evaluate ${expr.type}`);
+    }
+};
+
+const aggregate = ({ name, args }, rows, params) => {
+    if (name === 'COUNT') {
+        return args.length === 0
+            ? rows.length
+            : rows.filter(row => evaluate(args[0], row, params) != null).length;
+    }
+    const values = rows.map(row => evaluate(args[0], row, params)).filter(value => value != null);
+    if (values.length === 0) return null;
+    if (name === 'SUM') return values.reduce((sum, value) => sum + Number(value), 0);
+    if (name === 'AVG') return values.reduce((sum, value) => sum + Number(value), 0) / values.length;
+    return values.reduce((best, value) => {
+        const order = compare(value, best);
+        return (name === 'MIN' ? order < 0 : order > 0) ? value : best;
+    });
+};
+
+const columnLabel = (column, position) => column.alias ?? `column${position + 1}`;
+
+/**
+ * A set of named tables that SQL runs against
+ * @param {object} [tables] - Table name to a list of row objects; copied
+ * @returns {{ execute: function, tables: Map }}
+ */
+export const createMemoryDatabase = (tables = {}) => {
+    const store = new Map(Object.entries(tables).map(([name, rows]) => [
+        name.toLowerCase(),
+        { name, rows: (Array.isArray(rows) ? rows : []).map(row => ({ ...row })) },
+    ]));
+
+    const getTable = (name) => {
+        const table = store.get(name.toLowerCase());
+        if (!table) throw new SqlError(`No such table: ${name}`);
+        return table;
+    };
+
+    const filterRows = (rows, where, params) => (
+        where ? rows.filter(row => truthy(evaluate(where, row, params))) : rows
+    );
+
+    const select = (statement, params, maxRows) => {
+        const table = getTable(statement.table);
+        let rows = filterRows(table.rows, statement.where, params);
+
+        if (statement.orderBy.length > 0) {
+            rows = [...rows].sort((a, b) => {
+                for (const { expr, desc } of statement.orderBy) {
+                    const left = evaluate(expr, a, params);
+                    const right = evaluate(expr, b, params);
+                    // NULLs sort first, as in SQLite
+                    const order = left == null || right == null
+                        ? (right == null) - (left == null)
+                        : compare(left, right);
+                    if (order !== 0) return desc ? -order : order;
+                }
+                return 0;
+            });
+        }
+
+        const hasAggregate = statement.columns.some(column => column.expr?.type === 'aggregate');
+        let columns;
+        let records;
+        if (hasAggregate) {
+            if (statement.columns.some(column => column.star || column.expr.type !== 'aggregate')) {
+                throw new SqlError('Aggregates cannot be mixed with plain columns (GROUP BY is not supported)');
+            }
+            columns = statement.columns.map(column => column.alias ?? column.expr.name.toLowerCase());
+            records = [statement.columns.map(column => aggregate(column.expr, rows, params))];
+        } else {
+            const allColumns = [...new Set(table.rows.flatMap(row => Object.keys(row)))];
+            columns = statement.columns.flatMap((column, position) => (
+                column.star ? allColumns : [columnLabel(column, position)]
+            ));
+            records = rows.map(row => statement.columns.flatMap(column => (
+                column.star ? allColumns.map(name => row[name] ?? null) : [evaluate(column.expr, row, params)]
+            )));
+        }
+
+        if (statement.distinct) {
+            const seen = new Set();
+            records = records.filter(record => {
+                const key = JSON.stringify(record);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        const offset = statement.offset ? Number(evaluate(statement.offset, {}, params)) : 0;
+        const limit = statement.limit ? Number(evaluate(statement.limit, {}, params)) : Infinity;
+        records = records.slice(offset, offset + Math.min(limit, maxRows ?? Infinity));
+        return { columns, rows: records, rowCount: records.length };
+    };
+
+    const insert = ({ table: name, columns, rows }, params) => {
+        const table = getTable(name);
+        // columns the row leaves out are NULL, so WHERE can still name them
+        const blank = Object.fromEntries(table.rows.flatMap(row => Object.keys(row)).map(column => [column, null]));
+        rows.forEach(values => {
+            table.rows.push({
+                ...blank,
+                ...Object.fromEntries(columns.map((column, position) => [column, evaluate(values[position], {}, params)])),
+            });
+        });
+        return { columns: [], rows: [], rowCount: rows.length };
+    };
+
+    const update = ({ table: name, assignments, where }, params) => {
+        const table = getTable(name);
+        const matched = filterRows(table.rows, where, params);
+        matched.forEach(row => {
+            const values = assignments.map(({ expr }) => evaluate(expr, row, params));
+            assignments.forEach(({ column }, position) => {
+                row[column] = values[position];
+            });
+        });
+        return { columns: [], rows: [], rowCount: matched.length };
+    };
+
+    const remove = ({ table: name, where }, params) => {
+        const table = getTable(name);
+        const matched = new Set(filterRows(table.rows, where, params));
+        table.rows = table.rows.filter(row => !matched.has(row));
+        return { columns: [], rows: [], rowCount: matched.size };
+    };
+
+    /**
+     * @param {string} sql - One statement with ? placeholders
+     * @param {*[]} [params] - Bound to the placeholders in order
+     * @param {object} [options]
+     * @param {number} [options.maxRows] - Cap on rows returned by SELECT
+     * @returns {{ columns: string[], rows: *[][], rowCount: number }} - rowCount
+     *   is the rows returned, or affected by INSERT, UPDATE and DELETE
+     * @throws {SqlError}
+     */
+    const execute = (sql, params = [], { maxRows } = {}) => {
+        const statement = parseSql(sql);
+        if (params.length !== statement.parameterCount) {
+            throw new SqlError(`Query has ${statement.parameterCount} parameters but ${params.length} values were bound`);
+        }
+        switch (statement.type) {
+            case 'select': return select(statement, params, maxRows);
+            case 'insert': return insert(statement, params);
+            case 'update': return update(statement, params);
+            default: return remove(statement, params);
+        }
+    };
+
+    return { execute, tables: store };
+};
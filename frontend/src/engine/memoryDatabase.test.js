@@ -0,0 +1,82 @@
+import { createMemoryDatabase, parseSql, SqlError } from './memoryDatabase';
+
+const people = () => createMemoryDatabase({
+    People: [
+        { id: 1, name: 'Ada', age: 36, team: 'math' },
+        { id: 2, name: 'Alan', age: 41, team: 'math' },
+        { id: 3, name: 'Grace', age: null, team: 'navy' },
+    ],
+});
+
+const rows = (db, sql, params) => db.execute(sql, params).rows;
+
+describe('SELECT', () => {
+    test('columns, aliases, WHERE and parameters', () => {
+        const db = people();
+        expect(db.execute('SELECT name, age * 2 AS double FROM people WHERE id = ?', [2]))
+            .toEqual({ columns: ['name', 'double'], rows: [['Alan', 82]], rowCount: 1 });
+        expect(db.execute('SELECT * FROM people WHERE id = 1').columns).toEqual(['id', 'name', 'age', 'team']);
+        expect(rows(db, "SELECT UPPER(name) || '!' FROM people WHERE name LIKE 'a%' AND age > 40")).toEqual([['ALAN!']]);
+    });
+
+    test('NULL handling follows SQL', () => {
+        const db = people();
+        expect(rows(db, 'SELECT name FROM people WHERE age IS NULL')).toEqual([['Grace']]);
+        expect(rows(db, 'SELECT name FROM people WHERE age > 0')).toEqual([['Ada'], ['Alan']]);
+        expect(rows(db, "SELECT COALESCE(age, 'unknown') FROM people WHERE id = 3")).toEqual([['unknown']]);
+        expect(rows(db, 'SELECT name FROM people ORDER BY age')).toEqual([['Grace'], ['Ada'], ['Alan']]);
+    });
+
+    test('IN, NOT, DISTINCT, ORDER BY, LIMIT and OFFSET', () => {
+        const db = people();
+        expect(rows(db, 'SELECT name FROM people WHERE id NOT IN (1, 3)')).toEqual([['Alan']]);
+        expect(rows(db, 'SELECT DISTINCT team FROM people ORDER BY team DESC')).toEqual([['navy'], ['math']]);
+        expect(rows(db, 'SELECT id FROM people ORDER BY id LIMIT 1 OFFSET 1')).toEqual([[2]]);
+        expect(db.execute('SELECT id FROM people', [], { maxRows: 2 }).rowCount).toBe(2);
+    });
+
+    test('aggregates over the whole result', () => {
+        const db = people();
+        expect(db.execute('SELECT COUNT(*), COUNT(age), AVG(age), MAX(name) AS last FROM people'))
+            .toEqual({ columns: ['count', 'count', 'avg', 'last'], rows: [[3, 2, 38.5, 'Grace']], rowCount: 1 });
+        expect(rows(db, 'SELECT SUM(age) FROM people WHERE id > 5')).toEqual([[null]]);
+    });
+
+    test('division by zero is NULL', () => {
+        expect(rows(people(), 'SELECT age / 0 FROM people WHERE id = 1')).toEqual([[null]]);
+    });
+});
+
+describe('changes', () => {
+    test('INSERT, UPDATE and DELETE report the rows they touch', () => {
+        const db = people();
+        expect(db.execute('INSERT INTO people (id, name) VALUES (?, ?), (5, \'Lin\')', [4, "O'Neil"]).rowCount).toBe(2);
+        expect(db.execute('UPDATE people SET age = age + 1 WHERE team = ?', ['math']).rowCount).toBe(2);
+        expect(db.execute('DELETE FROM people WHERE age IS NULL').rowCount).toBe(3);
+        expect(rows(db, 'SELECT name, age FROM people')).toEqual([['Ada', 37], ['Alan', 42]]);
+    });
+
+    test('the tables passed in are copied', () => {
+        const tables = { t: [{ a: 1 }] };
+        createMemoryDatabase(tables).execute('UPDATE t SET a = 2');
+        expect(tables.t[0].a).toBe(1);
+    });
+});
+
+describe('errors', () => {
+    test('parse errors say what was expected', () => {
+        expect(() => parseSql('SELECT FROM people')).toThrow(SqlError);
+        expect(() => parseSql('DROP TABLE people')).toThrow('Expected SELECT, INSERT, UPDATE or DELETE but found');
+        expect(() => parseSql('SELECT 1 FROM t; SELECT 2 FROM t')).toThrow(/after the statement$/);
+        expect(() => parseSql('SELECT # FROM t')).toThrow('Unexpected "#" at position 8');
+    });
+
+    test('run errors name the problem', () => {
+        const db = people();
+        expect(() => db.execute('SELECT * FROM nobody')).toThrow('No such table: nobody');
+        expect(() => db.execute('SELECT salary FROM people')).toThrow('No such column: salary');
+        expect(() => db.execute('SELECT name FROM people WHERE id = ?')).toThrow('Query has 1 parameters but 0 values were bound');
+        expect(() => db.execute('SELECT name, COUNT(*) FROM people')).toThrow(/GROUP BY is not supported/);
+        expect(() => db.execute('INSERT INTO people (id, name) VALUES (1)')).toThrow('1 values for 2 columns');
+    });
+});
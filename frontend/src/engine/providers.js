@@ -0,0 +1,66 @@
+import { getLlmProvider } from './llmProviders';
+import { getDatabaseAdapter } from './databaseAdapters';
+import { compileExpression, runExpressions } from '../utils/expressionEngine';
+
+// Default providers used by the execution engine. Anything that reaches
+// outside the browser tab lives here so runs can swap in local fakes:
+//
+//   runPipeline(pipeline, { providers: { llm: async (request) => 'canned' } })
+
+export class ProviderNotConfiguredError extends Error {
+    constructor(kind) {
+        super(`No ${kind} provider is configured`);
+        this.name = 'ProviderNotConfiguredError';
+    }
+}
+
+// Hands the request to the provider picked on the node (see llmProviders.js)
+const llm = async (request) => {
+    const provider = getLlmProvider(request.provider);
+    if (!provider) {
+        throw new ProviderNotConfiguredError(`"${request.provider}" LLM`);
+    }
+    return provider.complete(request);
+};
+
+/**
+ * Sends one HTTP request. Status codes are not errors here; the api
+ * executor decides what to retry and what to fail on.
+ * @param {object} request - { method, url, headers, body, signal }
+ * @returns {Promise<{ status: number, headers: object, body: string }>} -
+ *   Header names are lower-cased; the body is left unparsed
+ */
+const api = async ({ method, url, headers = {}, body, signal }) => {
+    const init = { method, headers: { ...headers }, signal };
+    if (body !== undefined && method !== 'GET') {
+        init.headers = { 'Content-Type': 'application/json', ...init.headers };
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const response = await fetch(url, init);
+    return {
+        status: response.status,
+        headers: Object.fromEntries([...response.headers.entries()].map(([name, value]) => [name.toLowerCase(), value])),
+        body: await response.text(),
+    };
+};
+
+// Hands the query to the connection profile's adapter (see databaseAdapters.js)
+const database = async (request) => {
+    const adapter = getDatabaseAdapter(request.connection.adapter);
+    if (!adapter) {
+        throw new ProviderNotConfiguredError(`"${request.connection.adapter}" database`);
+    }
+    return adapter.query(request);
+};
+
+// compileExpression is the sandboxed interpreter from expressionEngine.js.
+// Expressions come from pipeline files anyone can share, so a replacement
+// must not hand them to eval or new Function either. runExpressions(body)
+// runs all of a node's expression calls under one time limit.
+export const defaultProviders = {
+    llm,
+    api,
+    database,
+    compileExpression,
+    runExpressions,
+};
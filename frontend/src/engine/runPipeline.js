@@ -0,0 +1,161 @@
+import { getNodeData } from '../nodes/nodeConfigs';
+import { getRegisteredExecutors } from '../nodes/registry';
+import { executors as defaultExecutors } from './executors';
+import { defaultProviders } from './providers';
+import { getHandleName, getIncomingEdges, topologicalSort } from './graph';
+import { flattenSubflows } from './subflows';
+import { DEFAULT_CONNECTION } from './databaseAdapters';
+
+export class PipelineExecutionError extends Error {
+    constructor(message, nodeIds = []) {
+        super(message);
+        this.name = 'PipelineExecutionError';
+        this.nodeIds = nodeIds;
+    }
+}
+
+// Node types that still run when only some of their inputs received values
+const PARTIAL_INPUT_TYPES = new Set(['merge']);
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Values arriving at one target handle; a handle with several edges gets
+// a list of the values that arrived, in edge order, even when they are lists.
+// `delivered` counts the edges that brought a value, so a handle whose list
+// is missing an upstream value still counts as starved.
+const collectInputs = (incomingEdges, outputsByNode) => {
+    const inputs = {};
+    const edgeCounts = new Map();
+
+    incomingEdges.forEach(edge => {
+        const targetHandle = getHandleName(edge.target, edge.targetHandle);
+        edgeCounts.set(targetHandle, (edgeCounts.get(targetHandle) || 0) + 1);
+    });
+
+    let delivered = 0;
+    incomingEdges.forEach(edge => {
+        const targetHandle = getHandleName(edge.target, edge.targetHandle);
+        const sourceHandle = getHandleName(edge.source, edge.sourceHandle);
+        const value = outputsByNode.get(edge.source)?.[sourceHandle];
+        if (value === undefined) return;
+
+        delivered += 1;
+        if (edgeCounts.get(targetHandle) > 1) {
+            inputs[targetHandle] = [...(inputs[targetHandle] || []), value];
+        } else {
+            inputs[targetHandle] = value;
+        }
+    });
+
+    return { inputs, delivered };
+};
+
+/**
+ * Runs a pipeline graph in the browser
+ * @param {{ nodes: object[], edges: object[] }} pipeline - Graph from the store;
+ *   Subflows run as their contents, reported under qualified ids (`subflow-1/llm-1`)
+ * @param {object} [options]
+ * @param {object} [options.inputs] - Values for Input nodes, keyed by input name
+ * @param {object} [options.providers] - Overrides for defaultProviders (llm, api, database, compileExpression, runExpressions)
+ * @param {object} [options.executors] - Overrides for the per-type executors
+ * @param {object[]} [options.connections] - Connection profiles database nodes pick from;
+ *   defaults to the local in-memory one
+ * @param {function} [options.onEvent] - Called with { type: 'started' | 'progress' | 'finished' | 'failed' | 'skipped'
+ *   | 'dataChanged', nodeId, ... }; 'progress' carries the partial outputs of a node that streams,
+ *   'dataChanged' field values a node wants saved (e.g. recorded API fixtures)
+ * @param {AbortSignal} [options.signal] - Cancels the run between nodes
+ * @returns {Promise<object>} - { status, outputs, nodes } where outputs is
+ *   keyed by Output node name and nodes holds each node's inputs, outputs,
+ *   error and duration
+ * @throws {PipelineExecutionError} - If the graph cannot be ordered
+ */
+export const runPipeline = async (pipeline, options = {}) => {
+    const { nodes, edges } = flattenSubflows(pipeline);
+    const {
+        inputs = {},
+        connections = [DEFAULT_CONNECTION],
+        onEvent = () => {},
+        signal,
+    } = options;
+    const providers = { ...defaultProviders, ...options.providers };
+    const executors = { ...defaultExecutors, ...getRegisteredExecutors(), ...options.executors };
+
+    const { order, cyclic } = topologicalSort(nodes, edges);
+    if (cyclic.length > 0) {
+        throw new PipelineExecutionError('Pipeline contains a cycle', cyclic);
+    }
+
+    const incoming = getIncomingEdges(edges);
+    const outputsByNode = new Map();
+    const results = {};
+    const outputs = {};
+    let status = 'succeeded';
+
+    for (const node of order) {
+        if (signal?.aborted) {
+            status = 'cancelled';
+            break;
+        }
+
+        const data = getNodeData(node);
+        const incomingEdges = incoming.get(node.id) || [];
+        const { inputs: nodeInputs, delivered } = collectInputs(incomingEdges, outputsByNode);
+        const starved = PARTIAL_INPUT_TYPES.has(node.type)
+            ? incomingEdges.length > 0 && delivered === 0
+            : delivered < incomingEdges.length;
+
+        if (starved) {
+            results[node.id] = { status: 'skipped', inputs: nodeInputs, outputs: {}, duration: 0 };
+            onEvent({ type: 'skipped', nodeId: node.id });
+            continue;
+        }
+
+        const execute = executors[node.type];
+        const startedAt = now();
+        onEvent({ type: 'started', nodeId: node.id, inputs: nodeInputs });
+
+        try {
+            if (!execute) {
+                throw new PipelineExecutionError(`No executor for node type "${node.type}"`, [node.id]);
+            }
+            const nodeOutputs = (await execute({
+                node,
+                data,
+                inputs: nodeInputs,
+                providers,
+                context: { inputs, connections },
+                signal,
+                report: (partialOutputs) => onEvent({ type: 'progress', nodeId: node.id, outputs: partialOutputs }),
+                updateData: (patch) => onEvent({ type: 'dataChanged', nodeId: node.id, data: patch }),
+            })) || {};
+
+            outputsByNode.set(node.id, nodeOutputs);
+            if (node.type === 'customOutput') {
+                outputs[data.outputName] = nodeOutputs.value;
+            }
+            results[node.id] = {
+                status: 'succeeded',
+                inputs: nodeInputs,
+                outputs: nodeOutputs,
+                duration: now() - startedAt,
+            };
+            onEvent({ type: 'finished', nodeId: node.id, outputs: nodeOutputs, duration: results[node.id].duration });
+        } catch (error) {
+            if (signal?.aborted) {
+                status = 'cancelled';
+                break;
+            }
+            status = 'failed';
+            results[node.id] = {
+                status: 'failed',
+                inputs: nodeInputs,
+                outputs: {},
+                error: error.message,
+                duration: now() - startedAt,
+            };
+            onEvent({ type: 'failed', nodeId: node.id, error: error.message, duration: results[node.id].duration });
+        }
+    }
+
+    return { status, outputs, nodes: results };
+};
@@ -0,0 +1,120 @@
+import { runPipeline, PipelineExecutionError } from './runPipeline';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { edge, node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+const emit = (value) => () => ({ output: value });
+const capture = (seen) => ({ node, inputs }) => {
+    seen[node.id] = inputs;
+    return {};
+};
+
+test('passes values from Input nodes to Output nodes', async () => {
+    const result = await runPipeline({
+        nodes: [node('customInput-1', 'customInput', { inputName: 'question' }), node('customOutput-1', 'customOutput', { outputName: 'answer' })],
+        edges: [edge('customInput-1', 'value', 'customOutput-1', 'value')],
+    }, { inputs: { question: 'Why?' } });
+
+    expect(result.status).toBe('succeeded');
+    expect(result.outputs).toEqual({ answer: 'Why?' });
+});
+
+test('keeps list values intact when several edges feed one handle', async () => {
+    const seen = {};
+    await runPipeline({
+        nodes: [node('a', 'source'), node('b', 'source'), node('sink', 'sink')],
+        edges: [edge('a', 'output', 'sink', 'items'), edge('b', 'output', 'sink', 'items')],
+    }, {
+        executors: {
+            source: ({ node: { id } }) => ({ output: [`${id}1`, `${id}2`] }),
+            sink: capture(seen),
+        },
+    });
+
+    expect(seen.sink.items).toEqual([['a1', 'a2'], ['b1', 'b2']]);
+});
+
+test('delivers a single edge value as it is', async () => {
+    const seen = {};
+    await runPipeline({
+        nodes: [node('a', 'source'), node('sink', 'sink')],
+        edges: [edge('a', 'output', 'sink', 'items')],
+    }, { executors: { source: emit(['x', 'y']), sink: capture(seen) } });
+
+    expect(seen.sink.items).toEqual(['x', 'y']);
+});
+
+test('skips nodes whose inputs did not all arrive', async () => {
+    const events = [];
+    const result = await runPipeline({
+        nodes: [node('a', 'broken'), node('b', 'source'), node('sink', 'sink')],
+        edges: [edge('a', 'output', 'sink', 'left'), edge('b', 'output', 'sink', 'right')],
+    }, {
+        executors: {
+            broken: () => { throw new Error('boom'); },
+            source: emit('ok'),
+            sink: () => ({}),
+        },
+        onEvent: (event) => events.push(`${event.type}:${event.nodeId}`),
+    });
+
+    expect(result.status).toBe('failed');
+    expect(result.nodes.a.error).toBe('boom');
+    expect(result.nodes.sink.status).toBe('skipped');
+    expect(events).toContain('skipped:sink');
+});
+
+test('skips a node when one of several edges into a handle brought nothing', async () => {
+    const seen = {};
+    const result = await runPipeline({
+        nodes: [node('a', 'broken'), node('b', 'source'), node('sink', 'sink')],
+        edges: [edge('a', 'output', 'sink', 'items'), edge('b', 'output', 'sink', 'items')],
+    }, {
+        executors: { broken: () => { throw new Error('boom'); }, source: emit('ok'), sink: capture(seen) },
+    });
+
+    expect(result.nodes.sink.status).toBe('skipped');
+    expect(seen.sink).toBeUndefined();
+});
+
+test('runs merge nodes with only some inputs', async () => {
+    const result = await runPipeline({
+        nodes: [
+            node('a', 'broken'),
+            node('b', 'source'),
+            node('merge-1', 'merge', { strategy: 'Concat', inputCount: 2 }),
+        ],
+        edges: [edge('a', 'output', 'merge-1', 'input1'), edge('b', 'output', 'merge-1', 'input2')],
+    }, {
+        executors: { broken: () => { throw new Error('boom'); }, source: emit('only') },
+    });
+
+    expect(result.nodes['merge-1']).toMatchObject({ status: 'succeeded', outputs: { output: 'only' } });
+});
+
+test('stops between nodes once cancelled', async () => {
+    const controller = new AbortController();
+    const result = await runPipeline({
+        nodes: [node('a', 'source'), node('b', 'source')],
+        edges: [edge('a', 'output', 'b', 'input')],
+    }, {
+        executors: {
+            source: () => {
+                controller.abort();
+                return { output: 1 };
+            },
+        },
+        signal: controller.signal,
+    });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.nodes.b).toBeUndefined();
+});
+
+test('refuses cyclic graphs', async () => {
+    await expect(runPipeline({
+        nodes: [node('a', 'source'), node('b', 'source')],
+        edges: [edge('a', 'output', 'b', 'input'), edge('b', 'output', 'a', 'input')],
+    }, { executors: { source: emit(1) } })).rejects.toThrow(PipelineExecutionError);
+});
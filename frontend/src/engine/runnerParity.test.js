@@ -0,0 +1,24 @@
+import { runPipeline } from './runPipeline';
+import { resetMockReplays } from './llmProviders';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { edge } from '../testFixtures';
+import cases from './runnerParity.json';
+
+// backend/test_pipeline_runner.py runs the same cases through the server
+// runner, so the two stay in step on the nodes they both run
+registerBuiltinNodes();
+
+const toPipeline = ({ nodes, edges }) => ({
+    nodes: nodes.map(node => ({ ...node, position: { x: 0, y: 0 } })),
+    edges: edges.map(entry => edge(...entry)),
+});
+
+test.each(cases.map(entry => [entry.name, entry]))('%s', async (name, entry) => {
+    resetMockReplays();
+    const result = await runPipeline(toPipeline(entry), { inputs: entry.inputs });
+
+    expect(result.status).toBe(entry.status);
+    expect(result.outputs).toEqual(entry.outputs);
+    const statuses = Object.fromEntries(Object.entries(result.nodes).map(([id, { status }]) => [id, status]));
+    expect(statuses).toMatchObject(entry.statuses || {});
+});
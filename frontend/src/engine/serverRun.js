@@ -0,0 +1,182 @@
+import { getNodeData } from '../nodes/nodeConfigs';
+import { scanTemplate } from '../utils/templateEngine';
+import { withoutSecrets } from '../utils/pipelineFile';
+import { flattenSubflows } from './subflows';
+import { PipelineExecutionError } from './runPipeline';
+
+// Runs pipelines on the backend's /pipelines/run endpoint, which streams
+// server-sent events as nodes start, stream tokens and finish. The server
+// runs Input, Output, Text, Merge and Mock LLM nodes, and its Text nodes
+// only fill plain {{name.path}} tags; getServerProblems finds anything
+// else before the pipeline is sent.
+
+export const SERVER_URL = 'http://localhost:8000';
+
+const SERVER_NODE_TYPES = ['customInput', 'customOutput', 'text', 'merge', 'llm'];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// A tag the server fills: a variable and a path of names and list indexes
+const isPlainTag = ({ tag, error }) => error || tag.kind === 'literal' || (
+    tag.kind === 'value'
+    && tag.expression.pipes.length === 0
+    && tag.expression.path.every(key => typeof key === 'number' || IDENTIFIER.test(key))
+);
+
+const checkServerNode = (node) => {
+    const data = getNodeData(node);
+    if (!SERVER_NODE_TYPES.includes(node.type)) {
+        return `${node.type} nodes only run in the browser`;
+    }
+    if (node.type === 'llm' && data.provider !== 'mock') {
+        return `The "${data.provider}" LLM provider only runs in the browser`;
+    }
+    if (node.type === 'text') {
+        const entry = scanTemplate(data.text).find(tag => !isPlainTag(tag));
+        if (entry) {
+            return `${data.text.slice(entry.start, entry.end)} needs the browser runner; the server only fills {{name}} tags`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Finds the nodes the server cannot run, so a server run can be refused
+ * before anything is sent
+ * @param {{ nodes: object[], edges: object[] }} pipeline - Graph from the store
+ * @returns {object[]} - Problems in validatePipeline's shape, by qualified node id
+ */
+export const getServerProblems = (pipeline) => {
+    return flattenSubflows(pipeline).nodes
+        .map(node => ({ node, message: checkServerNode(node) }))
+        .filter(({ message }) => message)
+        .map(({ node, message }) => ({
+            code: 'server-unsupported',
+            severity: 'error',
+            message: `${node.id}: ${message}`,
+            nodeIds: [node.id],
+        }));
+};
+
+/**
+ * Parses a server-sent event stream
+ * @param {ReadableStream} body - A fetch response body
+ * @param {function} onEvent - Called with (eventName, data) for each event;
+ *   data is the JSON-decoded payload of its `data:` lines
+ */
+export const readServerEvents = async (body, onEvent) => {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let name = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) name = line.slice('event:'.length).trim();
+            else if (line.startsWith('data:')) data.push(line.slice('data:'.length).trim());
+        });
+        if (data.length > 0) onEvent(name, JSON.parse(data.join('\n')));
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+};
+
+/**
+ * Runs a pipeline graph on the backend, reporting the same events and
+ * result as runPipeline so the canvas and run panel follow it live
+ * @param {{ nodes: object[], edges: object[] }} pipeline - Graph from the store
+ * @param {object} [options]
+ * @param {object} [options.inputs] - Values for Input nodes, keyed by input name
+ * @param {function} [options.onEvent] - As for runPipeline; streamed LLM tokens
+ *   arrive as 'progress' events with the text so far
+ * @param {AbortSignal} [options.signal] - Closes the stream, which stops the server run
+ * @returns {Promise<object>} - { status, outputs, nodes }
+ * @throws {PipelineExecutionError} - If the server cannot run the pipeline at
+ *   all, including when getServerProblems finds nodes it cannot run
+ */
+export const runPipelineOnServer = async (pipeline, options = {}) => {
+    const { inputs = {}, onEvent = () => {}, signal } = options;
+    const problems = getServerProblems(pipeline);
+    if (problems.length > 0) {
+        throw new PipelineExecutionError(problems.map(problem => problem.message).join('\n'));
+    }
+    const { nodes, edges } = flattenSubflows(pipeline);
+
+    const results = {};
+    const streamed = {};
+    let finished = null;
+
+    const handlers = {
+        started: ({ nodeId, inputs: nodeInputs }) => {
+            results[nodeId] = { status: 'running', inputs: nodeInputs, outputs: {}, duration: 0 };
+            onEvent({ type: 'started', nodeId, inputs: nodeInputs });
+        },
+        token: ({ nodeId, handle, text }) => {
+            streamed[nodeId] = { ...streamed[nodeId], [handle]: (streamed[nodeId]?.[handle] ?? '') + text };
+            onEvent({ type: 'progress', nodeId, outputs: streamed[nodeId] });
+        },
+        finished: ({ nodeId, outputs, duration }) => {
+            results[nodeId] = { ...results[nodeId], status: 'succeeded', outputs, duration };
+            onEvent({ type: 'finished', nodeId, outputs, duration });
+        },
+        failed: ({ nodeId, error, duration }) => {
+            results[nodeId] = { ...results[nodeId], status: 'failed', outputs: {}, error, duration };
+            onEvent({ type: 'failed', nodeId, error, duration });
+        },
+        skipped: ({ nodeId }) => {
+            results[nodeId] = { status: 'skipped', inputs: {}, outputs: {}, duration: 0 };
+            onEvent({ type: 'skipped', nodeId });
+        },
+        done: (result) => {
+            finished = result;
+        },
+    };
+
+    // a node still running when the stream stops was cut off, as in the browser runner
+    const settledNodes = () => Object.fromEntries(
+        Object.entries(results).filter(([, result]) => result.status !== 'running')
+    );
+
+    try {
+        const response = await fetch(`${SERVER_URL}/pipelines/run`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                nodes: nodes
+                    .map(node => withoutSecrets({ ...node, data: getNodeData(node) }))
+                    .map(({ id, type, position, data }) => ({ id, type, position, data })),
+                edges: edges.map(({ id, source, target, sourceHandle, targetHandle }) => ({
+                    id, source, target, sourceHandle, targetHandle,
+                })),
+                inputs,
+            }),
+            signal,
+        });
+        if (!response.ok) {
+            throw new PipelineExecutionError(`Server run failed with status ${response.status}`);
+        }
+        await readServerEvents(response.body, (name, data) => handlers[name]?.(data));
+    } catch (error) {
+        if (signal?.aborted) {
+            return { status: 'cancelled', outputs: {}, nodes: settledNodes() };
+        }
+        throw error;
+    }
+
+    if (!finished) {
+        throw new PipelineExecutionError('The server closed the run before it finished');
+    }
+    if (finished.error) {
+        throw new PipelineExecutionError(finished.error);
+    }
+    return { status: finished.status, outputs: finished.outputs, nodes: settledNodes() };
+};
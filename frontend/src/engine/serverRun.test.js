@@ -0,0 +1,96 @@
+import { getServerProblems, readServerEvents, runPipelineOnServer } from './serverRun';
+import { PipelineExecutionError } from './runPipeline';
+import { TextDecoder, TextEncoder } from 'util';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+// jsdom has no text codecs; the browser's and Node's behave the same here
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+const streamOf = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let sent = false;
+    return {
+        getReader: () => ({
+            read: async () => {
+                if (sent) return { done: true };
+                sent = true;
+                return { done: false, value: bytes };
+            },
+        }),
+    };
+};
+
+const DONE = 'event: done\ndata: {"status": "succeeded", "outputs": {"answer": "hi"}, "error": null}\n\n';
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('getServerProblems', () => {
+    test('finds nodes and templates the server cannot run', () => {
+        const problems = getServerProblems({
+            nodes: [
+                node('customInput-1', 'customInput'),
+                node('text-1', 'text', { text: 'Hi {{name}}, {{user.tags[0]}} \\{{raw}} {{"json": 1}}' }),
+                node('text-2', 'text', { text: '{{name | upper}}' }),
+                node('llm-1', 'llm', { provider: 'openai' }),
+                node('llm-2', 'llm', { provider: 'mock' }),
+                node('api-1', 'api'),
+            ],
+            edges: [],
+        });
+
+        expect(problems.map(problem => problem.nodeIds[0])).toEqual(['text-2', 'llm-1', 'api-1']);
+        expect(problems[0].message).toBe('text-2: {{name | upper}} needs the browser runner; the server only fills {{name}} tags');
+        expect(problems[1].message).toBe('llm-1: The "openai" LLM provider only runs in the browser');
+    });
+});
+
+describe('runPipelineOnServer', () => {
+    test('refuses before sending when a node cannot run there', async () => {
+        global.fetch = jest.fn();
+        await expect(runPipelineOnServer({ nodes: [node('api-1', 'api')], edges: [] }))
+            .rejects.toThrow(new PipelineExecutionError('api-1: api nodes only run in the browser'));
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('sends the graph without secrets and reports the streamed events', async () => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            body: streamOf([
+                'event: started\ndata: {"nodeId": "llm-1", "inputs": {}}\n\n',
+                'event: token\ndata: {"nodeId": "llm-1", "handle": "response", "text": "h"}\n\n',
+                'event: token\ndata: {"nodeId": "llm-1", "handle": "response", "text": "i"}\n\n',
+                'event: finished\ndata: {"nodeId": "llm-1", "outputs": {"response": "hi"}, "duration": 3}\n\n',
+                DONE,
+            ].join('')),
+        }));
+        const events = [];
+
+        const result = await runPipelineOnServer(
+            { nodes: [node('llm-1', 'llm', { provider: 'mock', apiKey: 'sk-secret' })], edges: [] },
+            { onEvent: (event) => events.push(event) },
+        );
+
+        const body = global.fetch.mock.calls[0][1].body;
+        expect(body).not.toContain('sk-secret');
+        expect(JSON.parse(body).nodes[0].data).toMatchObject({ provider: 'mock', modelName: 'gpt-4o-mini' });
+        expect(events.filter(event => event.type === 'progress').map(event => event.outputs.response)).toEqual(['h', 'hi']);
+        expect(result).toMatchObject({ status: 'succeeded', outputs: { answer: 'hi' }, nodes: { 'llm-1': { status: 'succeeded' } } });
+    });
+
+    test('a stream that ends early is an error', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, body: streamOf('') }));
+        await expect(runPipelineOnServer({ nodes: [], edges: [] })).rejects.toThrow('The server closed the run before it finished');
+    });
+});
+
+test('readServerEvents joins multi-line data and CRLF line endings', async () => {
+    const onEvent = jest.fn();
+    await readServerEvents(streamOf('event: done\r\ndata: {"a":\r\ndata: 1}\r\n\r\n: comment\n\n'), onEvent);
+    expect(onEvent.mock.calls).toEqual([['done', { a: 1 }]]);
+});
@@ -0,0 +1,176 @@
+import { getHandleName } from './graph';
+
+// A Subflow node keeps its contents in data.graph and exposes ports that
+// point at handles inside it:
+//   data.inputs / data.outputs: [{ id, nodeId, handle, dataType }]
+// Execution and validation see through it: flattening inlines the contents
+// under ids qualified by the Subflow's id (`subflow-1/llm-1`) and rewires
+// the edges on its ports to the handles they stand for.
+
+export const SUBFLOW_TYPE = 'subflow';
+export const SUBFLOW_PATH_SEPARATOR = '/';
+
+/**
+ * @param {string[]} path - Ids of the Subflow nodes entered, outermost first
+ * @param {string} nodeId - Id of a node on the innermost canvas
+ * @returns {string} - The node's id in the flattened pipeline
+ */
+export const qualifyNodeId = (path, nodeId) => [...path, nodeId].join(SUBFLOW_PATH_SEPARATOR);
+
+/**
+ * Maps a flattened node id to the node that shows it on a canvas: itself,
+ * or the Subflow containing it
+ * @param {string} qualifiedId - Id in the flattened pipeline
+ * @param {string[]} path - Ids of the Subflow nodes entered, outermost first
+ * @returns {string|null} - Id on that canvas, or null if the node is not on it
+ */
+export const toCanvasNodeId = (qualifiedId, path) => {
+    const segments = qualifiedId.split(SUBFLOW_PATH_SEPARATOR);
+    const onPath = path.every((id, index) => segments[index] === id);
+    return onPath && segments.length > path.length ? segments[path.length] : null;
+};
+
+const flattenLevel = ({ nodes = [], edges = [] }, prefix) => {
+    const flatNodes = [];
+    const flatEdges = [];
+    const subflows = new Map();
+
+    nodes.forEach(node => {
+        if (node.type !== SUBFLOW_TYPE) {
+            flatNodes.push({ ...node, id: prefix + node.id });
+            return;
+        }
+        const inner = flattenLevel(node.data?.graph || {}, prefix + node.id + SUBFLOW_PATH_SEPARATOR);
+        subflows.set(node.id, { node, inner });
+        flatNodes.push(...inner.nodes);
+        flatEdges.push(...inner.edges);
+    });
+
+    // Follows a port down to the handle of a real node: { id, handle } or null
+    const resolve = (kind, nodeId, handle) => {
+        const subflow = subflows.get(nodeId);
+        if (!subflow) return { id: prefix + nodeId, handle };
+        const port = subflow.node.data?.[kind]?.find(entry => entry.id === handle);
+        return port ? subflow.inner.resolve(kind, port.nodeId, port.handle) : null;
+    };
+
+    edges.forEach(edge => {
+        const source = resolve('outputs', edge.source, getHandleName(edge.source, edge.sourceHandle));
+        const target = resolve('inputs', edge.target, getHandleName(edge.target, edge.targetHandle));
+        if (!source || !target) return;
+        flatEdges.push({
+            ...edge,
+            id: prefix + edge.id,
+            source: source.id,
+            sourceHandle: `${source.id}-${source.handle}`,
+            target: target.id,
+            targetHandle: `${target.id}-${target.handle}`,
+        });
+    });
+
+    return { nodes: flatNodes, edges: flatEdges, resolve };
+};
+
+/**
+ * Replaces every Subflow node, at any depth, with its contents
+ * @param {{ nodes: object[], edges: object[] }} pipeline
+ * @returns {{ nodes: object[], edges: object[] }} - A pipeline without Subflow
+ *   nodes; ids inside Subflows are qualified with the Subflow's id
+ */
+export const flattenSubflows = (pipeline) => {
+    const { nodes, edges } = flattenLevel(pipeline, '');
+    return { nodes, edges };
+};
+
+/**
+ * Follows an output handle through Subflows to the node that produces its value
+ * @param {object} node - Node on a canvas
+ * @param {string} handle - Output handle name
+ * @returns {{ nodeId: string, handle: string }|null} - nodeId is qualified
+ *   from the node's canvas (`subflow-1/llm-1`), or null for a broken port
+ */
+export const resolveOutputPort = (node, handle) => {
+    if (!node) return null;
+    if (node.type !== SUBFLOW_TYPE) return { nodeId: node.id, handle };
+    const port = node.data?.outputs?.find(entry => entry.id === handle);
+    const inner = port && node.data.graph?.nodes?.find(entry => entry.id === port.nodeId);
+    const resolved = inner ? resolveOutputPort(inner, port.handle) : null;
+    return resolved && { nodeId: qualifyNodeId([node.id], resolved.nodeId), handle: resolved.handle };
+};
+
+// Port ids are made handle-safe, so different handles can map to the same
+// id (`a-b` + `c` and `a` + `b_c`); a clash gets a numbered suffix
+const toPortId = (nodeId, handle, ports) => {
+    const base = `${nodeId}_${handle}`.replace(/\W/g, '_');
+    let id = base;
+    for (let suffix = 2; ports.has(id); suffix += 1) id = `${base}_${suffix}`;
+    return id;
+};
+
+/**
+ * Splits a selection out of a graph into the contents and ports of a new
+ * Subflow node. Every edge crossing the selection boundary becomes a port;
+ * edges into the same inner handle share one.
+ * @param {{ nodes: object[], edges: object[] }} graph - The canvas
+ * @param {Set<string>} nodeIds - The selection
+ * @param {string} subflowId - Id for the new Subflow node
+ * @param {function} getDataType - (node, handleId, 'source'|'target') -> data type
+ * @returns {{ graph: object, inputs: object[], outputs: object[], edges: object[] }} -
+ *   The contents and ports, plus the canvas edges rewired to the Subflow
+ */
+export const extractSubflow = ({ nodes, edges }, nodeIds, subflowId, getDataType) => {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const inputs = new Map();
+    const outputs = new Map();
+
+    const getPort = (ports, kind, nodeId, handleId) => {
+        const handle = getHandleName(nodeId, handleId);
+        const existing = [...ports.values()].find(port => port.nodeId === nodeId && port.handle === handle);
+        if (existing) return existing;
+        const id = toPortId(nodeId, handle, ports);
+        ports.set(id, { id, nodeId, handle, dataType: getDataType(byId.get(nodeId), handleId, kind) });
+        return ports.get(id);
+    };
+
+    const outerEdges = [];
+    const innerEdges = [];
+    edges.forEach(edge => {
+        const sourceInside = nodeIds.has(edge.source);
+        const targetInside = nodeIds.has(edge.target);
+        if (sourceInside && targetInside) {
+            innerEdges.push(edge);
+        } else if (targetInside) {
+            const port = getPort(inputs, 'target', edge.target, edge.targetHandle);
+            outerEdges.push({ ...edge, id: `${edge.id}-${subflowId}`, target: subflowId, targetHandle: `${subflowId}-${port.id}` });
+        } else if (sourceInside) {
+            const port = getPort(outputs, 'source', edge.source, edge.sourceHandle);
+            outerEdges.push({ ...edge, id: `${edge.id}-${subflowId}`, source: subflowId, sourceHandle: `${subflowId}-${port.id}` });
+        } else {
+            outerEdges.push(edge);
+        }
+    });
+
+    return {
+        graph: {
+            nodes: nodes.filter(node => nodeIds.has(node.id)).map(({ selected, ...node }) => node),
+            edges: innerEdges,
+        },
+        inputs: [...inputs.values()],
+        outputs: [...outputs.values()],
+        edges: outerEdges,
+    };
+};
+
+/**
+ * Drops a Subflow's ports whose inner node or handle no longer exists,
+ * e.g. after the node they pointed at was deleted inside it
+ * @param {object[]} ports - data.inputs or data.outputs
+ * @param {{ nodes: object[], edges: object[] }} graph - The Subflow's contents
+ * @param {function} hasHandle - (node, handle, kind) -> boolean
+ * @param {'inputs'|'outputs'} kind
+ * @returns {object[]}
+ */
+export const pruneSubflowPorts = (ports = [], graph, hasHandle, kind) => {
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    return ports.filter(port => byId.has(port.nodeId) && hasHandle(byId.get(port.nodeId), port.handle, kind));
+};
@@ -0,0 +1,85 @@
+import { extractSubflow, flattenSubflows, pruneSubflowPorts, resolveOutputPort } from './subflows';
+import { edge, node } from '../testFixtures';
+
+const subflow = (id, graph, inputs = [], outputs = []) => node(id, 'subflow', { graph, inputs, outputs });
+const port = (id, nodeId, handle) => ({ id, nodeId, handle, dataType: 'text' });
+const dataType = () => 'text';
+
+describe('flattenSubflows', () => {
+    const inner = subflow('subflow-2', { nodes: [node('llm-1', 'llm')], edges: [] },
+        [port('prompt', 'llm-1', 'prompt')], [port('response', 'llm-1', 'response')]);
+    const outer = subflow('subflow-1', { nodes: [node('text-1', 'text'), inner], edges: [edge('text-1', 'output', 'subflow-2', 'prompt')] },
+        [port('question', 'text-1', 'question')], [port('answer', 'subflow-2', 'response')]);
+
+    test('inlines nested contents under qualified ids and rewires their ports', () => {
+        const { nodes, edges } = flattenSubflows({
+            nodes: [node('customInput-1', 'customInput'), outer, node('customOutput-1', 'customOutput')],
+            edges: [edge('customInput-1', 'value', 'subflow-1', 'question'), edge('subflow-1', 'answer', 'customOutput-1', 'value')],
+        });
+
+        expect(nodes.map(({ id }) => id)).toEqual(['customInput-1', 'subflow-1/text-1', 'subflow-1/subflow-2/llm-1', 'customOutput-1']);
+        expect(edges.map(({ sourceHandle, targetHandle }) => [sourceHandle, targetHandle])).toEqual([
+            ['subflow-1/text-1-output', 'subflow-1/subflow-2/llm-1-prompt'],
+            ['customInput-1-value', 'subflow-1/text-1-question'],
+            ['subflow-1/subflow-2/llm-1-response', 'customOutput-1-value'],
+        ]);
+        expect(resolveOutputPort(outer, 'answer')).toEqual({ nodeId: 'subflow-1/subflow-2/llm-1', handle: 'response' });
+    });
+
+    test('drops edges on ports that point at nothing', () => {
+        const { edges } = flattenSubflows({
+            nodes: [node('customInput-1', 'customInput'), outer],
+            edges: [edge('customInput-1', 'value', 'subflow-1', 'removed')],
+        });
+
+        expect(edges.map(({ id }) => id)).toEqual(['subflow-1/text-1-subflow-2-prompt']);
+    });
+});
+
+describe('extractSubflow', () => {
+    const graph = {
+        nodes: [node('a', 'text'), { ...node('b', 'text'), selected: true }, node('c', 'text')],
+        edges: [edge('a', 'output', 'b', 'x'), edge('a', 'output', 'c', 'y'), edge('b', 'output', 'c', 'x')],
+    };
+
+    test('turns every edge across the selection into a port', () => {
+        const extracted = extractSubflow(graph, new Set(['b']), 'subflow-1', dataType);
+
+        expect(extracted.graph).toEqual({ nodes: [node('b', 'text')], edges: [] });
+        expect(extracted.inputs).toEqual([port('b_x', 'b', 'x')]);
+        expect(extracted.outputs).toEqual([port('b_output', 'b', 'output')]);
+        expect(extracted.edges.map(({ source, sourceHandle, target, targetHandle }) => `${sourceHandle} → ${targetHandle}`)).toEqual([
+            'a-output → subflow-1-b_x',
+            'a-output → c-y',
+            'subflow-1-b_output → c-x',
+        ]);
+    });
+
+    test('edges into the same inner handle share a port', () => {
+        const extracted = extractSubflow({
+            nodes: [node('a', 'text'), node('b', 'text'), node('c', 'text')],
+            edges: [edge('a', 'output', 'c', 'x'), edge('b', 'output', 'c', 'x')],
+        }, new Set(['c']), 'subflow-1', dataType);
+
+        expect(extracted.inputs).toEqual([port('c_x', 'c', 'x')]);
+        expect(extracted.edges.map(({ targetHandle }) => targetHandle)).toEqual(['subflow-1-c_x', 'subflow-1-c_x']);
+    });
+
+    test('handles whose ids clean up to the same port id get their own ports', () => {
+        const extracted = extractSubflow({
+            nodes: [node('src', 'text'), node('a-b', 'text'), node('a', 'text')],
+            edges: [edge('src', 'output', 'a-b', 'c'), edge('src', 'output', 'a', 'b_c')],
+        }, new Set(['a-b', 'a']), 'subflow-1', dataType);
+
+        expect(extracted.inputs.map(({ id, nodeId }) => [id, nodeId])).toEqual([['a_b_c', 'a-b'], ['a_b_c_2', 'a']]);
+        expect(new Set(extracted.edges.map(({ targetHandle }) => targetHandle)).size).toBe(2);
+    });
+});
+
+test('pruneSubflowPorts drops ports whose node or handle is gone', () => {
+    const ports = [port('kept', 'a', 'x'), port('no-node', 'gone', 'x'), port('no-handle', 'a', 'y')];
+    const hasHandle = (target, handle) => handle === 'x';
+
+    expect(pruneSubflowPorts(ports, { nodes: [node('a', 'text')], edges: [] }, hasHandle, 'inputs')).toEqual([ports[0]]);
+    expect(pruneSubflowPorts(undefined, { nodes: [], edges: [] }, hasHandle, 'inputs')).toEqual([]);
+});
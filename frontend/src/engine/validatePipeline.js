@@ -0,0 +1,176 @@
+import { getConfigNode, getNodeData, resolvePorts } from '../nodes/nodeConfigs';
+import { getTemplateIssues, parseVariables } from '../utils/variableParser';
+import { parseTemplate } from '../utils/templateEngine';
+import { checkConnection } from '../utils/dataTypes';
+import { getFieldError, isFieldVisible } from '../utils/fieldSchema';
+import { findCycles, getHandleName, getIncomingEdges } from './graph';
+import { flattenSubflows } from './subflows';
+
+// Each problem names the nodes it concerns so the canvas can badge them:
+//   { code, severity: 'error' | 'warning', message, nodeIds }
+
+const problem = (code, severity, message, nodeIds) => ({ code, severity, message, nodeIds });
+
+const checkCycles = (nodes, edges) => {
+    return findCycles(nodes, edges).map(cycle => problem(
+        'cycle',
+        'error',
+        `Cycle: ${cycle.join(' → ')} → ${cycle[0]}`,
+        cycle,
+    ));
+};
+
+// Edges can become mismatched after the fact, e.g. when an Input switches to File
+const checkEdgeTypes = (nodes, edges) => {
+    return edges
+        .map(edge => ({ edge, ...checkConnection(edge, nodes) }))
+        .filter(({ compatibility }) => compatibility === 'incompatible')
+        .map(({ edge, sourceType, targetType }) => problem(
+            'type-mismatch',
+            'error',
+            sourceType
+                ? `${edge.source} → ${edge.target}: ${sourceType} cannot flow into ${targetType}`
+                : `${edge.source} → ${edge.target}: invalid connection`,
+            [edge.source, edge.target],
+        ));
+};
+
+const checkRequiredInputs = (nodes, connectedHandles) => {
+    const problems = [];
+    nodes.forEach(node => {
+        resolvePorts(getConfigNode(node.type), 'inputs', getNodeData(node)).forEach(input => {
+            if (input.required && !connectedHandles.get(node.id)?.has(input.id)) {
+                problems.push(problem(
+                    'required-input',
+                    'error',
+                    `${node.id}: required input "${input.id}" is not connected`,
+                    [node.id],
+                ));
+            }
+        });
+    });
+    return problems;
+};
+
+const checkTextVariables = (nodes, connectedHandles) => {
+    const problems = [];
+    nodes.filter(node => node.type === 'text').forEach(node => {
+        parseVariables(getNodeData(node).text ?? '').forEach(variable => {
+            if (!connectedHandles.get(node.id)?.has(variable)) {
+                problems.push(problem(
+                    'unbound-variable',
+                    'error',
+                    `${node.id}: variable {{${variable}}} has no incoming connection`,
+                    [node.id],
+                ));
+            }
+        });
+    });
+    return problems;
+};
+
+const checkReachability = (nodes, edges) => {
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => outgoing.get(edge.source)?.push(edge.target));
+
+    const reached = new Set();
+    const queue = nodes.filter(node => node.type === 'customInput').map(node => node.id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (reached.has(id)) continue;
+        reached.add(id);
+        queue.push(...outgoing.get(id));
+    }
+
+    return nodes
+        .filter(node => node.type === 'customOutput' && !reached.has(node.id))
+        .map(node => problem(
+            'unreachable-output',
+            'warning',
+            `${node.id}: not reachable from any Input node`,
+            [node.id],
+        ));
+};
+
+const checkDuplicateNames = (nodes, type, field, label) => {
+    const byName = new Map();
+    nodes.filter(node => node.type === type).forEach(node => {
+        const name = getNodeData(node)[field];
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(node.id);
+    });
+
+    return [...byName.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([name, ids]) => problem(
+            'duplicate-name',
+            'error',
+            `${label} name "${name}" is used by ${ids.join(', ')}`,
+            ids,
+        ));
+};
+
+const checkFields = (nodes) => {
+    const problems = [];
+    nodes.forEach(node => {
+        const data = getNodeData(node);
+        getConfigNode(node.type)?.fields?.forEach(field => {
+            if (!isFieldVisible(field, data)) return;
+            const error = getFieldError(field, data[field.name], data);
+            if (error) {
+                problems.push(problem('invalid-field', 'error', `${node.id}: ${error}`, [node.id]));
+            }
+        });
+    });
+    return problems;
+};
+
+// Fields that hold a template, by node type
+const templateFields = { text: 'text', api: 'endpoint' };
+
+const checkTemplates = (nodes) => {
+    const problems = [];
+    nodes.filter(node => templateFields[node.type]).forEach(node => {
+        const source = getNodeData(node)[templateFields[node.type]] ?? '';
+        try {
+            parseTemplate(source);
+        } catch (error) {
+            problems.push(problem('invalid-template', 'error', `${node.id}: ${error.message}`, [node.id]));
+            return;
+        }
+        getTemplateIssues(source).forEach(issue => {
+            const severity = issue.literal ? 'warning' : 'error';
+            problems.push(problem('invalid-template', severity, `${node.id}: ${issue.message}`, [node.id]));
+        });
+    });
+    return problems;
+};
+
+/**
+ * Checks a pipeline for problems that would stop it running correctly
+ * @param {{ nodes: object[], edges: object[] }} pipeline - Graph from the store
+ * @returns {object[]} - Problems, errors first; nodes inside Subflows are
+ *   named by qualified id (`subflow-1/llm-1`)
+ */
+export const validatePipeline = (pipeline) => {
+    const { nodes, edges } = flattenSubflows(pipeline);
+
+    const connectedHandles = new Map();
+    getIncomingEdges(edges).forEach((incoming, nodeId) => {
+        connectedHandles.set(nodeId, new Set(incoming.map(edge => getHandleName(nodeId, edge.targetHandle))));
+    });
+
+    const problems = [
+        ...checkCycles(nodes, edges),
+        ...checkEdgeTypes(nodes, edges),
+        ...checkRequiredInputs(nodes, connectedHandles),
+        ...checkTextVariables(nodes, connectedHandles),
+        ...checkReachability(nodes, edges),
+        ...checkDuplicateNames(nodes, 'customInput', 'inputName', 'Input'),
+        ...checkDuplicateNames(nodes, 'customOutput', 'outputName', 'Output'),
+        ...checkFields(nodes),
+        ...checkTemplates(nodes),
+    ];
+
+    return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+};
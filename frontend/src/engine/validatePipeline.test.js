@@ -0,0 +1,89 @@
+import { validatePipeline } from './validatePipeline';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { edge, node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+const input = (id, inputName) => node(id, 'customInput', { inputName, inputType: 'Text' });
+const output = (id, outputName) => node(id, 'customOutput', { outputName });
+
+const valid = () => ({
+    nodes: [input('customInput-1', 'question'), node('text-1', 'text', { text: 'Q: {{question}}' }), output('customOutput-1', 'answer')],
+    edges: [edge('customInput-1', 'value', 'text-1', 'question'), edge('text-1', 'output', 'customOutput-1', 'value')],
+});
+
+test('a pipeline with nothing wrong has no problems', () => {
+    expect(validatePipeline(valid())).toEqual([]);
+    expect(validatePipeline({ nodes: [], edges: [] })).toEqual([]);
+});
+
+test('a Subflow that passes values through has no problems', () => {
+    const { nodes } = valid();
+    const subflow = node('subflow-1', 'subflow', {
+        graph: { nodes: [nodes[1]], edges: [] },
+        inputs: [{ id: 'question', nodeId: 'text-1', handle: 'question', dataType: 'text' }],
+        outputs: [{ id: 'output', nodeId: 'text-1', handle: 'output', dataType: 'text' }],
+    });
+
+    expect(validatePipeline({
+        nodes: [nodes[0], subflow, nodes[2]],
+        edges: [edge('customInput-1', 'value', 'subflow-1', 'question'), edge('subflow-1', 'output', 'customOutput-1', 'value')],
+    })).toEqual([]);
+});
+
+test('cycles name every node on them', () => {
+    const { nodes, edges } = valid();
+    const problems = validatePipeline({
+        nodes: [...nodes, node('text-2', 'text', { text: '{{loop}}' })],
+        edges: [...edges, edge('text-1', 'output', 'text-2', 'loop'), edge('text-2', 'output', 'text-1', 'question')],
+    });
+
+    expect(problems.find(({ code }) => code === 'cycle')).toMatchObject({ severity: 'error', nodeIds: ['text-1', 'text-2'] });
+});
+
+test('Text variables need an incoming connection', () => {
+    const { nodes, edges } = valid();
+    nodes[1] = node('text-1', 'text', { text: '{{question}} and {{context}}' });
+
+    expect(validatePipeline({ nodes, edges })).toEqual([{
+        code: 'unbound-variable',
+        severity: 'error',
+        message: 'text-1: variable {{context}} has no incoming connection',
+        nodeIds: ['text-1'],
+    }]);
+});
+
+test('Input and Output names must be unique', () => {
+    const { nodes, edges } = valid();
+    const problems = validatePipeline({
+        nodes: [...nodes, input('customInput-2', 'question'), output('customOutput-2', 'answer')],
+        edges: [...edges, edge('customInput-2', 'value', 'customOutput-2', 'value')],
+    });
+
+    expect(problems.filter(({ code }) => code === 'duplicate-name')).toEqual([
+        expect.objectContaining({ message: 'Input name "question" is used by customInput-1, customInput-2', nodeIds: ['customInput-1', 'customInput-2'] }),
+        expect.objectContaining({ message: 'Output name "answer" is used by customOutput-1, customOutput-2', nodeIds: ['customOutput-1', 'customOutput-2'] }),
+    ]);
+});
+
+test('Outputs no Input reaches are a warning, listed after the errors', () => {
+    const { nodes, edges } = valid();
+    const problems = validatePipeline({
+        nodes: [...nodes, node('text-2', 'text', { text: 'fixed' }), output('customOutput-2', 'other'), node('text-3', 'text', { text: '{{x}}' })],
+        edges: [...edges, edge('text-2', 'output', 'customOutput-2', 'value')],
+    });
+
+    expect(problems.map(({ code, severity }) => [code, severity])).toEqual([
+        ['unbound-variable', 'error'],
+        ['unreachable-output', 'warning'],
+    ]);
+    expect(problems[1].nodeIds).toEqual(['customOutput-2']);
+});
+
+test('problems inside Subflows are named by qualified id', () => {
+    const subflow = node('subflow-1', 'subflow', { graph: { nodes: [node('text-1', 'text', { text: '{{x}}' })], edges: [] }, inputs: [], outputs: [] });
+
+    expect(validatePipeline({ nodes: [subflow], edges: [] })).toEqual([
+        expect.objectContaining({ code: 'unbound-variable', nodeIds: ['subflow-1/text-1'] }),
+    ]);
+});
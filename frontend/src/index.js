@@ -2,6 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { startAutosave } from './drafts';
+import { startLiveValidation } from './validation';
+import { registerBuiltinNodes } from './nodes/builtinNodes';
+import { registerPlugins } from './plugins';
+
+// node types must be registered before a saved draft is restored
+registerBuiltinNodes();
+registerPlugins();
+startAutosave();
+startLiveValidation();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
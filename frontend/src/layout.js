@@ -0,0 +1,130 @@
+// layout.js
+
+import { useState } from 'react';
+import { useStore } from './store';
+import { computeLayout } from './utils/autoLayout';
+import { gridSize } from './ui';
+
+const ANIMATION_MS = 300;
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+let cancelAnimation = () => {};
+
+// Positions written by the running animation; any other change to them (an
+// undo, a drag, opening a Subflow) ends it so it does not fight that change
+const positionsOf = (nodes) => new Map(nodes.map((node) => [node.id, node.position]));
+
+const isAsWritten = (nodes, written) => (
+    nodes.length === written.size && nodes.every((node) => written.get(node.id) === node.position)
+);
+
+const animatePositions = (from, to) => {
+    cancelAnimation();
+    let start = null;
+    let written = positionsOf(useStore.getState().nodes);
+    let frameId = null;
+    const step = (now) => {
+        const { nodes, setNodePositions } = useStore.getState();
+        if (!isAsWritten(nodes, written)) return;
+
+        start ??= now;
+        const t = Math.min(1, (now - start) / ANIMATION_MS);
+        const eased = easeInOut(t);
+        const frame = new Map();
+        to.forEach((target, id) => {
+            const origin = from.get(id);
+            frame.set(id, {
+                x: origin.x + (target.x - origin.x) * eased,
+                y: origin.y + (target.y - origin.y) * eased,
+            });
+        });
+        setNodePositions(frame);
+        written = positionsOf(useStore.getState().nodes);
+        if (t < 1) frameId = requestAnimationFrame(step);
+    };
+    frameId = requestAnimationFrame(step);
+    cancelAnimation = () => cancelAnimationFrame(frameId);
+};
+
+/**
+ * Arranges the canvas left to right by data flow and animates the nodes
+ * into place, as one undo step. The layout starts at the top-left corner of
+ * the nodes it moves, so they stay roughly where they were.
+ * @param {object} [options]
+ * @param {boolean} [options.selectionOnly] - Only move the selected nodes
+ * @returns {boolean} - False when there was nothing to arrange
+ */
+export const autoLayout = ({ selectionOnly = false } = {}) => {
+    const { nodes, edges, recordHistory } = useStore.getState();
+    const targets = selectionOnly ? nodes.filter((node) => node.selected) : nodes;
+    if (targets.length === 0) return false;
+
+    const origin = {
+        x: Math.min(...targets.map((node) => node.position.x)),
+        y: Math.min(...targets.map((node) => node.position.y)),
+    };
+    const positions = computeLayout(targets, edges, { origin, gridSize });
+
+    recordHistory();
+    animatePositions(new Map(targets.map((node) => [node.id, node.position])), positions);
+    return true;
+};
+
+export const LayoutButton = () => {
+    const [selectionOnly, setSelectionOnly] = useState(false);
+    const selectedCount = useStore((state) => state.nodes.filter((node) => node.selected).length);
+    const canUseSelection = selectedCount > 1;
+
+    return (
+        <div style={styles.group}>
+            <button
+                type="button"
+                onClick={() => autoLayout({ selectionOnly: selectionOnly && canUseSelection })}
+                style={styles.button}
+            >
+                Auto layout
+            </button>
+            <label style={{ ...styles.option, ...(!canUseSelection && styles.disabled) }}>
+                <input
+                    type="checkbox"
+                    checked={selectionOnly && canUseSelection}
+                    disabled={!canUseSelection}
+                    onChange={(e) => setSelectionOnly(e.target.checked)}
+                />
+                Selection only
+            </label>
+        </div>
+    );
+};
+
+const styles = {
+    group: {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '4px',
+    },
+    button: {
+        padding: '18px 18px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #1d54baff',
+        borderRadius: '8px',
+        fontSize: '14px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    option: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '4px',
+        fontSize: '12px',
+        color: '#475569',
+        cursor: 'pointer',
+    },
+    disabled: {
+        opacity: 0.5,
+        cursor: 'default',
+    },
+};
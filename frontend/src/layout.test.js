@@ -0,0 +1,49 @@
+import { useStore } from './store';
+import { autoLayout } from './layout';
+import { registerBuiltinNodes } from './nodes/builtinNodes';
+import { edge, node } from './testFixtures';
+
+registerBuiltinNodes();
+
+const positions = () => useStore.getState().nodes.map(({ position }) => position);
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    useStore.getState().loadPipeline({
+        nodes: [{ ...node('text-1', 'text', { text: 'a' }), position: { x: 300, y: 300 } }, node('text-2', 'text', { text: '{{a}}' })],
+        edges: [edge('text-1', 'output', 'text-2', 'a')],
+        viewport: { x: 0, y: 0, zoom: 1 },
+        nodeIDs: {},
+    });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('animates the nodes into place as one undo step', () => {
+    autoLayout();
+    jest.runAllTimers();
+
+    expect(positions()[0].x).toBeLessThan(positions()[1].x);
+    useStore.getState().undo();
+    expect(positions()).toEqual([{ x: 300, y: 300 }, { x: 0, y: 0 }]);
+});
+
+test('an undo during the animation ends it', () => {
+    autoLayout();
+    jest.advanceTimersByTime(100);
+    useStore.getState().undo();
+    jest.runAllTimers();
+
+    expect(positions()).toEqual([{ x: 300, y: 300 }, { x: 0, y: 0 }]);
+});
+
+test('selecting a node does not end it', () => {
+    autoLayout();
+    jest.advanceTimersByTime(100);
+    useStore.getState().selectNodes(['text-1']);
+    jest.runAllTimers();
+
+    expect(positions()[0].x).toBeLessThan(positions()[1].x);
+});
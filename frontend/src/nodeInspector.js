@@ -0,0 +1,275 @@
+import { useStore } from './store';
+import { NodeField } from './components/NodeField';
+import { TemplateEditor } from './components/TemplateEditor';
+import { getConfigNode, getNodeData, getNodeLabel, resolvePorts } from './nodes/nodeConfigs';
+import { getUpstreamSuggestions } from './nodes/textNode';
+import { getHandleName } from './engine/graph';
+import { resolveDataType } from './utils/dataTypes';
+import { isFieldVisible } from './utils/fieldSchema';
+import { theme, getDataTypeColor } from './styles/theme';
+
+// Long text gets room here that it cannot have on the node card
+const MIN_TEXTAREA_ROWS = 8;
+
+const selectInspectedNode = (state) => {
+    const selected = state.nodes.filter((node) => node.selected);
+    return selected.length === 1 ? selected[0] : null;
+};
+
+// The nodes and handles on the other end of a port's edges
+const getConnections = (node, port, kind, nodes, edges) => {
+    const handleId = `${node.id}-${port.id}`;
+    return edges
+        .filter((edge) => (kind === 'inputs'
+            ? edge.target === node.id && edge.targetHandle === handleId
+            : edge.source === node.id && edge.sourceHandle === handleId))
+        .map((edge) => {
+            const otherId = kind === 'inputs' ? edge.source : edge.target;
+            const otherHandle = kind === 'inputs' ? edge.sourceHandle : edge.targetHandle;
+            const other = nodes.find((candidate) => candidate.id === otherId);
+            return {
+                edgeId: edge.id,
+                nodeId: otherId,
+                label: other ? getNodeLabel(other) : otherId,
+                handle: getHandleName(otherId, otherHandle),
+            };
+        });
+};
+
+const PortList = ({ title, node, kind, ports, fieldData }) => {
+    const nodes = useStore((state) => state.nodes);
+    const edges = useStore((state) => state.edges);
+    const selectNodes = useStore((state) => state.selectNodes);
+
+    return (
+        <div style={styles.section}>
+            <div style={styles.sectionTitle}>{title}</div>
+            {ports.length === 0 && <div style={styles.muted}>None</div>}
+            {ports.map((port) => {
+                const dataType = resolveDataType(port, fieldData);
+                const connections = getConnections(node, port, kind, nodes, edges);
+                return (
+                    <div key={port.id} style={styles.port}>
+                        <div style={styles.portHeader}>
+                            <span style={{ ...styles.dot, background: getDataTypeColor(dataType) }} />
+                            <span style={styles.portName}>
+                                {port.id}{port.required && <span style={styles.required}> *</span>}
+                            </span>
+                            <span style={styles.muted}>{dataType}</span>
+                        </div>
+                        {connections.length === 0 && <div style={styles.connectionNone}>Not connected</div>}
+                        {connections.map((connection) => (
+                            <button
+                                key={connection.edgeId}
+                                type="button"
+                                onClick={() => selectNodes([connection.nodeId])}
+                                style={styles.connection}
+                                title={`Select ${connection.nodeId}`}
+                            >
+                                {kind === 'inputs' ? '← ' : '→ '}
+                                {connection.label}
+                                <span style={styles.muted}>.{connection.handle}</span>
+                            </button>
+                        ))}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+/**
+ * Right-hand panel for the single selected node: its label, description,
+ * every field with room to edit, and what each port is connected to.
+ * Edits go through the same store actions as the fields on the node.
+ */
+export const NodeInspector = () => {
+    const node = useStore(selectInspectedNode);
+    const updateNodeField = useStore((state) => state.updateNodeField);
+    const selectNodes = useStore((state) => state.selectNodes);
+
+    if (!node) return null;
+
+    const config = getConfigNode(node.type);
+    if (!config) return null;
+
+    const fieldData = getNodeData(node);
+    const visibleFields = config.fields?.filter((field) => isFieldVisible(field, fieldData)) || [];
+    const inputs = resolvePorts(config, 'inputs', fieldData);
+    const outputs = resolvePorts(config, 'outputs', fieldData);
+
+    const renderField = (field) => {
+        const onChange = (value) => updateNodeField(node.id, field.name, value);
+        // the Text node's template keeps its highlighting and autocomplete here
+        if (node.type === 'text' && field.name === 'text') {
+            return (
+                <div key={field.name} style={styles.field}>
+                    <label style={styles.label}>{field.label}:</label>
+                    <TemplateEditor
+                        value={fieldData.text}
+                        onChange={onChange}
+                        getSuggestions={() => getUpstreamSuggestions(node.id)}
+                        placeholder="Enter text with {{variables}}"
+                    />
+                </div>
+            );
+        }
+        const roomyField = field.type === 'textarea'
+            ? { ...field, rows: Math.max(field.rows || 0, MIN_TEXTAREA_ROWS) }
+            : field;
+        return (
+            <NodeField
+                key={field.name}
+                field={roomyField}
+                value={fieldData[field.name]}
+                data={fieldData}
+                onChange={onChange}
+            />
+        );
+    };
+
+    return (
+        <aside style={styles.panel} aria-label="Node inspector">
+            <div style={styles.header}>
+                <span aria-hidden="true">{config.icon}</span>
+                <span style={styles.headerText}>{getNodeLabel(node)}</span>
+                <button type="button" onClick={() => selectNodes([])} style={styles.close} aria-label="Close inspector">×</button>
+            </div>
+
+            <div style={styles.section}>
+                <label style={styles.label} htmlFor="inspector-node-label">Label:</label>
+                <input
+                    id="inspector-node-label"
+                    type="text"
+                    value={node.data?.label ?? ''}
+                    placeholder={config.label}
+                    onChange={(e) => updateNodeField(node.id, 'label', e.target.value)}
+                    style={styles.input}
+                />
+                <div style={styles.meta}>
+                    {config.label} · {node.id}
+                </div>
+                {config.description && <div style={styles.description}>{config.description}</div>}
+            </div>
+
+            {visibleFields.length > 0 && (
+                <div style={styles.section}>
+                    <div style={styles.sectionTitle}>Configuration</div>
+                    {visibleFields.map(renderField)}
+                </div>
+            )}
+
+            <PortList title="Inputs" node={node} kind="inputs" ports={inputs} fieldData={fieldData} />
+            <PortList title="Outputs" node={node} kind="outputs" ports={outputs} fieldData={fieldData} />
+        </aside>
+    );
+};
+
+const styles = {
+    panel: {
+        width: '320px',
+        flex: 1,
+        minHeight: 0,
+        overflowY: 'auto',
+        borderLeft: `1px solid ${theme.colors.border}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+        background: theme.colors.surface,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    header: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+    },
+    headerText: {
+        flex: 1,
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.sm,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+    close: {
+        border: 'none',
+        background: 'none',
+        fontSize: theme.typography.fontSize.lg,
+        color: theme.colors.text.secondary,
+        cursor: 'pointer',
+    },
+    section: {
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+    },
+    sectionTitle: {
+        color: theme.colors.text.secondary,
+        fontWeight: theme.typography.fontWeight.semibold,
+        marginBottom: theme.spacing.sm,
+    },
+    field: {
+        marginBottom: theme.spacing.md,
+    },
+    label: {
+        display: 'block',
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        marginBottom: theme.spacing.xs,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    input: {
+        width: '100%',
+        boxSizing: 'border-box',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.borderRadius.sm,
+        fontSize: theme.typography.fontSize.sm,
+    },
+    meta: {
+        marginTop: theme.spacing.xs,
+        color: theme.colors.text.muted,
+    },
+    description: {
+        marginTop: theme.spacing.xs,
+        color: theme.colors.text.secondary,
+    },
+    port: {
+        marginBottom: theme.spacing.sm,
+    },
+    portHeader: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.xs,
+    },
+    portName: {
+        flex: 1,
+        color: theme.colors.text.primary,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    required: {
+        color: theme.colors.danger,
+    },
+    dot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        flexShrink: 0,
+    },
+    connection: {
+        display: 'block',
+        width: '100%',
+        padding: `2px ${theme.spacing.md}`,
+        border: 'none',
+        background: 'none',
+        textAlign: 'left',
+        color: theme.colors.primary,
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.xs,
+    },
+    connectionNone: {
+        padding: `2px ${theme.spacing.md}`,
+        color: theme.colors.text.muted,
+    },
+    muted: {
+        color: theme.colors.text.muted,
+    },
+};
@@ -0,0 +1,220 @@
+// nodePalette.js
+
+import { useState, useCallback } from 'react';
+import { useReactFlow, useStoreApi } from 'reactflow';
+import { useStore } from './store';
+import { useNodeRegistry } from './nodes/registry';
+import { usePalette, searchDefinitions, groupByCategory, insertNode } from './palette';
+import { startNodeDrag } from './draggableNode';
+import { SubflowLibraryPalette } from './subflowControls';
+import { gridSize } from './ui';
+import { theme } from './styles/theme';
+
+// Nodes added by click stack diagonally instead of on top of each other
+const CASCADE_OFFSET = gridSize * 2;
+
+const snap = (value) => Math.round(value / gridSize) * gridSize;
+
+// Adds a node in the middle of the visible canvas
+const useAddAtCenter = () => {
+    const { project } = useReactFlow();
+    const flowStore = useStoreApi();
+
+    return useCallback((type) => {
+        const { width, height } = flowStore.getState();
+        const center = project({ x: width / 2, y: height / 2 });
+        let position = { x: snap(center.x), y: snap(center.y) };
+        const isTaken = ({ x, y }) => useStore.getState().nodes.some((node) => node.position.x === x && node.position.y === y);
+        while (isTaken(position)) {
+            position = { x: position.x + CASCADE_OFFSET, y: position.y + CASCADE_OFFSET };
+        }
+        insertNode(type, position);
+    }, [project, flowStore]);
+};
+
+const PaletteItem = ({ definition, isFavorite, onAdd, onToggleFavorite }) => {
+    const onKeyDown = (event) => {
+        if (event.target !== event.currentTarget) return;
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            onAdd(definition.type);
+        }
+    };
+
+    return (
+        <div
+            role="button"
+            tabIndex={0}
+            draggable
+            onDragStart={(event) => startNodeDrag(event, definition.type)}
+            onDragEnd={(event) => (event.target.style.cursor = 'grab')}
+            onClick={() => onAdd(definition.type)}
+            onKeyDown={onKeyDown}
+            title={`Add ${definition.label}: click, press Enter or drag onto the canvas`}
+            style={styles.item}
+        >
+            <span style={styles.icon} aria-hidden="true">{definition.icon}</span>
+            <span style={styles.text}>
+                <span style={styles.label}>{definition.label}</span>
+                {definition.description && <span style={styles.description}>{definition.description}</span>}
+            </span>
+            <button
+                type="button"
+                onClick={(event) => {
+                    event.stopPropagation();
+                    onToggleFavorite(definition.type);
+                }}
+                aria-pressed={isFavorite}
+                aria-label={isFavorite ? `Remove ${definition.label} from favorites` : `Add ${definition.label} to favorites`}
+                style={{ ...styles.favorite, ...(isFavorite && styles.favoriteActive) }}
+            >
+                {isFavorite ? '★' : '☆'}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Side panel listing every node type by category, with search, favorites
+ * and recently added types. Nodes are dragged onto the canvas or added to
+ * the middle of the view by click or Enter.
+ */
+export const NodePalette = () => {
+    const definitions = useNodeRegistry((state) => state.definitions);
+    const favorites = usePalette((state) => state.favorites);
+    const recent = usePalette((state) => state.recent);
+    const toggleFavorite = usePalette((state) => state.toggleFavorite);
+    const [query, setQuery] = useState('');
+    const addAtCenter = useAddAtCenter();
+
+    const matches = searchDefinitions(definitions, query);
+    const byType = new Map(matches.map((definition) => [definition.type, definition]));
+    const pick = (types) => types.map((type) => byType.get(type)).filter(Boolean);
+
+    // favorites and recents are shortcuts, so they step aside while searching
+    const sections = [
+        ...(query ? [] : [
+            { category: 'Favorites', definitions: pick(favorites) },
+            { category: 'Recent', definitions: pick(recent) },
+        ]),
+        ...groupByCategory(matches),
+    ].filter((section) => section.definitions.length > 0);
+
+    const onSearchKeyDown = (event) => {
+        if (event.key === 'Enter' && matches.length > 0) {
+            addAtCenter(matches[0].type);
+        } else if (event.key === 'Escape') {
+            setQuery('');
+        }
+    };
+
+    return (
+        <aside style={styles.panel} aria-label="Nodes">
+            <input
+                type="search"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                onKeyDown={onSearchKeyDown}
+                placeholder="Search nodes…"
+                aria-label="Search nodes"
+                style={styles.search}
+            />
+            <div style={styles.sections}>
+                {sections.map((section) => (
+                    <section key={section.category} style={styles.section}>
+                        <h3 style={styles.heading}>{section.category}</h3>
+                        {section.definitions.map((definition) => (
+                            <PaletteItem
+                                key={definition.type}
+                                definition={definition}
+                                isFavorite={favorites.includes(definition.type)}
+                                onAdd={addAtCenter}
+                                onToggleFavorite={toggleFavorite}
+                            />
+                        ))}
+                    </section>
+                ))}
+                {sections.length === 0 && <p style={styles.empty}>No nodes match “{query}”</p>}
+                {!query && <SubflowLibraryPalette />}
+            </div>
+        </aside>
+    );
+};
+
+const styles = {
+    panel: {
+        width: '240px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: theme.spacing.sm,
+        padding: theme.spacing.sm,
+        borderRight: `1px solid ${theme.colors.border}`,
+        background: theme.colors.surface,
+        fontFamily: theme.typography.fontFamily,
+    },
+    search: {
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.borderRadius.md,
+        fontSize: theme.typography.fontSize.sm,
+    },
+    sections: {
+        flex: 1,
+        overflowY: 'auto',
+    },
+    section: {
+        marginBottom: theme.spacing.sm,
+    },
+    heading: {
+        margin: `${theme.spacing.sm} 0 ${theme.spacing.xs}`,
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.xs,
+        fontWeight: theme.typography.fontWeight.semibold,
+        textTransform: 'uppercase',
+        letterSpacing: '0.04em',
+    },
+    item: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        borderRadius: theme.borderRadius.md,
+        cursor: 'grab',
+    },
+    icon: {
+        width: '1.5rem',
+        textAlign: 'center',
+    },
+    text: {
+        flex: 1,
+        minWidth: 0,
+        display: 'flex',
+        flexDirection: 'column',
+    },
+    label: {
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.sm,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    description: {
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+    },
+    favorite: {
+        border: 'none',
+        background: 'none',
+        color: theme.colors.text.muted,
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.base,
+    },
+    favoriteActive: {
+        color: theme.colors.warning,
+    },
+    empty: {
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.sm,
+    },
+};
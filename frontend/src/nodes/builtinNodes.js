@@ -0,0 +1,24 @@
+
+import { registerNodeType } from './registry';
+import { nodeConfigs } from './nodeConfigs';
+import { executors } from '../engine/executors';
+import { TextNode } from './textNode';
+import { SubflowNode } from './subflowNode';
+import { DatabaseNode } from './databaseNode';
+
+const customComponents = {
+    text: TextNode,
+    subflow: SubflowNode,
+    database: DatabaseNode,
+};
+
+export const registerBuiltinNodes = () => {
+    ['customInput', 'llm', 'customOutput', 'text', 'api', 'database', 'transform', 'filter', 'merge', 'subflow']
+        .forEach(type => {
+            registerNodeType({
+                ...nodeConfigs[type],
+                component: customComponents[type],
+                execute: executors[type],
+            });
+        });
+};
@@ -1,15 +1,55 @@
-
+import { useState } from 'react';
+import { useConnectionProfiles } from '../connectionProfiles';
+import { ConnectionsDialog } from '../connectionsDialog';
 import { BaseNode } from '../components/BaseNode';
-import { nodeConfigs } from './nodeConfigs';
+import { theme } from '../styles/theme';
+import { getConfigNode } from './nodeConfigs';
+
+export const DatabaseNode = ({ id, type, data }) => {
+    const [managing, setManaging] = useState(false);
+    // re-renders the Connection list when profiles are added or renamed
+    const profiles = useConnectionProfiles((state) => state.profiles);
+    const connection = profiles.find((profile) => profile.id === data.connection);
 
-export const DatabaseNode = ({ id, data }) => {
     return (
-        <BaseNode
-            id={id}
-            data={{
-                ...data,
-                config: nodeConfigs.database
-            }}
-        />
+        <BaseNode id={id} data={{ ...data, config: getConfigNode(type) }}>
+            <div style={styles.footer}>
+                <span style={styles.summary}>
+                    {connection ? connection.adapter : 'No connection'}
+                </span>
+                <button type="button" onClick={() => setManaging(true)} style={styles.button}>
+                    Manage connections
+                </button>
+            </div>
+            {managing && (
+                <ConnectionsDialog initialId={data.connection} onClose={() => setManaging(false)} />
+            )}
+        </BaseNode>
     );
 };
+
+const styles = {
+    footer: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderTop: `1px solid ${theme.colors.border}`,
+    },
+
+    summary: {
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    button: {
+        padding: `2px ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        color: theme.colors.primary,
+        border: `1px solid ${theme.colors.primary}`,
+        borderRadius: '4px',
+        fontSize: theme.typography.fontSize.xs,
+        cursor: 'pointer',
+    },
+};
@@ -1,18 +0,0 @@
-import { BaseNode } from "../components/BaseNode"
-import { nodeConfigs } from "./nodeConfigs"
-
-
-
-export const LLMNode = ({ id, data }) => {
-  return (
-    <BaseNode
-      id={id}
-      data={
-        {
-          ...data,
-          config: nodeConfigs.llm
-        }
-      }
-    />
-  )
-}
\ No newline at end of file
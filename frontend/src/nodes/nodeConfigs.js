@@ -1,13 +1,121 @@
 
+import { isValidVariableName, parseVariables } from '../utils/variableParser';
+import { getLlmProvider, getLlmProviders } from '../engine/llmProviders';
+import { validateFixtures } from '../engine/apiRequest';
+import { parseJsonPath } from '../utils/jsonPath';
+import { getExpressionError } from '../utils/expressionEngine';
+import { DEFAULT_CONNECTION, compileQuery, getQueryParams } from '../engine/databaseAdapters';
+import { parseSql } from '../engine/memoryDatabase';
+import { useConnectionProfiles } from '../connectionProfiles';
+import { isBlankEntry } from '../utils/fieldSchema';
+
+// Field schema: { type, name, label, defaultValue, placeholder, help,
+// required, validate(value, data) -> message, visibleWhen,
+// onChange(value, data, previousData) -> other field values to set with it }.
+// Types are text, textarea, select (options, or a function of the data
+// returning them), number and slider (min, max, step),
+// checkbox, toggle, json, keyValue, secret and file.
+//
+// `inputs` and `outputs` are either a fixed list of ports or a function of
+// the node's field data returning one, for handles that follow the fields.
+
+const MERGE_INPUT_RANGE = { min: 2, max: 10 };
+
+// While the Inputs field is cleared or out of range mid-edit, a Merge node
+// keeps the handles it had (saved as handleCount), so the edges on them are
+// not pruned
+const getMergeInputCount = (data) => {
+    const count = data.inputCount === '' ? NaN : Number(data.inputCount);
+    const valid = Number.isInteger(count) && count >= MERGE_INPUT_RANGE.min && count <= MERGE_INPUT_RANGE.max;
+    return valid ? count : data.handleCount ?? MERGE_INPUT_RANGE.min;
+};
+
+const validateName = (value) => (
+    isValidVariableName(value) ? null : 'Use letters, digits and underscores, not starting with a digit'
+);
+
+const getModelOptions = (data) => getLlmProvider(data.provider)?.models || [];
+
+const validateModel = (value, data) => {
+    const provider = getLlmProvider(data.provider);
+    if (!provider) return `Unknown provider "${data.provider}"`;
+    return provider.models.some(model => model.value === value)
+        ? null
+        : `${provider.label} does not offer "${value}"`;
+};
+
+const validateTemperature = (value, data) => {
+    const provider = getLlmProvider(data.provider);
+    return provider && value > provider.maxTemperature
+        ? `${provider.label} accepts a temperature up to ${provider.maxTemperature}`
+        : null;
+};
+
+const API_RESERVED_INPUTS = ['url', 'body'];
+
+const validateJsonPath = (value) => {
+    try {
+        parseJsonPath(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+const getConnectionOptions = () => (
+    useConnectionProfiles.getState().profiles.map(profile => ({ value: profile.id, label: profile.name }))
+);
+
+const validateConnection = (value) => (
+    useConnectionProfiles.getState().getProfile(value) ? null : 'Pick a saved connection'
+);
+
+// Queries for the in-memory adapter are checked as they are typed; other
+// adapters only report errors when they run
+const validateQuery = (value, data) => {
+    if (useConnectionProfiles.getState().getProfile(data.connection)?.adapter !== 'memory') return null;
+    try {
+        parseSql(compileQuery(value).sql);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+const DATABASE_RESULT_TYPES = { records: 'list', first: 'json', column: 'list', value: 'any' };
+
+const FILTER_RESERVED_OUTPUTS = ['passed', 'failed'];
+
+const validateBranches = (value) => {
+    const branches = (value || []).filter(entry => !isBlankEntry(entry));
+    const names = branches.map(entry => entry.key);
+    const invalid = names.find(name => !isValidVariableName(name) || FILTER_RESERVED_OUTPUTS.includes(name));
+    if (invalid !== undefined) {
+        return `Branch "${invalid}" must be an identifier other than passed or failed`;
+    }
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) return `Branch "${duplicate}" is defined twice`;
+    for (const entry of branches) {
+        const error = getExpressionError(entry.value, ['value']);
+        if (error) return `Branch "${entry.key}": ${error}`;
+    }
+    return null;
+};
+
+const validateTransformExpression = (value) => getExpressionError(value);
+
+const validateCondition = (value) => getExpressionError(value, ['value']);
+
 export const nodeConfigs = {
     /// here lets make each node as simple config object so that i can achive abstraction 
     customInput: {
         type: 'customInput',
         label: 'Input',
         description: 'Input source',
+        category: 'Inputs/Outputs',
+        icon: '📥',
 
         outputs: [
-            { id: 'value', position: 'right' }
+            { id: 'value', position: 'right', dataType: (data) => (data.inputType === 'File' ? 'file' : 'text') }
         ],
 
         fields: [
@@ -15,6 +123,8 @@ export const nodeConfigs = {
                 type: 'text',
                 name: 'inputName',
                 label: 'Name',
+                required: true,
+                validate: validateName,
                 defaultValue: (id) => id.replace('customInput-', 'input_'),
             },
             {
@@ -31,22 +141,95 @@ export const nodeConfigs = {
         type: 'llm',
         label: 'LLM',
         description: 'Large Language Model',
+        category: 'AI',
+        icon: '🤖',
 
         inputs: [
-            { id: 'system', position: 'left', style: { top: '33%' } },
-            { id: 'prompt', position: 'left', style: { top: '66%' } }
+            { id: 'system', position: 'left', style: { top: '33%' }, dataType: 'text' },
+            { id: 'prompt', position: 'left', style: { top: '66%' }, dataType: 'text', required: true }
         ],
 
-        outputs: [
-            { id: 'response', position: 'right' }
+        outputs: (data) => [
+            { id: 'response', position: 'right', dataType: data.jsonMode ? 'json' : 'text' }
         ],
 
         fields: [
             {
-                type: 'text',
+                type: 'select',
+                name: 'provider',
+                label: 'Provider',
+                options: () => getLlmProviders().map(provider => ({ value: provider.id, label: provider.label })),
+                onChange: (value) => ({ modelName: getLlmProvider(value)?.models[0].value }),
+                defaultValue: 'openai',
+            },
+            {
+                type: 'select',
                 name: 'modelName',
                 label: 'Model',
-                defaultValue: 'GPT-4',
+                options: getModelOptions,
+                validate: validateModel,
+                defaultValue: 'gpt-4o-mini',
+            },
+            {
+                type: 'secret',
+                name: 'apiKey',
+                label: 'API key',
+                required: true,
+                visibleWhen: (data) => getLlmProvider(data.provider)?.requiresApiKey,
+            },
+            {
+                type: 'textarea',
+                name: 'mockResponses',
+                label: 'Canned responses',
+                placeholder: 'Empty to echo the prompt',
+                help: 'Replayed in order, one per call; separate responses with a line of ---',
+                visibleWhen: { field: 'provider', equals: 'mock' },
+            },
+            {
+                type: 'slider',
+                name: 'temperature',
+                label: 'Temperature',
+                min: 0,
+                max: 2,
+                step: 0.1,
+                validate: validateTemperature,
+                defaultValue: 0.7,
+            },
+            {
+                type: 'number',
+                name: 'maxTokens',
+                label: 'Max tokens',
+                min: 1,
+                step: 1,
+                required: true,
+                defaultValue: 1024,
+            },
+            {
+                type: 'textarea',
+                name: 'stop',
+                label: 'Stop sequences',
+                placeholder: 'One per line',
+                rows: 2,
+            },
+            {
+                type: 'toggle',
+                name: 'jsonMode',
+                label: 'JSON mode',
+                defaultValue: false,
+            },
+            {
+                type: 'json',
+                name: 'responseSchema',
+                label: 'Response schema',
+                placeholder: '{ "type": "object", "required": ["answer"] }',
+                help: 'Optional JSON Schema the response must match',
+                visibleWhen: { field: 'jsonMode' },
+            },
+            {
+                type: 'toggle',
+                name: 'stream',
+                label: 'Stream response',
+                defaultValue: false,
             }
         ],
     },
@@ -55,9 +238,11 @@ export const nodeConfigs = {
         type: 'customOutput',
         label: 'Output',
         description: 'Output destination',
+        category: 'Inputs/Outputs',
+        icon: '📤',
 
         inputs: [
-            { id: 'value', position: 'left' }
+            { id: 'value', position: 'left', dataType: (data) => (data.outputType === 'Image' ? 'image' : 'text'), required: true }
         ],
 
         fields: [
@@ -65,6 +250,7 @@ export const nodeConfigs = {
                 type: 'text',
                 name: 'outputName',
                 label: 'Name',
+                required: true,
                 defaultValue: (id) => id.replace('customOutput-', 'output_'),
             },
             {
@@ -77,34 +263,207 @@ export const nodeConfigs = {
         ],
     },
 
+    text: {
+        type: 'text',
+        label: 'Text',
+        description: 'Text template with {{variables}}',
+        category: 'AI',
+        icon: '📝',
+
+        inputs: (data) => parseVariables(data.text ?? '').map(name => (
+            { id: name, position: 'left', dataType: 'any' }
+        )),
+
+        outputs: [
+            { id: 'output', position: 'right', dataType: 'text' }
+        ],
+
+        fields: [
+            {
+                type: 'textarea',
+                name: 'text',
+                label: 'Text',
+                defaultValue: '{{input}}',
+            }
+        ],
+    },
+
     ///just adding 5 additional nodes here 
     api: {
         type: 'api',
         label: 'API',
         description: 'HTTP API Request',
+        category: 'Integrations',
+        icon: '🌐',
 
-        inputs: [
-            { id: 'url', position: 'left', style: { top: '40%' } },
-            { id: 'body', position: 'left', style: { top: '60%' } }
+        // each {{param}} in the endpoint becomes an input, URL-encoded into place
+        inputs: (data) => [
+            { id: 'url', position: 'left', dataType: 'text' },
+            { id: 'body', position: 'left', dataType: 'json' },
+            ...parseVariables(data.endpoint ?? '')
+                .filter(name => !API_RESERVED_INPUTS.includes(name))
+                .map(name => ({ id: name, position: 'left', dataType: 'text', required: true })),
         ],
 
         outputs: [
-            { id: 'response', position: 'right' }
+            { id: 'response', position: 'right', dataType: 'json' },
+            { id: 'status', position: 'right', dataType: 'any' }
         ],
 
         fields: [
+            {
+                type: 'select',
+                name: 'mode',
+                label: 'Mode',
+                options: [
+                    { value: 'live', label: 'Live' },
+                    { value: 'record', label: 'Live, recording fixtures' },
+                    { value: 'replay', label: 'Replay fixtures (offline)' },
+                ],
+                defaultValue: 'live',
+            },
             {
                 type: 'select',
                 name: 'method',
                 label: 'Method',
-                options: ['GET', 'POST', 'PUT', 'DELETE'],
+                options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
                 defaultValue: 'GET',
             },
             {
                 type: 'text',
                 name: 'endpoint',
                 label: 'Endpoint',
+                placeholder: 'https://example.com/users/{{userId}}',
+                help: 'Each {{param}} becomes an input',
                 defaultValue: '/api/data',
+            },
+            {
+                type: 'keyValue',
+                name: 'headers',
+                label: 'Headers',
+                keyPlaceholder: 'Header',
+                defaultValue: [],
+            },
+            {
+                type: 'keyValue',
+                name: 'queryParams',
+                label: 'Query params',
+                keyPlaceholder: 'Param',
+                defaultValue: [],
+            },
+            {
+                type: 'select',
+                name: 'authType',
+                label: 'Auth',
+                options: [
+                    { value: 'none', label: 'None' },
+                    { value: 'bearer', label: 'Bearer token' },
+                    { value: 'basic', label: 'Basic' },
+                    { value: 'apiKey', label: 'API key' },
+                ],
+                defaultValue: 'none',
+            },
+            {
+                type: 'secret',
+                name: 'authToken',
+                label: 'Token',
+                required: true,
+                visibleWhen: { field: 'authType', equals: 'bearer' },
+            },
+            {
+                type: 'text',
+                name: 'username',
+                label: 'Username',
+                required: true,
+                visibleWhen: { field: 'authType', equals: 'basic' },
+            },
+            {
+                type: 'secret',
+                name: 'password',
+                label: 'Password',
+                visibleWhen: { field: 'authType', equals: 'basic' },
+            },
+            {
+                type: 'select',
+                name: 'apiKeyIn',
+                label: 'Send key in',
+                options: [
+                    { value: 'header', label: 'Header' },
+                    { value: 'query', label: 'Query param' },
+                ],
+                defaultValue: 'header',
+                visibleWhen: { field: 'authType', equals: 'apiKey' },
+            },
+            {
+                type: 'text',
+                name: 'apiKeyName',
+                label: 'Key name',
+                required: true,
+                defaultValue: 'X-API-Key',
+                visibleWhen: { field: 'authType', equals: 'apiKey' },
+            },
+            {
+                type: 'secret',
+                name: 'apiKeyValue',
+                label: 'Key',
+                required: true,
+                visibleWhen: { field: 'authType', equals: 'apiKey' },
+            },
+            {
+                type: 'number',
+                name: 'timeoutMs',
+                label: 'Timeout (ms)',
+                min: 0,
+                step: 1000,
+                help: '0 waits indefinitely',
+                defaultValue: 30000,
+            },
+            {
+                type: 'number',
+                name: 'retries',
+                label: 'Retries',
+                min: 0,
+                max: 10,
+                step: 1,
+                help: 'For network errors, timeouts, 429 and 5xx responses',
+                defaultValue: 0,
+            },
+            {
+                type: 'number',
+                name: 'backoffMs',
+                label: 'Backoff (ms)',
+                min: 0,
+                step: 100,
+                help: 'Doubles after each retry',
+                defaultValue: 500,
+                visibleWhen: (data) => data.retries > 0,
+            },
+            {
+                type: 'select',
+                name: 'responseFormat',
+                label: 'Response',
+                options: [
+                    { value: 'auto', label: 'By Content-Type' },
+                    { value: 'json', label: 'JSON' },
+                    { value: 'text', label: 'Text' },
+                ],
+                defaultValue: 'auto',
+            },
+            {
+                type: 'text',
+                name: 'extractPath',
+                label: 'Extract',
+                placeholder: '$.data.items[*].id',
+                help: 'JSONPath into the response; empty passes it whole',
+                validate: validateJsonPath,
+            },
+            {
+                type: 'json',
+                name: 'fixtures',
+                label: 'Fixtures',
+                placeholder: '[{ "request": { "method": "GET", "url": "…" }, "response": { "status": 200, "body": "…" } }]',
+                validate: validateFixtures,
+                visibleWhen: { field: 'mode', in: ['record', 'replay'] },
             }
         ],
     },
@@ -113,28 +472,57 @@ export const nodeConfigs = {
         type: 'database',
         label: 'Database',
         description: 'Database Query',
+        category: 'Integrations',
+        icon: '🗄️',
 
-        inputs: [
-            { id: 'query', position: 'left' }
-        ],
+        // each {{param}} in the query becomes an input, bound as a parameter
+        inputs: (data) => getQueryParams(data.query ?? '')
+            .map(name => ({ id: name, position: 'left', dataType: 'any', required: true })),
 
-        outputs: [
-            { id: 'result', position: 'right' }
+        outputs: (data) => [
+            { id: 'result', position: 'right', dataType: DATABASE_RESULT_TYPES[data.resultShape] || 'list' },
+            { id: 'rowCount', position: 'right', dataType: 'any' }
         ],
 
         fields: [
             {
                 type: 'select',
-                name: 'operation',
-                label: 'Operation',
-                options: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'],
-                defaultValue: 'SELECT',
+                name: 'connection',
+                label: 'Connection',
+                options: getConnectionOptions,
+                validate: validateConnection,
+                defaultValue: DEFAULT_CONNECTION.id,
             },
             {
-                type: 'text',
-                name: 'table',
-                label: 'Table',
-                defaultValue: 'users',
+                type: 'textarea',
+                name: 'query',
+                label: 'Query',
+                placeholder: 'SELECT * FROM users WHERE id = {{userId}}',
+                help: 'Each {{param}} becomes an input, sent as a bound value rather than pasted into the SQL',
+                required: true,
+                validate: validateQuery,
+                defaultValue: 'SELECT * FROM users',
+            },
+            {
+                type: 'number',
+                name: 'rowLimit',
+                label: 'Row limit',
+                min: 0,
+                step: 10,
+                help: '0 returns every row',
+                defaultValue: 100,
+            },
+            {
+                type: 'select',
+                name: 'resultShape',
+                label: 'Result',
+                options: [
+                    { value: 'records', label: 'List of records' },
+                    { value: 'first', label: 'First record' },
+                    { value: 'column', label: 'First column as a list' },
+                    { value: 'value', label: 'Single value' },
+                ],
+                defaultValue: 'records',
             }
         ],
     },
@@ -143,13 +531,15 @@ export const nodeConfigs = {
         type: 'transform',
         label: 'Transform',
         description: 'Transform Data',
+        category: 'Data',
+        icon: '🔄',
 
         inputs: [
-            { id: 'input', position: 'left' }
+            { id: 'input', position: 'left', dataType: 'list', required: true }
         ],
 
         outputs: [
-            { id: 'output', position: 'right' }
+            { id: 'output', position: 'right', dataType: (data) => (data.operation === 'Reduce' ? 'any' : 'list') }
         ],
 
         fields: [
@@ -164,6 +554,10 @@ export const nodeConfigs = {
                 type: 'text',
                 name: 'expression',
                 label: 'Expression',
+                placeholder: 'item => item.price * 2',
+                help: 'Reduce takes (total, item) => …; Sort a key or an (a, b) => comparator',
+                required: true,
+                validate: validateTransformExpression,
                 defaultValue: 'x => x',
             }
         ],
@@ -173,14 +567,20 @@ export const nodeConfigs = {
         type: 'filter',
         label: 'Filter',
         description: 'Filter Data',
+        category: 'Logic',
+        icon: '🔍',
 
         inputs: [
-            { id: 'input', position: 'left' }
+            { id: 'input', position: 'left', dataType: 'any', required: true }
         ],
 
-        outputs: [
-            { id: 'passed', position: 'right', style: { top: '40%' } },
-            { id: 'failed', position: 'right', style: { top: '60%' } }
+        // items go to the first branch whose condition holds, otherwise to failed
+        outputs: (data) => [
+            { id: 'passed', position: 'right', dataType: 'any' },
+            ...(data.branches || [])
+                .filter(entry => isValidVariableName(entry.key) && !FILTER_RESERVED_OUTPUTS.includes(entry.key))
+                .map(entry => ({ id: entry.key, position: 'right', dataType: 'any' })),
+            { id: 'failed', position: 'right', dataType: 'any' },
         ],
 
         fields: [
@@ -188,7 +588,21 @@ export const nodeConfigs = {
                 type: 'text',
                 name: 'condition',
                 label: 'Condition',
+                placeholder: 'value.score >= 0.5',
+                help: 'An expression over value',
+                required: true,
+                validate: validateCondition,
                 defaultValue: 'value > 0',
+            },
+            {
+                type: 'keyValue',
+                name: 'branches',
+                label: 'More branches',
+                keyPlaceholder: 'Branch',
+                valuePlaceholder: 'Condition',
+                help: 'Checked in order after the condition above',
+                validate: validateBranches,
+                defaultValue: [],
             }
         ],
     },
@@ -197,15 +611,15 @@ export const nodeConfigs = {
         type: 'merge',
         label: 'Merge',
         description: 'Merge Inputs',
+        category: 'Data',
+        icon: '🔀',
 
-        inputs: [
-            { id: 'input1', position: 'left', style: { top: '33%' } },
-            { id: 'input2', position: 'left', style: { top: '50%' } },
-            { id: 'input3', position: 'left', style: { top: '66%' } }
-        ],
+        inputs: (data) => Array.from({ length: getMergeInputCount(data) }, (_, index) => (
+            { id: `input${index + 1}`, position: 'left', dataType: 'any' }
+        )),
 
         outputs: [
-            { id: 'output', position: 'right' }
+            { id: 'output', position: 'right', dataType: (data) => (data.strategy === 'Concat' ? 'any' : 'list') }
         ],
 
         fields: [
@@ -215,11 +629,107 @@ export const nodeConfigs = {
                 label: 'Strategy',
                 options: ['Concat', 'Union', 'Intersect'],
                 defaultValue: 'Concat',
+            },
+            {
+                type: 'number',
+                name: 'inputCount',
+                label: 'Inputs',
+                min: MERGE_INPUT_RANGE.min,
+                max: MERGE_INPUT_RANGE.max,
+                step: 1,
+                required: true,
+                onChange: (value, data, previousData) => ({ handleCount: getMergeInputCount(previousData) }),
+                defaultValue: 3,
+            }
+        ],
+    },
+
+    // Created by grouping nodes (see engine/subflows.js); its ports are the
+    // edges that crossed the grouped selection
+    subflow: {
+        type: 'subflow',
+        label: 'Subflow',
+        description: 'Group of nodes',
+        category: 'Logic',
+        icon: '🧩',
+        hideInPalette: true,
+
+        inputs: (data) => (data.inputs || []).map(port => (
+            { id: port.id, position: 'left', dataType: port.dataType }
+        )),
+
+        outputs: (data) => (data.outputs || []).map(port => (
+            { id: port.id, position: 'right', dataType: port.dataType }
+        )),
+
+        fields: [
+            {
+                type: 'text',
+                name: 'name',
+                label: 'Name',
+                required: true,
+                defaultValue: 'Subflow',
             }
         ],
     },
 };
 
+// Plugins add to this map through registerNodeType in ./registry
 export const getConfigNode = (type) => {
     return nodeConfigs[type] || null
 }
+
+/**
+ * Resolves a single field's default, which may depend on the node id
+ * @param {object} field - Field definition from a node config
+ * @param {string} nodeId - Id of the node the field belongs to
+ * @returns {*} - The default value for the field
+ */
+export const resolveFieldDefault = (field, nodeId) => {
+    return typeof field.defaultValue === 'function'
+        ? field.defaultValue(nodeId)
+        : field.defaultValue;
+}
+
+/**
+ * Builds the initial field values for a freshly created node
+ * @param {string} type - Node type key in nodeConfigs
+ * @param {string} nodeId - Id of the new node
+ * @returns {object} - Map of field name to default value
+ */
+export const getDefaultFieldValues = (type, nodeId) => {
+    const values = {};
+    getConfigNode(type)?.fields?.forEach(field => {
+        values[field.name] = resolveFieldDefault(field, nodeId);
+    });
+    return values;
+}
+
+/**
+ * Merges a node's stored data over its field defaults
+ * @param {object} node - React Flow node
+ * @returns {object} - Complete field data for the node
+ */
+export const getNodeData = (node) => {
+    return { ...getDefaultFieldValues(node.type, node.id), ...node.data };
+}
+
+/**
+ * @param {object} node - React Flow node
+ * @returns {string} - The name the user gave the node, else its type's label
+ */
+export const getNodeLabel = (node) => {
+    return node.data?.label || getConfigNode(node.type)?.label || node.type;
+}
+
+/**
+ * Resolves a config's input or output ports for the given field data
+ * @param {object} config - Node config
+ * @param {'inputs'|'outputs'} kind
+ * @param {object} data - The node's field data, defaults included
+ * @returns {object[]} - Port entries; empty when the config has none
+ */
+export const resolvePorts = (config, kind, data) => {
+    const ports = typeof config?.[kind] === 'function' ? config[kind](data) : config?.[kind];
+    return ports || [];
+}
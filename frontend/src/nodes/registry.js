@@ -0,0 +1,81 @@
+// registry.js
+
+import { create } from "zustand";
+import { nodeConfigs } from './nodeConfigs';
+
+const components = new Map();
+const executors = new Map();
+
+// Ordered list of registered node definitions; the palette and canvas
+// re-render from this when a plugin registers after startup
+export const useNodeRegistry = create(() => ({
+    definitions: [],
+}));
+
+const assertPorts = (type, kind, ports) => {
+    // a function is resolved against field data when the node renders
+    if (ports === undefined || typeof ports === 'function') return;
+    if (!Array.isArray(ports) || ports.some(port => typeof port?.id !== 'string' || !port.id)) {
+        throw new Error(`Node type "${type}": ${kind} must be an array of { id } entries`);
+    }
+};
+
+/**
+ * Registers a node type so it appears in the palette, renders on the
+ * canvas and can be saved, validated and executed
+ * @param {object} definition
+ * @param {string} definition.type - Unique node type key, used in node ids (`${type}-1`)
+ * @param {string} definition.label - Name shown on the node and in the palette
+ * @param {string} [definition.description] - One-line summary shown on the node and in the palette
+ * @param {string} [definition.category] - Palette group, e.g. 'AI' or 'Integrations'
+ * @param {string} [definition.icon] - Short glyph or emoji for the palette tile
+ * @param {boolean} [definition.hideInPalette] - Registered but only created by other means
+ * @param {object[]} [definition.fields] - Field schema rendered by BaseNode (see nodeConfigs.js)
+ * @param {object[]|function} [definition.inputs] - Input handles: { id, dataType, required, style },
+ *   or a function of the node's field data returning them
+ * @param {object[]|function} [definition.outputs] - Output handles: { id, dataType, style }, likewise
+ * @param {function} [definition.component] - Custom React Flow node component;
+ *   defaults to rendering the config with BaseNode
+ * @param {function} [definition.execute] - Executor, same contract as engine/executors.js
+ * @throws {Error} - If the type is taken or the definition is malformed
+ */
+export const registerNodeType = (definition) => {
+    const { type, component, execute, ...config } = definition || {};
+
+    if (typeof type !== 'string' || !/^[A-Za-z][\w]*$/.test(type)) {
+        throw new Error(`Node type "${type}" must be an identifier`);
+    }
+    if (useNodeRegistry.getState().definitions.some(entry => entry.type === type)) {
+        throw new Error(`Node type "${type}" is already registered`);
+    }
+    if (typeof config.label !== 'string' || !config.label) {
+        throw new Error(`Node type "${type}" needs a label`);
+    }
+    assertPorts(type, 'inputs', config.inputs);
+    assertPorts(type, 'outputs', config.outputs);
+    if (config.fields !== undefined && (!Array.isArray(config.fields) || config.fields.some(field => !field?.name))) {
+        throw new Error(`Node type "${type}": fields must be an array of { name, type } entries`);
+    }
+    if (execute !== undefined && typeof execute !== 'function') {
+        throw new Error(`Node type "${type}": execute must be a function`);
+    }
+
+    nodeConfigs[type] = { ...config, type };
+    if (component) components.set(type, component);
+    if (execute) executors.set(type, execute);
+
+    useNodeRegistry.setState(state => ({
+        definitions: [...state.definitions, nodeConfigs[type]],
+    }));
+};
+
+/**
+ * @param {string} type - Node type key
+ * @returns {function|null} - The custom component, or null to use the config-driven default
+ */
+export const getNodeComponent = (type) => components.get(type) || null;
+
+/**
+ * @returns {object} - Executors contributed through registerNodeType, keyed by type
+ */
+export const getRegisteredExecutors = () => Object.fromEntries(executors);
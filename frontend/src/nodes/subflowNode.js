@@ -0,0 +1,60 @@
+import { useStore } from '../store';
+import { useSubflowLibrary } from '../subflowLibrary';
+import { BaseNode } from '../components/BaseNode';
+import { theme } from '../styles/theme';
+import { getConfigNode } from './nodeConfigs';
+
+export const SubflowNode = ({ id, type, data }) => {
+    const openSubflow = useStore((state) => state.openSubflow);
+    const saveSubflow = useSubflowLibrary((state) => state.saveSubflow);
+    const nodeCount = data.graph?.nodes?.length ?? 0;
+
+    return (
+        <BaseNode id={id} data={{ ...data, config: getConfigNode(type) }}>
+            <div style={styles.footer}>
+                <span style={styles.summary}>
+                    {nodeCount} {nodeCount === 1 ? 'node' : 'nodes'}
+                </span>
+                <div style={styles.actions}>
+                    <button type="button" onClick={() => openSubflow(id)} style={styles.button}>
+                        Open
+                    </button>
+                    <button type="button" onClick={() => saveSubflow(data)} style={styles.button}>
+                        Save to library
+                    </button>
+                </div>
+            </div>
+        </BaseNode>
+    );
+};
+
+const styles = {
+    footer: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderTop: `1px solid ${theme.colors.border}`,
+    },
+
+    summary: {
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+
+    actions: {
+        display: 'flex',
+        gap: theme.spacing.xs,
+    },
+
+    button: {
+        padding: `2px ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        color: theme.colors.primary,
+        border: `1px solid ${theme.colors.primary}`,
+        borderRadius: '4px',
+        fontSize: theme.typography.fontSize.xs,
+        cursor: 'pointer',
+    },
+};
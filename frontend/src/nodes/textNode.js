@@ -1,64 +1,108 @@
 
-import { useState, useEffect, useRef } from 'react';
+import { useMemo } from 'react';
 import { Handle, Position } from 'reactflow';
-import { theme } from '../styles/theme';
-import { parseVariables } from '../utils/variableParser';
+import { useStore } from '../store';
+import { theme, getDataTypeColor } from '../styles/theme';
+import { ProblemBadge } from '../components/ProblemBadge';
+import { useRunStatusStyle } from '../components/useRunStatusStyle';
+import { getHandlePosition, useDynamicHandles } from '../components/useDynamicHandles';
+import { TemplateEditor } from '../components/TemplateEditor';
+import { getDownstreamNodeIds } from '../engine/graph';
+import { renderTemplate } from '../utils/templateEngine';
+import { getConfigNode, getNodeData, nodeConfigs, resolveFieldDefault, resolvePorts } from './nodeConfigs';
+
+const textField = nodeConfigs.text.fields[0];
+
+// Sample values are typed as text; JSON lets them stand in for objects and lists
+const parseSample = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+};
+
+const renderPreview = (text, variables, sampleValues) => {
+  const values = {};
+  variables.forEach(variable => {
+    if (sampleValues[variable]) values[variable] = parseSample(sampleValues[variable]);
+  });
+  try {
+    return { output: renderTemplate(text, values), error: null };
+  } catch (error) {
+    return { output: null, error: error.message };
+  }
+};
+
+// Names a variable could take to line up with something upstream: Input
+// names, and the outputs of every node that would not form a cycle
+export const getUpstreamSuggestions = (id) => {
+  const { nodes, edges } = useStore.getState();
+  const downstream = getDownstreamNodeIds(id, edges);
+  return nodes
+    .filter(node => node.id !== id && !downstream.has(node.id))
+    .flatMap(node => {
+      const config = getConfigNode(node.type);
+      const nodeData = getNodeData(node);
+      if (node.type === 'customInput') {
+        return [{ name: nodeData.inputName, detail: node.id }];
+      }
+      return resolvePorts(config, 'outputs', nodeData).map(port => ({ name: port.id, detail: node.id }));
+    })
+    .filter(option => option.name);
+};
 
 export const TextNode = ({ id, data }) => {
-  const [text, setText] = useState(data?.text || '{{input}}');
-  const [variables, setVariables] = useState([]);
-  const textareaRef = useRef(null);
-
-  useEffect(() => {
-    const detectedVars = parseVariables(text);
-    setVariables(detectedVars);
-  }, [text]);
-
-  useEffect(() => {
-    if (textareaRef.current) {
-      textareaRef.current.style.height = 'auto';
-      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
-    }
-  }, [text]);
-
-  const handleTextChange = (e) => {
-    setText(e.target.value);
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const runStatusStyle = useRunStatusStyle(id);
+  const text = data?.text ?? resolveFieldDefault(textField, id);
+  const variables = useMemo(
+    () => resolvePorts(nodeConfigs.text, 'inputs', { text }).map(port => port.id),
+    [text]
+  );
+  useDynamicHandles(id, variables);
+
+  const sampleValues = data?.sampleValues || {};
+  const hasSamples = variables.some(variable => sampleValues[variable]);
+  const preview = hasSamples ? renderPreview(text, variables, sampleValues) : null;
+
+  const handleTextChange = (value) => {
+    updateNodeField(id, textField.name, value);
   };
 
-  const getHandlePosition = (index, total) => {
-    if (total === 1) return '50%';
-    const spacing = 80 / (total + 1);
-    return `${10 + spacing * (index + 1)}%`;
+  const handleSampleChange = (variable, value) => {
+    updateNodeField(id, 'sampleValues', { ...sampleValues, [variable]: value });
   };
 
   return (
-    <div style={styles.nodeContainer}>
+    <div style={{ ...styles.nodeContainer, ...runStatusStyle }}>
+      <ProblemBadge nodeId={id} />
       {variables.map((variable, index) => (
         <Handle
           key={variable}
           type="target"
           position={Position.Left}
           id={`${id}-${variable}`}
+          title={`${variable}: any`}
           style={{
             ...styles.handle,
+            background: getDataTypeColor('any'),
             top: getHandlePosition(index, variables.length),
           }}
         />
       ))}
 
       <div style={styles.header}>
-        <span style={styles.headerText}>Text</span>
+        <span style={styles.headerText}>{data?.label || nodeConfigs.text.label}</span>
       </div>
 
       <div style={styles.content}>
         <label style={styles.label}>Text:</label>
-        <textarea
-          ref={textareaRef}
+        <TemplateEditor
           value={text}
           onChange={handleTextChange}
-          style={styles.textarea}
+          getSuggestions={() => getUpstreamSuggestions(id)}
           placeholder="Enter text with {{variables}}"
-          rows={1}
         />
 
         {variables.length > 0 && (
@@ -66,20 +110,41 @@ export const TextNode = ({ id, data }) => {
             <span style={styles.variablesLabel}>Variables:</span>
             <div style={styles.variablesList}>
               {variables.map(variable => (
-                <span key={variable} style={styles.variableTag}>
-                  {variable}
-                </span>
+                <div key={variable} style={styles.variableRow}>
+                  <span style={styles.variableTag}>
+                    {variable}
+                  </span>
+                  <input
+                    type="text"
+                    value={sampleValues[variable] ?? ''}
+                    onChange={(e) => handleSampleChange(variable, e.target.value)}
+                    placeholder="Sample value"
+                    style={styles.sampleInput}
+                  />
+                </div>
               ))}
             </div>
           </div>
         )}
+
+        {preview && (
+          <div style={styles.variablesInfo}>
+            <span style={styles.variablesLabel}>Preview:</span>
+            {preview.error ? (
+              <div style={styles.previewError}>{preview.error}</div>
+            ) : (
+              <div style={styles.preview}>{preview.output}</div>
+            )}
+          </div>
+        )}
       </div>
 
       <Handle
         type="source"
         position={Position.Right}
         id={`${id}-output`}
-        style={styles.handle}
+        title="output: text"
+        style={{ ...styles.handle, background: getDataTypeColor('text') }}
       />
     </div>
   );
@@ -87,6 +152,7 @@ export const TextNode = ({ id, data }) => {
 
 const styles = {
   nodeContainer: {
+    position: 'relative',
     background: theme.colors.surface,
     border: `1px solid ${theme.colors.border}`,
     borderRadius: '4px',
@@ -120,23 +186,6 @@ const styles = {
     fontWeight: theme.typography.fontWeight.medium,
   },
 
-  textarea: {
-    width: '100%',
-    padding: `${theme.spacing.sm} ${theme.spacing.sm}`,
-    background: theme.colors.surface,
-    border: `1px solid #cbd5e1`,
-    borderRadius: '4px',
-    color: theme.colors.text.primary,
-    fontSize: theme.typography.fontSize.xs,
-    outline: 'none',
-    resize: 'none',
-    fontFamily: theme.typography.fontFamily,
-    minHeight: '60px',
-    maxHeight: '300px',
-    overflow: 'auto',
-    boxSizing: 'border-box',  
-  },
-
   variablesInfo: {
     marginTop: theme.spacing.sm,
     padding: theme.spacing.sm,
@@ -155,10 +204,38 @@ const styles = {
 
   variablesList: {
     display: 'flex',
-    flexWrap: 'wrap',
+    flexDirection: 'column',
+    gap: theme.spacing.xs,
+  },
+
+  variableRow: {
+    display: 'flex',
+    alignItems: 'center',
     gap: theme.spacing.xs,
   },
 
+  sampleInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: `2px ${theme.spacing.xs}`,
+    border: `1px solid #cbd5e1`,
+    borderRadius: '3px',
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily,
+  },
+
+  preview: {
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    color: theme.colors.text.primary,
+    fontSize: theme.typography.fontSize.xs,
+  },
+
+  previewError: {
+    color: theme.colors.danger,
+    fontSize: theme.typography.fontSize.xs,
+  },
+
   variableTag: {
     padding: `4px ${theme.spacing.sm}`,
     background: theme.colors.primary,
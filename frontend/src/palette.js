@@ -0,0 +1,88 @@
+// palette.js
+
+import { create } from "zustand";
+import { useStore } from './store';
+import { getDefaultFieldValues } from './nodes/nodeConfigs';
+import { readPaletteState, writePaletteState } from './utils/draftStorage';
+
+// Categories in palette order; plugin categories not listed here follow them
+export const PALETTE_CATEGORIES = ['Inputs/Outputs', 'AI', 'Data', 'Integrations', 'Logic'];
+const OTHER_CATEGORY = 'Other';
+const MAX_RECENT = 5;
+
+// Favorite and recently added node types, kept across sessions
+export const usePalette = create((set, get) => ({
+    ...readPaletteState(),
+
+    toggleFavorite: (type) => {
+      const { favorites } = get();
+      set({
+        favorites: favorites.includes(type)
+          ? favorites.filter((entry) => entry !== type)
+          : [...favorites, type],
+      });
+      writePaletteState(get());
+    },
+    noteUsed: (type) => {
+      set({ recent: [type, ...get().recent.filter((entry) => entry !== type)].slice(0, MAX_RECENT) });
+      writePaletteState(get());
+    },
+  }));
+
+/**
+ * Node definitions offered in the palette that match a search, in
+ * registry order. Every word of the query has to appear in the label,
+ * type, description or category.
+ * @param {object[]} definitions - From useNodeRegistry
+ * @param {string} query
+ * @returns {object[]}
+ */
+export const searchDefinitions = (definitions, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return definitions
+        .filter((definition) => !definition.hideInPalette)
+        .filter((definition) => {
+            const haystack = [definition.label, definition.type, definition.description, definition.category]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            return words.every((word) => haystack.includes(word));
+        });
+};
+
+/**
+ * @param {object[]} definitions
+ * @returns {{ category: string, definitions: object[] }[]} - Non-empty groups, in palette order
+ */
+export const groupByCategory = (definitions) => {
+    const groups = new Map(PALETTE_CATEGORIES.map((category) => [category, []]));
+    definitions.forEach((definition) => {
+        const category = definition.category || OTHER_CATEGORY;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(definition);
+    });
+    return [...groups]
+        .filter(([, entries]) => entries.length > 0)
+        .map(([category, entries]) => ({ category, definitions: entries }));
+};
+
+/**
+ * Adds a new node with its default field values and remembers the type as
+ * recently used
+ * @param {string} type - Node type key
+ * @param {{ x: number, y: number }} position - Flow coordinates
+ * @param {object} [data] - Merged over the defaults, e.g. a library Subflow's contents
+ * @returns {string} - The new node's id
+ */
+export const insertNode = (type, position, data = {}) => {
+    const { getNodeID, addNode } = useStore.getState();
+    const nodeID = getNodeID(type);
+    addNode({
+        id: nodeID,
+        type,
+        position,
+        data: { id: nodeID, nodeType: `${type}`, ...getDefaultFieldValues(type, nodeID), ...data },
+    });
+    usePalette.getState().noteUsed(type);
+    return nodeID;
+};
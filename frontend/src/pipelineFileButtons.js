@@ -0,0 +1,75 @@
+import { useRef } from 'react';
+import { useStore } from './store';
+import { serializePipeline, parsePipelineFile } from './utils/pipelineFile';
+
+export const SavePipelineButton = () => {
+
+    const handleSave = () => {
+        const { getRootGraph, nodeIDs } = useStore.getState();
+        const { nodes, edges, viewport } = getRootGraph();
+        const doc = serializePipeline({ nodes, edges, viewport, nodeIDs }, { omitSecrets: true });
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'pipeline.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <button type="button" onClick={handleSave} style={styles.button}>
+            Save
+        </button>
+    );
+};
+
+export const OpenPipelineButton = () => {
+
+    const loadPipeline = useStore((state) => state.loadPipeline);
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files?.[0];
+        // reset so picking the same file again still fires onChange
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const doc = parsePipelineFile(await file.text());
+            loadPipeline(doc);
+        } catch (error) {
+            console.error('Error:', error);
+            alert(`Could not open ${file.name}: ${error.message}`);
+        }
+    };
+
+    return (
+        <>
+            <button type="button" onClick={() => fileInputRef.current?.click()} style={styles.button}>
+                Open
+            </button>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileChange}
+                style={{ display: 'none' }}
+            />
+        </>
+    );
+};
+
+const styles = {
+    button: {
+        padding: '18px 18px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #1d54baff',
+        borderRadius: '8px',
+        fontSize: '14px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    }
+};
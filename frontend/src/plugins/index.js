@@ -0,0 +1,36 @@
+// plugins/index.js
+//
+// In-house node types live here. A plugin is a definition for
+// registerNodeType (see nodes/registry.js); the palette, canvas, file
+// format, validator and execution engine all pick it up from there:
+//
+//   export const slackNode = {
+//     type: 'slack',
+//     label: 'Slack',
+//     description: 'Post a message to a channel',
+//     category: 'Integrations',
+//     icon: '💬',
+//     inputs: [{ id: 'message', dataType: 'text', required: true }],
+//     outputs: [{ id: 'ok', dataType: 'json' }],
+//     fields: [{ type: 'text', name: 'channel', label: 'Channel', defaultValue: '#general' }],
+//     execute: async ({ data, inputs }) => ({ ok: await postToSlack(data.channel, inputs.message) }),
+//   };
+//
+// and then add it to the list below. LLM providers for the llm node are
+// added with registerLlmProvider from engine/llmProviders.js instead, and
+// databases for the database node with registerDatabaseAdapter from
+// engine/databaseAdapters.js.
+
+import { registerNodeType } from '../nodes/registry';
+
+const plugins = [];
+
+export const registerPlugins = () => {
+    plugins.forEach(plugin => {
+        try {
+            registerNodeType(plugin);
+        } catch (error) {
+            console.error(`Could not register plugin "${plugin?.type}":`, error);
+        }
+    });
+};
@@ -0,0 +1,122 @@
+import { shallow } from 'zustand/shallow';
+import { useStore } from './store';
+import { theme } from './styles/theme';
+
+const severityColors = {
+    error: theme.colors.danger,
+    warning: theme.colors.warning,
+};
+
+const selector = (state) => ({
+    problems: state.problems,
+    problemsOpen: state.problemsOpen,
+    setProblemsOpen: state.setProblemsOpen,
+    selectNodes: state.selectNodes,
+});
+
+export const ProblemsButton = () => {
+    const { problems, problemsOpen, setProblemsOpen } = useStore(selector, shallow);
+    const errorCount = problems.filter((problem) => problem.severity === 'error').length;
+    const color = errorCount > 0 ? severityColors.error : problems.length > 0 ? severityColors.warning : theme.colors.text.secondary;
+
+    return (
+        <button
+            type="button"
+            onClick={() => setProblemsOpen(!problemsOpen)}
+            style={{ ...styles.toggle, color, borderColor: color }}
+        >
+            Problems ({problems.length})
+        </button>
+    );
+};
+
+export const ProblemsPanel = () => {
+    const { problems, problemsOpen, setProblemsOpen, selectNodes } = useStore(selector, shallow);
+
+    if (!problemsOpen) return null;
+
+    return (
+        <aside style={styles.panel}>
+            <div style={styles.header}>
+                <span style={styles.headerText}>Problems</span>
+                <button type="button" onClick={() => setProblemsOpen(false)} style={styles.close} aria-label="Close problems panel">×</button>
+            </div>
+            {problems.length === 0 && <div style={styles.empty}>No problems found.</div>}
+            {problems.map((problem, index) => (
+                <button
+                    key={`${problem.code}-${index}`}
+                    type="button"
+                    onClick={() => selectNodes(problem.nodeIds)}
+                    style={styles.row}
+                >
+                    <span style={{ ...styles.dot, background: severityColors[problem.severity] }} />
+                    <span>{problem.message}</span>
+                </button>
+            ))}
+        </aside>
+    );
+};
+
+const styles = {
+    toggle: {
+        padding: '8px 10px',
+        backgroundColor: '#ffffff',
+        border: '1px solid',
+        borderRadius: '8px',
+        fontSize: '13px',
+        cursor: 'pointer',
+    },
+    panel: {
+        width: '320px',
+        flex: 1,
+        minHeight: 0,
+        overflowY: 'auto',
+        borderLeft: `1px solid ${theme.colors.border}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+        background: theme.colors.surface,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    header: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+    },
+    headerText: {
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.sm,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+    close: {
+        border: 'none',
+        background: 'none',
+        fontSize: theme.typography.fontSize.lg,
+        color: theme.colors.text.secondary,
+        cursor: 'pointer',
+    },
+    empty: {
+        padding: theme.spacing.md,
+        color: theme.colors.text.muted,
+    },
+    row: {
+        display: 'flex',
+        alignItems: 'baseline',
+        gap: theme.spacing.sm,
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.md}`,
+        border: 'none',
+        background: 'none',
+        textAlign: 'left',
+        cursor: 'pointer',
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    dot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        flexShrink: 0,
+    },
+};
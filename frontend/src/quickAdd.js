@@ -0,0 +1,137 @@
+// quickAdd.js
+
+import { useState } from 'react';
+import { useNodeRegistry } from './nodes/registry';
+import { usePalette, searchDefinitions } from './palette';
+import { theme } from './styles/theme';
+
+/**
+ * Search popup for adding a node where it was opened, e.g. at the cursor
+ * @param {object} props
+ * @param {{ x: number, y: number }} props.anchor - Top-left of the popup, relative to its container
+ * @param {function} props.onPick - Called with the chosen node type
+ * @param {function} props.onClose - Called on Escape or when the popup loses focus
+ */
+export const QuickAddMenu = ({ anchor, onPick, onClose }) => {
+    const definitions = useNodeRegistry((state) => state.definitions);
+    const recent = usePalette((state) => state.recent);
+    const [query, setQuery] = useState('');
+    const [active, setActive] = useState(0);
+
+    const found = searchDefinitions(definitions, query);
+    // recently used types come first until the user starts typing
+    const matches = query ? found : [
+        ...recent.map((type) => found.find((definition) => definition.type === type)).filter(Boolean),
+        ...found.filter((definition) => !recent.includes(definition.type)),
+    ];
+    const activeIndex = Math.min(active, matches.length - 1);
+
+    const onKeyDown = (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setActive((activeIndex + step + matches.length) % Math.max(matches.length, 1));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (matches[activeIndex]) onPick(matches[activeIndex].type);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div style={{ ...styles.popup, left: anchor.x, top: anchor.y }}>
+            <input
+                autoFocus
+                value={query}
+                onChange={(event) => {
+                    setQuery(event.target.value);
+                    setActive(0);
+                }}
+                onKeyDown={onKeyDown}
+                onBlur={onClose}
+                placeholder="Add node…"
+                aria-label="Add node"
+                aria-controls="quick-add-options"
+                aria-activedescendant={matches[activeIndex] ? `quick-add-${matches[activeIndex].type}` : undefined}
+                style={styles.input}
+            />
+            <ul id="quick-add-options" role="listbox" style={styles.list}>
+                {matches.map((definition, index) => (
+                    <li
+                        key={definition.type}
+                        id={`quick-add-${definition.type}`}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        // keep focus in the input so onBlur does not close before the click lands
+                        onMouseDown={(event) => event.preventDefault()}
+                        onMouseEnter={() => setActive(index)}
+                        onClick={() => onPick(definition.type)}
+                        style={{ ...styles.option, ...(index === activeIndex && styles.activeOption) }}
+                    >
+                        <span aria-hidden="true">{definition.icon}</span>
+                        <span style={styles.label}>{definition.label}</span>
+                        <span style={styles.category}>{definition.category}</span>
+                    </li>
+                ))}
+                {matches.length === 0 && <li style={styles.empty}>No nodes match</li>}
+            </ul>
+        </div>
+    );
+};
+
+const styles = {
+    popup: {
+        position: 'absolute',
+        zIndex: 10,
+        width: '240px',
+        background: theme.colors.surface,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.borderRadius.md,
+        boxShadow: theme.shadows.md,
+        fontFamily: theme.typography.fontFamily,
+        overflow: 'hidden',
+    },
+    input: {
+        width: '100%',
+        boxSizing: 'border-box',
+        padding: theme.spacing.sm,
+        border: 'none',
+        borderBottom: `1px solid ${theme.colors.border}`,
+        outline: 'none',
+        fontSize: theme.typography.fontSize.sm,
+    },
+    list: {
+        maxHeight: '240px',
+        overflowY: 'auto',
+        margin: 0,
+        padding: theme.spacing.xs,
+        listStyle: 'none',
+    },
+    option: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        borderRadius: theme.borderRadius.sm,
+        fontSize: theme.typography.fontSize.sm,
+        cursor: 'pointer',
+    },
+    activeOption: {
+        background: theme.colors.background,
+        color: theme.colors.primary,
+    },
+    label: {
+        flex: 1,
+    },
+    category: {
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    empty: {
+        padding: theme.spacing.sm,
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.sm,
+    },
+};
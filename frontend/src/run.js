@@ -0,0 +1,54 @@
+// run.js
+
+import { useStore } from './store';
+import { runPipeline } from './engine/runPipeline';
+import { runPipelineOnServer } from './engine/serverRun';
+import { resetMockReplays } from './engine/llmProviders';
+import { useConnectionProfiles } from './connectionProfiles';
+
+let activeController = null;
+
+/**
+ * Runs the pipeline currently on the canvas and streams node progress
+ * into the store's run state for the run panel and node highlights
+ * @param {object} [options] - Passed through to runPipeline (inputs, providers);
+ *   database nodes use the saved connection profiles
+ * @param {boolean} [options.onServer] - Run on the backend instead, streaming its progress
+ * @returns {Promise<object|null>} - The run result, or null if it could not start
+ */
+export const startPipelineRun = async ({ onServer = false, ...options } = {}) => {
+    const store = useStore.getState();
+    if (store.run.status === 'running') return null;
+
+    const controller = new AbortController();
+    activeController = controller;
+    resetMockReplays();
+    store.startRun();
+
+    try {
+      const { nodes, edges } = useStore.getState().getRootGraph();
+      const run = onServer ? runPipelineOnServer : runPipeline;
+      const result = await run({ nodes, edges }, {
+        connections: useConnectionProfiles.getState().profiles,
+        ...options,
+        signal: controller.signal,
+        onEvent: (event) => (
+          event.type === 'dataChanged'
+            ? useStore.getState().saveRunData(event.nodeId, event.data)
+            : useStore.getState().applyRunEvent(event)
+        ),
+      });
+      useStore.getState().finishRun(result);
+      return result;
+    } catch (error) {
+      console.error('Error:', error);
+      useStore.getState().finishRun({ status: 'failed', error: error.message });
+      return null;
+    } finally {
+      if (activeController === controller) activeController = null;
+    }
+};
+
+export const cancelPipelineRun = () => {
+    activeController?.abort();
+};
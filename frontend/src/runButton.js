@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { useStore } from './store';
+import { useDraftStore } from './drafts';
+import { startPipelineRun, cancelPipelineRun } from './run';
+import { RunInputsDialog } from './runInputsDialog';
+import { validateCanvas } from './validation';
+import { getNodeData } from './nodes/nodeConfigs';
+import { flattenSubflows } from './engine/subflows';
+import { readRunInputs, writeRunInputs } from './utils/draftStorage';
+
+// One form field per distinct Input node name on the canvas
+const getInputFields = (nodes) => {
+    const fields = new Map();
+    nodes
+        .filter((node) => node.type === 'customInput')
+        .forEach((node) => {
+            const data = getNodeData(node);
+            if (!fields.has(data.inputName)) {
+                fields.set(data.inputName, { name: data.inputName, type: data.inputType });
+            }
+        });
+    return [...fields.values()];
+};
+
+export const RunButton = () => {
+
+    const running = useStore((state) => state.run.status === 'running');
+    const draftId = useDraftStore((state) => state.activeId);
+    const [inputFields, setInputFields] = useState(null);
+    const [onServer, setOnServer] = useState(false);
+
+    const handleRun = () => {
+        if (validateCanvas({ onServer }).some((problem) => problem.severity === 'error')) {
+            useStore.getState().setProblemsOpen(true);
+            return;
+        }
+        const fields = getInputFields(flattenSubflows(useStore.getState().getRootGraph()).nodes);
+        if (fields.length === 0) {
+            startPipelineRun({ onServer });
+        } else {
+            setInputFields(fields);
+        }
+    };
+
+    const handleInputsSubmit = (inputs) => {
+        setInputFields(null);
+        if (draftId) writeRunInputs(draftId, inputs);
+        startPipelineRun({ inputs, onServer });
+    };
+
+    return (
+        <>
+            <button
+                type="button"
+                onClick={running ? cancelPipelineRun : handleRun}
+                style={{ ...styles.button, ...(running && styles.cancel) }}
+            >
+                {running ? 'Cancel' : 'Run'}
+            </button>
+            <select
+                aria-label="Run on"
+                title="Where the pipeline runs; the server streams its progress back"
+                value={onServer ? 'server' : 'browser'}
+                onChange={(event) => setOnServer(event.target.value === 'server')}
+                disabled={running}
+                style={styles.runner}
+            >
+                <option value="browser">Browser</option>
+                <option value="server">Server</option>
+            </select>
+            {inputFields && (
+                <RunInputsDialog
+                    fields={inputFields}
+                    initialValues={draftId ? readRunInputs(draftId) : {}}
+                    onSubmit={handleInputsSubmit}
+                    onCancel={() => setInputFields(null)}
+                />
+            )}
+        </>
+    );
+};
+
+const styles = {
+    button: {
+        padding: '18px 18px',
+        backgroundColor: '#1d54baff',
+        color: '#ffffff',
+        border: 'none',
+        borderRadius: '8px',
+        fontSize: '14px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    cancel: {
+        backgroundColor: '#ef4444',
+    },
+    runner: {
+        padding: '6px',
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '13px',
+        backgroundColor: '#ffffff',
+    },
+};
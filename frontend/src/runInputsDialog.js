@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { theme } from './styles/theme';
+import { readFileValue } from './utils/fileValue';
+
+/**
+ * Modal form with one field per Input node, shown before a run
+ * @param {object} props
+ * @param {{ name: string, type: 'Text'|'File' }[]} props.fields - One per unique input name
+ * @param {object} props.initialValues - Last text values used, keyed by input name
+ * @param {function} props.onSubmit - Called with input name to value
+ * @param {function} props.onCancel
+ */
+export const RunInputsDialog = ({ fields, initialValues, onSubmit, onCancel }) => {
+    const [values, setValues] = useState(() => {
+        const initial = {};
+        fields.forEach(field => {
+            if (field.type === 'Text') initial[field.name] = initialValues[field.name] ?? '';
+        });
+        return initial;
+    });
+    const [error, setError] = useState(null);
+
+    const setValue = (name, value) => {
+        setValues(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleFileChange = async (name, file) => {
+        if (!file) {
+            setValue(name, undefined);
+            return;
+        }
+        try {
+            setValue(name, await readFileValue(file));
+        } catch (readError) {
+            setError(`Could not read ${file.name}: ${readError.message}`);
+        }
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const missing = fields.filter(field => values[field.name] === undefined);
+        if (missing.length > 0) {
+            setError(`Choose a file for ${missing.map(field => field.name).join(', ')}`);
+            return;
+        }
+        onSubmit(values);
+    };
+
+    return (
+        <div style={styles.backdrop} onMouseDown={onCancel}>
+            <form
+                style={styles.dialog}
+                onSubmit={handleSubmit}
+                onMouseDown={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+                role="dialog"
+                aria-label="Pipeline inputs"
+            >
+                <div style={styles.header}>Pipeline inputs</div>
+
+                {fields.map((field, index) => (
+                    <div key={field.name} style={styles.fieldContainer}>
+                        <label style={styles.label} htmlFor={`run-input-${field.name}`}>
+                            {field.name} ({field.type})
+                        </label>
+                        {field.type === 'File' ? (
+                            <input
+                                id={`run-input-${field.name}`}
+                                type="file"
+                                onChange={(e) => handleFileChange(field.name, e.target.files?.[0])}
+                                style={styles.input}
+                            />
+                        ) : (
+                            <textarea
+                                id={`run-input-${field.name}`}
+                                value={values[field.name]}
+                                onChange={(e) => setValue(field.name, e.target.value)}
+                                style={styles.input}
+                                rows={2}
+                                autoFocus={index === 0}
+                            />
+                        )}
+                    </div>
+                ))}
+
+                {error && <div style={styles.error}>{error}</div>}
+
+                <div style={styles.actions}>
+                    <button type="button" onClick={onCancel} style={styles.secondaryButton}>Cancel</button>
+                    <button type="submit" style={styles.primaryButton}>Run</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const styles = {
+    backdrop: {
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.4)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+    },
+    dialog: {
+        width: '420px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        padding: theme.spacing.lg,
+        background: theme.colors.surface,
+        borderRadius: theme.borderRadius.md,
+        boxShadow: theme.shadows.lg,
+        fontFamily: theme.typography.fontFamily,
+    },
+    header: {
+        marginBottom: theme.spacing.md,
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.base,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+    fieldContainer: {
+        marginBottom: theme.spacing.md,
+    },
+    label: {
+        display: 'block',
+        color: theme.colors.text.secondary,
+        fontSize: theme.typography.fontSize.xs,
+        marginBottom: theme.spacing.xs,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    input: {
+        width: '100%',
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        border: `1px solid #cbd5e1`,
+        borderRadius: '4px',
+        fontSize: theme.typography.fontSize.sm,
+        fontFamily: theme.typography.fontFamily,
+        boxSizing: 'border-box',
+        resize: 'vertical',
+    },
+    error: {
+        marginBottom: theme.spacing.md,
+        color: theme.colors.danger,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    actions: {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: theme.spacing.sm,
+    },
+    primaryButton: {
+        padding: '8px 16px',
+        backgroundColor: '#1d54baff',
+        color: '#ffffff',
+        border: 'none',
+        borderRadius: '8px',
+        fontSize: '14px',
+        cursor: 'pointer',
+    },
+    secondaryButton: {
+        padding: '8px 16px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '14px',
+        cursor: 'pointer',
+    },
+};
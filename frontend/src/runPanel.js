@@ -0,0 +1,201 @@
+import { shallow } from 'zustand/shallow';
+import { useStore } from './store';
+import { theme } from './styles/theme';
+
+const MAX_PREVIEW_LENGTH = 2000;
+
+const statusColors = {
+    running: theme.colors.primary,
+    succeeded: theme.colors.success,
+    failed: theme.colors.danger,
+    skipped: theme.colors.text.muted,
+    cancelled: theme.colors.warning,
+};
+
+const formatValue = (value) => {
+    if (value === undefined) return '—';
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH)}…` : text;
+};
+
+const formatDuration = (duration) => {
+    if (duration === undefined) return '';
+    return duration < 1000 ? `${Math.round(duration)} ms` : `${(duration / 1000).toFixed(2)} s`;
+};
+
+const selector = (state) => ({
+    run: state.run,
+    inspectedNodeId: state.inspectedNodeId,
+    inspectNode: state.inspectNode,
+    clearRun: state.clearRun,
+});
+
+const ValueList = ({ title, values }) => {
+    const entries = Object.entries(values || {});
+    return (
+        <div style={styles.section}>
+            <div style={styles.sectionTitle}>{title}</div>
+            {entries.length === 0 && <div style={styles.muted}>None</div>}
+            {entries.map(([name, value]) => (
+                <div key={name}>
+                    <div style={styles.valueName}>{name}</div>
+                    <pre style={styles.value}>{formatValue(value)}</pre>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export const RunPanel = () => {
+    const { run, inspectedNodeId, inspectNode, clearRun } = useStore(selector, shallow);
+
+    if (run.status === 'idle') return null;
+
+    const nodeIds = Object.keys(run.nodes);
+
+    return (
+        <aside style={styles.panel}>
+            <div style={styles.header}>
+                <span style={styles.headerText}>Run</span>
+                <span style={{ ...styles.status, color: statusColors[run.status] }}>{run.status}</span>
+                <button type="button" onClick={clearRun} style={styles.close} aria-label="Close run panel">×</button>
+            </div>
+
+            {run.error && <div style={styles.error}>{run.error}</div>}
+
+            {Object.keys(run.outputs).length > 0 && (
+                <ValueList title="Outputs" values={run.outputs} />
+            )}
+
+            <div style={styles.section}>
+                <div style={styles.sectionTitle}>Nodes</div>
+                {nodeIds.map((nodeId) => {
+                    const result = run.nodes[nodeId];
+                    const inspected = nodeId === inspectedNodeId;
+                    return (
+                        <div key={nodeId}>
+                            <button
+                                type="button"
+                                onClick={() => inspectNode(inspected ? null : nodeId)}
+                                style={{ ...styles.row, ...(inspected && styles.rowInspected) }}
+                            >
+                                <span style={{ ...styles.dot, background: statusColors[result.status] }} />
+                                <span style={styles.nodeId}>{nodeId}</span>
+                                <span style={styles.muted}>{formatDuration(result.duration)}</span>
+                            </button>
+                            {inspected && (
+                                <div style={styles.details}>
+                                    {result.error && <div style={styles.error}>{result.error}</div>}
+                                    <ValueList title="Inputs" values={result.inputs} />
+                                    <ValueList title="Outputs" values={result.outputs} />
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+                {inspectedNodeId && !run.nodes[inspectedNodeId] && (
+                    <div style={styles.muted}>{inspectedNodeId} has not run.</div>
+                )}
+            </div>
+        </aside>
+    );
+};
+
+const styles = {
+    panel: {
+        width: '320px',
+        flex: 1,
+        minHeight: 0,
+        overflowY: 'auto',
+        borderLeft: `1px solid ${theme.colors.border}`,
+        background: theme.colors.surface,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: theme.typography.fontSize.xs,
+    },
+    header: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+        borderBottom: `1px solid ${theme.colors.border}`,
+    },
+    headerText: {
+        color: theme.colors.text.primary,
+        fontSize: theme.typography.fontSize.sm,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+    status: {
+        flex: 1,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    close: {
+        border: 'none',
+        background: 'none',
+        fontSize: theme.typography.fontSize.lg,
+        color: theme.colors.text.secondary,
+        cursor: 'pointer',
+    },
+    section: {
+        padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+    },
+    sectionTitle: {
+        color: theme.colors.text.secondary,
+        fontWeight: theme.typography.fontWeight.semibold,
+        marginBottom: theme.spacing.xs,
+    },
+    row: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        width: '100%',
+        padding: theme.spacing.xs,
+        border: 'none',
+        borderRadius: theme.borderRadius.sm,
+        background: 'none',
+        textAlign: 'left',
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.xs,
+    },
+    rowInspected: {
+        background: theme.colors.background,
+    },
+    dot: {
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        flexShrink: 0,
+    },
+    nodeId: {
+        flex: 1,
+        color: theme.colors.text.primary,
+    },
+    details: {
+        marginLeft: theme.spacing.md,
+        borderLeft: `2px solid ${theme.colors.border}`,
+    },
+    valueName: {
+        color: theme.colors.text.primary,
+        fontWeight: theme.typography.fontWeight.medium,
+    },
+    value: {
+        margin: `${theme.spacing.xs} 0 ${theme.spacing.sm}`,
+        padding: theme.spacing.xs,
+        background: theme.colors.background,
+        borderRadius: theme.borderRadius.sm,
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+        maxHeight: '200px',
+        overflow: 'auto',
+    },
+    muted: {
+        color: theme.colors.text.muted,
+    },
+    error: {
+        margin: `${theme.spacing.xs} ${theme.spacing.md}`,
+        padding: theme.spacing.xs,
+        color: theme.colors.danger,
+        background: '#fef2f2',
+        borderRadius: theme.borderRadius.sm,
+        whiteSpace: 'pre-wrap',
+    },
+};
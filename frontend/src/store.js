@@ -7,10 +7,125 @@ import {
     applyEdgeChanges,
     MarkerType,
   } from 'reactflow';
+import { checkConnection, getHandleDataType } from './utils/dataTypes';
+import { deriveNodeIDs } from './utils/pipelineFile';
+import { getConfigNode, getNodeData, resolvePorts } from './nodes/nodeConfigs';
+import { getHandleName } from './engine/graph';
+import { SUBFLOW_PATH_SEPARATOR, SUBFLOW_TYPE, extractSubflow, pruneSubflowPorts } from './engine/subflows';
+import { theme } from './styles/theme';
+
+const HISTORY_LIMIT = 100;
+// Consecutive changes with the same key inside this window (e.g. typing
+// in one field, nudging a node with the arrow keys) become one undo step
+const COALESCE_WINDOW_MS = 1000;
+// Deleting a node removes its edges in a separate change batch right after
+const REMOVE_WINDOW_MS = 50;
+
+let lastHistoryEntry = { key: null, at: 0 };
+
+const endHistoryStep = () => {
+    lastHistoryEntry = { key: null, at: 0 };
+};
+
+// Returns the history key for a batch of node changes, `false` for changes
+// that should not be undoable (selection, measuring) and `null` for a step
+// that never coalesces.
+const getNodeChangesHistoryKey = (changes) => {
+    const ids = changes.map((change) => change.id).sort().join(',');
+    if (changes.some((change) => change.type === 'remove')) return 'remove';
+    if (changes.some((change) => change.type === 'add' || change.type === 'reset')) return null;
+    const moves = changes.filter((change) => change.type === 'position' && change.position);
+    if (moves.length === 0) return false;
+    return moves.some((change) => change.dragging) ? `drag:${ids}` : `move:${ids}`;
+};
+
+// Ports that come from field values can disappear when a field changes
+// (a Merge input count lowered, a {{param}} deleted); drop the edges that
+// were attached to them
+const pruneEdgesToRemovedHandles = (node, edges) => {
+    const config = getConfigNode(node.type);
+    const data = getNodeData(node);
+    const liveHandles = (kind) => (
+        typeof config?.[kind] === 'function'
+            ? new Set(resolvePorts(config, kind, data).map((port) => port.id))
+            : null
+    );
+    const inputs = liveHandles('inputs');
+    const outputs = liveHandles('outputs');
+
+    return edges.filter((edge) => {
+        if (inputs && edge.target === node.id && !inputs.has(getHandleName(node.id, edge.targetHandle))) {
+            return false;
+        }
+        if (outputs && edge.source === node.id && !outputs.has(getHandleName(node.id, edge.sourceHandle))) {
+            return false;
+        }
+        return true;
+    });
+};
+
+const hasHandle = (node, handle, kind) => (
+    resolvePorts(getConfigNode(node.type), kind, getNodeData(node)).some((port) => port.id === handle)
+);
+
+const withoutSelection = ({ selected, ...item }) => item;
+
+// Merges `data` into the node at `segments` (ids from this canvas down
+// through the Subflows containing it)
+const mergeNestedNodeData = (nodes, segments, data) => nodes.map((node) => {
+    if (node.id !== segments[0]) return node;
+    if (segments.length === 1) return { ...node, data: { ...node.data, ...data } };
+    const graph = node.data.graph || { nodes: [], edges: [] };
+    return {
+      ...node,
+      data: { ...node.data, graph: { ...graph, nodes: mergeNestedNodeData(graph.nodes, segments.slice(1), data) } },
+    };
+});
+
+// Writes a Subflow's edited contents back into its node on the parent
+// canvas, dropping ports (and the edges on them) whose inner handle is gone
+const foldIntoParent = (frame, { nodes, edges, viewport }) => {
+    const graph = { nodes: nodes.map(withoutSelection), edges: edges.map(withoutSelection), viewport };
+    let subflow = null;
+    const parentNodes = frame.nodes.map((node) => {
+      if (node.id !== frame.nodeId) return node;
+      subflow = {
+        ...node,
+        data: {
+          ...node.data,
+          graph,
+          inputs: pruneSubflowPorts(node.data.inputs, graph, hasHandle, 'inputs'),
+          outputs: pruneSubflowPorts(node.data.outputs, graph, hasHandle, 'outputs'),
+        },
+      };
+      return subflow;
+    });
+    return {
+      nodes: parentNodes,
+      edges: subflow ? pruneEdgesToRemovedHandles(subflow, frame.edges) : frame.edges,
+    };
+};
+
+const idleRun = { status: 'idle', nodes: {}, outputs: {}, error: null };
 
 export const useStore = create((set, get) => ({
     nodes: [],
     edges: [],
+    nodeIDs: {},
+    viewport: { x: 0, y: 0, zoom: 1 },
+    // Bumped whenever the whole graph is replaced, so the canvas knows to
+    // re-apply the loaded viewport
+    pipelineRevision: 0,
+    past: [],
+    future: [],
+    run: idleRun,
+    runningNodeId: null,
+    inspectedNodeId: null,
+    problems: [],
+    problemsOpen: false,
+    // One frame per Subflow opened, outermost first, holding the parent
+    // canvas and its undo history while the Subflow's contents are edited
+    subflowStack: [],
     getNodeID: (type) => {
         const newIDs = {...get().nodeIDs};
         if (newIDs[type] === undefined) {
@@ -20,35 +135,284 @@ export const useStore = create((set, get) => ({
         set({nodeIDs: newIDs});
         return `${type}-${newIDs[type]}`;
     },
+    recordHistory: (key = null, windowMs = COALESCE_WINDOW_MS) => {
+      const now = Date.now();
+      const coalesce = key !== null && key === lastHistoryEntry.key && now - lastHistoryEntry.at < windowMs;
+      lastHistoryEntry = { key, at: now };
+      if (coalesce) return;
+
+      const { nodes, edges, past } = get();
+      set({
+        past: [...past, { nodes, edges }].slice(-HISTORY_LIMIT),
+        future: [],
+      });
+    },
+    undo: () => {
+      const { past, future, nodes, edges } = get();
+      if (past.length === 0) return;
+      endHistoryStep();
+      const previous = past[past.length - 1];
+      set({
+        ...previous,
+        past: past.slice(0, -1),
+        future: [{ nodes, edges }, ...future],
+      });
+    },
+    redo: () => {
+      const { past, future, nodes, edges } = get();
+      if (future.length === 0) return;
+      endHistoryStep();
+      const [next, ...rest] = future;
+      set({
+        ...next,
+        past: [...past, { nodes, edges }],
+        future: rest,
+      });
+    },
     addNode: (node) => {
+        get().recordHistory();
         set({
             nodes: [...get().nodes, node]
         });
     },
+    // Adds pasted or duplicated nodes as the new selection
+    addSubgraph: ({ nodes, edges }) => {
+        get().recordHistory();
+        set({
+            nodes: [
+              ...get().nodes.map((node) => (node.selected ? { ...node, selected: false } : node)),
+              ...nodes,
+            ],
+            edges: [
+              ...get().edges.map((edge) => (edge.selected ? { ...edge, selected: false } : edge)),
+              ...edges,
+            ],
+        });
+    },
+    // Moves nodes without an undo step, for animations that record one up front
+    setNodePositions: (positions) => {
+      set({
+        nodes: get().nodes.map((node) => (
+          positions.has(node.id) ? { ...node, position: positions.get(node.id) } : node
+        )),
+      });
+    },
     onNodesChange: (changes) => {
+      const historyKey = getNodeChangesHistoryKey(changes);
+      if (historyKey !== false) {
+        get().recordHistory(historyKey, historyKey === 'remove' ? REMOVE_WINDOW_MS : COALESCE_WINDOW_MS);
+      }
       set({
         nodes: applyNodeChanges(changes, get().nodes),
       });
+      // a drag finishes with a position change that carries no position
+      if (changes.some((change) => change.type === 'position' && !change.position && !change.dragging)) {
+        endHistoryStep();
+      }
     },
     onEdgesChange: (changes) => {
+      if (changes.some((change) => change.type === 'remove')) {
+        get().recordHistory('remove', REMOVE_WINDOW_MS);
+      }
       set({
         edges: applyEdgeChanges(changes, get().edges),
       });
     },
     onConnect: (connection) => {
+      const { compatibility, sourceType, targetType } = checkConnection(connection, get().nodes);
+      if (compatibility === 'incompatible') return;
+
+      // links that only work by converting the value stay allowed but are drawn as a warning
+      const coerced = compatibility === 'coerced' && {
+        data: { coerced: true, sourceType, targetType },
+        style: { stroke: theme.colors.warning, strokeDasharray: '4 2' },
+      };
+      get().recordHistory();
+      set({
+        edges: addEdge({...connection, ...coerced, type: 'data', animated: true, markerEnd: {type: MarkerType.Arrow, height: '20px', width: '20px'}}, get().edges),
+      });
+    },
+    setViewport: (viewport) => {
+      set({ viewport });
+    },
+    loadPipeline: ({ nodes, edges, viewport, nodeIDs }) => {
+      endHistoryStep();
       set({
-        edges: addEdge({...connection, type: 'smoothstep', animated: true, markerEnd: {type: MarkerType.Arrow, height: '20px', width: '20px'}}, get().edges),
+        past: [],
+        future: [],
+        subflowStack: [],
+        run: idleRun,
+        runningNodeId: null,
+        inspectedNodeId: null,
+        nodes,
+        edges,
+        viewport,
+        nodeIDs,
+        pipelineRevision: get().pipelineRevision + 1,
       });
     },
+    startRun: () => {
+      set({ run: { ...idleRun, status: 'running' }, runningNodeId: null });
+    },
+    applyRunEvent: (event) => {
+      const { run } = get();
+      const previous = run.nodes[event.nodeId] || {};
+      const statuses = { started: 'running', progress: 'running', finished: 'succeeded', failed: 'failed', skipped: 'skipped' };
+      const nodeResult = {
+        ...previous,
+        status: statuses[event.type],
+        ...(event.inputs && { inputs: event.inputs }),
+        ...(event.outputs && { outputs: event.outputs }),
+        ...(event.error && { error: event.error }),
+        ...(event.duration !== undefined && { duration: event.duration }),
+      };
+      set({
+        run: { ...run, nodes: { ...run.nodes, [event.nodeId]: nodeResult } },
+        runningNodeId: statuses[event.type] === 'running' ? event.nodeId : null,
+      });
+    },
+    finishRun: ({ status, outputs = {}, nodes, error = null }) => {
+      const { run } = get();
+      set({
+        run: { status, outputs, nodes: nodes || run.nodes, error },
+        runningNodeId: null,
+      });
+    },
+    // Saves field values a node produced while running (e.g. recorded API
+    // fixtures) wherever the node is: on the open canvas, inside a Subflow
+    // on it, or on a canvas the open Subflow sits in
+    saveRunData: (qualifiedId, data) => {
+      const { subflowStack } = get();
+      const segments = qualifiedId.split(SUBFLOW_PATH_SEPARATOR);
+      let depth = 0;
+      while (depth < subflowStack.length && segments[depth] === subflowStack[depth].nodeId) depth += 1;
+
+      if (depth < subflowStack.length) {
+        set({
+          subflowStack: subflowStack.map((frame, index) => (
+            index === depth ? { ...frame, nodes: mergeNestedNodeData(frame.nodes, segments.slice(depth), data) } : frame
+          )),
+        });
+      } else if (segments.length === depth + 1) {
+        Object.entries(data).forEach(([fieldName, value]) => get().updateNodeField(segments[depth], fieldName, value));
+      } else {
+        get().recordHistory();
+        set({ nodes: mergeNestedNodeData(get().nodes, segments.slice(depth), data) });
+      }
+    },
+    clearRun: () => {
+      set({ run: idleRun, runningNodeId: null, inspectedNodeId: null });
+    },
+    inspectNode: (nodeId) => {
+      set({ inspectedNodeId: nodeId });
+    },
+    setProblems: (problems) => {
+      set({ problems });
+    },
+    setProblemsOpen: (problemsOpen) => {
+      set({ problemsOpen });
+    },
+    selectNodes: (nodeIds) => {
+      const ids = new Set(nodeIds);
+      set({
+        nodes: get().nodes.map((node) => (
+          node.selected === ids.has(node.id) ? node : { ...node, selected: ids.has(node.id) }
+        )),
+      });
+    },
+    groupNodes: (nodeIds) => {
+      const ids = new Set(nodeIds);
+      const { nodes, edges, viewport } = get();
+      const grouped = nodes.filter((node) => ids.has(node.id));
+      if (grouped.length === 0) return null;
+
+      get().recordHistory();
+      const id = get().getNodeID(SUBFLOW_TYPE);
+      const { graph, inputs, outputs, edges: outerEdges } = extractSubflow({ nodes, edges }, ids, id, getHandleDataType);
+      const subflow = {
+        id,
+        type: SUBFLOW_TYPE,
+        position: {
+          x: Math.min(...grouped.map((node) => node.position.x)),
+          y: Math.min(...grouped.map((node) => node.position.y)),
+        },
+        selected: true,
+        // contents keep their canvas positions, so the current viewport frames them
+        data: { id, nodeType: SUBFLOW_TYPE, name: 'Subflow', graph: { ...graph, viewport }, inputs, outputs },
+      };
+      set({
+        nodes: [...nodes.filter((node) => !ids.has(node.id)), subflow],
+        edges: outerEdges,
+      });
+      return id;
+    },
+    openSubflow: (nodeId) => {
+      const { nodes, edges, viewport, past, future, nodeIDs, subflowStack } = get();
+      const node = nodes.find((entry) => entry.id === nodeId && entry.type === SUBFLOW_TYPE);
+      if (!node) return;
+
+      const graph = node.data.graph || { nodes: [], edges: [] };
+      endHistoryStep();
+      set({
+        subflowStack: [
+          ...subflowStack,
+          { nodeId, nodes, edges, viewport, past, future, innerNodes: graph.nodes, innerEdges: graph.edges },
+        ],
+        nodes: graph.nodes,
+        edges: graph.edges,
+        viewport: graph.viewport || viewport,
+        nodeIDs: deriveNodeIDs(graph.nodes, nodeIDs),
+        past: [],
+        future: [],
+        pipelineRevision: get().pipelineRevision + 1,
+      });
+    },
+    closeSubflow: () => {
+      const { subflowStack, nodes, edges, viewport } = get();
+      if (subflowStack.length === 0) return;
+
+      const frame = subflowStack[subflowStack.length - 1];
+      const parent = foldIntoParent(frame, { nodes, edges, viewport });
+      // editing the contents is one undoable step on the parent canvas
+      const changed = nodes !== frame.innerNodes || edges !== frame.innerEdges;
+      endHistoryStep();
+      set({
+        subflowStack: subflowStack.slice(0, -1),
+        nodes: parent.nodes,
+        edges: parent.edges,
+        viewport: frame.viewport,
+        past: changed ? [...frame.past, { nodes: frame.nodes, edges: frame.edges }].slice(-HISTORY_LIMIT) : frame.past,
+        future: changed ? [] : frame.future,
+        pipelineRevision: get().pipelineRevision + 1,
+      });
+    },
+    // The whole pipeline, with any open Subflow's edits folded back in
+    getRootGraph: () => {
+      const { nodes, edges, viewport, subflowStack } = get();
+      return subflowStack.reduceRight(
+        (inner, frame) => ({ ...foldIntoParent(frame, inner), viewport: frame.viewport }),
+        { nodes, edges, viewport }
+      );
+    },
+    // A field's onChange can set other fields along with it, e.g. a model
+    // the newly chosen provider offers
     updateNodeField: (nodeId, fieldName, fieldValue) => {
+      get().recordHistory(`field:${nodeId}:${fieldName}`);
+      let updated = null;
+      const nodes = get().nodes.map((node) => {
+        if (node.id === nodeId) {
+          const field = getConfigNode(node.type)?.fields?.find(entry => entry.name === fieldName);
+          const previousData = getNodeData(node);
+          const related = field?.onChange?.(fieldValue, { ...previousData, [fieldName]: fieldValue }, previousData);
+          updated = { ...node, data: { ...node.data, [fieldName]: fieldValue, ...related } };
+          return updated;
+        }
+
+        return node;
+      });
       set({
-        nodes: get().nodes.map((node) => {
-          if (node.id === nodeId) {
-            node.data = { ...node.data, [fieldName]: fieldValue };
-          }
-  
-          return node;
-        }),
+        nodes,
+        edges: updated ? pruneEdgesToRemovedHandles(updated, get().edges) : get().edges,
       });
     },
   }));
@@ -0,0 +1,218 @@
+import { useStore } from './store';
+import { registerBuiltinNodes } from './nodes/builtinNodes';
+
+registerBuiltinNodes();
+
+const load = (nodes) => useStore.getState().loadPipeline({ nodes, edges: [], viewport: { x: 0, y: 0, zoom: 1 }, nodeIDs: {} });
+
+test('choosing another LLM provider picks a model it offers', () => {
+    load([{ id: 'llm-1', type: 'llm', position: { x: 0, y: 0 }, data: { provider: 'openai', modelName: 'gpt-4.1' } }]);
+
+    useStore.getState().updateNodeField('llm-1', 'provider', 'anthropic');
+
+    expect(useStore.getState().nodes[0].data).toMatchObject({ provider: 'anthropic', modelName: 'claude-3-5-haiku-latest' });
+});
+
+test('other fields change on their own', () => {
+    load([{ id: 'llm-1', type: 'llm', position: { x: 0, y: 0 }, data: { provider: 'openai', modelName: 'gpt-4.1' } }]);
+
+    useStore.getState().updateNodeField('llm-1', 'temperature', 0.2);
+
+    expect(useStore.getState().nodes[0].data).toEqual({ provider: 'openai', modelName: 'gpt-4.1', temperature: 0.2 });
+});
+
+describe('saving data a node recorded while running', () => {
+    const api = (id) => ({ id, type: 'api', position: { x: 0, y: 0 }, data: {} });
+    const subflow = (id, nodes) => ({ id, type: 'subflow', position: { x: 0, y: 0 }, data: { graph: { nodes, edges: [] }, inputs: [], outputs: [] } });
+    const rootNode = (id) => useStore.getState().getRootGraph().nodes.find((node) => node.id === id);
+
+    test('reaches nodes inside a Subflow on the open canvas', () => {
+        load([subflow('subflow-1', [api('api-1')])]);
+
+        useStore.getState().saveRunData('subflow-1/api-1', { fixtures: '[]' });
+
+        expect(rootNode('subflow-1').data.graph.nodes[0].data.fixtures).toBe('[]');
+    });
+
+    test('reaches nodes outside the open Subflow', () => {
+        load([api('api-1'), subflow('subflow-1', [api('api-1')]), subflow('subflow-2', [api('api-1')])]);
+        useStore.getState().openSubflow('subflow-1');
+
+        useStore.getState().saveRunData('api-1', { fixtures: 'root' });
+        useStore.getState().saveRunData('subflow-2/api-1', { fixtures: 'sibling' });
+        useStore.getState().saveRunData('subflow-1/api-1', { fixtures: 'open' });
+
+        expect(useStore.getState().nodes[0].data.fixtures).toBe('open');
+        useStore.getState().closeSubflow();
+        expect(rootNode('api-1').data.fixtures).toBe('root');
+        expect(rootNode('subflow-1').data.graph.nodes[0].data.fixtures).toBe('open');
+        expect(rootNode('subflow-2').data.graph.nodes[0].data.fixtures).toBe('sibling');
+    });
+});
+
+describe('changing the Merge input count', () => {
+    const connect = (handle) => ({ id: `e-${handle}`, source: 'text-1', sourceHandle: 'text-1-output', target: 'merge-1', targetHandle: `merge-1-${handle}` });
+
+    beforeEach(() => {
+        useStore.getState().loadPipeline({
+            nodes: [
+              { id: 'text-1', type: 'text', position: { x: 0, y: 0 }, data: { text: 'hi' } },
+              { id: 'merge-1', type: 'merge', position: { x: 0, y: 0 }, data: { strategy: 'Concat', inputCount: 4 } },
+            ],
+            edges: [connect('input1'), connect('input4')],
+            viewport: { x: 0, y: 0, zoom: 1 },
+            nodeIDs: {},
+        });
+    });
+
+    test('keeps the handles and their edges while the field is cleared or out of range', () => {
+        useStore.getState().updateNodeField('merge-1', 'inputCount', '');
+        expect(useStore.getState().edges).toHaveLength(2);
+
+        useStore.getState().updateNodeField('merge-1', 'inputCount', 1);
+        expect(useStore.getState().edges).toHaveLength(2);
+
+        useStore.getState().updateNodeField('merge-1', 'inputCount', 5);
+        expect(useStore.getState().edges).toHaveLength(2);
+    });
+
+    test('prunes the edges on removed handles once the count is valid', () => {
+        useStore.getState().updateNodeField('merge-1', 'inputCount', '');
+        useStore.getState().updateNodeField('merge-1', 'inputCount', 3);
+
+        expect(useStore.getState().edges.map((edge) => edge.targetHandle)).toEqual(['merge-1-input1']);
+    });
+});
+
+describe('undo steps', () => {
+    const text = (id, x = 0) => ({ id, type: 'text', position: { x, y: 0 }, data: { text: 'hi {{input}}' } });
+    const link = { id: 'e1', source: 'text-1', sourceHandle: 'text-1-output', target: 'text-2', targetHandle: 'text-2-input' };
+    let clock;
+
+    beforeEach(() => {
+        clock = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        useStore.getState().loadPipeline({
+            nodes: [text('text-1'), text('text-2', 200)],
+            edges: [link],
+            viewport: { x: 0, y: 0, zoom: 1 },
+            nodeIDs: {},
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const drag = (id, positions) => {
+        positions.forEach((x) => {
+            clock += 16;
+            useStore.getState().onNodesChange([{ type: 'position', id, position: { x, y: 0 }, dragging: true }]);
+        });
+        useStore.getState().onNodesChange([{ type: 'position', id, dragging: false }]);
+    };
+
+    test('one drag is one step', () => {
+        drag('text-1', [10, 20, 30]);
+        clock += 100;
+        drag('text-1', [40, 50]);
+
+        expect(useStore.getState().past).toHaveLength(2);
+        useStore.getState().undo();
+        expect(useStore.getState().nodes[0].position.x).toBe(30);
+        useStore.getState().undo();
+        expect(useStore.getState().nodes[0].position.x).toBe(0);
+    });
+
+    test('a burst of edits to one field is one step', () => {
+        ['h', 'he', 'hel', 'hello'].forEach((value) => {
+            clock += 200;
+            useStore.getState().updateNodeField('text-1', 'text', value);
+        });
+        clock += 2000;
+        useStore.getState().updateNodeField('text-1', 'text', 'hello!');
+
+        expect(useStore.getState().past).toHaveLength(2);
+        useStore.getState().undo();
+        expect(useStore.getState().nodes[0].data.text).toBe('hello');
+        useStore.getState().undo();
+        expect(useStore.getState().nodes[0].data.text).toBe('hi {{input}}');
+    });
+
+    test('deleting a node and its edges is one step', () => {
+        useStore.getState().onNodesChange([{ type: 'remove', id: 'text-1' }]);
+        clock += 5;
+        useStore.getState().onEdgesChange([{ type: 'remove', id: 'e1' }]);
+
+        expect(useStore.getState().past).toHaveLength(1);
+        useStore.getState().undo();
+        expect(useStore.getState().nodes).toHaveLength(2);
+        expect(useStore.getState().edges).toEqual([link]);
+    });
+
+    test('a new edit clears what could be redone', () => {
+        useStore.getState().updateNodeField('text-1', 'text', 'first');
+        useStore.getState().undo();
+        expect(useStore.getState().future).toHaveLength(1);
+
+        clock += 2000;
+        useStore.getState().updateNodeField('text-1', 'text', 'second');
+        expect(useStore.getState().future).toEqual([]);
+        useStore.getState().redo();
+        expect(useStore.getState().nodes[0].data.text).toBe('second');
+    });
+});
+
+describe('closing a Subflow', () => {
+    const text = (id, value) => ({ id, type: 'text', position: { x: 0, y: 0 }, data: { text: value } });
+    const port = (id, nodeId, handle) => ({ id, nodeId, handle, dataType: 'text' });
+
+    beforeEach(() => {
+        useStore.getState().loadPipeline({
+            nodes: [
+              text('text-9', 'outside {{answer}}'),
+              {
+                id: 'subflow-1',
+                type: 'subflow',
+                position: { x: 0, y: 0 },
+                data: {
+                  graph: { nodes: [text('text-1', '{{q}}'), text('text-2', 'fixed')], edges: [] },
+                  inputs: [port('text_1_q', 'text-1', 'q')],
+                  outputs: [port('text_1_output', 'text-1', 'output'), port('text_2_output', 'text-2', 'output')],
+                },
+              },
+            ],
+            edges: [
+              { id: 'e1', source: 'subflow-1', sourceHandle: 'subflow-1-text_1_output', target: 'text-9', targetHandle: 'text-9-answer' },
+              { id: 'e2', source: 'subflow-1', sourceHandle: 'subflow-1-text_2_output', target: 'text-9', targetHandle: 'text-9-answer' },
+            ],
+            viewport: { x: 0, y: 0, zoom: 1 },
+            nodeIDs: {},
+        });
+    });
+
+    test('writes the edits back and drops ports whose inner node is gone', () => {
+        useStore.getState().openSubflow('subflow-1');
+        useStore.getState().onNodesChange([{ type: 'remove', id: 'text-2' }]);
+        useStore.getState().closeSubflow();
+
+        const { nodes, edges } = useStore.getState();
+        expect(nodes[1].data.graph.nodes.map((node) => node.id)).toEqual(['text-1']);
+        expect(nodes[1].data.outputs.map((entry) => entry.id)).toEqual(['text_1_output']);
+        expect(edges.map((entry) => entry.id)).toEqual(['e1']);
+    });
+
+    test('is one undo step on the parent canvas, or none without edits', () => {
+        useStore.getState().openSubflow('subflow-1');
+        useStore.getState().closeSubflow();
+        expect(useStore.getState().past).toEqual([]);
+
+        useStore.getState().openSubflow('subflow-1');
+        useStore.getState().updateNodeField('text-2', 'text', 'changed');
+        useStore.getState().closeSubflow();
+        expect(useStore.getState().past).toHaveLength(1);
+
+        useStore.getState().undo();
+        expect(useStore.getState().nodes[1].data.graph.nodes[1].data.text).toBe('fixed');
+    });
+});
@@ -21,6 +21,15 @@ export const theme = {
         nodeAccents: {
             input: '#3b82f6'
         },
+
+        dataTypes: {
+            any: '#94a3b8',
+            text: '#3b82f6',
+            json: '#8b5cf6',
+            list: '#10b981',
+            file: '#f59e0b',
+            image: '#ec4899',
+        },
     },
 
     typography: {
@@ -63,3 +72,7 @@ export const theme = {
 export const getNodeColor = (nodeType) => {
     return theme.colors.nodeAccents[nodeType] || theme.colors.primary;
 };
+
+export const getDataTypeColor = (dataType) => {
+    return theme.colors.dataTypes[dataType] || theme.colors.primary;
+};
@@ -0,0 +1,167 @@
+import { useStore } from './store';
+import { useSubflowLibrary } from './subflowLibrary';
+import { DraggableNode } from './draggableNode';
+import { theme } from './styles/theme';
+
+/**
+ * Collapses the selected nodes into a Subflow node
+ * @returns {string|null} - The new Subflow's id, or null if nothing is selected
+ */
+export const groupSelection = () => {
+    const { nodes, groupNodes } = useStore.getState();
+    return groupNodes(nodes.filter((node) => node.selected).map((node) => node.id));
+};
+
+export const GroupButton = () => {
+    const hasSelection = useStore((state) => state.nodes.some((node) => node.selected));
+
+    return (
+        <button
+            type="button"
+            onClick={groupSelection}
+            disabled={!hasSelection}
+            title="Group the selected nodes into a Subflow (Ctrl+G)"
+            style={{ ...styles.button, ...(!hasSelection && styles.disabled) }}
+        >
+            Group
+        </button>
+    );
+};
+
+// Saved Subflows as palette tiles; dropping one adds a copy to the canvas
+export const SubflowLibraryPalette = () => {
+    const entries = useSubflowLibrary((state) => state.entries);
+    const removeSubflow = useSubflowLibrary((state) => state.removeSubflow);
+
+    if (entries.length === 0) return null;
+
+    return (
+        <section>
+            <h3 style={styles.libraryHeading}>Library</h3>
+            <div style={styles.library}>
+                {entries.map((entry) => (
+                    <div key={entry.id} style={styles.libraryTile}>
+                        <DraggableNode type="subflow" label={entry.name} icon="🧩" dragData={{ subflowId: entry.id }} />
+                        <button
+                            type="button"
+                            onClick={() => removeSubflow(entry.id)}
+                            style={styles.remove}
+                            aria-label={`Remove ${entry.name} from the library`}
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </section>
+    );
+};
+
+// Shown over the canvas while a Subflow is open; each step closes back to that level
+export const SubflowBreadcrumb = () => {
+    const stack = useStore((state) => state.subflowStack);
+    const closeSubflow = useStore((state) => state.closeSubflow);
+
+    if (stack.length === 0) return null;
+
+    const names = stack.map((frame) => (
+        frame.nodes.find((node) => node.id === frame.nodeId)?.data?.name || frame.nodeId
+    ));
+    const closeTo = (depth) => {
+        for (let level = stack.length; level > depth; level -= 1) closeSubflow();
+    };
+
+    return (
+        <nav style={styles.breadcrumb} aria-label="Subflow">
+            <button type="button" onClick={() => closeTo(stack.length - 1)} style={styles.crumb}>
+                ← Back
+            </button>
+            <span style={styles.separator}>|</span>
+            <button type="button" onClick={() => closeTo(0)} style={styles.crumb}>Pipeline</button>
+            {names.map((name, index) => (
+                <span key={stack[index].nodeId}>
+                    <span style={styles.separator}>›</span>
+                    {index === names.length - 1 ? (
+                        <span style={styles.current}>{name}</span>
+                    ) : (
+                        <button type="button" onClick={() => closeTo(index + 1)} style={styles.crumb}>{name}</button>
+                    )}
+                </span>
+            ))}
+        </nav>
+    );
+};
+
+const styles = {
+    button: {
+        padding: '18px 18px',
+        backgroundColor: '#ffffff',
+        color: '#1d54baff',
+        border: '1px solid #1d54baff',
+        borderRadius: '8px',
+        fontSize: '14px',
+        fontWeight: '500',
+        cursor: 'pointer',
+    },
+    disabled: {
+        opacity: 0.5,
+        cursor: 'default',
+    },
+    libraryHeading: {
+        margin: `${theme.spacing.sm} 0 ${theme.spacing.xs}`,
+        color: theme.colors.text.muted,
+        fontSize: theme.typography.fontSize.xs,
+        fontWeight: theme.typography.fontWeight.semibold,
+        textTransform: 'uppercase',
+        letterSpacing: '0.04em',
+    },
+    library: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+    },
+    libraryTile: {
+        position: 'relative',
+    },
+    remove: {
+        position: 'absolute',
+        top: '2px',
+        right: '4px',
+        border: 'none',
+        background: 'none',
+        color: '#ffffff',
+        cursor: 'pointer',
+    },
+    breadcrumb: {
+        position: 'absolute',
+        top: theme.spacing.md,
+        left: theme.spacing.md,
+        zIndex: 5,
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.xs,
+        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+        background: theme.colors.surface,
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.borderRadius.md,
+        boxShadow: theme.shadows.sm,
+        fontFamily: theme.typography.fontFamily,
+        fontSize: theme.typography.fontSize.sm,
+    },
+    crumb: {
+        border: 'none',
+        background: 'none',
+        padding: 0,
+        color: theme.colors.primary,
+        cursor: 'pointer',
+        fontSize: theme.typography.fontSize.sm,
+    },
+    separator: {
+        margin: `0 ${theme.spacing.xs}`,
+        color: theme.colors.text.muted,
+    },
+    current: {
+        color: theme.colors.text.primary,
+        fontWeight: theme.typography.fontWeight.semibold,
+    },
+};
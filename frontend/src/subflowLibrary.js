@@ -0,0 +1,30 @@
+// subflowLibrary.js
+
+import { create } from "zustand";
+import { readSubflowLibrary, writeSubflowLibrary } from './utils/draftStorage';
+
+const newEntryId = () => `subflow-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Subflows saved from any pipeline, offered in the toolbar for dropping
+// into others. Entries hold a copy of the Subflow node's data.
+export const useSubflowLibrary = create((set, get) => ({
+    entries: readSubflowLibrary(),
+
+    saveSubflow: (data) => {
+      const { name, graph, inputs, outputs } = data;
+      const entry = {
+        id: newEntryId(),
+        name: name || 'Subflow',
+        data: JSON.parse(JSON.stringify({ name, graph, inputs, outputs })),
+        savedAt: Date.now(),
+      };
+      set({ entries: [...get().entries, entry] });
+      writeSubflowLibrary(get().entries);
+      return entry;
+    },
+    removeSubflow: (id) => {
+      set({ entries: get().entries.filter((entry) => entry.id !== id) });
+      writeSubflowLibrary(get().entries);
+    },
+    getSubflow: (id) => get().entries.find((entry) => entry.id === id) || null,
+  }));
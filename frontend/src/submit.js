@@ -1,25 +1,29 @@
 import { useStore } from "./store"
+import { validateCanvas } from "./validation"
+import { flattenSubflows } from "./engine/subflows"
+import { serializePipeline } from "./utils/pipelineFile"
 
 export const SubmitButton = () => {
 
-    const nodes = useStore((state) => state.nodes)
-    const edges = useStore((state) => state.edges)
-
     const handleSubmit = async () => {
+        if (validateCanvas().some((problem) => problem.severity === 'error')) {
+            useStore.getState().setProblemsOpen(true)
+            return
+        }
         try {
-            const pipelineDate = {
-                nodes: nodes,
-                edges: edges
-            }
-            console.log('submittting the pipelineda', pipelineDate)
-
+            // the backend analyses the pipeline as it runs, Subflows inlined;
+            // it only counts nodes and edges, so secrets stay in the browser
+            const { nodes, edges } = serializePipeline(
+                flattenSubflows(useStore.getState().getRootGraph()),
+                { omitSecrets: true }
+            )
 
             const response = await fetch('http://localhost:8000/pipelines/parse', {
                 method: 'POST',
                 headers: {
                     'Content-type': 'application/json'
                 },
-                body: JSON.stringify(pipelineDate)
+                body: JSON.stringify({ nodes, edges })
             });
             if (!response.ok) {
                 throw new Error('failed to parse the data')
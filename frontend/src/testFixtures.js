@@ -0,0 +1,12 @@
+// Builders for the nodes and edges tests put in pipelines
+
+export const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+
+// An edge between two named handles, with ids as the canvas makes them
+export const edge = (source, sourceHandle, target, targetHandle) => ({
+    id: `${source}-${target}-${targetHandle}`,
+    source,
+    sourceHandle: `${source}-${sourceHandle}`,
+    target,
+    targetHandle: `${target}-${targetHandle}`,
+});
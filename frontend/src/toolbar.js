@@ -1,23 +1,26 @@
 // frontend/src/toolbar.js
 
-import { DraggableNode } from './draggableNode';
 import { SubmitButton } from './submit';
+import { RunButton } from './runButton';
+import { ProblemsButton } from './problemsPanel';
+import { SavePipelineButton, OpenPipelineButton } from './pipelineFileButtons';
+import { DraftSelector } from './draftSelector';
+import { GroupButton } from './subflowControls';
+import { LayoutButton } from './layout';
 export const PipelineToolbar = () => {
   return (
    <div style={styles.toolbar}>
       <div style={styles.container}>
-        <div style={styles.nodeGrid}>
-          <DraggableNode type='customInput' label='Input' />
-          <DraggableNode type='llm' label='LLM' />
-          <DraggableNode type='customOutput' label='Output' />
-          <DraggableNode type='text' label='Text' />
-          <DraggableNode type='api' label='API' />
-          <DraggableNode type='database' label='Database' />
-          <DraggableNode type='transform' label='Transform' />
-          <DraggableNode type='filter' label='Filter' />
-          <DraggableNode type='merge' label='Merge' />
+        <div style={styles.actions}>
+          <DraftSelector />
+          <OpenPipelineButton />
+          <SavePipelineButton />
+          <GroupButton />
+          <LayoutButton />
+          <ProblemsButton />
+          <RunButton />
+          <SubmitButton />
         </div>
-        <SubmitButton />
       </div>
     </div>
   );
@@ -31,13 +34,13 @@ const styles = {
   },
   container: {
     display: 'flex',
-    justifyContent: 'space-between',
+    justifyContent: 'flex-end',
     alignItems: 'center',
     width: '100%',
   },
-  nodeGrid: {
+  actions: {
     display: 'flex',
-    flexWrap: 'wrap',
+    alignItems: 'center',
     gap: '8px',
   },
 };
\ No newline at end of file
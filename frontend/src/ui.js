@@ -1,68 +1,162 @@
 
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import ReactFlow, { Controls, Background, MiniMap } from 'reactflow';
 import { useStore } from './store';
 import { shallow } from 'zustand/shallow';
-import { InputNode } from './nodes/inputNode';
-import { OutputNode } from './nodes/outputNode';
-import { TextNode } from './nodes/textNode';
 
 import 'reactflow/dist/style.css';
-import { APINode } from './nodes/apiNode';
-import { DatabaseNode } from './nodes/databaseNode';
-import { MergeNode } from './nodes/mergeNode';
-import { LLMNode } from './nodes/llmNode';
-import { TransformNode } from './nodes/transformNode';
-import { FilterNode } from './nodes/filterNode';
-
-const gridSize = 20;
+import { ConfigNode } from './components/ConfigNode';
+import { useNodeRegistry, getNodeComponent } from './nodes/registry';
+import { checkConnection } from './utils/dataTypes';
+import { copySelection, pasteText, duplicateSelection } from './clipboard';
+import { groupSelection, SubflowBreadcrumb } from './subflowControls';
+import { useSubflowLibrary } from './subflowLibrary';
+import { qualifyNodeId } from './engine/subflows';
+import { insertNode } from './palette';
+import { QuickAddMenu } from './quickAdd';
+import { DataEdge } from './components/DataEdge';
+
+export const gridSize = 20;
 const proOptions = { hideAttribution: true };
-const nodeTypes = {
-  customInput: InputNode,
-  llm: LLMNode,
-  customOutput: OutputNode,
-  text: TextNode,
-  api: APINode,
-  database: DatabaseNode,
-  transform: TransformNode,
-  filter: FilterNode,
-  merge: MergeNode,
-};
+const edgeTypes = { data: DataEdge };
 
 
 const selector = (state) => ({
   nodes: state.nodes,
   edges: state.edges,
-  getNodeID: state.getNodeID,
-  addNode: state.addNode,
   onNodesChange: state.onNodesChange,
   onEdgesChange: state.onEdgesChange,
   onConnect: state.onConnect,
+  setViewport: state.setViewport,
+  pipelineRevision: state.pipelineRevision,
+  undo: state.undo,
+  redo: state.redo,
+  inspectNode: state.inspectNode,
+  openSubflow: state.openSubflow,
 });
 
+// Let inputs and textareas keep their native undo and clipboard
+const isEditableTarget = (target) => {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+// Pointer position relative to the canvas element
+const toCanvasPoint = (wrapper, event) => {
+  const bounds = wrapper.getBoundingClientRect();
+  return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+};
+
 export const PipelineUI = () => {
   const reactFlowWrapper = useRef(null);
   const [reactFlowInstance, setReactFlowInstance] = useState(null);
+  // where the quick-add popup is open, relative to the canvas; null when closed
+  const [quickAdd, setQuickAdd] = useState(null);
+  const pointerRef = useRef(null);
   const {
     nodes,
     edges,
-    getNodeID,
-    addNode,
     onNodesChange,
     onEdgesChange,
-    onConnect
+    onConnect,
+    setViewport,
+    pipelineRevision,
+    undo,
+    redo,
+    inspectNode,
+    openSubflow
   } = useStore(selector, shallow);
+  const definitions = useNodeRegistry((state) => state.definitions);
+
+  // React Flow re-mounts every node when nodeTypes changes identity
+  const nodeTypes = useMemo(() => Object.fromEntries(
+    definitions.map((definition) => [definition.type, getNodeComponent(definition.type) || ConfigNode])
+  ), [definitions]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && event.shiftKey) {
+        event.preventDefault();
+        redo();
+      } else if (key === 'z') {
+        event.preventDefault();
+        undo();
+      } else if (key === 'y') {
+        event.preventDefault();
+        redo();
+      } else if (key === 'd') {
+        // the browser would otherwise bookmark the page
+        event.preventDefault();
+        duplicateSelection();
+      } else if (key === 'g') {
+        event.preventDefault();
+        groupSelection();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  // Space over the canvas opens quick-add at the cursor. React Flow's
+  // Space-to-pan is switched off below; dragging the pane still pans.
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key !== ' ' || event.ctrlKey || event.metaKey || event.altKey || !pointerRef.current) {
+        return;
+      }
+      const onCanvas = event.target === document.body || reactFlowWrapper.current?.contains(event.target);
+      if (!onCanvas || isEditableTarget(event.target)) {
+        return;
+      }
+      event.preventDefault();
+      setQuickAdd(pointerRef.current);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
-  const getInitNodeData = (nodeID, type) => {
-    let nodeData = { id: nodeID, nodeType: `${type}` };
-    return nodeData;
-  }
+  // Ctrl+C / Ctrl+V go through the clipboard events so the copy reaches
+  // other tabs without asking for clipboard permission
+  useEffect(() => {
+    const onCopy = (event) => {
+      if (isEditableTarget(event.target) || window.getSelection()?.toString()) return;
+      const text = copySelection();
+      if (text) {
+        event.clipboardData.setData('text/plain', text);
+        event.preventDefault();
+      }
+    };
+    const onPaste = (event) => {
+      if (isEditableTarget(event.target)) return;
+      if (pasteText(event.clipboardData.getData('text/plain'))) {
+        event.preventDefault();
+      }
+    };
+    window.addEventListener('copy', onCopy);
+    window.addEventListener('paste', onPaste);
+    return () => {
+      window.removeEventListener('copy', onCopy);
+      window.removeEventListener('paste', onPaste);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (reactFlowInstance && pipelineRevision > 0) {
+      reactFlowInstance.setViewport(useStore.getState().viewport);
+    }
+  }, [reactFlowInstance, pipelineRevision]);
+
+  const onMoveEnd = useCallback((event, viewport) => {
+    setViewport(viewport);
+  }, [setViewport]);
 
   const onDrop = useCallback(
     (event) => {
       event.preventDefault();
 
-      const reactFlowBounds = reactFlowWrapper.current.getBoundingClientRect();
       if (event?.dataTransfer?.getData('application/reactflow')) {
         const appData = JSON.parse(event.dataTransfer.getData('application/reactflow'));
         const type = appData?.nodeType;
@@ -72,25 +166,45 @@ export const PipelineUI = () => {
           return;
         }
 
-        const position = reactFlowInstance.project({
-          x: event.clientX - reactFlowBounds.left,
-          y: event.clientY - reactFlowBounds.top,
-        });
+        const position = reactFlowInstance.project(toCanvasPoint(reactFlowWrapper.current, event));
 
-        const nodeID = getNodeID(type);
-        const newNode = {
-          id: nodeID,
-          type,
-          position,
-          data: getInitNodeData(nodeID, type),
-        };
+        // a Subflow from the library arrives with its contents
+        const libraryEntry = appData.subflowId && useSubflowLibrary.getState().getSubflow(appData.subflowId);
+        if (appData.subflowId && !libraryEntry) {
+          return;
+        }
 
-        addNode(newNode);
+        insertNode(type, position, libraryEntry ? JSON.parse(JSON.stringify(libraryEntry.data)) : {});
       }
     },
     [reactFlowInstance]
   );
 
+  const isValidConnection = useCallback((connection) => {
+    return checkConnection(connection, useStore.getState().nodes).compatibility !== 'incompatible';
+  }, []);
+
+  // run results are keyed by ids qualified with the open Subflows
+  const onNodeClick = useCallback((event, node) => {
+    const path = useStore.getState().subflowStack.map((frame) => frame.nodeId);
+    inspectNode(qualifyNodeId(path, node.id));
+  }, [inspectNode]);
+
+  const onNodeDoubleClick = useCallback((event, node) => {
+    if (node.type === 'subflow' && !isEditableTarget(event.target)) openSubflow(node.id);
+  }, [openSubflow]);
+
+  const onDoubleClick = (event) => {
+    if (event.target.classList.contains('react-flow__pane')) {
+      setQuickAdd(toCanvasPoint(reactFlowWrapper.current, event));
+    }
+  };
+
+  const onQuickAddPick = (type) => {
+    insertNode(type, reactFlowInstance.project(quickAdd));
+    setQuickAdd(null);
+  };
+
   const onDragOver = useCallback((event) => {
     event.preventDefault();
     event.dataTransfer.dropEffect = 'move';
@@ -98,20 +212,38 @@ export const PipelineUI = () => {
 
   return (
     <>
-      <div ref={reactFlowWrapper} style={{ width: '100wv', height: '100vh' }}>
+      <div
+        ref={reactFlowWrapper}
+        style={{ flex: 1, height: '100%', position: 'relative' }}
+        onMouseMove={(event) => (pointerRef.current = toCanvasPoint(reactFlowWrapper.current, event))}
+        onMouseLeave={() => (pointerRef.current = null)}
+        onDoubleClick={onDoubleClick}
+      >
+        <SubflowBreadcrumb />
+        {quickAdd && (
+          <QuickAddMenu anchor={quickAdd} onPick={onQuickAddPick} onClose={() => setQuickAdd(null)} />
+        )}
         <ReactFlow
           nodes={nodes}
           edges={edges}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
+          isValidConnection={isValidConnection}
           onDrop={onDrop}
           onDragOver={onDragOver}
           onInit={setReactFlowInstance}
+          onMoveEnd={onMoveEnd}
+          onNodeClick={onNodeClick}
+          onNodeDoubleClick={onNodeDoubleClick}
           nodeTypes={nodeTypes}
+          edgeTypes={edgeTypes}
           proOptions={proOptions}
+          snapToGrid
           snapGrid={[gridSize, gridSize]}
           deleteKeyCode="Delete"
+          panActivationKeyCode={null}
+          zoomOnDoubleClick={false}
           multiSelectionKeyCode="shift"
           connectionLineType='smoothstep'
         >
@@ -0,0 +1,132 @@
+import { topologicalSort } from '../engine/graph';
+
+// Used for nodes React Flow has not measured yet
+const DEFAULT_NODE_SIZE = { width: 220, height: 120 };
+const ORDERING_SWEEPS = 8;
+
+const sizeOf = (node) => ({
+    width: node.width || DEFAULT_NODE_SIZE.width,
+    height: node.height || DEFAULT_NODE_SIZE.height,
+});
+
+const snap = (value, gridSize) => (gridSize ? Math.round(value / gridSize) * gridSize : value);
+
+// Longest-path layering: every node sits one layer right of its furthest
+// upstream node. Nodes on a cycle go after everything else.
+const assignLayers = (nodes, edges) => {
+    const { order, cyclic } = topologicalSort(nodes, edges);
+    const layer = new Map();
+    order.forEach(node => {
+        const upstream = edges.filter(edge => edge.target === node.id && layer.has(edge.source));
+        layer.set(node.id, Math.max(0, ...upstream.map(edge => layer.get(edge.source) + 1)));
+    });
+    const next = Math.max(-1, ...layer.values()) + 1;
+    cyclic.forEach(id => layer.set(id, next));
+    return layer;
+};
+
+const countCrossings = (layers, edges, layerOf) => {
+    const index = new Map();
+    layers.forEach(ids => ids.forEach((id, i) => index.set(id, i)));
+    const spans = edges
+        .filter(edge => layerOf.get(edge.target) === layerOf.get(edge.source) + 1)
+        .map(edge => ({ layer: layerOf.get(edge.source), from: index.get(edge.source), to: index.get(edge.target) }));
+
+    let crossings = 0;
+    spans.forEach((a, i) => spans.slice(i + 1).forEach(b => {
+        if (a.layer === b.layer && (a.from - b.from) * (a.to - b.to) < 0) crossings += 1;
+    }));
+    return crossings;
+};
+
+// One barycenter pass: sort each layer by the mean position of its
+// neighbours in the layers already placed
+const sweepLayers = (layers, downward, neighbours) => {
+    const index = new Map();
+    layers.forEach(ids => ids.forEach((id, i) => index.set(id, i)));
+
+    const next = layers.map(ids => [...ids]);
+    const sequence = downward ? next.map((_, i) => i) : next.map((_, i) => next.length - 1 - i);
+    sequence.forEach(layerIndex => {
+        const ids = next[layerIndex];
+        const weight = new Map(ids.map((id, i) => {
+            const others = neighbours(id, downward);
+            const mean = others.length > 0
+                ? others.reduce((sum, other) => sum + index.get(other), 0) / others.length
+                : i;
+            return [id, mean];
+        }));
+        ids.sort((a, b) => weight.get(a) - weight.get(b));
+        ids.forEach((id, i) => index.set(id, i));
+    });
+    return next;
+};
+
+// Alternates downward and upward passes, keeping the order with the fewest crossings
+const orderLayers = (layers, edges, layerOf) => {
+    const neighbours = (id, upstream) => edges
+        .filter(edge => (upstream ? edge.target === id : edge.source === id))
+        .map(edge => (upstream ? edge.source : edge.target))
+        .filter(other => (upstream ? layerOf.get(other) < layerOf.get(id) : layerOf.get(other) > layerOf.get(id)));
+
+    let current = layers;
+    let best = current;
+    let bestCrossings = countCrossings(best, edges, layerOf);
+
+    for (let sweep = 0; sweep < ORDERING_SWEEPS && bestCrossings > 0; sweep += 1) {
+        current = sweepLayers(current, sweep % 2 === 0, neighbours);
+        const crossings = countCrossings(current, edges, layerOf);
+        if (crossings < bestCrossings) {
+            best = current;
+            bestCrossings = crossings;
+        }
+    }
+    return best;
+};
+
+/**
+ * Arranges nodes left to right in topological layers
+ * @param {object[]} nodes - React Flow nodes to place (width/height are used when measured)
+ * @param {object[]} edges - Edges; only those between the given nodes matter
+ * @param {object} [options]
+ * @param {{ x: number, y: number }} [options.origin] - Top-left of the layout
+ * @param {number} [options.gridSize] - Positions snap to this grid
+ * @param {number} [options.layerGap] - Horizontal space between layers
+ * @param {number} [options.nodeGap] - Vertical space between nodes in a layer
+ * @returns {Map<string, {x: number, y: number}>} - New position per node id
+ */
+export const computeLayout = (nodes, edges, options = {}) => {
+    const { origin = { x: 0, y: 0 }, gridSize = 0, layerGap = 120, nodeGap = 40 } = options;
+    const ids = new Set(nodes.map(node => node.id));
+    const internal = edges.filter(edge => ids.has(edge.source) && ids.has(edge.target) && edge.source !== edge.target);
+    const byId = new Map(nodes.map(node => [node.id, node]));
+
+    const layerOf = assignLayers(nodes, internal);
+    const layers = [];
+    // start from the current top-to-bottom order so small graphs stay familiar
+    [...nodes]
+        .sort((a, b) => a.position.y - b.position.y)
+        .forEach(node => {
+            const layer = layerOf.get(node.id);
+            (layers[layer] = layers[layer] || []).push(node.id);
+        });
+    const ordered = orderLayers(layers.filter(Boolean), internal, layerOf);
+
+    const heights = ordered.map(layerIds => layerIds.reduce(
+        (sum, id, i) => sum + sizeOf(byId.get(id)).height + (i > 0 ? nodeGap : 0), 0
+    ));
+    const tallest = Math.max(0, ...heights);
+
+    const positions = new Map();
+    let x = origin.x;
+    ordered.forEach((layerIds, layerIndex) => {
+        // centre each layer against the tallest one
+        let y = origin.y + (tallest - heights[layerIndex]) / 2;
+        layerIds.forEach(id => {
+            positions.set(id, { x: snap(x, gridSize), y: snap(y, gridSize) });
+            y += sizeOf(byId.get(id)).height + nodeGap;
+        });
+        x += Math.max(...layerIds.map(id => sizeOf(byId.get(id)).width)) + layerGap;
+    });
+    return positions;
+};
@@ -0,0 +1,63 @@
+import { computeLayout } from './autoLayout';
+
+const node = (id, y = 0, size = {}) => ({ id, position: { x: 0, y }, ...size });
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+test('places a chain left to right, one layer per step', () => {
+    const positions = computeLayout([node('a'), node('b'), node('c')], [edge('a', 'b'), edge('b', 'c')]);
+
+    expect([...positions.values()]).toEqual([{ x: 0, y: 0 }, { x: 340, y: 0 }, { x: 680, y: 0 }]);
+});
+
+test('puts each node one layer right of its furthest upstream node', () => {
+    const positions = computeLayout(
+        [node('a'), node('b'), node('c')],
+        [edge('a', 'b'), edge('b', 'c'), edge('a', 'c')],
+    );
+
+    expect(positions.get('c').x).toBeGreaterThan(positions.get('b').x);
+});
+
+test('stacks a layer with gaps and centres shorter layers', () => {
+    const positions = computeLayout(
+        [node('a'), node('b', 0, { height: 100 }), node('c', 10, { height: 60 })],
+        [edge('a', 'b'), edge('a', 'c')],
+        { nodeGap: 20 },
+    );
+
+    expect(positions.get('b')).toEqual({ x: 340, y: 0 });
+    expect(positions.get('c')).toEqual({ x: 340, y: 120 });
+    expect(positions.get('a').y).toBe((180 - 120) / 2);
+});
+
+test('reorders layers to remove crossings', () => {
+    // b is drawn above a, so keeping the drawn order would cross a→c and b→d
+    const nodes = [node('a', 100), node('b', 0), node('c', 0), node('d', 100)];
+    const positions = computeLayout(nodes, [edge('a', 'c'), edge('b', 'd')]);
+
+    const above = (first, second) => positions.get(first).y < positions.get(second).y;
+    expect(above('a', 'b')).toBe(above('c', 'd'));
+});
+
+test('nodes on a cycle go after everything else', () => {
+    const positions = computeLayout(
+        [node('start'), node('x'), node('y')],
+        [edge('start', 'x'), edge('x', 'y'), edge('y', 'x')],
+    );
+
+    expect(positions.get('x').x).toBeGreaterThan(positions.get('start').x);
+    expect(positions.get('y').x).toBe(positions.get('x').x);
+});
+
+test('ignores self loops and edges to nodes outside the selection', () => {
+    const positions = computeLayout([node('a'), node('b', 200)], [edge('a', 'a'), edge('outside', 'b')]);
+
+    expect(positions.get('a').x).toBe(positions.get('b').x);
+});
+
+test('starts at the origin and snaps to the grid', () => {
+    const positions = computeLayout([node('a'), node('b')], [edge('a', 'b')], { origin: { x: 7, y: 13 }, gridSize: 15 });
+
+    expect(positions.get('a')).toEqual({ x: 0, y: 15 });
+    expect(positions.get('b')).toEqual({ x: 345, y: 15 });
+});
@@ -0,0 +1,73 @@
+import { getConfigNode, getNodeData, resolvePorts } from '../nodes/nodeConfigs';
+
+export const DATA_TYPES = ['any', 'text', 'json', 'list', 'file', 'image'];
+
+// Source type -> target types that accept it only by converting the value
+// (e.g. JSON is serialized into a text prompt). Anything not listed here,
+// not identical and not `any` is incompatible.
+const coercions = {
+    text: ['json', 'list'],
+    json: ['text', 'list'],
+    list: ['text'],
+    file: ['image'],
+    image: ['file'],
+};
+
+/**
+ * Resolves a handle's data type, which may depend on the node's fields
+ * @param {object} port - Input or output entry from a node config
+ * @param {object} data - The node's field data
+ * @returns {string} - One of DATA_TYPES
+ */
+export const resolveDataType = (port, data) => {
+    const dataType = typeof port?.dataType === 'function' ? port.dataType(data) : port?.dataType;
+    return dataType || 'any';
+};
+
+/**
+ * Looks up the data type of one of a node's handles
+ * @param {object} node - React Flow node
+ * @param {string} handleId - Full handle id, e.g. `llm-1-prompt`
+ * @param {'source'|'target'} kind - Whether the handle is an output or an input
+ * @returns {string} - One of DATA_TYPES; handles not in the config are `any`
+ */
+export const getHandleDataType = (node, handleId, kind) => {
+    const config = getConfigNode(node.type);
+    const name = handleId?.startsWith(`${node.id}-`) ? handleId.slice(node.id.length + 1) : handleId;
+    const data = getNodeData(node);
+    const port = resolvePorts(config, kind === 'source' ? 'outputs' : 'inputs', data).find((entry) => entry.id === name);
+    return resolveDataType(port, data);
+};
+
+/**
+ * Classifies a link from one data type to another
+ * @param {string} sourceType - Type produced by the output handle
+ * @param {string} targetType - Type expected by the input handle
+ * @returns {'compatible'|'coerced'|'incompatible'}
+ */
+export const getTypeCompatibility = (sourceType, targetType) => {
+    if (sourceType === 'any' || targetType === 'any' || sourceType === targetType) {
+        return 'compatible';
+    }
+    return coercions[sourceType]?.includes(targetType) ? 'coerced' : 'incompatible';
+};
+
+/**
+ * Classifies a prospective React Flow connection
+ * @param {object} connection - { source, sourceHandle, target, targetHandle }
+ * @param {object[]} nodes - Nodes currently on the canvas
+ * @returns {{ compatibility: string, sourceType?: string, targetType?: string }}
+ */
+export const checkConnection = (connection, nodes) => {
+    if (connection.source === connection.target) {
+        return { compatibility: 'incompatible' };
+    }
+    const source = nodes.find((node) => node.id === connection.source);
+    const target = nodes.find((node) => node.id === connection.target);
+    if (!source || !target) {
+        return { compatibility: 'incompatible' };
+    }
+    const sourceType = getHandleDataType(source, connection.sourceHandle, 'source');
+    const targetType = getHandleDataType(target, connection.targetHandle, 'target');
+    return { compatibility: getTypeCompatibility(sourceType, targetType), sourceType, targetType };
+};
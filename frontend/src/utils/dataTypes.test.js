@@ -0,0 +1,63 @@
+import { checkConnection, DATA_TYPES, getTypeCompatibility } from './dataTypes';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+// Every pair that is not compatible: coerced ones are listed, the rest are rejected
+const COERCED = ['text → json', 'text → list', 'json → text', 'json → list', 'list → text', 'file → image', 'image → file'];
+
+const pairs = DATA_TYPES.flatMap(source => DATA_TYPES.map(target => [source, target]));
+const expected = (source, target) => {
+    if (source === 'any' || target === 'any' || source === target) return 'compatible';
+    return COERCED.includes(`${source} → ${target}`) ? 'coerced' : 'incompatible';
+};
+
+test.each(pairs.map(([source, target]) => [source, target, expected(source, target)]))('%s → %s is %s', (source, target, compatibility) => {
+    expect(getTypeCompatibility(source, target)).toBe(compatibility);
+});
+
+test('the table holds some of each', () => {
+    const counts = pairs.reduce((totals, [source, target]) => {
+        const kind = expected(source, target);
+        return { ...totals, [kind]: (totals[kind] || 0) + 1 };
+    }, {});
+    expect(counts).toEqual({ compatible: 16, coerced: 7, incompatible: 13 });
+});
+
+describe('checkConnection', () => {
+    const nodes = [
+        node('customInput-1', 'customInput', { inputType: 'Text' }),
+        node('customInput-2', 'customInput', { inputType: 'File' }),
+        node('llm-1', 'llm', { jsonMode: true }),
+        node('transform-1', 'transform'),
+        node('customOutput-1', 'customOutput', { outputType: 'Image' }),
+    ];
+    const link = (source, sourceHandle, target, targetHandle) => checkConnection({
+        source,
+        sourceHandle: `${source}-${sourceHandle}`,
+        target,
+        targetHandle: `${target}-${targetHandle}`,
+    }, nodes);
+
+    test.each([
+        ['customInput-1', 'value', 'llm-1', 'prompt', { compatibility: 'compatible', sourceType: 'text', targetType: 'text' }],
+        ['llm-1', 'response', 'transform-1', 'input', { compatibility: 'coerced', sourceType: 'json', targetType: 'list' }],
+        ['customInput-2', 'value', 'customOutput-1', 'value', { compatibility: 'coerced', sourceType: 'file', targetType: 'image' }],
+        ['customInput-2', 'value', 'llm-1', 'prompt', { compatibility: 'incompatible', sourceType: 'file', targetType: 'text' }],
+    ])('%s.%s → %s.%s', (source, sourceHandle, target, targetHandle, result) => {
+        expect(link(source, sourceHandle, target, targetHandle)).toEqual(result);
+    });
+
+    test('follows types that depend on the node fields', () => {
+        expect(checkConnection(
+            { source: 'llm-1', sourceHandle: 'llm-1-response', target: 'llm-2', targetHandle: 'llm-2-prompt' },
+            [node('llm-1', 'llm', { jsonMode: false }), node('llm-2', 'llm')],
+        ).compatibility).toBe('compatible');
+    });
+
+    test('a node cannot link to itself, nor to a node that is not there', () => {
+        expect(link('llm-1', 'response', 'llm-1', 'system')).toEqual({ compatibility: 'incompatible' });
+        expect(link('llm-1', 'response', 'llm-9', 'prompt')).toEqual({ compatibility: 'incompatible' });
+    });
+});
@@ -0,0 +1,174 @@
+const INDEX_KEY = 'vectorshift.drafts';
+const DRAFT_KEY_PREFIX = 'vectorshift.draft.';
+const DRAFT_BACKUP_KEY_PREFIX = 'vectorshift.draftBackup.';
+const RUN_INPUTS_KEY_PREFIX = 'vectorshift.runInputs.';
+const SUBFLOW_LIBRARY_KEY = 'vectorshift.subflowLibrary';
+const PALETTE_KEY = 'vectorshift.palette';
+const CONNECTIONS_KEY = 'vectorshift.connections';
+
+const readJSON = (key) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.error(`Could not read ${key} from localStorage:`, error);
+        return null;
+    }
+};
+
+const writeJSON = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        // quota exceeded or storage disabled (e.g. private browsing)
+        console.error(`Could not write ${key} to localStorage:`, error);
+        return false;
+    }
+};
+
+/**
+ * Reads the list of saved drafts and which one was last open
+ * @returns {{ activeId: string|null, drafts: {id: string, name: string, updatedAt: number}[] }}
+ */
+export const readDraftIndex = () => {
+    const index = readJSON(INDEX_KEY);
+    if (!index || !Array.isArray(index.drafts)) {
+        return { activeId: null, drafts: [] };
+    }
+    return { activeId: index.activeId ?? null, drafts: index.drafts };
+};
+
+/**
+ * Persists the draft list and the active draft id
+ * @param {{ activeId: string|null, drafts: object[] }} index
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeDraftIndex = ({ activeId, drafts }) => {
+    return writeJSON(INDEX_KEY, { activeId, drafts });
+};
+
+/**
+ * Reads a draft's pipeline document as stored, so a draft that no longer
+ * parses can still be kept
+ * @param {string} id - Draft id
+ * @returns {string|null} - The stored JSON text, null if there is none
+ */
+export const readDraftText = (id) => {
+    try {
+        return window.localStorage.getItem(DRAFT_KEY_PREFIX + id);
+    } catch (error) {
+        console.error(`Could not read draft ${id} from localStorage:`, error);
+        return null;
+    }
+};
+
+/**
+ * Keeps a copy of a draft's stored text before it is overwritten
+ * @param {string} id - Draft id
+ * @param {string} text - The stored JSON text from readDraftText
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeDraftBackup = (id, text) => {
+    try {
+        window.localStorage.setItem(DRAFT_BACKUP_KEY_PREFIX + id, text);
+        return true;
+    } catch (error) {
+        console.error(`Could not back up draft ${id}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Stores a draft's pipeline document
+ * @param {string} id - Draft id
+ * @param {object} doc - Pipeline document from serializePipeline
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeDraft = (id, doc) => writeJSON(DRAFT_KEY_PREFIX + id, doc);
+
+/**
+ * Deletes a draft's pipeline document, backup and remembered run inputs
+ * @param {string} id - Draft id
+ */
+export const removeDraft = (id) => {
+    try {
+        window.localStorage.removeItem(DRAFT_KEY_PREFIX + id);
+        window.localStorage.removeItem(RUN_INPUTS_KEY_PREFIX + id);
+        window.localStorage.removeItem(DRAFT_BACKUP_KEY_PREFIX + id);
+    } catch (error) {
+        console.error(`Could not remove draft ${id}:`, error);
+    }
+};
+
+/**
+ * Reads the Input node values last used to run a draft
+ * @param {string} id - Draft id
+ * @returns {object} - Input name to value, empty if none were saved
+ */
+export const readRunInputs = (id) => readJSON(RUN_INPUTS_KEY_PREFIX + id) || {};
+
+/**
+ * Remembers the Input node values used to run a draft
+ * @param {string} id - Draft id
+ * @param {object} values - Input name to value; only strings are kept
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeRunInputs = (id, values) => {
+    const textValues = Object.fromEntries(
+        Object.entries(values).filter(([, value]) => typeof value === 'string')
+    );
+    return writeJSON(RUN_INPUTS_KEY_PREFIX + id, textValues);
+};
+
+/**
+ * Reads the Subflows saved for reuse across pipelines
+ * @returns {{ id: string, name: string, data: object, savedAt: number }[]}
+ */
+export const readSubflowLibrary = () => {
+    const entries = readJSON(SUBFLOW_LIBRARY_KEY);
+    return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * Persists the Subflow library
+ * @param {object[]} entries
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeSubflowLibrary = (entries) => writeJSON(SUBFLOW_LIBRARY_KEY, entries);
+
+/**
+ * Reads the node palette's favorite and recently used node types
+ * @returns {{ favorites: string[], recent: string[] }}
+ */
+export const readPaletteState = () => {
+    const state = readJSON(PALETTE_KEY);
+    return {
+        favorites: Array.isArray(state?.favorites) ? state.favorites : [],
+        recent: Array.isArray(state?.recent) ? state.recent : [],
+    };
+};
+
+/**
+ * Persists the node palette's favorites and recent node types
+ * @param {{ favorites: string[], recent: string[] }} state
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writePaletteState = ({ favorites, recent }) => writeJSON(PALETTE_KEY, { favorites, recent });
+
+/**
+ * Reads the database connection profiles
+ * @returns {{ id: string, name: string, adapter: string, settings: object }[]}
+ */
+export const readConnectionProfiles = () => {
+    const profiles = readJSON(CONNECTIONS_KEY);
+    return Array.isArray(profiles) ? profiles : [];
+};
+
+/**
+ * Persists the database connection profiles. They stay in this browser and
+ * are never written into pipeline files.
+ * @param {object[]} profiles
+ * @returns {boolean} - False if storage is unavailable
+ */
+export const writeConnectionProfiles = (profiles) => writeJSON(CONNECTIONS_KEY, profiles);
@@ -0,0 +1,743 @@
+// Expression language used by the Transform and Filter nodes. It reads like
+// a JavaScript expression but is interpreted, so it can only reach the
+// values it is given and the helpers below, never the page, storage or
+// network:
+//
+//   x => x.price * 1.2        (a, b) => a + b        value > 0 && value < 10
+//   item => item.tags.map(tag => tag.toUpperCase()).join(", ")
+//   row => row.name ?? "anonymous"    n => n % 2 === 0 ? "even" : "odd"
+//
+// Supported: number, string, boolean, null and undefined literals; arrays
+// and objects; arrow functions; . [] ?. and calls; unary ! - + typeof;
+// arithmetic, strict comparison (=== and !==, not == or !=), && || ??,
+// and ?:. Helpers are Math, JSON, Object (keys, values, entries,
+// fromEntries), Array.isArray, Number, String, Boolean, parseInt,
+// parseFloat and isNaN, along with the non-mutating string, array and
+// number methods listed below. A call that runs longer
+// than EXPRESSION_TIME_LIMIT_MS or EXPRESSION_STEP_LIMIT is stopped, and so
+// is one that would build a string or list larger than MAX_VALUE_SIZE;
+// runExpressions puts many calls under one such limit.
+
+export class ExpressionSyntaxError extends Error {
+    constructor(message, index) {
+        super(index === undefined ? message : `${message} (at character ${index + 1})`);
+        this.name = 'ExpressionSyntaxError';
+        this.index = index;
+    }
+}
+
+export class ExpressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+export const EXPRESSION_TIME_LIMIT_MS = 1000;
+// Evaluation steps (roughly, syntax nodes visited) allowed in one run
+export const EXPRESSION_STEP_LIMIT = 50000000;
+// Characters in a string or items in a list, counting nested lists in full
+export const MAX_VALUE_SIZE = 10000000;
+const MAX_CALL_DEPTH = 200;
+
+// ---- tokens -------------------------------------------------------------
+
+const PUNCTUATORS = [
+    '===', '!==', '**', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.',
+    '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', '[', ']', '{', '}', ',', '.', ':', '?',
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+const readString = (source, start) => {
+    const quote = source[start];
+    let value = '';
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+        if (source[i] === '\\') {
+            const escaped = source[i + 1];
+            if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+                value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                i += 6;
+                continue;
+            }
+            value += ESCAPES[escaped] ?? escaped ?? '';
+            i += 2;
+        } else {
+            value += source[i];
+            i += 1;
+        }
+    }
+    if (i >= source.length) throw new ExpressionSyntaxError('Unterminated string', start);
+    return { value, end: i + 1 };
+};
+
+const tokenize = (source) => {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        const rest = source.slice(i);
+        if (/\s/.test(char)) {
+            i += 1;
+        } else if (/[0-9]/.test(char) || (char === '.' && /^\.\d/.test(rest))) {
+            const [text] = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(rest);
+            tokens.push({ type: 'number', value: Number(text), index: i });
+            i += text.length;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const [text] = /^[A-Za-z_$][\w$]*/.exec(rest);
+            tokens.push({ type: 'name', value: text, index: i });
+            i += text.length;
+        } else if (char === '"' || char === "'") {
+            const { value, end } = readString(source, i);
+            tokens.push({ type: 'string', value, index: i });
+            i = end;
+        } else {
+            // `a?.5:1` is a conditional, not optional chaining
+            const punctuator = PUNCTUATORS.find(candidate => (
+                rest.startsWith(candidate) && !(candidate === '?.' && /^\?\.\d/.test(rest))
+            ));
+            if (punctuator === '==' || punctuator === '!=') {
+                throw new ExpressionSyntaxError(`Loose equality is not supported; compare with ${punctuator}=`, i);
+            }
+            if (!punctuator) {
+                if (char === '`') throw new ExpressionSyntaxError('Template literals are not supported; join strings with +', i);
+                if (char === '=') throw new ExpressionSyntaxError('Assignment is not supported; compare with ===', i);
+                throw new ExpressionSyntaxError(`Unexpected "${char}"`, i);
+            }
+            tokens.push({ type: punctuator, index: i });
+            i += punctuator.length;
+        }
+    }
+    return tokens;
+};
+
+// ---- parsing ------------------------------------------------------------
+
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '===': 4, '!==': 4,
+    '<': 5, '<=': 5, '>': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7,
+    '**': 8,
+};
+
+const LITERAL_NAMES = { true: true, false: false, null: null, undefined };
+const UNSUPPORTED_NAMES = ['new', 'function', 'this', 'delete', 'void', 'await', 'yield', 'class', 'import', 'in', 'instanceof'];
+
+const createParser = (source) => {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const describe = (token) => (token ? `"${token.value ?? token.type}"` : 'end of expression');
+    const fail = (message, token = peek()) => {
+        throw new ExpressionSyntaxError(message, token?.index ?? source.length);
+    };
+    const accept = (type) => {
+        if (peek()?.type !== type) return null;
+        position += 1;
+        return tokens[position - 1];
+    };
+    const expect = (type) => accept(type) || fail(`Expected "${type}" but found ${describe(peek())}`);
+
+    // `x =>` or `(a, b) =>`: find the matching parenthesis and look past it
+    const isArrowAhead = () => {
+        if (peek()?.type === 'name' && peek(1)?.type === '=>') return true;
+        if (peek()?.type !== '(') return false;
+        let depth = 0;
+        for (let offset = 0; peek(offset); offset += 1) {
+            const { type } = peek(offset);
+            if (type === '(') depth += 1;
+            if (type === ')') depth -= 1;
+            if (depth === 0) return peek(offset + 1)?.type === '=>';
+        }
+        return false;
+    };
+
+    const parseArrow = () => {
+        const start = peek();
+        const params = [];
+        if (!accept('(')) {
+            params.push(expect('name').value);
+        } else if (!accept(')')) {
+            do {
+                params.push(expect('name').value);
+            } while (accept(','));
+            expect(')');
+        }
+        const duplicate = params.find((name, index) => params.indexOf(name) !== index);
+        if (duplicate) fail(`Parameter "${duplicate}" is named twice`, start);
+        expect('=>');
+        if (peek()?.type === '{') fail('Arrow function bodies must be an expression, not a { block }');
+        return { type: 'arrow', params, body: parseExpression(), index: start.index };
+    };
+
+    const parseList = (close, parseItem) => {
+        const items = [];
+        while (!accept(close)) {
+            items.push(parseItem());
+            if (!accept(',')) {
+                expect(close);
+                break;
+            }
+        }
+        return items;
+    };
+
+    const parseObjectEntry = () => {
+        const token = peek();
+        let key;
+        if (token?.type === 'name' || token?.type === 'string' || token?.type === 'number') {
+            position += 1;
+            key = String(token.value);
+        } else if (accept('[')) {
+            const computed = parseExpression();
+            expect(']');
+            expect(':');
+            return { computed, value: parseExpression() };
+        } else {
+            fail(`Expected a property name but found ${describe(token)}`);
+        }
+        if (token.type === 'name' && peek()?.type !== ':') {
+            return { key, value: { type: 'name', name: key, index: token.index } };
+        }
+        expect(':');
+        return { key, value: parseExpression() };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) fail('Expression ends too early');
+        if (token.type === 'number' || token.type === 'string') {
+            position += 1;
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'name') {
+            position += 1;
+            if (hasOwn(LITERAL_NAMES, token.value)) return { type: 'literal', value: LITERAL_NAMES[token.value] };
+            if (UNSUPPORTED_NAMES.includes(token.value)) fail(`"${token.value}" is not supported`, token);
+            return { type: 'name', name: token.value, index: token.index };
+        }
+        if (accept('(')) {
+            const expression = parseExpression();
+            expect(')');
+            return expression;
+        }
+        if (accept('[')) return { type: 'array', items: parseList(']', parseExpression) };
+        if (accept('{')) return { type: 'object', entries: parseList('}', parseObjectEntry) };
+        return fail(`Unexpected ${describe(token)}`);
+    };
+
+    const parsePostfix = () => {
+        let expression = parsePrimary();
+        for (;;) {
+            const token = peek();
+            const optional = Boolean(accept('?.'));
+            if (accept('.') || (optional && peek()?.type === 'name')) {
+                const name = expect('name');
+                expression = { type: 'member', object: expression, property: { type: 'literal', value: name.value }, optional, index: name.index };
+            } else if (accept('[')) {
+                const property = parseExpression();
+                expect(']');
+                expression = { type: 'member', object: expression, property, optional, index: token.index };
+            } else if (accept('(')) {
+                expression = { type: 'call', callee: expression, args: parseList(')', parseExpression), optional, index: token.index };
+            } else if (optional) {
+                fail(`Expected a property after "?." but found ${describe(peek())}`);
+            } else {
+                return expression;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && ['!', '-', '+'].includes(token.type)) {
+            position += 1;
+            return { type: 'unary', operator: token.type, operand: parseUnary() };
+        }
+        if (token?.type === 'name' && token.value === 'typeof') {
+            position += 1;
+            return { type: 'unary', operator: 'typeof', operand: parseUnary() };
+        }
+        return parsePostfix();
+    };
+
+    const parseBinary = (minPrecedence) => {
+        let left = parseUnary();
+        for (;;) {
+            const operator = peek()?.type;
+            const precedence = BINARY_PRECEDENCE[operator];
+            if (!precedence || precedence < minPrecedence) return left;
+            position += 1;
+            // ** groups to the right, everything else to the left
+            const right = parseBinary(operator === '**' ? precedence : precedence + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+    };
+
+    const parseExpression = () => {
+        if (isArrowAhead()) return parseArrow();
+        const test = parseBinary(1);
+        if (!accept('?')) return test;
+        const consequent = parseExpression();
+        expect(':');
+        return { type: 'conditional', test, consequent, alternate: parseExpression() };
+    };
+
+    return {
+        parse: () => {
+            if (tokens.length === 0) fail('Expression is empty');
+            const expression = parseExpression();
+            if (peek()) fail(`Unexpected ${describe(peek())}`);
+            return expression;
+        },
+    };
+};
+
+// ---- helpers ------------------------------------------------------------
+
+// Every function an expression may call: its own arrow functions, the
+// helpers below and the methods it reads off strings, arrays and numbers
+const callable = new WeakSet();
+
+const allow = (fn) => {
+    callable.add(fn);
+    return fn;
+};
+
+const allowAll = (object) => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key, typeof value === 'function' ? allow(value) : value])
+);
+
+const pickMath = ['abs', 'ceil', 'floor', 'round', 'trunc', 'sign', 'max', 'min', 'pow', 'sqrt', 'cbrt',
+    'log', 'log2', 'log10', 'exp', 'random', 'sin', 'cos', 'tan', 'atan2', 'hypot'];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// ---- size limits ----------------------------------------------------------
+//
+// The step counter only runs between interpreted nodes, so a single native
+// call that multiplies its input (a.concat(a) in a reduce, join or
+// JSON.stringify over shared nested lists) is sized up before it is made.
+// The walks below stop as soon as they pass the limit, so they cost at most
+// MAX_VALUE_SIZE steps however large the value would be.
+
+const tooLarge = () => new ExpressionError(`Expression built a value larger than ${MAX_VALUE_SIZE} characters or items`);
+
+const checkSize = (size) => {
+    if (size > MAX_VALUE_SIZE) throw tooLarge();
+    return size;
+};
+
+// Walks value depth-first, adding up sizeOf(value, depth, visit) for every
+// value met; sizeOf passes the children to descend into to visit
+const measure = (root, sizeOf) => {
+    let total = 0;
+    let steps = 0;
+    const pending = [root];
+    const depths = [0];
+    const visit = (children, depth) => {
+        for (let index = 0; index < children.length; index += 1) {
+            pending.push(children[index]);
+            depths.push(depth + 1);
+        }
+    };
+    while (pending.length > 0) {
+        total += sizeOf(pending.pop(), depths.pop(), visit);
+        if (total > MAX_VALUE_SIZE) throw tooLarge();
+        steps += 1;
+        if ((steps & 4095) === 0) checkDeadline();
+    }
+    return total;
+};
+
+// Length of String(value); lists join their items with commas
+const textSize = (value) => measure(value, (current, depth, visit) => {
+    if (typeof current === 'string') return current.length;
+    if (current === null || current === undefined) return 0;
+    if (Array.isArray(current)) {
+        visit(current, depth);
+        return Math.max(current.length - 1, 0);
+    }
+    if (typeof current === 'object') return '[object Object]'.length;
+    return String(current).length;
+});
+
+// Length of JSON.stringify(value, null, indent), not counting escapes
+const jsonSize = (value, indent) => {
+    const spacing = typeof indent === 'number' ? Math.min(Math.max(indent, 0), 10) : String(indent ?? '').slice(0, 10).length;
+    return measure(value, (current, depth, visit) => {
+        const padding = spacing > 0 ? 1 + (depth + 1) * spacing : 0;
+        if (typeof current === 'string') return current.length + 2;
+        if (Array.isArray(current)) {
+            visit(current, depth);
+            return 2 + current.length * (1 + padding);
+        }
+        if (current !== null && typeof current === 'object') {
+            const keys = Object.keys(current);
+            visit(keys.map(key => current[key]), depth);
+            return keys.reduce((sum, key) => sum + key.length + 4 + padding, 2);
+        }
+        return String(current).length;
+    });
+};
+
+// Items of value.flat(depth), plus the lists it opens on the way
+const flatSize = (list, depth) => measure(list, (current, level, visit) => {
+    if (!Array.isArray(current) || level > depth) return 1;
+    // the last level opened only contributes its items
+    if (level === depth) return 1 + current.length;
+    visit(current, level);
+    return 1;
+});
+
+// Longest text one replacement can insert: $` and $' copy up to the whole string
+const replacementSize = (text, pattern, replacement) => {
+    const parts = replacement.split('$');
+    const copies = parts.slice(1).filter(part => part[0] === '`' || part[0] === "'").length;
+    return replacement.length + copies * text.length + parts.length * pattern.length;
+};
+
+const countMatches = (text, pattern, all) => {
+    if (!all) return text.includes(pattern) ? 1 : 0;
+    if (pattern === '') return text.length + 1;
+    return text.split(pattern).length - 1;
+};
+
+// Replacer functions are sized as they return; their results are kept as text
+const guardReplace = (text, name, [pattern, replacement]) => {
+    const search = String(pattern);
+    if (callable.has(replacement)) {
+        let total = text.length;
+        return text[name](search, (...args) => {
+            const inserted = replacement(...args);
+            total = checkSize(total + textSize(inserted));
+            return String(inserted);
+        });
+    }
+    const insert = String(replacement);
+    const matches = countMatches(text, search, name === 'replaceAll');
+    checkSize(text.length + matches * replacementSize(text, search, insert));
+    return text[name](search, insert);
+};
+
+// Methods whose result can be far larger than the values they are given
+const SIZE_GUARDS = {
+    string: {
+        concat: (text, args) => {
+            checkSize(args.reduce((sum, arg) => checkSize(sum + textSize(arg)), text.length));
+            return text.concat(...args);
+        },
+        replace: (text, args) => guardReplace(text, 'replace', args),
+        replaceAll: (text, args) => guardReplace(text, 'replaceAll', args),
+    },
+    array: {
+        concat: (list, args) => {
+            checkSize(args.reduce((sum, arg) => checkSize(sum + (Array.isArray(arg) ? arg.length : 1)), list.length));
+            return list.concat(...args);
+        },
+        flat: (list, [depth = 1]) => {
+            flatSize(list, Number(depth));
+            return list.flat(depth);
+        },
+        flatMap: (list, [fn]) => {
+            const mapped = list.map((item, index) => fn(item, index, list));
+            checkSize(mapped.reduce((sum, item) => checkSize(sum + (Array.isArray(item) ? item.length : 1)), 0));
+            return mapped.flat(1);
+        },
+        join: (list, [separator = ',']) => {
+            const separatorSize = String(separator).length * Math.max(list.length - 1, 0);
+            checkSize(separatorSize + textSize(list) - Math.max(list.length - 1, 0));
+            return list.join(separator);
+        },
+    },
+};
+
+const guardedMethod = (object, name) => {
+    const guards = typeof object === 'string' ? SIZE_GUARDS.string : Array.isArray(object) ? SIZE_GUARDS.array : {};
+    const guard = guards[name];
+    return guard ? (...args) => guard(object, args) : (...args) => object[name](...args);
+};
+
+// + joins text when either side is text or a list or object (lists join their items)
+const add = (left, right) => {
+    const joinsText = [left, right].some(side => typeof side === 'string' || (side !== null && typeof side === 'object'));
+    if (joinsText) checkSize(textSize(left) + textSize(right));
+    return left + right;
+};
+
+const GLOBALS = {
+    Math: allowAll({ PI: Math.PI, E: Math.E, ...Object.fromEntries(pickMath.map(name => [name, (...args) => Math[name](...args)])) }),
+    JSON: allowAll({
+        parse: (text) => JSON.parse(text),
+        stringify: (value, _, indent) => {
+            jsonSize(value, indent);
+            return JSON.stringify(value, null, indent);
+        },
+    }),
+    Object: allowAll({
+        keys: (value) => Object.keys(value),
+        values: (value) => Object.values(value),
+        entries: (value) => Object.entries(value),
+        fromEntries: (entries) => Object.fromEntries(entries),
+    }),
+    Array: allowAll({ isArray: (value) => Array.isArray(value) }),
+    Number: allow((value) => Number(value)),
+    String: allow((value) => {
+        textSize(value);
+        return String(value);
+    }),
+    Boolean: allow((value) => Boolean(value)),
+    parseInt: allow((text, radix) => parseInt(text, radix)),
+    parseFloat: allow((text) => parseFloat(text)),
+    isNaN: allow((value) => Number.isNaN(Number(value))),
+};
+
+// Methods that build new values; ones that mutate (push, sort, ...) or can
+// allocate without bound (repeat, padStart, ...) are left out
+const STRING_METHODS = new Set([
+    'at', 'charAt', 'concat', 'endsWith', 'includes', 'indexOf', 'lastIndexOf', 'localeCompare', 'replace',
+    'replaceAll', 'slice', 'split', 'startsWith', 'substring', 'toLowerCase', 'toString', 'toUpperCase',
+    'trim', 'trimEnd', 'trimStart',
+]);
+const ARRAY_METHODS = new Set([
+    'at', 'concat', 'every', 'filter', 'find', 'findIndex', 'findLast', 'findLastIndex', 'flat', 'flatMap',
+    'includes', 'indexOf', 'join', 'lastIndexOf', 'map', 'reduce', 'reduceRight', 'slice', 'some',
+]);
+const NUMBER_METHODS = new Set(['toFixed', 'toPrecision', 'toString']);
+
+const describeValue = (value) => (value === null ? 'null' : Array.isArray(value) ? 'a list' : typeof value);
+
+const getMember = (object, key) => {
+    if (typeof key !== 'string' && typeof key !== 'number') {
+        throw new ExpressionError(`Property names must be strings or numbers, not ${describeValue(key)}`);
+    }
+    const name = String(key);
+    const methods = typeof object === 'string' ? STRING_METHODS
+        : Array.isArray(object) ? ARRAY_METHODS
+            : typeof object === 'number' ? NUMBER_METHODS
+                : null;
+    if (methods) {
+        if (name === 'length' && typeof object !== 'number') return object.length;
+        if (methods.has(name)) return allow(guardedMethod(object, name));
+        if (typeof object !== 'number' && /^\d+$/.test(name)) return object[name];
+        return undefined;
+    }
+    if (object !== null && typeof object === 'object' && hasOwn(object, name)) {
+        return object[name];
+    }
+    return undefined;
+};
+
+const applyBinary = (operator, left, right) => {
+    switch (operator) {
+        case '+': return add(left, right);
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '**': return left ** right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+};
+
+// ---- evaluation ---------------------------------------------------------
+
+const lookup = (scope, name) => {
+    for (let current = scope; current; current = current.parent) {
+        if (hasOwn(current.values, name)) return current.values[name];
+    }
+    return hasOwn(GLOBALS, name) ? GLOBALS[name] : undefined;
+};
+
+// The deadline, steps and call depth of the run being evaluated. Evaluation
+// is synchronous, so only one run is ever in progress.
+let run = null;
+
+const checkDeadline = () => {
+    if (run && Date.now() > run.deadline) {
+        throw new ExpressionError(`Expression took longer than ${EXPRESSION_TIME_LIMIT_MS} ms`);
+    }
+};
+
+/**
+ * Runs body as one run: every expression call inside it shares a single
+ * time limit and step budget, so a node that calls an expression once per
+ * item is limited as a whole. A call outside any run is a run of its own.
+ * @param {function} body
+ * @returns {*} - What body returns
+ * @throws {ExpressionError} - When the calls inside run out of time or steps
+ */
+export const runExpressions = (body) => {
+    if (run) return body();
+    run = { steps: 0, depth: 0, deadline: Date.now() + EXPRESSION_TIME_LIMIT_MS };
+    try {
+        return body();
+    } finally {
+        run = null;
+    }
+};
+
+const evaluate = (node, scope) => {
+    run.steps += 1;
+    if ((run.steps & 1023) === 0) {
+        checkDeadline();
+        if (run.steps > EXPRESSION_STEP_LIMIT) {
+            throw new ExpressionError(`Expression took more than ${EXPRESSION_STEP_LIMIT} steps`);
+        }
+    }
+
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'name':
+            return lookup(scope, node.name);
+        case 'array':
+            return node.items.map(item => evaluate(item, scope));
+        case 'object':
+            // fromEntries defines own properties, so "__proto__" is just a key
+            return Object.fromEntries(node.entries.map(entry => [
+                entry.computed ? String(evaluate(entry.computed, scope)) : entry.key,
+                evaluate(entry.value, scope),
+            ]));
+        case 'arrow':
+            return makeFunction(node, scope);
+        case 'unary': {
+            const operand = evaluate(node.operand, scope);
+            if (node.operator === '!') return !operand;
+            if (node.operator === '-') return -operand;
+            if (node.operator === '+') return +operand;
+            return typeof operand;
+        }
+        case 'binary': {
+            const left = evaluate(node.left, scope);
+            if (node.operator === '&&') return left && evaluate(node.right, scope);
+            if (node.operator === '||') return left || evaluate(node.right, scope);
+            if (node.operator === '??') return left ?? evaluate(node.right, scope);
+            return applyBinary(node.operator, left, evaluate(node.right, scope));
+        }
+        case 'conditional':
+            return evaluate(node.test, scope)
+                ? evaluate(node.consequent, scope)
+                : evaluate(node.alternate, scope);
+        case 'member': {
+            const object = evaluate(node.object, scope);
+            if (object === null || object === undefined) {
+                if (node.optional) return undefined;
+                const property = evaluate(node.property, scope);
+                throw new ExpressionError(`Cannot read "${property}" of ${object}`);
+            }
+            return getMember(object, evaluate(node.property, scope));
+        }
+        case 'call': {
+            const fn = evaluate(node.callee, scope);
+            if ((fn === null || fn === undefined) && node.optional) return undefined;
+            if (!callable.has(fn)) {
+                throw new ExpressionError(`${describeCallee(node.callee)} is not a function`);
+            }
+            return fn(...node.args.map(arg => evaluate(arg, scope)));
+        }
+        default:
+            throw new ExpressionError(`Cannot evaluate ${node.type}`);
+    }
+};
+
+const describeCallee = (callee) => {
+    if (callee.type === 'name') return `"${callee.name}"`;
+    if (callee.type === 'member' && callee.property.type === 'literal') return `"${callee.property.value}"`;
+    return 'The value called';
+};
+
+const makeFunction = (node, scope) => {
+    const fn = (...args) => runExpressions(() => {
+        if (run.depth >= MAX_CALL_DEPTH) {
+            throw new ExpressionError('Expression calls itself too deeply');
+        }
+        run.depth += 1;
+        try {
+            const values = Object.fromEntries(node.params.map((name, index) => [name, args[index]]));
+            return evaluate(node.body, { values, parent: scope });
+        } finally {
+            run.depth -= 1;
+        }
+    });
+    // Sort tells a key function from a comparator by its parameter count
+    Object.defineProperty(fn, 'length', { value: node.params.length });
+    return allow(fn);
+};
+
+// Every name has to be a parameter in scope or a helper
+const checkNames = (node, names) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'name' && !names.has(node.name) && !hasOwn(GLOBALS, node.name)) {
+        throw new ExpressionSyntaxError(`Unknown name "${node.name}"`, node.index);
+    }
+    if (node.type === 'arrow') {
+        checkNames(node.body, new Set([...names, ...node.params]));
+        return;
+    }
+    Object.values(node).forEach(child => {
+        if (Array.isArray(child)) child.forEach(item => checkNames(item, names));
+        else if (child && typeof child === 'object') checkNames(child, names);
+    });
+};
+
+/**
+ * @param {string} source
+ * @param {string[]} [names] - Parameter names the expression may use
+ * @returns {object} - Syntax tree
+ * @throws {ExpressionSyntaxError} - On a syntax error or an unknown name
+ */
+export const parseExpression = (source, names = []) => {
+    const tree = createParser(source ?? '').parse();
+    checkNames(tree, new Set(names));
+    return tree;
+};
+
+/**
+ * Compiles an expression into a function. Same contract as the engine's
+ * compileExpression provider.
+ * @param {string} source - Either an arrow function (`x => x * 2`) or, when
+ *   params are given, a bare expression over them (`value > 0`)
+ * @param {string[]} [params] - Parameter names for a bare expression
+ * @returns {function}
+ * @throws {ExpressionSyntaxError} - If the source does not parse
+ * @throws {TypeError} - If a source without params is not a function
+ */
+export const compileExpression = (source, params) => {
+    const tree = createParser(source ?? '').parse();
+    if (!params && tree.type !== 'arrow') {
+        throw new TypeError(`Expression "${source}" is not a function`);
+    }
+    checkNames(tree, new Set(params));
+    if (!params) return makeFunction(tree, null);
+    return (...args) => runExpressions(() => evaluate(tree, {
+        values: Object.fromEntries(params.map((name, index) => [name, args[index]])),
+        parent: null,
+    }));
+};
+
+/**
+ * Checks an expression field, for its `validate`
+ * @param {string} source
+ * @param {string[]} [params] - As for compileExpression
+ * @returns {string|null}
+ */
+export const getExpressionError = (source, params) => {
+    try {
+        compileExpression(source, params);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
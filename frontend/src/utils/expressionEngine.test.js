@@ -0,0 +1,155 @@
+import {
+    compileExpression,
+    getExpressionError,
+    parseExpression,
+    ExpressionError,
+    ExpressionSyntaxError,
+    MAX_VALUE_SIZE,
+} from './expressionEngine';
+
+const run = (source, ...args) => compileExpression(source)(...args);
+
+describe('evaluation', () => {
+    test('arrow functions over their arguments', () => {
+        expect(run('x => x.price * 1.2', { price: 10 })).toBeCloseTo(12);
+        expect(run('(a, b) => a + b', 2, 3)).toBe(5);
+        expect(run('item => item.tags.map(tag => tag.toUpperCase()).join(", ")', { tags: ['a', 'b'] })).toBe('A, B');
+    });
+
+    test('bare expressions over named parameters', () => {
+        const inRange = compileExpression('value > 0 && value < 10', ['value']);
+        expect(inRange(5)).toBe(true);
+        expect(inRange(12)).toBe(false);
+    });
+
+    test('optional chaining, nullish coalescing and conditionals', () => {
+        expect(run('row => row.user?.name ?? "anonymous"', {})).toBe('anonymous');
+        expect(run('n => n % 2 === 0 ? "even" : "odd"', 3)).toBe('odd');
+    });
+
+    test('keeps the parameter count for Sort', () => {
+        expect(compileExpression('(a, b) => a - b')).toHaveLength(2);
+        expect(compileExpression('x => x')).toHaveLength(1);
+    });
+
+    test('helpers', () => {
+        expect(run('xs => Math.max(xs[0], xs[1])', [3, 7])).toBe(7);
+        expect(run('o => Object.keys(o)', { a: 1, b: 2 })).toEqual(['a', 'b']);
+        expect(run('s => JSON.parse(s).n', '{"n": 4}')).toBe(4);
+    });
+});
+
+describe('errors', () => {
+    test('syntax errors point at the character', () => {
+        expect(() => compileExpression('x => x +')).toThrow(ExpressionSyntaxError);
+        expect(getExpressionError('x => x = 1')).toMatch(/^Assignment is not supported.*\(at character 8\)$/);
+    });
+
+    test('loose equality points at the strict operators', () => {
+        expect(getExpressionError('x => x == 1')).toBe('Loose equality is not supported; compare with === (at character 8)');
+        expect(getExpressionError('x => x != null')).toBe('Loose equality is not supported; compare with !== (at character 8)');
+        expect(run('x => x !== null && x === 1', 1)).toBe(true);
+    });
+
+    test('unknown names are caught before running', () => {
+        expect(() => parseExpression('value + other', ['value'])).toThrow('Unknown name "other"');
+    });
+
+    test('a source without params has to be a function', () => {
+        expect(() => compileExpression('value > 0')).toThrow(TypeError);
+    });
+
+    test('calling something that is not a function', () => {
+        expect(() => run('x => x.missing()', {})).toThrow('"missing" is not a function');
+    });
+});
+
+describe('sandbox', () => {
+    test('browser globals are unknown names', () => {
+        ['window', 'globalThis', 'fetch', 'localStorage', 'document', 'Function', 'eval'].forEach(name => {
+            expect(getExpressionError(`x => ${name}`)).toMatch(`Unknown name "${name}"`);
+        });
+    });
+
+    test('prototypes and constructors cannot be reached', () => {
+        expect(run('x => x.constructor', {})).toBeUndefined();
+        expect(run('x => x["__proto__"]', {})).toBeUndefined();
+        expect(run('s => s.constructor', 'text')).toBeUndefined();
+        expect(() => run('s => s.constructor.constructor("return globalThis")()', 'text')).toThrow(ExpressionError);
+        expect(run('x => x.toString', [])).toBeUndefined();
+    });
+
+    test('"__proto__" in an object literal is an ordinary key', () => {
+        const value = run('x => ({ __proto__: x })', { polluted: true });
+        expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+        expect(value.polluted).toBeUndefined();
+    });
+
+    test('functions from the data cannot be called', () => {
+        expect(() => run('o => o.fn()', { fn: () => 'called' })).toThrow('"fn" is not a function');
+    });
+});
+
+describe('limits', () => {
+    test('self-application stops at the call depth limit', () => {
+        expect(() => run('f => f(f)', compileExpression('f => f(f)'))).toThrow('calls itself too deeply');
+    });
+
+    test('long runs stop at the time limit', () => {
+        const list = Array.from({ length: 5000 }, (_, index) => index);
+        expect(() => run('xs => xs.map(a => xs.map(b => xs.map(c => a + b + c)))', list)).toThrow(/took longer than/);
+    });
+
+    test('doubling a list in a reduce stops at the size limit', () => {
+        const items = Array.from({ length: 30 }, (_, index) => index);
+        expect(() => run('xs => xs.reduce(a => a.concat(a), [1])', items)).toThrow(/larger than/);
+    });
+
+    test('doubling a string stops at the size limit', () => {
+        const items = Array.from({ length: 40 }, (_, index) => index);
+        expect(() => run('xs => xs.reduce(a => a + a, "ab")', items)).toThrow(/larger than/);
+        expect(() => run('xs => xs.reduce(a => a.concat(a), "ab")', items)).toThrow(/larger than/);
+    });
+
+    test('flattening shared nested lists is sized first', () => {
+        // 40 levels of [a, a] hold 2^40 ones once flattened. Sizing them up
+        // walks MAX_VALUE_SIZE lists, which can outlast the time limit in a
+        // slow test run, so the clock is held still.
+        jest.useFakeTimers();
+        const items = Array.from({ length: 40 }, (_, index) => index);
+        expect(() => run('xs => xs.reduce(a => [a, a], [1]).flat(100)', items)).toThrow(/larger than/);
+        jest.useRealTimers();
+    });
+
+    test('joining or printing repeated text is sized first', () => {
+        const text = 'x'.repeat(MAX_VALUE_SIZE / 4);
+        const nest = 'xs.reduce(a => [a, a], [s])';
+        const items = [1, 2, 3];
+        expect(() => compileExpression(`(xs, s) => ${nest}.join("-")`)(items, text)).toThrow(/larger than/);
+        expect(() => compileExpression(`(xs, s) => JSON.stringify(${nest})`)(items, text)).toThrow(/larger than/);
+        expect(() => compileExpression(`(xs, s) => String(${nest})`)(items, text)).toThrow(/larger than/);
+        expect(() => compileExpression(`(xs, s) => "" + ${nest}`)(items, text)).toThrow(/larger than/);
+        expect(() => run('xs => [xs, xs, xs, xs, xs].flat()', [...text.slice(0, MAX_VALUE_SIZE / 4)])).toThrow(/larger than/);
+    });
+
+    test('replacements that copy the whole string are sized first', () => {
+        const text = 'x'.repeat(10000);
+        expect(() => run('s => s.replaceAll("x", "$`")', text)).toThrow(/larger than/);
+        expect(() => run('s => s.replaceAll("", s)', text)).toThrow(/larger than/);
+        expect(() => run('s => s.replaceAll("x", () => s)', text)).toThrow(/larger than/);
+    });
+
+    test('flatMap results are sized before flattening', () => {
+        const items = Array.from({ length: 20 }, (_, index) => index);
+        const big = Array.from({ length: MAX_VALUE_SIZE / 10 }, () => 0);
+        expect(() => compileExpression('(xs, big) => xs.flatMap(() => big)')(items, big)).toThrow(/larger than/);
+    });
+
+    test('ordinary values pass', () => {
+        expect(run('s => s.replaceAll("a", "[$&]")', 'banana')).toBe('b[a]n[a]n[a]');
+        expect(run('xs => xs.flat(2).join("")', [['a', ['b']], 'c'])).toBe('abc');
+        expect(run('xs => xs.flatMap(x => [x, x])', [1, 2])).toEqual([1, 1, 2, 2]);
+        expect(run('x => JSON.stringify(x, null, 2)', { a: [1] })).toBe('{\n  "a": [\n    1\n  ]\n}');
+        expect(run('(a, b) => a + b', 'ab', [1, 2])).toBe('ab1,2');
+    });
+});
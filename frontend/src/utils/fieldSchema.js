@@ -0,0 +1,94 @@
+/**
+ * Whether a field holds a value for the purposes of `required` and
+ * `visibleWhen` (empty strings, empty lists and unchecked boxes do not)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isFilled = (value) => {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '' && value !== false;
+};
+
+/**
+ * Evaluates a field's `visibleWhen` rule against the node's data. The rule
+ * is either a function of the data, or { field } to require that field to
+ * be filled, { field, equals } or { field, in: [...] }
+ * @param {object} field - Field definition from a node config
+ * @param {object} data - The node's field values
+ * @returns {boolean}
+ */
+export const isFieldVisible = (field, data) => {
+    const rule = field.visibleWhen;
+    if (!rule) return true;
+    if (typeof rule === 'function') return Boolean(rule(data));
+
+    const value = data[rule.field];
+    if ('equals' in rule) return value === rule.equals;
+    if ('in' in rule) return rule.in.includes(value);
+    return isFilled(value);
+};
+
+const checkRange = (field, value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return `${field.label} must be a number`;
+    if (field.min !== undefined && number < field.min) return `${field.label} must be at least ${field.min}`;
+    if (field.max !== undefined && number > field.max) return `${field.label} must be at most ${field.max}`;
+    return null;
+};
+
+const checkJson = (field, value) => {
+    try {
+        JSON.parse(value);
+        return null;
+    } catch (error) {
+        return `${field.label} is not valid JSON: ${error.message}`;
+    }
+};
+
+/**
+ * Whether a keyValue row is still empty, as "+ Add" leaves it. Such rows
+ * are not checked and do nothing until the user types into them.
+ * @param {{ key?: string, value?: string }} entry
+ * @returns {boolean}
+ */
+export const isBlankEntry = (entry) => !(entry?.key ?? '').trim() && !isFilled(entry?.value);
+
+const checkKeyValues = (field, entries) => {
+    if (!Array.isArray(entries)) return `${field.label} must be a list of entries`;
+    const keys = entries.filter(entry => !isBlankEntry(entry)).map(entry => (entry.key ?? '').trim());
+    if (keys.some(key => !key)) return `Every ${field.label} entry needs a key`;
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    return duplicate ? `${field.label} has "${duplicate}" more than once` : null;
+};
+
+/**
+ * Checks a field value against its schema: `required`, the built-in
+ * rules for number, slider, json and keyValue fields, then `validate`
+ * @param {object} field - Field definition from a node config
+ * @param {*} value - Current value
+ * @param {object} data - All of the node's field values, for cross-field rules
+ * @returns {string|null} - Error message, or null if the value is fine
+ */
+export const getFieldError = (field, value, data) => {
+    if (!isFilled(value)) {
+        return field.required ? `${field.label} is required` : null;
+    }
+
+    let error = null;
+    switch (field.type) {
+        case 'number':
+        case 'slider':
+            error = checkRange(field, value);
+            break;
+        case 'json':
+            error = checkJson(field, value);
+            break;
+        case 'keyValue':
+            error = checkKeyValues(field, value);
+            break;
+        default:
+            break;
+    }
+
+    return error || (field.validate ? field.validate(value, data) || null : null);
+};
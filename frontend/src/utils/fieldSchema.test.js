@@ -0,0 +1,34 @@
+import { getFieldError, isFieldVisible } from './fieldSchema';
+
+const headers = { type: 'keyValue', name: 'headers', label: 'Headers' };
+
+describe('keyValue fields', () => {
+    test('a row just added with "+ Add" is not flagged', () => {
+        expect(getFieldError(headers, [{ key: '', value: '' }], {})).toBeNull();
+        expect(getFieldError(headers, [{ key: 'Accept', value: 'text/plain' }, {}], {})).toBeNull();
+    });
+
+    test('a row with a value but no key is flagged', () => {
+        expect(getFieldError(headers, [{ value: 'text/plain' }], {})).toBe('Every Headers entry needs a key');
+        expect(getFieldError(headers, [{ key: '  ', value: 'x' }], {})).toBe('Every Headers entry needs a key');
+    });
+
+    test('keys must be unique', () => {
+        expect(getFieldError(headers, [{ key: 'A', value: '1' }, { key: 'A ', value: '2' }], {})).toBe('Headers has "A" more than once');
+    });
+});
+
+describe('other rules', () => {
+    test('required, ranges and JSON', () => {
+        expect(getFieldError({ type: 'text', label: 'Name', required: true }, '', {})).toBe('Name is required');
+        expect(getFieldError({ type: 'number', label: 'Retries', min: 0, max: 5 }, 9, {})).toBe('Retries must be at most 5');
+        expect(getFieldError({ type: 'json', label: 'Body' }, '{', {})).toMatch(/^Body is not valid JSON/);
+        expect(getFieldError({ type: 'text', label: 'Name', validate: (value) => `bad ${value}` }, 'x', {})).toBe('bad x');
+    });
+
+    test('visibleWhen rules', () => {
+        expect(isFieldVisible({ visibleWhen: { field: 'mode', equals: 'a' } }, { mode: 'a' })).toBe(true);
+        expect(isFieldVisible({ visibleWhen: { field: 'mode', in: ['b', 'c'] } }, { mode: 'a' })).toBe(false);
+        expect(isFieldVisible({ visibleWhen: { field: 'jsonMode' } }, { jsonMode: false })).toBe(false);
+    });
+});
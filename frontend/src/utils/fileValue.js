@@ -0,0 +1,26 @@
+const TEXT_FILE_PATTERN = /^text\/|json|xml|csv|javascript/;
+
+/**
+ * Reads a File into the plain object pipelines pass around. Text-like
+ * files carry their contents, anything else a data URL.
+ * @param {File} file
+ * @returns {Promise<{ name: string, type: string, size: number, content: string }>}
+ */
+export const readFileValue = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        const asText = TEXT_FILE_PATTERN.test(file.type) || file.type === '';
+        reader.onload = () => resolve({
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            content: reader.result,
+        });
+        reader.onerror = () => reject(reader.error);
+        if (asText) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+    });
+};
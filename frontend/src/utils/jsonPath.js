@@ -0,0 +1,70 @@
+// A JSONPath subset for picking values out of API responses:
+//   $            the whole value
+//   .name        a property (also ['name'] or ["name"])
+//   [0], [-1]    an array element, counting from the end when negative
+//   [*], .*      every element or property value
+// A path with a wildcard yields a list; otherwise a single value, or
+// undefined when nothing is there.
+
+export class JsonPathError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JsonPathError';
+    }
+}
+
+const TOKEN = /\.([A-Za-z_$][\w$]*|\*)|\[(-?\d+|\*|'[^']*'|"[^"]*")\]/y;
+
+/**
+ * @param {string} path - e.g. `$.items[*].id`
+ * @returns {({ key: string } | { index: number } | { wildcard: true })[]}
+ * @throws {JsonPathError} - If the path is outside the supported subset
+ */
+export const parseJsonPath = (path) => {
+    const source = path.trim();
+    if (!source.startsWith('$')) {
+        throw new JsonPathError(`JSONPath "${path}" must start with $`);
+    }
+    const steps = [];
+    TOKEN.lastIndex = 1;
+    while (TOKEN.lastIndex < source.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) {
+            throw new JsonPathError(`JSONPath "${path}" has an unexpected "${source.slice(start)}"`);
+        }
+        const part = match[1] ?? match[2];
+        if (part === '*') {
+            steps.push({ wildcard: true });
+        } else if (/^-?\d+$/.test(part) && match[2] !== undefined) {
+            steps.push({ index: Number(part) });
+        } else {
+            steps.push({ key: /^['"]/.test(part) ? part.slice(1, -1) : part });
+        }
+    }
+    return steps;
+};
+
+const step = (value, { key, index, wildcard }) => {
+    if (value === null || typeof value !== 'object') return [];
+    if (wildcard) return Object.values(value);
+    if (index !== undefined) {
+        if (!Array.isArray(value)) return [];
+        const position = index < 0 ? value.length + index : index;
+        return position in value ? [value[position]] : [];
+    }
+    return Object.prototype.hasOwnProperty.call(value, key) ? [value[key]] : [];
+};
+
+/**
+ * Picks values out of parsed JSON
+ * @param {*} value
+ * @param {string} path
+ * @returns {*} - A list when the path has a wildcard, else the value or undefined
+ * @throws {JsonPathError}
+ */
+export const evaluateJsonPath = (value, path) => {
+    const steps = parseJsonPath(path);
+    const matches = steps.reduce((current, next) => current.flatMap(item => step(item, next)), [value]);
+    return steps.some(entry => entry.wildcard) ? matches : matches[0];
+};
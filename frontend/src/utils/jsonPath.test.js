@@ -0,0 +1,52 @@
+import { evaluateJsonPath, parseJsonPath, JsonPathError } from './jsonPath';
+
+const response = {
+    items: [{ id: 1, tags: ['a'] }, { id: 2, tags: [] }],
+    'first name': 'Ada',
+    meta: { page: 1, total: 2 },
+};
+
+describe('evaluateJsonPath', () => {
+    test('properties and indexes', () => {
+        expect(evaluateJsonPath(response, '$')).toBe(response);
+        expect(evaluateJsonPath(response, '$.meta.total')).toBe(2);
+        expect(evaluateJsonPath(response, '$.items[1].id')).toBe(2);
+        expect(evaluateJsonPath(response, '$.items[-1].id')).toBe(2);
+        expect(evaluateJsonPath(response, "$['first name']")).toBe('Ada');
+        expect(evaluateJsonPath(response, '$["meta"]["page"]')).toBe(1);
+    });
+
+    test('wildcards always give a list', () => {
+        expect(evaluateJsonPath(response, '$.items[*].id')).toEqual([1, 2]);
+        expect(evaluateJsonPath(response, '$.meta.*')).toEqual([1, 2]);
+        expect(evaluateJsonPath(response, '$.items[*].tags[0]')).toEqual(['a']);
+        expect(evaluateJsonPath(response, '$.missing[*]')).toEqual([]);
+    });
+
+    test('missing values are undefined', () => {
+        expect(evaluateJsonPath(response, '$.items[5].id')).toBeUndefined();
+        expect(evaluateJsonPath(response, '$.items[-3]')).toBeUndefined();
+        expect(evaluateJsonPath(response, '$.meta[0]')).toBeUndefined();
+        expect(evaluateJsonPath('text', '$.length')).toBeUndefined();
+        expect(evaluateJsonPath(null, '$.a')).toBeUndefined();
+    });
+
+    test('only own properties are read', () => {
+        expect(evaluateJsonPath({}, '$.constructor')).toBeUndefined();
+        expect(evaluateJsonPath({}, '$.__proto__')).toBeUndefined();
+    });
+});
+
+describe('parseJsonPath', () => {
+    test('parses the supported steps', () => {
+        expect(parseJsonPath(' $.a[0][*]["b"] ')).toEqual([{ key: 'a' }, { index: 0 }, { wildcard: true }, { key: 'b' }]);
+        expect(parseJsonPath('$["0"]')).toEqual([{ key: '0' }]);
+    });
+
+    test('rejects paths outside the subset', () => {
+        expect(() => parseJsonPath('items[0]')).toThrow(new JsonPathError('JSONPath "items[0]" must start with $'));
+        expect(() => parseJsonPath('$..id')).toThrow('JSONPath "$..id" has an unexpected "..id"');
+        expect(() => parseJsonPath('$.items[?(@.id)]')).toThrow(JsonPathError);
+        expect(() => parseJsonPath('$.a[')).toThrow(JsonPathError);
+    });
+});
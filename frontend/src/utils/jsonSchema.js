@@ -0,0 +1,54 @@
+// The subset of JSON Schema an LLM response schema is checked against:
+// type, enum, properties, required and items
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Finds the first place a value breaks a schema
+ * @param {*} value
+ * @param {object} schema - JSON Schema; unsupported keywords are ignored
+ * @param {string} [path] - Name of the value in the message
+ * @returns {string|null} - What is wrong, or null if the value fits
+ */
+export const getSchemaError = (value, schema, path = 'value') => {
+    if (!schema || typeof schema !== 'object') return null;
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return `${path} should be ${types.join(' or ')}, got ${typeOf(value)}`;
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        return `${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    }
+
+    if (typeOf(value) === 'object') {
+        const missing = (schema.required || []).find(key => !(key in value));
+        if (missing) return `${path} is missing "${missing}"`;
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                const error = getSchemaError(value[key], propertySchema, `${path}.${key}`);
+                if (error) return error;
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        for (let index = 0; index < value.length; index += 1) {
+            const error = getSchemaError(value[index], schema.items, `${path}[${index}]`);
+            if (error) return error;
+        }
+    }
+    return null;
+};
@@ -0,0 +1,291 @@
+import { getConfigNode } from '../nodes/nodeConfigs';
+import { getLlmProviders } from '../engine/llmProviders';
+
+export const PIPELINE_FILE_FORMAT = 'vectorshift-pipeline';
+export const PIPELINE_FILE_VERSION = 3;
+
+export class PipelineFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PipelineFileError';
+    }
+}
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Derives the getNodeID counters from the ids already on the canvas,
+ * so that new nodes never collide with loaded ones
+ * @param {object[]} nodes - Nodes whose ids look like `${type}-${n}`
+ * @param {object} [nodeIDs] - Existing counters to merge with
+ * @returns {object} - Map of node type to the highest id number in use
+ */
+export const deriveNodeIDs = (nodes, nodeIDs = {}) => {
+    const counters = { ...nodeIDs };
+    nodes.forEach(node => {
+        const match = /^(.*)-(\d+)$/.exec(node.id);
+        if (!match) return;
+        const [, type, count] = match;
+        counters[type] = Math.max(counters[type] || 0, Number(count));
+    });
+    return counters;
+};
+
+// Version 1 drew links as plain smooth step edges; they are now data edges
+// that show their type and last value, inside Subflows too
+const toDataEdges = ({ nodes, edges }) => ({
+    nodes: Array.isArray(nodes) ? nodes.map(node => (
+        Array.isArray(node?.data?.graph?.edges)
+            ? { ...node, data: { ...node.data, graph: { ...node.data.graph, ...toDataEdges(node.data.graph) } } }
+            : node
+    )) : nodes,
+    edges: Array.isArray(edges) ? edges.map(edge => (
+        edge?.type === 'smoothstep' ? { ...edge, type: 'data' } : edge
+    )) : edges,
+});
+
+// Applies `update` to every node, inside Subflows too
+const mapNodes = (nodes, update) => (Array.isArray(nodes) ? nodes.map(node => {
+    const updated = update(node);
+    return Array.isArray(updated?.data?.graph?.nodes)
+        ? { ...updated, data: { ...updated.data, graph: { ...updated.data.graph, nodes: mapNodes(updated.data.graph.nodes, update) } } }
+        : updated;
+}) : nodes);
+
+// Model names typed into version 2's free-text field, for the closest model offered now
+const LEGACY_MODELS = { 'gpt-4': 'gpt-4o', 'gpt-4-turbo': 'gpt-4o', 'gpt-3.5-turbo': 'gpt-4o-mini' };
+
+// Version 2 llm nodes had a free-text model name and no provider; they get
+// the provider offering that model, else OpenAI's closest or default model
+const toProviderModel = (node) => {
+    if (node?.type !== 'llm' || node.data?.provider) return node;
+    const name = String(node.data?.modelName ?? 'GPT-4').trim().toLowerCase();
+    for (const provider of getLlmProviders()) {
+        const model = provider.models.find(({ value, label }) => value.toLowerCase() === name || label.toLowerCase() === name);
+        if (model) return { ...node, data: { ...node.data, provider: provider.id, modelName: model.value } };
+    }
+    return { ...node, data: { ...node.data, provider: 'openai', modelName: LEGACY_MODELS[name] || 'gpt-4o-mini' } };
+};
+
+// Each migration upgrades a document from version `n` to `n + 1`.
+// Version 0 is the bare `{ nodes, edges }` payload sent to /pipelines/parse.
+const migrations = {
+    0: (doc) => ({
+        format: PIPELINE_FILE_FORMAT,
+        version: 1,
+        nodes: doc.nodes,
+        edges: doc.edges,
+        viewport: { x: 0, y: 0, zoom: 1 },
+        nodeIDs: deriveNodeIDs(Array.isArray(doc.nodes) ? doc.nodes : []),
+    }),
+    1: (doc) => ({
+        ...doc,
+        ...toDataEdges(doc),
+        version: 2,
+    }),
+    2: (doc) => ({
+        ...doc,
+        nodes: mapNodes(doc.nodes, toProviderModel),
+        version: 3,
+    }),
+};
+
+const migrate = (doc) => {
+    let current = doc;
+    let version = current.version ?? 0;
+
+    if (!Number.isInteger(version) || version < 0) {
+        throw new PipelineFileError(`Invalid file version "${version}"`);
+    }
+    if (version > PIPELINE_FILE_VERSION) {
+        throw new PipelineFileError(
+            `File version ${version} is newer than this editor supports (${PIPELINE_FILE_VERSION})`
+        );
+    }
+
+    while (version < PIPELINE_FILE_VERSION) {
+        current = migrations[version](current);
+        version = current.version;
+    }
+    return current;
+};
+
+const validateNode = (node, index, prefix = '') => {
+    const where = `${prefix}nodes[${index}]`;
+    if (!isPlainObject(node)) {
+        throw new PipelineFileError(`${where} must be an object`);
+    }
+    if (typeof node.id !== 'string' || !node.id) {
+        throw new PipelineFileError(`${where}.id must be a non-empty string`);
+    }
+    if (!getConfigNode(node.type)) {
+        throw new PipelineFileError(`${where} has unknown type "${node.type}"`);
+    }
+    if (!isPlainObject(node.position) || !isFiniteNumber(node.position.x) || !isFiniteNumber(node.position.y)) {
+        throw new PipelineFileError(`${where}.position must have numeric x and y`);
+    }
+    if (node.data !== undefined && !isPlainObject(node.data)) {
+        throw new PipelineFileError(`${where}.data must be an object`);
+    }
+    if (node.type === 'subflow') {
+        validateGraph(node.data?.graph, `${where}.data.graph.`);
+    }
+};
+
+const validateEdge = (edge, index, nodeIds, prefix = '') => {
+    const where = `${prefix}edges[${index}]`;
+    if (!isPlainObject(edge)) {
+        throw new PipelineFileError(`${where} must be an object`);
+    }
+    ['id', 'source', 'target'].forEach(key => {
+        if (typeof edge[key] !== 'string' || !edge[key]) {
+            throw new PipelineFileError(`${where}.${key} must be a non-empty string`);
+        }
+    });
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
+        throw new PipelineFileError(`${where} references a node that does not exist`);
+    }
+};
+
+// Checks a canvas's nodes and edges; Subflow contents are checked the same way
+const validateGraph = (graph, prefix = '') => {
+    if (!isPlainObject(graph) || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+        throw new PipelineFileError(prefix
+            ? `${prefix.slice(0, -1)} must contain nodes and edges arrays`
+            : 'File must contain nodes and edges arrays');
+    }
+
+    graph.nodes.forEach((node, index) => validateNode(node, index, prefix));
+
+    const nodeIds = new Set(graph.nodes.map(node => node.id));
+    if (nodeIds.size !== graph.nodes.length) {
+        throw new PipelineFileError(`${prefix ? prefix.slice(0, -1) : 'File'} contains duplicate node ids`);
+    }
+    graph.edges.forEach((edge, index) => validateEdge(edge, index, nodeIds, prefix));
+};
+
+const validate = (doc) => {
+    if (doc.format !== PIPELINE_FILE_FORMAT) {
+        throw new PipelineFileError('Not a pipeline file');
+    }
+
+    validateGraph(doc);
+
+    const { viewport } = doc;
+    if (!isPlainObject(viewport) || ![viewport.x, viewport.y, viewport.zoom].every(isFiniteNumber)) {
+        throw new PipelineFileError('viewport must have numeric x, y and zoom');
+    }
+    if (!isPlainObject(doc.nodeIDs) || !Object.values(doc.nodeIDs).every(Number.isInteger)) {
+        throw new PipelineFileError('nodeIDs must map node types to integers');
+    }
+};
+
+const SECRET_FIELD_TYPES = ['secret', 'password'];
+
+const secretFieldNames = (node) => (getConfigNode(node.type)?.fields || [])
+    .filter(field => SECRET_FIELD_TYPES.includes(field.type))
+    .map(field => field.name);
+
+/**
+ * @param {object} node - A node as stored on the canvas
+ * @returns {object} - The node without its secret and password field
+ *   values, inside Subflows too, for anything that leaves the browser
+ */
+export const withoutSecrets = (node) => {
+    const data = { ...node.data };
+    secretFieldNames(node).forEach(name => delete data[name]);
+    if (Array.isArray(data.graph?.nodes)) {
+        data.graph = { ...data.graph, nodes: data.graph.nodes.map(withoutSecrets) };
+    }
+    return { ...node, data };
+};
+
+/**
+ * Gathers the secret field values withoutSecrets leaves out, so they can be
+ * kept apart and put back with restoreSecrets
+ * @param {object[]} nodes
+ * @returns {object} - Field values by node id, `subflow-1/llm-1` inside Subflows
+ */
+export const collectSecrets = (nodes, prefix = '') => {
+    const secrets = {};
+    nodes.forEach(node => {
+        const values = Object.fromEntries(secretFieldNames(node)
+            .filter(name => node.data?.[name] !== undefined)
+            .map(name => [name, node.data[name]]));
+        if (Object.keys(values).length > 0) secrets[`${prefix}${node.id}`] = values;
+        if (Array.isArray(node.data?.graph?.nodes)) {
+            Object.assign(secrets, collectSecrets(node.data.graph.nodes, `${prefix}${node.id}/`));
+        }
+    });
+    return secrets;
+};
+
+/**
+ * @param {object[]} nodes
+ * @param {object} secrets - From collectSecrets
+ * @returns {object[]} - The nodes with those secret field values put back
+ */
+export const restoreSecrets = (nodes, secrets, prefix = '') => nodes.map(node => {
+    const key = `${prefix}${node.id}`;
+    const data = { ...node.data, ...secrets[key] };
+    if (Array.isArray(data.graph?.nodes)) {
+        data.graph = { ...data.graph, nodes: restoreSecrets(data.graph.nodes, secrets, `${key}/`) };
+    }
+    return { ...node, data };
+});
+
+/**
+ * Builds the versioned document for the current canvas, dropping
+ * React Flow's runtime-only node and edge properties
+ * @param {object} pipeline - { nodes, edges, viewport, nodeIDs }
+ * @param {object} [options]
+ * @param {boolean} [options.omitSecrets] - Leave secret field values out,
+ *   for files that may be shared
+ * @returns {object} - Document ready for JSON.stringify
+ */
+export const serializePipeline = ({ nodes, edges, viewport, nodeIDs }, options = {}) => {
+    const exported = options.omitSecrets ? nodes.map(withoutSecrets) : nodes;
+    return {
+        format: PIPELINE_FILE_FORMAT,
+        version: PIPELINE_FILE_VERSION,
+        nodes: exported.map(({ id, type, position, data }) => ({ id, type, position, data })),
+        edges: edges.map(({ id, source, sourceHandle, target, targetHandle, type, animated, markerEnd, data, style }) => ({
+            id, source, sourceHandle, target, targetHandle, type, animated, markerEnd, data, style,
+        })),
+        viewport: viewport || { x: 0, y: 0, zoom: 1 },
+        nodeIDs: { ...nodeIDs },
+    };
+};
+
+/**
+ * Parses, migrates and validates a pipeline document
+ * @param {string|object} input - File contents or an already parsed object
+ * @returns {object} - A document in the current version
+ * @throws {PipelineFileError} - If the document cannot be loaded
+ */
+export const parsePipelineFile = (input) => {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (error) {
+            throw new PipelineFileError(`File is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!isPlainObject(doc)) {
+        throw new PipelineFileError('Not a pipeline file');
+    }
+
+    const migrated = migrate(doc);
+    validate(migrated);
+
+    return {
+        ...migrated,
+        nodes: migrated.nodes.map(node => ({ ...node, data: { ...node.data } })),
+        nodeIDs: deriveNodeIDs(migrated.nodes, migrated.nodeIDs),
+    };
+};
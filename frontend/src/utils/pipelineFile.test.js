@@ -0,0 +1,99 @@
+import { parsePipelineFile, serializePipeline, PipelineFileError, PIPELINE_FILE_VERSION } from './pipelineFile';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+const pipelineDoc = (version, nodes, extra = {}) => ({
+    format: 'vectorshift-pipeline',
+    version,
+    nodes,
+    edges: [],
+    viewport: { x: 0, y: 0, zoom: 1 },
+    nodeIDs: {},
+    ...extra,
+});
+
+describe('migrations', () => {
+    test('a bare { nodes, edges } payload becomes a current document', () => {
+        const doc = parsePipelineFile({
+            nodes: [node('text-3', 'text'), node('customOutput-1', 'customOutput')],
+            edges: [{ id: 'e1', source: 'text-3', target: 'customOutput-1', type: 'smoothstep' }],
+        });
+
+        expect(doc.version).toBe(PIPELINE_FILE_VERSION);
+        expect(doc.edges[0].type).toBe('data');
+        expect(doc.viewport).toEqual({ x: 0, y: 0, zoom: 1 });
+        expect(doc.nodeIDs).toEqual({ text: 3, customOutput: 1 });
+    });
+
+    test('version 1 edges inside Subflows become data edges too', () => {
+        const subflow = node('subflow-1', 'subflow', {
+            graph: {
+                nodes: [node('text-1', 'text'), node('text-2', 'text')],
+                edges: [{ id: 'inner', source: 'text-1', target: 'text-2', type: 'smoothstep' }],
+            },
+        });
+        const doc = parsePipelineFile(pipelineDoc(1, [subflow]));
+        expect(doc.nodes[0].data.graph.edges[0].type).toBe('data');
+    });
+
+    test('version 2 free-text model names get a provider and a model it offers', () => {
+        const doc = parsePipelineFile(pipelineDoc(2, [
+            node('llm-1', 'llm', { modelName: 'GPT-4' }),
+            node('llm-2', 'llm', { modelName: 'Claude 3.7 Sonnet' }),
+            node('llm-3', 'llm', { modelName: 'my-finetune' }),
+            node('llm-4', 'llm'),
+            node('llm-5', 'llm', { provider: 'mock', modelName: 'echo' }),
+            node('subflow-1', 'subflow', { graph: { nodes: [node('llm-1', 'llm', { modelName: 'gpt-4o' })], edges: [] } }),
+        ]));
+
+        const models = doc.nodes.map(({ data }) => [data.provider, data.modelName]);
+        expect(models.slice(0, 5)).toEqual([
+            ['openai', 'gpt-4o'],
+            ['anthropic', 'claude-3-7-sonnet-latest'],
+            ['openai', 'gpt-4o-mini'],
+            ['openai', 'gpt-4o'],
+            ['mock', 'echo'],
+        ]);
+        expect(doc.nodes[5].data.graph.nodes[0].data).toMatchObject({ provider: 'openai', modelName: 'gpt-4o' });
+    });
+
+    test('files from a newer editor are refused', () => {
+        expect(() => parsePipelineFile(pipelineDoc(PIPELINE_FILE_VERSION + 1, []))).toThrow(/newer than this editor supports/);
+    });
+});
+
+describe('validation', () => {
+    test('reports what is wrong with the file', () => {
+        expect(() => parsePipelineFile('{')).toThrow(/^File is not valid JSON/);
+        expect(() => parsePipelineFile(pipelineDoc(PIPELINE_FILE_VERSION, [node('x-1', 'removed')]))).toThrow('nodes[0] has unknown type "removed"');
+        expect(() => parsePipelineFile(pipelineDoc(PIPELINE_FILE_VERSION, [node('a', 'text'), node('a', 'text')]))).toThrow('File contains duplicate node ids');
+        expect(() => parsePipelineFile(pipelineDoc(PIPELINE_FILE_VERSION, [], {
+            edges: [{ id: 'e', source: 'a', target: 'b' }],
+        }))).toThrow(PipelineFileError);
+    });
+});
+
+describe('serializePipeline', () => {
+    test('round-trips through parsePipelineFile', () => {
+        const pipeline = { nodes: [{ ...node('text-1', 'text', { text: 'hi' }), selected: true }], edges: [], nodeIDs: { text: 1 } };
+        const doc = serializePipeline(pipeline);
+
+        expect(doc.nodes[0]).not.toHaveProperty('selected');
+        expect(parsePipelineFile(JSON.stringify(doc)).nodes).toEqual(doc.nodes);
+    });
+
+    test('can leave secrets out, inside Subflows too', () => {
+        const llm = node('llm-1', 'llm', { provider: 'openai', apiKey: 'sk-secret' });
+        const pipeline = {
+            nodes: [llm, node('subflow-1', 'subflow', { graph: { nodes: [llm], edges: [] } })],
+            edges: [],
+            nodeIDs: {},
+        };
+
+        const text = JSON.stringify(serializePipeline(pipeline, { omitSecrets: true }));
+        expect(text).not.toContain('sk-secret');
+        expect(JSON.stringify(serializePipeline(pipeline))).toContain('sk-secret');
+    });
+});
@@ -0,0 +1,78 @@
+import { getConfigNode, resolveFieldDefault } from '../nodes/nodeConfigs';
+import { getHandleName } from '../engine/graph';
+
+/**
+ * Picks a set of nodes and the edges that run between them
+ * @param {object[]} nodes - React Flow nodes
+ * @param {object[]} edges - React Flow edges
+ * @param {Iterable<string>} nodeIds - Ids of the nodes to keep
+ * @returns {{ nodes: object[], edges: object[] }}
+ */
+export const extractSubgraph = (nodes, edges, nodeIds) => {
+    const ids = new Set(nodeIds);
+    return {
+        nodes: nodes.filter(node => ids.has(node.id)),
+        edges: edges.filter(edge => ids.has(edge.source) && ids.has(edge.target)),
+    };
+};
+
+// Field values still equal to an id-derived default (e.g. an Input named
+// `input_1` on customInput-1) follow the node to its new id
+const cloneNodeData = (node, oldId, newId) => {
+    const data = JSON.parse(JSON.stringify(node.data ?? {}));
+    if ('id' in data) data.id = newId;
+    getConfigNode(node.type)?.fields?.forEach(field => {
+        if (typeof field.defaultValue === 'function' && data[field.name] === resolveFieldDefault(field, oldId)) {
+            data[field.name] = resolveFieldDefault(field, newId);
+        }
+    });
+    return data;
+};
+
+/**
+ * Copies a subgraph under fresh node ids, rewriting the handle ids on its
+ * edges (which embed the node id, e.g. `llm-1-prompt`)
+ * @param {{ nodes: object[], edges: object[] }} subgraph
+ * @param {function} getNodeID - Store action returning a new id for a type
+ * @param {{ x: number, y: number }} [offset] - Added to every position
+ * @returns {{ nodes: object[], edges: object[] }} - The copies, selected
+ */
+export const cloneSubgraph = ({ nodes, edges }, getNodeID, offset = { x: 0, y: 0 }) => {
+    const idMap = new Map();
+    const clonedNodes = nodes.map(node => {
+        const id = getNodeID(node.type);
+        idMap.set(node.id, id);
+        return {
+            id,
+            type: node.type,
+            position: { x: node.position.x + offset.x, y: node.position.y + offset.y },
+            data: cloneNodeData(node, node.id, id),
+            selected: true,
+        };
+    });
+
+    const remapHandle = (oldId, handleId) => {
+        const name = getHandleName(oldId, handleId);
+        return name === null ? handleId : `${idMap.get(oldId)}-${name}`;
+    };
+
+    const clonedEdges = edges
+        .filter(edge => idMap.has(edge.source) && idMap.has(edge.target))
+        .map(edge => {
+            const source = idMap.get(edge.source);
+            const target = idMap.get(edge.target);
+            const sourceHandle = remapHandle(edge.source, edge.sourceHandle);
+            const targetHandle = remapHandle(edge.target, edge.targetHandle);
+            return {
+                ...edge,
+                id: `reactflow__edge-${source}${sourceHandle || ''}-${target}${targetHandle || ''}`,
+                source,
+                sourceHandle,
+                target,
+                targetHandle,
+                selected: false,
+            };
+        });
+
+    return { nodes: clonedNodes, edges: clonedEdges };
+};
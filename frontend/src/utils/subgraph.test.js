@@ -0,0 +1,45 @@
+import { cloneSubgraph, extractSubgraph } from './subgraph';
+import { registerBuiltinNodes } from '../nodes/builtinNodes';
+import { edge, node } from '../testFixtures';
+
+registerBuiltinNodes();
+
+const counter = () => {
+    const counts = {};
+    return (type) => {
+        counts[type] = (counts[type] || 0) + 1;
+        return `${type}-${counts[type] + 10}`;
+    };
+};
+
+test('edges with an end outside the selection are left behind', () => {
+    const subgraph = extractSubgraph(
+        [node('text-1', 'text'), node('text-2', 'text'), node('text-3', 'text')],
+        [edge('text-1', 'output', 'text-2', 'a'), edge('text-2', 'output', 'text-3', 'b'), edge('text-3', 'output', 'text-1', 'c')],
+        ['text-1', 'text-2'],
+    );
+    expect(subgraph.edges.map(({ id }) => id)).toEqual(['text-1-text-2-a']);
+
+    // a stray edge handed to cloneSubgraph directly is dropped too
+    const copy = cloneSubgraph({ nodes: subgraph.nodes, edges: [...subgraph.edges, edge('text-2', 'output', 'text-3', 'b')] }, counter());
+    expect(copy.edges).toEqual([expect.objectContaining({
+        source: 'text-11',
+        sourceHandle: 'text-11-output',
+        target: 'text-12',
+        targetHandle: 'text-12-a',
+    })]);
+});
+
+test('copies get fresh ids, offset positions and names that follow them', () => {
+    const original = [
+        { ...node('customInput-1', 'customInput', { inputName: 'input_1' }), position: { x: 5, y: 5 } },
+        node('customInput-2', 'customInput', { inputName: 'question' }),
+    ];
+    const copy = cloneSubgraph({ nodes: original, edges: [] }, counter(), { x: 40, y: 40 });
+
+    expect(copy.nodes.map(({ id, position, data, selected }) => [id, position, data.inputName, selected])).toEqual([
+        ['customInput-11', { x: 45, y: 45 }, 'input_11', true],
+        ['customInput-12', { x: 40, y: 40 }, 'question', true],
+    ]);
+    expect(original[0].data.inputName).toBe('input_1');
+});
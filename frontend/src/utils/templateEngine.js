@@ -0,0 +1,333 @@
+// Template language used by the Text node:
+//
+//   {{user.name}}  {{items[0]}}  {{row["first name"]}}   paths into inputs
+//   {{name | "anonymous"}}                               default when empty
+//   {{name | trim | upper}}  {{tags | join(", ")}}       filters, left to right
+//   {{#if user}}...{{else}}...{{/if}}
+//   {{#each items}}{{@index}}: {{this}}{{/each}}
+//   {{#each items as item}}{{item.name}}{{/each}}
+//
+// A path's first segment is a root variable, which the Text node exposes as
+// an input handle; `this`, `@index` and `as` names inside #each are not.
+//
+// Braces that are not a tag stay as they are: `\{{name}}` renders `{{name}}`,
+// and a {{...}} that does not parse (pasted JSON, other template languages)
+// is left as text, as is a stray {{/block}} or {{else}}.
+
+export class TemplateSyntaxError extends Error {
+    constructor(message, index) {
+        super(index === undefined ? message : `${message} (at character ${index + 1})`);
+        this.name = 'TemplateSyntaxError';
+        this.index = index;
+    }
+}
+
+const TAG_PATTERN = /(\\?)\{\{([\s\S]*?)\}\}/g;
+
+const toText = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const filters = {
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    trim: (value) => toText(value).trim(),
+    json: (value) => JSON.stringify(value ?? null),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+};
+
+export const TEMPLATE_FILTERS = Object.keys(filters);
+
+// ---- expressions inside a tag -------------------------------------------
+
+const tokenizeExpression = (source, offset) => {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i += 1;
+        } else if (/[A-Za-z_$@]/.test(char)) {
+            const match = /^@?[A-Za-z_$][\w$]*/.exec(source.slice(i));
+            if (!match) throw new TemplateSyntaxError(`Unexpected "${char}"`, offset + i);
+            tokens.push({ type: 'ident', value: match[0], index: offset + i });
+            i += match[0].length;
+        } else if (/[0-9-]/.test(char)) {
+            const match = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+            if (!match) throw new TemplateSyntaxError(`Unexpected "${char}"`, offset + i);
+            tokens.push({ type: 'number', value: Number(match[0]), index: offset + i });
+            i += match[0].length;
+        } else if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) j += 1;
+                value += source[j];
+                j += 1;
+            }
+            if (j >= source.length) throw new TemplateSyntaxError('Unterminated string', offset + i);
+            tokens.push({ type: 'string', value, index: offset + i });
+            i = j + 1;
+        } else if ('.[]|(),'.includes(char)) {
+            tokens.push({ type: char, index: offset + i });
+            i += 1;
+        } else {
+            throw new TemplateSyntaxError(`Unexpected "${char}"`, offset + i);
+        }
+    }
+    return tokens;
+};
+
+const parseExpression = (source, offset) => {
+    const tokens = tokenizeExpression(source, offset);
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = (type) => {
+        const token = tokens[position];
+        if (!token || (type && token.type !== type)) {
+            const found = token ? `"${token.value ?? token.type}"` : 'end of tag';
+            throw new TemplateSyntaxError(`Expected ${type || 'a value'} but found ${found}`, token?.index ?? offset + source.length);
+        }
+        position += 1;
+        return token;
+    };
+
+    const root = next('ident');
+    const path = [];
+    while (peek()?.type === '.' || peek()?.type === '[') {
+        if (next().type === '.') {
+            path.push(next('ident').value);
+        } else {
+            const key = peek()?.type === 'number' ? next('number') : next('string');
+            next(']');
+            path.push(key.value);
+        }
+    }
+
+    const pipes = [];
+    while (peek()?.type === '|') {
+        next('|');
+        const token = next();
+        if (token.type === 'string' || token.type === 'number') {
+            pipes.push({ kind: 'default', value: token.value });
+        } else if (token.type === 'ident' && filters[token.value]) {
+            const args = [];
+            if (peek()?.type === '(') {
+                next('(');
+                while (peek() && peek().type !== ')') {
+                    const arg = next();
+                    if (arg.type !== 'string' && arg.type !== 'number') {
+                        throw new TemplateSyntaxError('Filter arguments must be strings or numbers', arg.index);
+                    }
+                    args.push(arg.value);
+                    if (peek()?.type === ',') next(',');
+                }
+                next(')');
+            }
+            pipes.push({ kind: 'filter', name: token.value, args });
+        } else {
+            throw new TemplateSyntaxError(`Unknown filter "${token.value ?? token.type}"`, token.index);
+        }
+    }
+
+    if (peek()) {
+        throw new TemplateSyntaxError(`Unexpected "${peek().value ?? peek().type}"`, peek().index);
+    }
+    return { root: root.value, path, pipes };
+};
+
+// ---- tags and blocks ----------------------------------------------------
+
+// Splits `#each items as item` into the expression and the alias
+const parseEachArgs = (args, offset) => {
+    const match = /^([\s\S]*?)\s+as\s+([A-Za-z_$][\w$]*)\s*$/.exec(args);
+    return match
+        ? { expression: parseExpression(match[1], offset), alias: match[2] }
+        : { expression: parseExpression(args, offset), alias: null };
+};
+
+const classifyTag = (content, offset) => {
+    const trimmed = content.trim();
+    const start = offset + content.indexOf(trimmed);
+    if (trimmed === 'else') return { kind: 'else' };
+    if (trimmed.startsWith('/')) return { kind: 'close', block: trimmed.slice(1).trim() };
+    if (trimmed.startsWith('#')) {
+        const [, block, args = ''] = /^#(\w*)\s*([\s\S]*)$/.exec(trimmed);
+        const argsOffset = start + trimmed.indexOf(args, block.length + 1);
+        if (block === 'if') return { kind: 'open', block, expression: parseExpression(args, argsOffset) };
+        if (block === 'each') return { kind: 'open', block, ...parseEachArgs(args, argsOffset) };
+        throw new TemplateSyntaxError(`Unknown block "#${block}"`, start);
+    }
+    return { kind: 'value', expression: parseExpression(content, offset) };
+};
+
+/**
+ * Lists every {{...}} tag in a template with its position, without
+ * requiring blocks to be balanced, so it also works while one is being typed
+ * @param {string} source
+ * @returns {{ start: number, end: number, tag: object|null, error: TemplateSyntaxError|null }[]} -
+ *   An escaped `\{{...}}` is a `literal` tag holding its text without the
+ *   backslash; a tag that does not parse has an error and renders as text
+ */
+export const scanTemplate = (source) => {
+    const tags = [];
+    for (const match of (source ?? '').matchAll(TAG_PATTERN)) {
+        const [text, escape, content] = match;
+        const entry = { start: match.index, end: match.index + text.length, tag: null, error: null };
+        if (escape) {
+            entry.tag = { kind: 'literal', text: text.slice(1) };
+            tags.push(entry);
+            continue;
+        }
+        try {
+            entry.tag = classifyTag(content, match.index + 2);
+        } catch (error) {
+            if (!(error instanceof TemplateSyntaxError)) throw error;
+            entry.error = error;
+        }
+        tags.push(entry);
+    }
+    return tags;
+};
+
+/**
+ * Parses a template into a tree of text, value, if and each nodes
+ * @param {string} source
+ * @returns {object[]}
+ * @throws {TemplateSyntaxError} - On an unclosed or mismatched block
+ */
+export const parseTemplate = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    let cursor = 0;
+    const current = () => stack[stack.length - 1];
+    const target = () => (current().inElse ? current().elseChildren : current().children);
+
+    scanTemplate(source).forEach(({ start, end, tag, error }) => {
+        if (start > cursor) target().push({ type: 'text', value: source.slice(cursor, start) });
+        cursor = end;
+        const keepAsText = () => target().push({ type: 'text', value: source.slice(start, end) });
+
+        if (error || (stack.length === 1 && (tag.kind === 'else' || tag.kind === 'close'))) {
+            keepAsText();
+        } else if (tag.kind === 'literal') {
+            target().push({ type: 'text', value: tag.text });
+        } else if (tag.kind === 'value') {
+            target().push({ type: 'value', expression: tag.expression });
+        } else if (tag.kind === 'open') {
+            const block = { type: tag.block, expression: tag.expression, alias: tag.alias, children: [], elseChildren: [], start };
+            target().push(block);
+            stack.push(block);
+        } else if (tag.kind === 'else') {
+            if (current().inElse) {
+                throw new TemplateSyntaxError(`Second {{else}} in {{#${current().type}}}`, start);
+            }
+            current().inElse = true;
+        } else {
+            if (current().type !== tag.block) {
+                throw new TemplateSyntaxError(`Unexpected {{/${tag.block}}} inside {{#${current().type}}}`, start);
+            }
+            delete stack.pop().inElse;
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new TemplateSyntaxError(`Unclosed {{#${current().type}}}`, current().start);
+    }
+    if (cursor < (source ?? '').length) root.children.push({ type: 'text', value: source.slice(cursor) });
+    return root.children;
+};
+
+/**
+ * Root variables a template reads, in order of first use. Tolerates
+ * unbalanced blocks and skips malformed tags.
+ * @param {string} source
+ * @returns {string[]}
+ */
+export const getTemplateVariables = (source) => {
+    const variables = new Set();
+    const scopes = [];
+
+    const addRoot = (expression) => {
+        const { root } = expression;
+        if (root === 'this' || root.startsWith('@') || scopes.includes(root)) return;
+        variables.add(root);
+    };
+
+    scanTemplate(source).forEach(({ tag }) => {
+        if (!tag) return;
+        if (tag.kind === 'value') addRoot(tag.expression);
+        if (tag.kind === 'open') {
+            addRoot(tag.expression);
+            if (tag.block === 'each') scopes.push(tag.alias);
+        }
+        if (tag.kind === 'close' && tag.block === 'each') scopes.pop();
+    });
+    return [...variables];
+};
+
+// ---- rendering ----------------------------------------------------------
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const evaluate = (expression, scope) => {
+    let value;
+    if (expression.root === 'this') value = scope.item;
+    else if (expression.root === '@index') value = scope.index;
+    else value = scope.lookup(expression.root);
+
+    expression.path.forEach(key => {
+        value = value === undefined || value === null ? undefined : value[key];
+    });
+
+    expression.pipes.forEach(pipe => {
+        if (pipe.kind === 'default') {
+            if (isEmpty(value)) value = pipe.value;
+        } else {
+            value = filters[pipe.name](value, ...pipe.args);
+        }
+    });
+    return value;
+};
+
+const renderNodes = (nodes, scope, escape) => nodes.map(node => {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'value':
+            return escape(toText(evaluate(node.expression, scope)));
+        case 'if':
+            return renderNodes(isTruthy(evaluate(node.expression, scope)) ? node.children : node.elseChildren, scope, escape);
+        case 'each': {
+            const list = evaluate(node.expression, scope);
+            if (!isTruthy(list)) return renderNodes(node.elseChildren, scope, escape);
+            const items = Array.isArray(list) ? list : Object.values(list);
+            return items.map((item, index) => renderNodes(node.children, {
+                item,
+                index,
+                lookup: (name) => (name === node.alias ? item : scope.lookup(name)),
+            }, escape)).join('');
+        }
+        default:
+            return '';
+    }
+}).join('');
+
+/**
+ * Renders a template against a set of values
+ * @param {string} source
+ * @param {object} values - Root variables by name
+ * @param {object} [options]
+ * @param {function} [options.escape] - Applied to every substituted value,
+ *   e.g. encodeURIComponent for URLs
+ * @returns {string}
+ * @throws {TemplateSyntaxError}
+ */
+export const renderTemplate = (source, values, options = {}) => {
+    const escape = options.escape || ((text) => text);
+    const root = { item: undefined, index: undefined, lookup: (name) => values?.[name] };
+    return renderNodes(parseTemplate(source), root, escape);
+};
@@ -0,0 +1,56 @@
+import { getTemplateVariables, parseTemplate, renderTemplate, scanTemplate, TemplateSyntaxError } from './templateEngine';
+import { getTemplateIssues } from './variableParser';
+
+describe('rendering', () => {
+    test('paths, defaults and filters', () => {
+        const values = { user: { name: ' ada ', tags: ['a', 'b'] }, row: { 'first name': 'Alan' } };
+        expect(renderTemplate('{{user.name | trim | upper}}', values)).toBe('ADA');
+        expect(renderTemplate('{{user.tags[1]}} {{row["first name"]}}', values)).toBe('b Alan');
+        expect(renderTemplate('{{user.tags | join("-")}}', values)).toBe('a-b');
+        expect(renderTemplate('{{missing | "anonymous"}}', values)).toBe('anonymous');
+        expect(renderTemplate('{{user.tags}}', values)).toBe('["a","b"]');
+    });
+
+    test('if and each blocks', () => {
+        const template = '{{#each items as item}}{{@index}}:{{item}} {{else}}none{{/each}}{{#if done}}!{{else}}?{{/if}}';
+        expect(renderTemplate(template, { items: ['x', 'y'], done: true })).toBe('0:x 1:y !');
+        expect(renderTemplate(template, { items: [], done: false })).toBe('none?');
+    });
+
+    test('escapes substituted values only', () => {
+        expect(renderTemplate('/search?q={{q}}&x=1', { q: 'a b&c' }, { escape: encodeURIComponent })).toBe('/search?q=a%20b%26c&x=1');
+    });
+});
+
+describe('text that is not a tag', () => {
+    test('a backslash before {{ keeps the braces as text', () => {
+        expect(renderTemplate('Use \\{{name}} for {{name}}', { name: 'Ada' })).toBe('Use {{name}} for Ada');
+        expect(getTemplateVariables('\\{{hidden}} {{shown}}')).toEqual(['shown']);
+        expect(getTemplateIssues('\\{{not valid!}}')).toEqual([]);
+        expect(scanTemplate('\\{{x}}')[0].tag).toEqual({ kind: 'literal', text: '{{x}}' });
+    });
+
+    test('pasted JSON renders as it was written', () => {
+        const json = 'Reply with {{"answer": "..."}} and nothing else';
+        expect(renderTemplate(json, {})).toBe(json);
+        expect(getTemplateIssues(json)).toEqual([expect.objectContaining({ literal: true, message: expect.stringMatching(/shown as text$/) })]);
+    });
+
+    test('tags from other template languages render as text', () => {
+        const source = '{{#unless done}}{{name}}{{/unless}} {{> partial}} {{else}}';
+        expect(renderTemplate(source, { name: 'Ada' })).toBe('{{#unless done}}Ada{{/unless}} {{> partial}} {{else}}');
+        expect(getTemplateVariables(source)).toEqual(['name']);
+    });
+});
+
+describe('errors', () => {
+    test('unclosed and mismatched blocks still fail', () => {
+        expect(() => parseTemplate('{{#if a}}open')).toThrow(TemplateSyntaxError);
+        expect(() => parseTemplate('{{#if a}}{{/each}}')).toThrow('Unexpected {{/each}} inside {{#if}}');
+        expect(() => parseTemplate('{{#if a}}{{else}}{{else}}{{/if}}')).toThrow('Second {{else}} in {{#if}}');
+    });
+
+    test('invalid variable names are reported', () => {
+        expect(getTemplateIssues('{{class}}')).toEqual([{ start: 0, end: 9, message: '"class" is not a valid variable name' }]);
+    });
+});
@@ -1,18 +1,14 @@
+import { getTemplateVariables, scanTemplate } from './templateEngine';
+
 /**
- * Parses text to extract variable names from {{variableName}} syntax
+ * Parses text to extract the root variable names of its {{...}} tags,
+ * e.g. `user` from {{user.name | upper}} (see templateEngine.js). Names
+ * that fail isValidVariableName are left out; getTemplateIssues reports them.
  * @param {string} text - The text to parse
  * @returns {string[]} - Array of unique variable names
  */
 export const parseVariables = (text) => {
-    const regex = /\{\{(\w+)\}\}/g;
-    const variables = new Set();
-    let match;
-
-    while ((match = regex.exec(text)) !== null) {
-        variables.add(match[1]); 
-    }
-
-    return Array.from(variables);
+    return getTemplateVariables(text).filter(name => isValidVariableName(name));
 };
 
 /**
@@ -33,3 +29,26 @@ export const isValidVariableName = (name) => {
 
     return validNameRegex.test(name) && !reservedKeywords.includes(name);
 };
+
+/**
+ * Finds the {{...}} tags in a template that are malformed or read a
+ * variable whose name fails isValidVariableName
+ * @param {string} text - The template
+ * @returns {{ start: number, end: number, message: string, literal?: boolean }[]} -
+ *   Character range of each offending tag with a description; `literal`
+ *   marks malformed tags, which render as text rather than fail
+ */
+export const getTemplateIssues = (text) => {
+    const issues = [];
+    scanTemplate(text).forEach(({ start, end, tag, error }) => {
+        if (error) {
+            issues.push({ start, end, message: `${error.message}; it is shown as text`, literal: true });
+            return;
+        }
+        const root = tag.expression?.root;
+        if (root && root !== 'this' && !root.startsWith('@') && !isValidVariableName(root)) {
+            issues.push({ start, end, message: `"${root}" is not a valid variable name` });
+        }
+    });
+    return issues;
+};
@@ -0,0 +1,50 @@
+// validation.js
+
+import { useStore } from './store';
+import { validatePipeline } from './engine/validatePipeline';
+import { toCanvasNodeId } from './engine/subflows';
+import { getServerProblems } from './engine/serverRun';
+
+const VALIDATION_DELAY_MS = 250;
+
+/**
+ * Validates the whole pipeline now and stores the problems for the panel
+ * and badges, with node ids mapped onto the canvas being shown (a problem
+ * inside a Subflow badges the Subflow)
+ * @param {object} [options]
+ * @param {boolean} [options.onServer] - Also report nodes the server cannot run
+ * @returns {object[]} - The problems found
+ */
+export const validateCanvas = ({ onServer = false } = {}) => {
+    const { getRootGraph, subflowStack, setProblems } = useStore.getState();
+    const path = subflowStack.map((frame) => frame.nodeId);
+    const graph = getRootGraph();
+    const found = [...(onServer ? getServerProblems(graph) : []), ...validatePipeline(graph)];
+    const problems = found.map((problem) => ({
+      ...problem,
+      nodeIds: [...new Set(problem.nodeIds.map((id) => toCanvasNodeId(id, path)).filter(Boolean))],
+    }));
+    setProblems(problems);
+    return problems;
+};
+
+/**
+ * Re-validates shortly after every graph change so badges stay current.
+ * Call once before rendering.
+ * @returns {function} - Stops listening
+ */
+export const startLiveValidation = () => {
+    let timer = null;
+    validateCanvas();
+
+    const unsubscribe = useStore.subscribe((state, prev) => {
+      if (state.nodes === prev.nodes && state.edges === prev.edges) return;
+      clearTimeout(timer);
+      timer = setTimeout(validateCanvas, VALIDATION_DELAY_MS);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+};